@@ -19,6 +19,13 @@ const NEEDLE_TIP_WIDTH = 0.025;     // tapered tip
 
 const ARCH_MARGIN = 0.08;           // small pad beyond max needle travel
 
+function roleLabels(mode) {
+  return {
+    playerRole: mode === 'captain' ? 'YOU CAPTAIN' : mode === 'stoker' ? 'YOU STOKER' : 'YOU',
+    partnerRole: mode === 'captain' ? 'STOKER' : 'CAPTAIN',
+  };
+}
+
 export class ArchIndicator {
   constructor(scene) {
     this.scene = scene;
@@ -276,8 +283,7 @@ export class ArchIndicator {
     this._mode = mode;
 
     const isMultiplayer = (mode === 'captain' || mode === 'stoker');
-    const playerRole = mode === 'captain' ? 'YOU CAPTAIN' : mode === 'stoker' ? 'YOU STOKER' : 'YOU';
-    const partnerRole = mode === 'captain' ? 'STOKER' : 'CAPTAIN';
+    const { playerRole, partnerRole } = roleLabels(mode);
 
     // Player needle — label on inner (bottom) edge of arch
     this._playerNeedle = this._buildNeedle(playerColor, 0.75, playerRole, ARCH_INNER - 0.35);
@@ -341,16 +347,37 @@ export class ArchIndicator {
     if (hubMesh && hubMesh.material) hubMesh.material.color.set(color);
 
     // Rebuild label sprite with new color (child 2)
-    const oldLabel = this._partnerNeedle.children[2];
+    this._replaceLabel(this._partnerNeedle, roleLabels(this._mode).partnerRole, color, ARCH_OUTER + 0.35);
+  }
+
+  // ----------------------------------------------------------
+  // Re-label both needles after a mid-ride seat swap
+  // ----------------------------------------------------------
+
+  setMode(mode) {
+    this._mode = mode;
+    const { playerRole, partnerRole } = roleLabels(mode);
+    for (const [needle, text, labelY] of [
+      [this._playerNeedle, playerRole, ARCH_INNER - 0.35],
+      [this._partnerNeedle, partnerRole, ARCH_OUTER + 0.35],
+    ]) {
+      if (!needle) continue;
+      const color = '#' + needle.children[0].material.color.getHexString();
+      this._replaceLabel(needle, text, color, labelY);
+    }
+  }
+
+  _replaceLabel(needle, text, color, labelY) {
+    const oldLabel = needle.children[2];
     if (oldLabel) {
-      this._partnerNeedle.remove(oldLabel);
+      needle.remove(oldLabel);
       this._disposeSprite(oldLabel);
     }
-    const partnerRole = this._mode === 'captain' ? 'STOKER' : 'CAPTAIN';
-    const partnerOpacity = needleMesh ? needleMesh.material.opacity : 0.2;
-    const newLabel = this._buildLabel(partnerRole, color, partnerOpacity);
-    newLabel.position.set(0, ARCH_OUTER + 0.35, 0);
-    this._partnerNeedle.add(newLabel);
+    const needleMesh = needle.children[0];
+    const opacity = needleMesh ? needleMesh.material.opacity : 0.2;
+    const label = this._buildLabel(text, color, opacity);
+    label.position.set(0, labelY, 0);
+    needle.add(label);
   }
 
   // ----------------------------------------------------------
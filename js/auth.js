@@ -195,6 +195,7 @@ export class AuthManager {
     if (options) {
       if (options.mode) params.set('mode', options.mode);
       if (options.userId) params.set('user_id', options.userId);
+      if (options.ghost) params.set('ghost', options.ghost);
     }
     const headers = {};
     if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
@@ -0,0 +1,418 @@
+// ============================================================
+// BIKE PHYSICS — headless, deterministic tandem simulation
+// Fixed 120 Hz step, seeded RNG, no DOM or Three.js.
+// BikeModel renders from this; replays and verifiers drive it directly.
+// ============================================================
+
+import { TUNE } from './config.js';
+import { Weather } from './weather.js';
+import { ROAD_SURFACES, DEFAULT_SURFACE } from './road-surfaces.js';
+import { ROAD_HALF_WIDTH } from './road-path.js';
+
+export const PHYSICS_HZ = 120;
+export const PHYSICS_DT = 1 / PHYSICS_HZ;
+const MAX_STEPS_PER_ADVANCE = 12; // ~100ms of catch-up before dropping time
+const STABILIZE_CRASH_SCALE = 1.3; // stabilizer power-up: lean this much further before a crash
+
+export class BikePhysics {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.seed=1] — wobble RNG seed (same seed + inputs = same ride)
+   * @param {object} [opts.roadPath] — RoadPath for slope, road distance and terrain height
+   * @param {object} [opts.tune] — tuning table (defaults to the shared TUNE)
+   * @param {{x:number,y:number,z:number}} [opts.position] — vector to write position into
+   * @param {Weather} [opts.weather] — the level's weather (default: clear)
+   */
+  constructor({ seed = 1, roadPath = null, tune = TUNE, position = null, weather = null } = {}) {
+    this.tune = tune;
+    this.roadPath = roadPath;
+    this.weather = weather || new Weather(null);
+
+    this.position = position || { x: 0, y: 0, z: 0 };
+    this.heading = 0;
+    this.lean = 0;
+    this.leanVelocity = 0;
+    this.speed = 0;
+    this.distanceTraveled = 0;
+    this.crankAngle = 0;
+    this.maxSpeed = tune.maxSpeed || 16;
+
+    // Fall state
+    this.fallen = false;
+    this.fallTimer = 0;
+    this.braking = false;
+    this.boostTimer = 0;
+    this.stabilizeTimer = 0;
+
+    // Balance assist (0 = off, 0-1 = graduated assist strength)
+    this.balanceAssist = 0;
+
+    this.roadD = 0;             // distance along road centerline
+    this.lateralOffset = 0;     // distance from road center (for off-road wobble)
+    this.frontWheelOffset = 0;  // front wheel lateral offset
+    this.rearWheelOffset = 0;   // rear wheel lateral offset
+
+    // Simulation clock — drives the periodic wobble terms instead of wall time
+    this.tick = 0;
+    this.time = 0;
+    this._accumulator = 0;
+    this._pendingAccel = 0;
+
+    this.seed(seed);
+
+    // Optional RideLogWriter — quantizes and logs every step input and
+    // every change made from outside between steps (boost, fall, reset)
+    this.recorder = null;
+
+    // Reusable per-step input (avoid per-frame allocation in advance())
+    this._stepInput = {
+      acceleration: 0, wobble: 0, braking: false, crankAngle: 0,
+      leanInput: 0, gyroActive: false, safetyMode: false, autoSpeed: false
+    };
+  }
+
+  /** Reseed the wobble RNG (seeded LCG, same as RoadPath). */
+  seed(seed) {
+    this._seed = seed;
+    this._rngState = seed;
+  }
+
+  _random() {
+    this._rngState = (this._rngState * 9301 + 49297) % 233280;
+    return this._rngState / 233280;
+  }
+
+  /**
+   * Advance by a variable frame dt using fixed PHYSICS_DT steps.
+   * Pedal acceleration is an impulse: it is applied once, on the next step.
+   * @returns {number} steps taken this frame
+   */
+  advance(pedalResult, balanceResult, dt, safetyMode, autoSpeed) {
+    this._pendingAccel += pedalResult.acceleration;
+    this._accumulator += dt;
+
+    const input = this._stepInput;
+    input.wobble = pedalResult.wobble;
+    input.braking = pedalResult.braking;
+    input.crankAngle = pedalResult.crankAngle;
+    input.leanInput = balanceResult.leanInput;
+    input.gyroActive = !!balanceResult.gyroActive;
+    input.safetyMode = !!safetyMode;
+    input.autoSpeed = !!autoSpeed;
+
+    let steps = 0;
+    while (this._accumulator >= PHYSICS_DT && steps < MAX_STEPS_PER_ADVANCE) {
+      this._accumulator -= PHYSICS_DT;
+      input.acceleration = this._pendingAccel;
+      this._pendingAccel = 0;
+      if (this.recorder) this.recorder.beforeStep(input);
+      this.step(input);
+      steps++;
+    }
+    // Spiral-of-death guard: drop time we couldn't simulate
+    if (steps === MAX_STEPS_PER_ADVANCE) this._accumulator = 0;
+    return steps;
+  }
+
+  /**
+   * Run exactly one fixed step.
+   * @param {{acceleration:number, wobble:number, braking:boolean, crankAngle:number,
+   *          leanInput:number, gyroActive:boolean, safetyMode:boolean, autoSpeed:boolean}} input
+   */
+  step(input) {
+    const dt = PHYSICS_DT;
+    const tune = this.tune;
+    this.tick++;
+    this.time += dt;
+    this.crankAngle = input.crankAngle;
+
+    if (this.fallen) {
+      this.fallTimer -= dt;
+      if (this.fallTimer <= 0) this._recover();
+      return;
+    }
+
+    // Auto-speed
+    if (input.autoSpeed && !input.braking) {
+      const cruiseSpeed = 3.0;
+      if (this.speed < cruiseSpeed) {
+        this.speed += 2.0 * dt;
+      }
+    }
+
+    // Weather and road surface at this spot — clear skies on plain dirt
+    // leave every term below exactly as it was
+    const weather = this.weather.sample(this.distanceTraveled, this.time);
+    const centerDist = Math.abs(this.lateralOffset);
+    const surface = ROAD_SURFACES[centerDist <= ROAD_HALF_WIDTH && this.roadPath
+      ? this.roadPath.getSurfaceAtDistance(this.roadD) : DEFAULT_SURFACE];
+    const grip = weather.grip * surface.grip;
+
+    // Braking — wet, icy and loose roads give the brakes less to bite on
+    this.braking = input.braking;
+    if (input.braking) {
+      this.speed *= (1 - 2.5 * grip * dt);
+      if (this.speed < 0.05) this.speed = 0;
+    }
+
+    // Acceleration
+    this.speed += input.acceleration;
+
+    // Collectible speed boost
+    if (this.boostTimer > 0) {
+      this.boostTimer -= dt;
+      this.speed += 4.0 * dt; // sustained push
+    }
+
+    // Friction — reduced at low speeds so startup isn't brutally hard
+    const frictionBase = 0.6;
+    const frictionMin = 0.15;
+    const frictionRamp = Math.min(1, this.speed / 4); // full friction at ~4 m/s (~14 km/h)
+    this.speed *= (1 - (frictionMin + (frictionBase - frictionMin) * frictionRamp) * surface.friction * dt);
+    this.speed *= (1 - weather.drag * dt); // snow on the road
+
+    // Center-strip bonus: compacted dirt in the middle 20% of road is faster
+    if (centerDist < 0.5 && this.speed > 0.5) {
+      this.speed *= (1 + 0.3 * (1 - centerDist / 0.5) * dt); // gentle boost
+    }
+
+    // Road-edge drag: drifting toward the edges of the dirt path slows you.
+    // Rain turns the verges to mud, so grass drag starts further in
+    const grassEdge = weather.grassEdge;
+    if (centerDist > 0.5 && centerDist <= grassEdge && this.speed > 0) {
+      const edgeFrac = (centerDist - 0.5) / (grassEdge - 0.5); // 0→1 across road width
+      this.speed *= (1 - edgeFrac * 0.8 * dt);    // moderate drag near edges
+    }
+
+    // Grass drag: off-road surface slows you down significantly
+    const offRoadDrag = Math.max(0, centerDist - grassEdge);
+    if (offRoadDrag > 0 && this.speed > 0) {
+      const dragIntensity = Math.min(offRoadDrag / 3, 1); // 0→1 over 3 units
+      this.speed *= (1 - dragIntensity * 1.5 * dt);       // strong off-road friction
+    }
+
+    this.maxSpeed = tune.maxSpeed || 16;
+    this.speed = Math.max(0, Math.min(this.speed, this.maxSpeed));
+
+    // Balance physics (portrait-tuned: softer response, more damping)
+    const gravity = Math.sin(this.lean) * tune.gravityForce;
+    const playerLean = input.leanInput * tune.leanForce;
+    const gyro = -this.lean * Math.min(this.speed * 0.8, 6.0);
+    const damping = -this.leanVelocity * tune.damping;
+
+    const pedalWobble = input.wobble * (this._random() - 0.5) * 2;
+
+    const t = this.time;
+    const wobbleMul = tune.wobbleMultiplier || 1.0;
+    const lowSpeedWobble = Math.max(0, 1 - this.speed * 0.3) *
+      (Math.sin(t * 2.7) * 0.3 + Math.sin(t * 4.3) * 0.15) * wobbleMul;
+
+    let pedalLeanKick = 0;
+    if (input.acceleration > 0 && !input.braking) {
+      pedalLeanKick = (this._random() - 0.5) * 0.2;
+    }
+
+    // Danger-zone wobble: progressive shake as lean approaches crash
+    let dangerWobble = 0;
+    let crashThreshold = tune.crashThreshold || 1.35;
+    if (this.stabilizeTimer > 0) {
+      this.stabilizeTimer -= dt;
+      crashThreshold *= STABILIZE_CRASH_SCALE;
+    }
+    const dangerOnset = tune.dangerOnset || 0.55;
+    const dangerRatio = Math.abs(this.lean) / crashThreshold;
+    if (dangerRatio > dangerOnset) {
+      const intensity = (dangerRatio - dangerOnset) / (1 - dangerOnset); // 0→1 from onset to crash
+      dangerWobble = intensity * (Math.sin(t * 11) * 0.4 + Math.sin(t * 17) * 0.25);
+    }
+
+    // Grass wobble: rough terrain when off-road
+    let grassWobble = 0;
+    const offRoad = Math.max(0, Math.abs(this.lateralOffset) - 2.5);
+    if (offRoad > 0 && this.speed > 0.1) {
+      const grassIntensity = Math.min(offRoad / 3, 1); // ramps up over 3 units off-road
+      grassWobble = grassIntensity * this.speed * 0.15 *
+        (Math.sin(t * 13.7) * 0.5 + Math.sin(t * 23.1) * 0.3 + (this._random() - 0.5) * 0.4);
+    }
+
+    // Surface wobble: gravel, mud and puddles shake the bars (none on dirt or pavement)
+    const surfaceWobble = surface.wobble > 0
+      ? surface.wobble * this.speed * (Math.sin(t * 19.3) * 0.5 + Math.sin(t * 29.9) * 0.3)
+      : 0;
+
+    this.leanVelocity += (gravity + playerLean + gyro + damping + pedalWobble + lowSpeedWobble +
+      pedalLeanKick + dangerWobble + grassWobble + surfaceWobble + weather.gust) * dt;
+    this.lean += this.leanVelocity * dt;
+
+    // Balance assist: proportional restoring force toward upright
+    if (this.balanceAssist > 0 && Math.abs(this.lean) > 0.3) {
+      this.leanVelocity -= this.lean * this.balanceAssist * 3.0 * dt;
+    }
+
+    // Auto-correction (Chill mode): gentle return-to-center force
+    if (tune.autoCorrection && Math.abs(this.lean) > 0.3) {
+      this.leanVelocity -= this.lean * 3.0 * dt;
+    }
+
+    // Gyro centering: when controller is centered but bike is leaned, pull upright
+    if (input.gyroActive && Math.abs(input.leanInput) < 0.15) {
+      this.leanVelocity -= this.lean * 5.0 * dt;
+    }
+
+    // Safety mode
+    if (input.safetyMode) {
+      this.lean = Math.max(-1.0, Math.min(1.0, this.lean));
+    }
+
+    // Steering from lean — less grip, wider turns
+    const turnRate = -this.lean * this.speed * tune.turnRate * grip;
+    this.heading += turnRate * dt;
+
+    // Slope physics — uphill decelerates, downhill accelerates
+    // Reduced at low speeds so hills don't stall startup
+    if (this.roadPath && this.speed > 0.01) {
+      const slope = this.roadPath.getSlopeAtDistance(this.roadD);
+      const slopeRamp = Math.min(1, this.speed / 4);
+      this.speed -= slope * 9.8 * dt * 0.3 * slopeRamp;
+      this.speed = Math.max(0, Math.min(this.speed, this.maxSpeed));
+    }
+
+    // Position
+    this.position.x += Math.sin(this.heading) * this.speed * dt;
+    this.position.z += Math.cos(this.heading) * this.speed * dt;
+
+    this._trackRoad(dt);
+
+    // Fall detection
+    if (Math.abs(this.lean) > crashThreshold) {
+      this._knockOver();
+    }
+  }
+
+  // Track road distance (smoothed, wrap-aware) and set terrain height
+  _trackRoad(dt) {
+    if (!this.roadPath) return;
+    const info = this.roadPath.getClosestRoadInfo(this.position.x, this.position.z, this.roadD);
+    if (!info) return;
+
+    const prevRoadD = this.roadD;
+    let diff = info.d - this.roadD;
+    const L = this.roadPath.loopLength;
+    if (diff > L / 2) diff -= L;
+    if (diff < -L / 2) diff += L;
+    this.roadD += diff * Math.min(1, 15 * dt);
+    this.roadD = this.roadPath.wrapD(this.roadD);
+
+    // Update distanceTraveled from road progress, not path length.
+    // Going sideways or in circles doesn't count; going backward subtracts.
+    let roadDelta = this.roadD - prevRoadD;
+    if (roadDelta > L / 2) roadDelta -= L;
+    if (roadDelta < -L / 2) roadDelta += L;
+    this.distanceTraveled = Math.max(0, this.distanceTraveled + roadDelta);
+
+    this.lateralOffset = info.lateralOffset;
+    this.updateWheelOffsets();
+
+    this.position.y = this.roadPath.getPointAtDistance(this.roadD).y;
+  }
+
+  /**
+   * Per-wheel lateral offsets — approximate from road center at ±2m along road.
+   * Uses cheap getPointAtDistance instead of full getClosestRoadInfo search.
+   */
+  updateWheelOffsets() {
+    if (!this.roadPath) return;
+    const sinH = Math.sin(this.heading);
+    const cosH = Math.cos(this.heading);
+    const frontPt = this.roadPath.getPointAtDistance(this.roadD + 2);
+    const frontDx = (this.position.x + sinH * 2.0) - frontPt.x;
+    const frontDz = (this.position.z + cosH * 2.0) - frontPt.z;
+    this.frontWheelOffset = frontDx * Math.cos(frontPt.heading) + frontDz * -Math.sin(frontPt.heading);
+
+    const rearPt = this.roadPath.getPointAtDistance(this.roadD - 2);
+    const rearDx = (this.position.x - sinH * 2.0) - rearPt.x;
+    const rearDz = (this.position.z - cosH * 2.0) - rearPt.z;
+    this.rearWheelOffset = rearDx * Math.cos(rearPt.heading) + rearDz * -Math.sin(rearPt.heading);
+  }
+
+  /** Collectible speed push for the given number of seconds. */
+  boost(seconds) {
+    if (this.recorder) this.recorder.onBoost(seconds);
+    this.boostTimer = seconds;
+  }
+
+  /** Stabilizer power-up: a wider crash threshold for the given number of seconds. */
+  stabilize(seconds) {
+    if (this.recorder) this.recorder.onStabilize(seconds);
+    this.stabilizeTimer = seconds;
+  }
+
+  /** Knock the bike over from outside the simulation (tree or pylon hit). */
+  fall() {
+    if (this.recorder) this.recorder.onFall();
+    this._knockOver();
+  }
+
+  _knockOver() {
+    this.fallen = true;
+    this.fallTimer = 2.0;
+    this.speed = 0;
+    this.lean = Math.sign(this.lean) * Math.PI / 2.2;
+    this.leanVelocity = 0;
+    const terrainY = this.roadPath
+      ? this.roadPath.getHeightAtWorld(this.position.x, this.position.z, this.roadD)
+      : 0;
+    this.position.y = terrainY - 0.15;
+  }
+
+  // Stand back up in place after a fall
+  _recover() {
+    this.fallen = false;
+    this.lean = 0;
+    this.leanVelocity = 0;
+    this.speed = 0;
+    const terrainY = this.roadPath
+      ? this.roadPath.getHeightAtWorld(this.position.x, this.position.z, this.roadD)
+      : 0;
+    this.position.y = terrainY;
+  }
+
+  /** Place the bike on the road centerline at a race distance, at rest. */
+  resetToDistance(distance) {
+    if (this.recorder) this.recorder.onReset(distance);
+    this.fallen = false;
+    this.fallTimer = 0;
+    this.lean = 0;
+    this.leanVelocity = 0;
+    this.speed = 0;
+    this.braking = false;
+    this.boostTimer = 0;
+    this.stabilizeTimer = 0;
+    this._accumulator = 0;
+    this._pendingAccel = 0;
+
+    // Restart the clock and RNG so every attempt from here replays identically
+    this.tick = 0;
+    this.time = 0;
+    this._rngState = this._seed;
+
+    const roadD = this.roadPath ? (distance % this.roadPath.loopLength) : 0;
+    this.roadD = roadD;
+
+    if (this.roadPath) {
+      const pt = this.roadPath.getPointAtDistance(roadD);
+      this.position.x = pt.x;
+      this.position.y = pt.y;
+      this.position.z = pt.z;
+      this.heading = pt.heading;
+    } else {
+      this.position.x = 0;
+      this.position.y = 0;
+      this.position.z = 0;
+      this.heading = 0;
+    }
+
+    this.distanceTraveled = distance;
+    this.crankAngle = 0;
+  }
+}
@@ -0,0 +1,58 @@
+// ============================================================
+// BOT PARTNER — a stand-in stoker when matchmaking finds nobody
+// Answers each captain stroke with the opposite foot half a
+// stroke later (in phase on the shared crank), and leans with
+// the captain until the bike tips too far, then leans it back.
+// ============================================================
+
+const MIN_DELAY_S = 0.12;     // never close enough to the captain's tap to read as a crank fight
+const MAX_CADENCE_GAP_S = 1;  // slower strokes than this are a fresh start, not a rhythm
+const RESCUE_LEAN = 0.45;     // beyond this the bot stops following and rights the bike
+
+export class BotPartner {
+  constructor() {
+    this._lastFoot = null;
+    this._captainTime = 0;
+    this._captainGap = 0.5;
+    this._due = null; // { foot, at } — the next answer, in performance.now() seconds
+  }
+
+  /** The captain pushed `foot`: queue our answer on the other pedal. */
+  captainTapped(foot) {
+    const now = performance.now() / 1000;
+    if (this._captainTime) this._captainGap = Math.min(MAX_CADENCE_GAP_S, now - this._captainTime);
+    this._captainTime = now;
+
+    // The stoker's up stroke sits where the captain's down stroke does, and back
+    const answer = foot === 'down' ? 'up' : 'down';
+    // A captain repeating a foot gets no echo — the bot doesn't repeat its own foot
+    if (answer === this._lastFoot) return;
+    this._due = { foot: answer, at: now + Math.max(MIN_DELAY_S, this._captainGap / 2) };
+  }
+
+  /** @returns {string|null} the foot to tap now, if an answer is due */
+  takeTap() {
+    if (!this._due || performance.now() / 1000 < this._due.at) return null;
+    const foot = this._due.foot;
+    this._due = null;
+    this._lastFoot = foot;
+    return foot;
+  }
+
+  /**
+   * Our lean for this frame. Following the captain keeps the merged lean
+   * at full strength; a bike tipping over gets leaned back upright.
+   * @param {BikePhysics} bike
+   * @param {number} captainLean — the captain's own lean input
+   */
+  lean(bike, captainLean) {
+    if (Math.abs(bike.lean) < RESCUE_LEAN) return captainLean;
+    return Math.max(-1, Math.min(1, -(bike.lean * 1.5 + bike.leanVelocity * 0.5)));
+  }
+
+  reset() {
+    this._lastFoot = null;
+    this._captainTime = 0;
+    this._due = null;
+  }
+}
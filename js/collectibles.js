@@ -1,22 +1,18 @@
 // ============================================================
 // COLLECTIBLES — themed spinning items on the road
+// Plus the level's power-ups: icon sprites that start an effect
+// (power-ups.js) instead of counting toward the collection.
 // ============================================================
 
 import * as THREE from 'three';
+import { POWER_UPS } from './power-ups.js';
 
 const POOL_SIZE = 40;
+const POWER_UP_POOL_SIZE = 6;
 const COLLECT_RADIUS = 2.0;
 const VISIBLE_AHEAD = 200;
 const VISIBLE_BEHIND = 60;
-
-// Seeded PRNG for deterministic placement
-function makeRng(seed) {
-  let s = seed;
-  return () => {
-    s = (s * 9301 + 49297) % 233280;
-    return s / 233280;
-  };
-}
+const MAGNET_PULL_SPEED = 14; // m/s an item drifts toward the bike inside the magnet radius
 
 // Chromakey vertex/fragment shaders for green-screen video
 const chromakeyVertex = `
@@ -53,6 +49,32 @@ const chromakeyFragment = `
 `;
 
 // Theme definitions: geometry + colors for each level type
+// One sprite material per power-up type: its icon on a colored disc
+function buildPowerUpMaterials() {
+  const mats = {};
+  for (const [type, def] of Object.entries(POWER_UPS)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = def.color;
+    ctx.globalAlpha = 0.85;
+    ctx.beginPath();
+    ctx.arc(64, 64, 60, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+    ctx.font = '64px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(def.icon, 64, 68);
+    const texture = new THREE.CanvasTexture(canvas);
+    mats[type] = new THREE.SpriteMaterial({ map: texture, depthWrite: false });
+  }
+  return mats;
+}
+
 const THEMES = {
   presents: {
     billboard: true,
@@ -135,11 +157,17 @@ export class CollectibleManager {
     this.camera = camera;
     this.collected = 0;
     this._pool = [];
-    this._items = []; // { roadD, lateralOffset, collected, poolIdx, absoluteD }
+    this._items = []; // { roadD, lateralOffset, collected, poolIdx, absoluteD, pull }
     this._loopLen = roadPath.loopLength;
+    this.visibleAhead = VISIBLE_AHEAD; // shortened in fog — see setVisibility()
+
+    // Power-ups the level places — (type, index) for each one ridden through
+    this.onPowerUp = null;
+    this._powerUps = []; // { absoluteD, roadD, lateralOffset, type, collected, poolIdx }
+    this._powerUpPool = [];
 
     // Build themed meshes
-    const theme = THEMES[level.collectibles] || THEMES.presents;
+    const theme = THEMES[level.collectibles.theme] || THEMES.presents;
     this._variants = theme.build(scene);
     this._billboard = !!theme.billboard;
 
@@ -153,24 +181,27 @@ export class CollectibleManager {
       this._pool.push({ mesh, itemIdx: -1 });
     }
 
-    // Place items deterministically along the entire race distance
-    this._placeItems();
-  }
-
-  _placeItems() {
-    if (this.level.isTutorial) return; // tutorial items placed via replaceItems()
-    const rng = makeRng(this.level.id.charCodeAt(0) * 1000 + 7);
-    const spacing = 30 + (this.level.distance > 2000 ? 20 : 0); // wider spacing for longer races
-
-    for (let d = spacing; d < this.level.distance - 20; d += spacing + rng() * 20) {
-      const lateralOffset = (rng() - 0.5) * 4; // ±2 units from center
-      this._items.push({
-        absoluteD: d,
-        roadD: d % this._loopLen,
-        lateralOffset,
+    // Layout comes from the level file (tutorial items placed later via replaceItems())
+    this.replaceItems(level.collectibles.items);
+
+    const powerUps = level.powerUps ? level.powerUps.items : [];
+    if (powerUps.length) {
+      this._powerUpMats = buildPowerUpMaterials();
+      for (let i = 0; i < POWER_UP_POOL_SIZE; i++) {
+        const sprite = new THREE.Sprite(this._powerUpMats[powerUps[0].type]);
+        sprite.scale.set(1.3, 1.3, 1);
+        sprite.visible = false;
+        scene.add(sprite);
+        this._powerUpPool.push({ mesh: sprite, itemIdx: -1 });
+      }
+      this._powerUps = powerUps.map(p => ({
+        absoluteD: p.d,
+        roadD: p.d % this._loopLen,
+        lateralOffset: p.offset,
+        type: p.type,
         collected: false,
         poolIdx: -1
-      });
+      }));
     }
   }
 
@@ -182,21 +213,28 @@ export class CollectibleManager {
     }
     // Clear and rebuild items
     this._items = [];
+    this.appendItems(positions);
+    this.collected = 0;
+  }
+
+  /** Add items after the existing ones (endless mode lays the road out as it goes). */
+  appendItems(positions) {
     for (const p of positions) {
       this._items.push({
         absoluteD: p.d,
         roadD: p.d % this._loopLen,
         lateralOffset: p.offset,
         collected: false,
-        poolIdx: -1
+        poolIdx: -1,
+        pull: 0
       });
     }
-    this.collected = 0;
   }
 
   resetCollected() {
     for (const item of this._items) {
       item.collected = false;
+      item.pull = 0;
       if (item.poolIdx >= 0) {
         this._pool[item.poolIdx].mesh.visible = false;
         this._pool[item.poolIdx].itemIdx = -1;
@@ -211,6 +249,7 @@ export class CollectibleManager {
     for (const item of this._items) {
       if (item.absoluteD >= minD && item.absoluteD <= maxD && item.collected) {
         item.collected = false;
+        item.pull = 0;
         this.collected--;
         if (item.poolIdx >= 0) {
           this._pool[item.poolIdx].mesh.visible = false;
@@ -265,8 +304,18 @@ export class CollectibleManager {
     return count;
   }
 
-  update(dt, bikeDistanceTraveled, bikePosition) {
+  /** Fog: only place items this share of the clear-weather distance ahead (0-1). */
+  setVisibility(fraction) {
+    this.visibleAhead = VISIBLE_AHEAD * Math.max(0.1, Math.min(1, fraction));
+  }
+
+  /**
+   * @param {number} [magnetRadius=0] — items this close drift to the bike (magnet power-up)
+   * @returns {number[]} indices of the items collected this frame
+   */
+  update(dt, bikeDistanceTraveled, bikePosition, magnetRadius = 0) {
     const collected = [];
+    this._updatePowerUps(bikeDistanceTraveled, bikePosition);
 
     // Release pool slots for items out of range or collected
     for (const slot of this._pool) {
@@ -278,7 +327,7 @@ export class CollectibleManager {
         continue;
       }
       let ahead = item.absoluteD - bikeDistanceTraveled;
-      if (ahead < -VISIBLE_BEHIND || ahead > VISIBLE_AHEAD) {
+      if (ahead < -VISIBLE_BEHIND || ahead > this.visibleAhead) {
         slot.mesh.visible = false;
         item.poolIdx = -1;
         slot.itemIdx = -1;
@@ -291,21 +340,33 @@ export class CollectibleManager {
       if (item.collected) continue;
 
       let ahead = item.absoluteD - bikeDistanceTraveled;
-      if (ahead < -VISIBLE_BEHIND || ahead > VISIBLE_AHEAD) continue;
+      if (ahead < -VISIBLE_BEHIND || ahead > this.visibleAhead) continue;
 
       // Compute item world position (used for both rendering and collection)
       const pt = this.roadPath.getPointAtDistance(item.roadD);
       const rightX = Math.cos(pt.heading);
       const rightZ = -Math.sin(pt.heading);
-      const worldX = pt.x + rightX * item.lateralOffset;
-      const worldZ = pt.z + rightZ * item.lateralOffset;
+      let worldX = pt.x + rightX * item.lateralOffset;
+      let worldZ = pt.z + rightZ * item.lateralOffset;
+      let dx = bikePosition.x - worldX;
+      let dz = bikePosition.z - worldZ;
+
+      // Magnet: once in range an item keeps closing in, even if the magnet runs out
+      let dist = Math.sqrt(dx * dx + dz * dz);
+      if (item.pull > 0 || dist < magnetRadius) {
+        item.pull += MAGNET_PULL_SPEED * dt;
+        const t = Math.min(1, item.pull / Math.max(dist, 0.01));
+        worldX += dx * t;
+        worldZ += dz * t;
+        dx = bikePosition.x - worldX;
+        dz = bikePosition.z - worldZ;
+        dist = Math.sqrt(dx * dx + dz * dz);
+      }
 
       // Collection check — pure world-space distance
       // (avoid using bikeDistanceTraveled here; it drifts from road distance
       //  when the player steers, eventually exceeding COLLECT_RADIUS)
-      const dx = bikePosition.x - worldX;
-      const dz = bikePosition.z - worldZ;
-      if (dx * dx + dz * dz < COLLECT_RADIUS * COLLECT_RADIUS) {
+      if (dist < COLLECT_RADIUS) {
         item.collected = true;
         this.collected++;
         collected.push(i);
@@ -341,17 +402,91 @@ export class CollectibleManager {
     return collected; // array of collected item indices
   }
 
+  // Show the power-ups in range and hand the ones ridden through to onPowerUp
+  _updatePowerUps(bikeDistanceTraveled, bikePosition) {
+    for (let i = 0; i < this._powerUps.length; i++) {
+      const item = this._powerUps[i];
+      const ahead = item.absoluteD - bikeDistanceTraveled;
+      if (item.collected || ahead < -VISIBLE_BEHIND || ahead > this.visibleAhead) {
+        this._releasePowerUp(item);
+        continue;
+      }
+
+      const pt = this.roadPath.getPointAtDistance(item.roadD);
+      const worldX = pt.x + Math.cos(pt.heading) * item.lateralOffset;
+      const worldZ = pt.z - Math.sin(pt.heading) * item.lateralOffset;
+      const dx = bikePosition.x - worldX;
+      const dz = bikePosition.z - worldZ;
+      if (dx * dx + dz * dz < COLLECT_RADIUS * COLLECT_RADIUS) {
+        item.collected = true;
+        this._releasePowerUp(item);
+        if (this.onPowerUp) this.onPowerUp(item.type, i);
+        continue;
+      }
+
+      if (item.poolIdx < 0) {
+        const freeSlot = this._powerUpPool.findIndex(s => s.itemIdx < 0);
+        if (freeSlot < 0) continue;
+        item.poolIdx = freeSlot;
+        this._powerUpPool[freeSlot].itemIdx = i;
+        this._powerUpPool[freeSlot].mesh.material = this._powerUpMats[item.type];
+      }
+      const slot = this._powerUpPool[item.poolIdx];
+      const t = performance.now() / 1000;
+      slot.mesh.position.set(worldX, pt.y + 1.1 + Math.sin(t * 3 + i) * 0.2, worldZ);
+      slot.mesh.visible = true;
+    }
+  }
+
+  _releasePowerUp(item) {
+    if (item.poolIdx < 0) return;
+    const slot = this._powerUpPool[item.poolIdx];
+    slot.mesh.visible = false;
+    slot.itemIdx = -1;
+    item.poolIdx = -1;
+  }
+
   resetToCheckpoint(checkpointDistance) {
     // Un-collect items that were past the checkpoint — they need to be re-collected
     let restored = 0;
     for (const item of this._items) {
       if (item.collected && item.absoluteD > checkpointDistance) {
         item.collected = false;
+        item.pull = 0;
         restored++;
       }
     }
     this.collected -= restored;
     if (this.collected < 0) this.collected = 0;
+    for (const item of this._powerUps) {
+      if (item.absoluteD > checkpointDistance) item.collected = false;
+    }
+  }
+
+  /** Indices of the items collected so far. */
+  collectedIndices() {
+    const indices = [];
+    this._items.forEach((item, i) => { if (item.collected) indices.push(i); });
+    return indices;
+  }
+
+  /** Mark exactly these items collected and bring the rest back (host migration). */
+  setCollected(indices) {
+    const collected = new Set(indices);
+    this.collected = 0;
+    this._items.forEach((item, i) => {
+      item.collected = collected.has(i);
+      if (!item.collected) {
+        item.pull = 0;
+        return;
+      }
+      this.collected++;
+      if (item.poolIdx >= 0) {
+        this._pool[item.poolIdx].mesh.visible = false;
+        this._pool[item.poolIdx].itemIdx = -1;
+        item.poolIdx = -1;
+      }
+    });
   }
 
   getTotalItems() {
@@ -362,6 +497,15 @@ export class CollectibleManager {
     for (const slot of this._pool) {
       this.scene.remove(slot.mesh);
     }
+    for (const slot of this._powerUpPool) {
+      this.scene.remove(slot.mesh);
+    }
+    if (this._powerUpMats) {
+      for (const mat of Object.values(this._powerUpMats)) {
+        mat.map.dispose();
+        mat.dispose();
+      }
+    }
     // Clean up video element if presents theme
     for (const v of this._variants) {
       if (v.mat.uniforms && v.mat.uniforms.map) {
@@ -376,5 +520,7 @@ export class CollectibleManager {
     }
     this._pool = [];
     this._items = [];
+    this._powerUpPool = [];
+    this._powerUps = [];
   }
 }
@@ -2,19 +2,16 @@
 // CONFIG — shared constants
 // ============================================================
 
-export const isMobile = /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)
-    || (navigator.maxTouchPoints > 1);
+// Guarded so headless modules (BikePhysics, RoadPath) can import config in Node
+export const isMobile = typeof navigator !== 'undefined' && (
+    /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)
+    || (navigator.maxTouchPoints > 1));
 
 export const BIKE_MODEL_PATH = 'tandem-3d/tandem_bicycle.glb';
+// The triplet reuses the tandem model, stretched along its frame for the third seat
+export const TRIPLET_LENGTH_SCALE = 1.35;
 
-// Protocol message types
-export const MSG_PEDAL     = 0x01;
-export const MSG_STATE     = 0x02;
-export const MSG_EVENT     = 0x03;
-export const MSG_HEARTBEAT = 0x04;
-export const MSG_LEAN      = 0x05;
-
-// Event subtypes
+// Event subtypes carried by the protocol's `event` message (message layouts live in protocol.js)
 export const EVT_COUNTDOWN = 0x01;
 export const EVT_START     = 0x02;
 export const EVT_CRASH     = 0x03;
@@ -23,9 +20,8 @@ export const EVT_GAMEOVER    = 0x05;
 export const EVT_CHECKPOINT  = 0x06;
 export const EVT_FINISH      = 0x07;
 export const EVT_RETURN_ROOM = 0x08;
-
-export const MSG_COLLECT     = 0x06;
-export const MSG_PROFILE     = 0x07;
+export const EVT_TAKEOVER    = 0x09; // sender now runs the physics for this ride (host migration)
+export const EVT_SWAP        = 0x0A; // sender hands the physics to its partner (seat swap)
 
 export const RELAY_URL = 'wss://tandemonium-relay.pete-872.workers.dev';
 export const TURN_CREDENTIALS_URL = 'https://tandemonium-relay.pete-872.workers.dev/turn-credentials';
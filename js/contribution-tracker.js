@@ -1,21 +1,36 @@
 // ============================================================
 // CONTRIBUTION TRACKER — tracks pedaling, balance, and
-// steering quality per player
+// steering quality per player (two riders, or three on a triplet)
 // ============================================================
 
 export class ContributionTracker {
-  constructor(mode) {
-    this.mode = mode; // 'solo' | 'captain' | 'stoker'
-
-    // Per-player stats
-    this.captain = this._emptyStats();
-    this.stoker = this._emptyStats();
+  /**
+   * @param {string} mode — 'solo' | 'captain' | 'stoker'
+   * @param {boolean} [swapped] — the room's stoker is running the physics as captain
+   * @param {string[]} [seats] — room seats riding, e.g. ['captain', 'stoker', 'stoker2']
+   */
+  constructor(mode, swapped = false, seats = ['captain', 'stoker']) {
+    this.mode = mode;
+    this.seats = seats;
+
+    // Per-player stats, keyed by room seat — a seat swap moves the riders,
+    // not their stats
+    this.riders = {};
+    for (const seat of seats) this.riders[seat] = this._emptyStats();
     this.solo = this._emptyStats();
 
     // Running accumulators
     this._totalTime = 0;
-    this._captainLeanAccum = 0;
-    this._stokerLeanAccum = 0;
+    this._leanAccum = {};
+    for (const seat of seats) this._leanAccum[seat] = 0;
+
+    // Seat swaps: when swapped, the room's stoker runs the physics as
+    // captain, so inputs arrive labelled with the other seat. Pedal counts
+    // restart with each new pedal controller and add onto _pedalBase.
+    this.swaps = 0;
+    this._swapped = swapped;
+    this._pedalBase = {};
+    for (const seat of seats) this._pedalBase[seat] = this._pedalTotals(null);
   }
 
   _emptyStats() {
@@ -40,39 +55,47 @@ export class ContributionTracker {
     };
   }
 
-  update(dt, bike, captainLeanInput, stokerLeanInput, pedalStats) {
+  /**
+   * @param {number} dt
+   * @param {object} bike
+   * @param {object} leanInputs — lean input by physics seat; solo rides use `captain`
+   * @param {object} [pedalStats] — the pedal controller's stats (by seat when shared)
+   */
+  update(dt, bike, leanInputs, pedalStats) {
     this._totalTime += dt;
 
+    if (this._swapped) {
+      leanInputs = { ...leanInputs, captain: leanInputs.stoker, stoker: leanInputs.captain };
+      if (pedalStats) pedalStats = { ...pedalStats, captain: pedalStats.stoker, stoker: pedalStats.captain };
+    }
+
     const absLean = Math.abs(bike.lean);
     const lateralOffset = Math.abs(bike._lateralOffset || 0);
     const onRoad = lateralOffset < 2.5;
     const onCenter = lateralOffset < 0.5;
 
     if (this.mode === 'solo') {
-      this._updatePlayer(this.solo, dt, absLean, captainLeanInput, bike.lean, onRoad, onCenter, lateralOffset, pedalStats);
+      this._updatePlayer(this.solo, dt, absLean, leanInputs.captain, bike.lean, onRoad, onCenter, lateralOffset, pedalStats);
     } else {
       // Attribute road tracking proportionally to lean input magnitude
-      const captainMag = Math.abs(captainLeanInput || 0);
-      const stokerMag = Math.abs(stokerLeanInput || 0);
-      const totalMag = captainMag + stokerMag;
-      const captainFrac = totalMag > 0.01 ? captainMag / totalMag : 0.5;
-      const stokerFrac = 1 - captainFrac;
-
-      this._captainLeanAccum += captainMag * dt;
-      this._stokerLeanAccum += stokerMag * dt;
-
-      // Balance stats per player
-      this._updatePlayerBalance(this.captain, dt, absLean, captainLeanInput, bike.lean);
-      this._updatePlayerBalance(this.stoker, dt, absLean, stokerLeanInput, bike.lean);
-
-      // Road tracking — shared but attributed proportionally
-      this._updatePlayerRoad(this.captain, dt * captainFrac, onRoad, onCenter, lateralOffset);
-      this._updatePlayerRoad(this.stoker, dt * stokerFrac, onRoad, onCenter, lateralOffset);
-
-      // Pedal stats from shared controller
-      if (pedalStats) {
-        this._syncPedalStats(this.captain, pedalStats.captain);
-        this._syncPedalStats(this.stoker, pedalStats.stoker);
+      let totalMag = 0;
+      for (const seat of this.seats) totalMag += Math.abs(leanInputs[seat] || 0);
+
+      for (const seat of this.seats) {
+        const stats = this.riders[seat];
+        const leanInput = leanInputs[seat];
+        const mag = Math.abs(leanInput || 0);
+        const frac = totalMag > 0.01 ? mag / totalMag : 1 / this.seats.length;
+        this._leanAccum[seat] += mag * dt;
+
+        // Balance stats per player
+        this._updatePlayerBalance(stats, dt, absLean, leanInput, bike.lean);
+
+        // Road tracking — shared but attributed proportionally
+        this._updatePlayerRoad(stats, dt * frac, onRoad, onCenter, lateralOffset);
+
+        // Pedal stats from shared controller
+        if (pedalStats) this._syncPedalStats(stats, pedalStats[seat], this._pedalBase[seat]);
       }
     }
   }
@@ -105,12 +128,63 @@ export class ContributionTracker {
     stats.lateralSamples += dt;
   }
 
-  _syncPedalStats(stats, source) {
+  _syncPedalStats(stats, source, base) {
     if (!source) return;
-    stats.totalTaps = source.totalTaps || 0;
-    stats.correctTaps = source.correctTaps || 0;
-    stats.wrongTaps = source.wrongTaps || 0;
-    stats.totalPower = source.totalPower || 0;
+    stats.totalTaps = (base ? base.totalTaps : 0) + (source.totalTaps || 0);
+    stats.correctTaps = (base ? base.correctTaps : 0) + (source.correctTaps || 0);
+    stats.wrongTaps = (base ? base.wrongTaps : 0) + (source.wrongTaps || 0);
+    stats.totalPower = (base ? base.totalPower : 0) + (source.totalPower || 0);
+  }
+
+  _pedalTotals(stats) {
+    return {
+      totalTaps: stats ? stats.totalTaps : 0,
+      correctTaps: stats ? stats.correctTaps : 0,
+      wrongTaps: stats ? stats.wrongTaps : 0,
+      totalPower: stats ? stats.totalPower : 0,
+    };
+  }
+
+  /**
+   * Seat the room's riders for a new pedal controller. Called on every seat
+   * swap or takeover; `swapped` is true while the room's stoker runs the
+   * physics as captain.
+   */
+  setSeats(swapped) {
+    if (swapped !== this._swapped) this.swaps++;
+    this._swapped = swapped;
+    this._rebasePedals();
+  }
+
+  _rebasePedals() {
+    for (const seat of this.seats) this._pedalBase[seat] = this._pedalTotals(this.riders[seat]);
+  }
+
+  // Everything the next physics owner needs to carry the stats on
+  getSyncState() {
+    const riders = {};
+    for (const seat of this.seats) riders[seat] = { ...this.riders[seat] };
+    return {
+      riders,
+      totalTime: this._totalTime,
+      leanAccum: { ...this._leanAccum },
+      swaps: this.swaps,
+      swapped: this._swapped,
+    };
+  }
+
+  applySyncState(sync) {
+    // Captains before the triplet send the two seats as separate fields
+    const riders = sync.riders || { captain: sync.captain, stoker: sync.stoker };
+    const leanAccum = sync.leanAccum || { captain: sync.captainLeanAccum, stoker: sync.stokerLeanAccum };
+    for (const seat of this.seats) {
+      if (riders[seat]) Object.assign(this.riders[seat], riders[seat]);
+      if (leanAccum[seat] !== undefined) this._leanAccum[seat] = leanAccum[seat];
+    }
+    this._totalTime = sync.totalTime;
+    this.swaps = sync.swaps;
+    this._swapped = sync.swapped;
+    this._rebasePedals();
   }
 
   getSummary() {
@@ -124,22 +198,23 @@ export class ContributionTracker {
       };
     }
 
-    const capSummary = this._playerSummary(this.captain, t);
-    const stokeSummary = this._playerSummary(this.stoker, t);
-
-    // Overall contribution percentage (weighted across categories)
-    const capTotal = this.captain.totalTaps + this._captainLeanAccum * 100;
-    const stokeTotal = this.stoker.totalTaps + this._stokerLeanAccum * 100;
-    const sum = capTotal + stokeTotal;
-    capSummary.overallPct = sum > 0 ? Math.round((capTotal / sum) * 100) : 50;
-    stokeSummary.overallPct = 100 - capSummary.overallPct;
-
-    return {
-      mode: 'multiplayer',
-      captain: capSummary,
-      stoker: stokeSummary,
-      totalTime: t
-    };
+    // Overall contribution percentage (weighted across categories); the
+    // last seat takes the rounding remainder so the shares add up to 100
+    const totals = this.seats.map(seat => this.riders[seat].totalTaps + this._leanAccum[seat] * 100);
+    const sum = totals.reduce((a, b) => a + b, 0);
+    const summary = { mode: 'multiplayer', seats: this.seats, swaps: this.swaps, totalTime: t };
+    let pctLeft = 100;
+    this.seats.forEach((seat, i) => {
+      const player = this._playerSummary(this.riders[seat], t);
+      if (i === this.seats.length - 1) {
+        player.overallPct = pctLeft;
+      } else {
+        player.overallPct = sum > 0 ? Math.round((totals[i] / sum) * 100) : Math.round(100 / this.seats.length);
+        pctLeft -= player.overallPct;
+      }
+      summary[seat] = player;
+    });
+    return summary;
   }
 
   _playerSummary(stats, totalTime) {
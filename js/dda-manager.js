@@ -8,6 +8,7 @@ export class DDAManager {
   constructor(difficulty) {
     this._baseDifficulty = difficulty || 'normal';
     this._basePreset = { ...DIFFICULTY_PRESETS[this._baseDifficulty] || DIFFICULTY_PRESETS.normal };
+    this._preset = { ...this._basePreset }; // untouched by escalate()
     this._failureCounts = {}; // checkpoint distance → failure count
     this._currentCheckpoint = 0;
     this._adjustmentsActive = false;
@@ -74,6 +75,25 @@ export class DDAManager {
     this._skipOffered = false;
   }
 
+  /**
+   * Endless mode: harden the base preset itself as the run goes on.
+   * At intensity 1, gravityForce rises and crashThreshold falls by `amount`;
+   * invisible adjustments then apply on top of the hardened values.
+   * @param {number} intensity — 0..1
+   * @param {number} amount — fraction of the preset to ramp by at full intensity
+   */
+  escalate(intensity, amount) {
+    const k = Math.max(0, Math.min(1, intensity)) * amount;
+    this._basePreset.crashThreshold = this._preset.crashThreshold * (1 - k);
+    this._basePreset.gravityForce = this._preset.gravityForce * (1 + k);
+    if (this._adjustmentsActive) {
+      this.applyInvisibleAdjustments();
+    } else {
+      TUNE.crashThreshold = this._basePreset.crashThreshold;
+      TUNE.gravityForce = this._basePreset.gravityForce;
+    }
+  }
+
   markAssistOffered() {
     this._assistOffered = true;
   }
@@ -88,6 +108,7 @@ export class DDAManager {
     this._adjustmentsActive = false;
     this._assistOffered = false;
     this._skipOffered = false;
+    this._basePreset = { ...this._preset };
     // Restore base TUNE values
     TUNE.crashThreshold = this._basePreset.crashThreshold;
     TUNE.gravityForce = this._basePreset.gravityForce;
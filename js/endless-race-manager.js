@@ -0,0 +1,152 @@
+// ============================================================
+// ENDLESS RACE MANAGER — survival runs on an open road
+// No finish line: checkpoints and road items are laid out just
+// ahead of the bike, each segment's budget shrinks, and the run
+// ends when a segment timer expires or the crashes run out.
+// ============================================================
+
+import { TUNE } from './config.js';
+import { RaceManager } from './race-manager.js';
+
+const LAYOUT_AHEAD = 300; // meters of obstacles/collectibles kept ahead of the bike
+
+// Same LCG as the rest of the game so a seed always lays out the same run
+function makeRng(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 9301 + 49297) % 233280;
+    return state / 233280;
+  };
+}
+
+export class EndlessRaceManager extends RaceManager {
+  constructor(level) {
+    super(level);
+    this.endless = true;
+    this.config = level.endless;
+    this.raceDistance = Infinity;
+    this.checkpoints = [this.config.checkpointEvery];
+    this.endReason = null;
+
+    const { obstacles, collectibles } = this.config;
+    this._obstacleRng = makeRng(obstacles.seed);
+    this._collectibleRng = makeRng(collectibles.seed);
+    this._nextObstacleD = obstacles.start;
+    this._nextCollectibleD = collectibles.start;
+  }
+
+  /** Upcoming checkpoint (the only unpassed one — the next is added on pass). */
+  get nextCheckpoint() {
+    return this.checkpoints[this.checkpoints.length - 1];
+  }
+
+  /** Crashes left before the run ends. */
+  get livesRemaining() {
+    return Math.max(0, this.config.maxCrashes - this.crashCount);
+  }
+
+  /** 0 at the start line, 1 once the run reaches full difficulty (rampDistance). */
+  intensity(distanceTraveled) {
+    return Math.max(0, Math.min(1, distanceTraveled / this.config.rampDistance));
+  }
+
+  // Each checkpoint shaves budgetShrink off the previous segment's budget
+  _segmentBudget(segEnd, segStart = 0) {
+    const tb = this.timeBudget;
+    const index = Math.round(segStart / this.config.checkpointEvery);
+    const base = ((segEnd - segStart) / 250) * tb.secondsPer250m * Math.pow(this.config.budgetShrink, index);
+    return Math.max(tb.minSeconds, base) * (TUNE.timeMultiplier || 1.0);
+  }
+
+  start() {
+    if (this.startTime === 0) {
+      this.startTime = performance.now();
+      this.segmentTimeTotal = this._segmentBudget(this.nextCheckpoint);
+      this.segmentTimeRemaining = this.segmentTimeTotal;
+    }
+  }
+
+  // Stoker mirrors checkpoints only — the captain decides when the run ends
+  updateProgressOnly(distanceTraveled) {
+    if (this.finished) return null;
+    return this._checkCheckpoint(distanceTraveled);
+  }
+
+  _checkCheckpoint(distanceTraveled) {
+    const cp = this.nextCheckpoint;
+    if (distanceTraveled < cp) return null;
+    this.passedCheckpoints.add(cp);
+    this.checkpoints.push(cp + this.config.checkpointEvery);
+    this.segmentTimeTotal = this._segmentBudget(this.nextCheckpoint, cp);
+    this.segmentTimeRemaining = this.segmentTimeTotal;
+    return { event: 'checkpoint', distance: cp, total: this.passedCheckpoints.size, passed: this.passedCheckpoints.size };
+  }
+
+  _checkProgress(distanceTraveled) {
+    const checkpoint = this._checkCheckpoint(distanceTraveled);
+    if (checkpoint) return checkpoint;
+
+    if (this.crashCount >= this.config.maxCrashes) return this._end('crashes');
+    if (this.segmentTimeRemaining <= 0 && this.startTime > 0) return this._end('timeout');
+    return null;
+  }
+
+  // The checkpoint list grows as the run goes — rebuild it up to the next one
+  applySyncState(sync) {
+    super.applySyncState(sync);
+    const last = sync.checkpoints.length > 0 ? Math.max(...sync.checkpoints) : 0;
+    this.checkpoints = [...sync.checkpoints, last + this.config.checkpointEvery];
+  }
+
+  _end(reason) {
+    this.finished = true;
+    this.finishTime = performance.now();
+    this.endReason = reason;
+    return { event: 'finish', reason };
+  }
+
+  /**
+   * Obstacles and collectibles newly in range of the bike. Obstacle spacing
+   * closes from `spacing` to `peakSpacing` as intensity rises.
+   * @returns {{obstacles: {d:number, offset:number}[], collectibles: {d:number, offset:number}[]}}
+   */
+  layoutAhead(distanceTraveled) {
+    const until = distanceTraveled + LAYOUT_AHEAD;
+    const obstacles = [];
+    const collectibles = [];
+
+    const o = this.config.obstacles;
+    while (this._nextObstacleD < until) {
+      const d = this._nextObstacleD;
+      obstacles.push({ d, offset: (this._obstacleRng() - 0.5) * o.spread });
+      const spacing = o.spacing + (o.peakSpacing - o.spacing) * this.intensity(d);
+      this._nextObstacleD = d + spacing + this._obstacleRng() * o.jitter;
+    }
+
+    const c = this.config.collectibles;
+    while (this._nextCollectibleD < until) {
+      const d = this._nextCollectibleD;
+      collectibles.push({ d, offset: (this._collectibleRng() - 0.5) * c.spread });
+      this._nextCollectibleD = d + c.spacing + this._collectibleRng() * c.jitter;
+    }
+    return { obstacles, collectibles };
+  }
+
+  getProgress(distanceTraveled) {
+    const every = this.config.checkpointEvery;
+    return Math.min(1, (distanceTraveled - (this.nextCheckpoint - every)) / every);
+  }
+
+  getCheckpointPositions() {
+    return [];
+  }
+
+  getSummary(distanceTraveled) {
+    return {
+      ...super.getSummary(distanceTraveled),
+      checkpointsTotal: this.passedCheckpoints.size,
+      endless: true,
+      endReason: this.endReason,
+    };
+  }
+}
@@ -627,6 +627,11 @@ export class GameRecorder {
       this._drawPartnerIndicators(ctx, w, h, s, state);
     }
 
+    // ── Quick-chat bubbles (over the sender's gauge) ──
+    if (state.chat && state.chat.length > 0) {
+      this._drawChatBubbles(ctx, w, h, s, state);
+    }
+
     // ── Selfie PiP (top-right corner of recording) ──
     if (this.selfieActive && this.selfieVideo && this.selfieVideo.readyState >= 2) {
       const selfieLabel = state.mode === 'captain' ? 'CAPTAIN' : (state.mode === 'stoker' ? 'STOKER' : 'YOU');
@@ -1205,6 +1210,42 @@ export class GameRecorder {
     ctx.restore();
   }
 
+  // ── Quick-chat bubbles — replicate .chat-bubble over the YOU / partner gauges ──
+
+  _drawChatBubbles(ctx, w, h, s, state) {
+    const btnH = Math.min(Math.max(80 * s, h * 0.12), 140 * s);
+    const gaugeSize = 54 * s;
+    const gaugeGap = 6 * s;
+    const gaugeY = h - 8 * s - btnH - gaugeGap - gaugeSize;
+    const count = state.hasPartner ? 3 : 2;
+    const startX = (w - (gaugeSize * count + gaugeGap * (count - 1))) / 2;
+
+    for (const bubble of state.chat) {
+      if (!bubble.own && !state.hasPartner) continue;
+      const gaugeX = bubble.own ? startX : startX + (gaugeSize + gaugeGap) * 2;
+      // Fade out over the last fifth, like the CSS transition
+      const alpha = bubble.progress > 0.8 ? Math.max(0, (1 - bubble.progress) / 0.2) : 1;
+      if (alpha <= 0.01) continue;
+
+      ctx.save();
+      ctx.globalAlpha = alpha;
+      const fontSize = Math.round(11 * s);
+      ctx.font = 'bold ' + fontSize + 'px Helvetica Neue, Arial, sans-serif';
+      const padX = 7 * s;
+      const bw = ctx.measureText(bubble.text).width + padX * 2;
+      const bh = fontSize + 8 * s;
+      const bx = gaugeX + gaugeSize / 2 - bw / 2;
+      const by = gaugeY - bh - 8 * s;
+      const border = bubble.own ? 'rgba(255,170,51,0.8)' : 'rgba(170,102,255,0.8)';
+      this._roundRect(ctx, bx, by, bw, bh, bh / 2, 'rgba(0,0,0,0.65)', border, 1.5 * s);
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(bubble.text, bx + bw / 2, by + bh / 2);
+      ctx.restore();
+    }
+  }
+
   // ── Checkpoint flash — replicates #checkpoint-flash CSS animation ──
 
   _drawCheckpointFlash(ctx, w, h, s, progress) {
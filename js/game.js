@@ -3,9 +3,10 @@
 // ============================================================
 
 import * as THREE from 'three';
-import { isMobile, EVT_COUNTDOWN, EVT_START, EVT_RESET, EVT_GAMEOVER, EVT_CHECKPOINT, EVT_FINISH, EVT_RETURN_ROOM, MSG_PROFILE, TUNE, BALANCE_DEFAULTS, applyDifficulty, applySteeringFeel, snapshotTuningBase } from './config.js';
+import { isMobile, EVT_COUNTDOWN, EVT_START, EVT_RESET, EVT_GAMEOVER, EVT_CHECKPOINT, EVT_FINISH, EVT_RETURN_ROOM, EVT_TAKEOVER, EVT_SWAP, TUNE, BALANCE_DEFAULTS, applyDifficulty, applySteeringFeel, snapshotTuningBase } from './config.js';
 import { RaceManager } from './race-manager.js';
-import { getLevelById, LEVELS } from './race-config.js';
+import { EndlessRaceManager } from './endless-race-manager.js';
+import { getLevelById, LEVELS, loadLevels } from './race-config.js';
 import { ContributionTracker } from './contribution-tracker.js';
 import { CollectibleManager } from './collectibles.js';
 import { ObstacleManager } from './obstacles.js';
@@ -13,9 +14,11 @@ import { AchievementManager, showAchievementToast, updateBadgeDisplay } from './
 import { InputManager } from './input-manager.js';
 import { PedalController } from './pedal-controller.js';
 import { SharedPedalController } from './shared-pedal-controller.js';
+import { SEATS, encode } from './protocol.js';
 import { BalanceController } from './balance-controller.js';
 import { BikeModel } from './bike-model.js';
 import { RemoteBikeState } from './remote-bike-state.js';
+import { PredictedBikeState } from './predicted-bike-state.js';
 import { ChaseCamera } from './chase-camera.js';
 import { World } from './world.js';
 import { HUD } from './hud.js';
@@ -23,12 +26,35 @@ import { GrassParticles } from './grass-particles.js';
 import { Lobby } from './lobby.js';
 import { GameRecorder } from './game-recorder.js';
 import { ArchIndicator } from './arch-indicator.js';
-import { hapticCrash, hapticTreeHit, hapticCheckpoint, hapticFinish, hapticOffRoad } from './haptics.js';
+import { hapticCrash, hapticTreeHit, hapticCheckpoint, hapticFinish, hapticOffRoad, hapticSurface } from './haptics.js';
 import { DDAManager } from './dda-manager.js';
+import { RideLogWriter, RideLogCopy, packRideLog, unpackRideLog } from './ride-log.js';
+import { GhostRider, getLocalGhost, saveLocalGhost } from './ghost-rider.js';
+import { OpponentRiders } from './opponent-riders.js';
+import { racerLeftFrame } from './race-link.js';
+import { BotPartner } from './bot-partner.js';
+import { NetPanel } from './net-panel.js';
+import { QuickChat, QUICK_CHAT } from './quick-chat.js';
+import { PowerUpEffects, POWER_UPS } from './power-ups.js';
+import { Weather } from './weather.js';
+import { WeatherEffects } from './weather-effects.js';
+import { ROAD_SURFACES } from './road-surfaces.js';
 
 // Demo checkpoint limit removed — demo users play the tutorial instead
 const TUNING_KEY_PREFIX = 'tandemonium_motion_tuning';
 
+// How long the stoker waits for the captain's ride log before submitting without it
+const RIDE_LOG_WAIT_MS = 5000;
+// How often the captain streams its ride log to the stoker (s)
+const RIDE_LOG_CHUNK_INTERVAL = 1;
+
+// Seats on a two-rider bike; triplet rides use all of SEATS
+const TANDEM_SEATS = ['captain', 'stoker'];
+const SEAT_LABELS = { captain: 'CAPTAIN', stoker: 'STOKER', stoker2: 'STOKER 2' };
+
+// Lobby track, and the race track for levels that don't name their own
+const DEFAULT_MUSIC = 'assets/Krampus Workshop.mp3';
+
 // Tutorial phase boundaries — sequential layout so all phases are visible ahead
 const TUTORIAL_PHASES = {
   1: { runwayStart: 0,   contentStart: 30,  contentEnd: 70  },
@@ -110,19 +136,42 @@ class Game {
     this.chaseCamera = new ChaseCamera(this.camera);
     this.hud = new HUD(this.input);
     this.grassParticles = new GrassParticles(this.scene);
+    this.weather = new Weather(null);
+    this.weatherEffects = new WeatherEffects(this.scene);
     this.archIndicator = new ArchIndicator(this.scene);
     this._partnerBikeColor = null;
     this.recorder = new GameRecorder(this.renderer.domElement, this.input);
 
+    // Ride log (input recording) + ghost playback
+    this._rideLog = null;       // RideLogWriter for the attempt in progress
+    this._rideLogPacked = null; // Promise<string|null> — packed log of the finished ride
+    this._receiveRideLog = null; // stoker: resolves _rideLogPacked when the captain's log arrives
+    this._rideLogCopy = null;   // stoker: RideLogCopy of the captain's log, carried on if we take the bike
+    this._rideLogMissing = null; // 'takeover' | 'swap' — why a shared ride ended up without a log
+    this._rideLogChunkTimer = 0;
+    this._ghost = null;         // GhostRider
+    this._ghostSource = null;   // packed log the current ghost was built from
+
+    // Head-to-head: other teams racing the same level
+    this._raceLink = null;      // room captain: RaceLink taken over from the lobby
+    this._raceCode = null;      // race room code, until our finish is recorded
+    this._opponents = null;     // OpponentRiders, made when the first team's frame arrives
+    this._raceFinishMs = null;  // our finish time, for the standings
+    this._raceRankTimer = 0;
+
     // Mode
-    this.mode = 'solo'; // 'solo' | 'captain' | 'stoker'
+    this.mode = 'solo'; // 'solo' | 'captain' | 'stoker' | 'spectator' | 'couch'
     this.net = null;
     this.sharedPedal = null;
     this.remoteBikeState = null;
-    this.remoteLean = 0;
+    this.predictedBikeState = null;
+    this.remoteLean = 0;          // mean lean of the other riders
+    this._remoteLeans = {};       // seat → latest lean from that rider
+    this._leanInputs = {};        // reused per frame for the contribution tracker
+    this._rideSeats = TANDEM_SEATS; // seats on the bike this ride (all three on a triplet)
     this._partnerHasTilt = undefined; // undefined = unknown, true/false = received
     this._onPartnerTiltStatus = null;
-    this._partnerServerId = null;
+    this._riderServerIds = {};    // room seat → partner server ID, for score attribution
     this._remoteLastFoot = null;
     this._remoteLastTapTime = 0;
     // Reusable remoteData object (avoid per-frame allocation)
@@ -133,9 +182,18 @@ class Game {
     this._leanSendInterval = 1 / 30; // 30Hz
     this._mpPrevUp = false;
     this._mpPrevDown = false;
+    // Couch co-op: each player's share of this device's input
+    this._couchInputs = null;        // { captain, stoker } PlayerInputs
+    this._couchStokerBalance = null; // the captain steers through balanceCtrl
+    this._botPartner = null;         // BotPartner in the back seat when matchmaking found nobody
+    this._couchPrevUp = false;
+    this._couchPrevDown = false;
     this._stokerWasFallen = false;
     this._stokerTimeoutShown = false;
     this._reconnecting = false;
+    this._tookOver = false; // this rider took the physics over from a dropped captain
+    this._takeoverTimer = null; // pending takeover while the captain might still be reconnecting
+    this._swap = null;      // seat swap handshake: null | 'requested' | 'asked' | 'agreed'
 
     // Recording partner pedal flash tracking
     this._recLastTapTime = 0;
@@ -155,6 +213,7 @@ class Game {
     this._gpPrevY = false;
     this._gpPrevA = false;
     this._gpPrevL3 = false;
+    this._gpPrevX = false;
 
     // Tap center of screen to recalibrate tilt (mobile)
     this.renderer.domElement.addEventListener('touchstart', (e) => {
@@ -226,13 +285,27 @@ class Game {
     // Lobby / Room button
     this._lobbyBtn = document.getElementById('lobby-btn');
     this._lobbyBtn.addEventListener('click', () => {
-      if (this.net) {
+      if (this.net && this.mode !== 'spectator') {
         this._returnToRoom();
       } else {
         this._returnToLobby();
       }
     });
 
+    // Seat swap pill: ask for, accept or call off a swap at the next checkpoint
+    this._swapBtn = document.getElementById('swap-btn');
+    this._swapBtn.addEventListener('click', () => this._onSwapButton());
+
+    // Connection badge opens the network diagnostics panel
+    this._netPanel = new NetPanel(() => this.net);
+    this._onTap('conn-badge', () => this._netPanel.toggle());
+
+    // Quick-chat tray; shown once every rider can read callouts
+    this.quickChat = new QuickChat((id) => this._sendChat(id));
+
+    // Power-up effects running on the bike; the captain's are copied to the stoker
+    this.powerUps = new PowerUpEffects();
+
     // Try Again from disconnect overlay
     this._onTap('btn-try-reconnect', () => {
       document.getElementById('disconnect-overlay').style.display = 'none';
@@ -316,6 +389,7 @@ class Game {
     this._contribBar = document.getElementById('contribution-bar');
     this._contribCaptain = document.getElementById('contrib-captain');
     this._contribStoker = document.getElementById('contrib-stoker');
+    this._contribStoker2 = document.getElementById('contrib-stoker2');
 
     // Victory overlay buttons
     this._onTap('btn-play-again', () => {
@@ -363,7 +437,7 @@ class Game {
     this._olPrevA = false;
 
     // Game state
-    this.state = 'lobby'; // 'lobby' | 'instructions' | 'countdown' | 'playing' | 'gameover' | 'victory'
+    this.state = 'lobby'; // 'lobby' | 'instructions' | 'countdown' | 'playing' | 'gameover' | 'victory' | 'spectating'
     this.countdownTimer = 0;
     this._lastCountNum = 3;
     this.instructionsEl = document.getElementById('instructions');
@@ -372,12 +446,16 @@ class Game {
     // Lobby
     this.lobby = new Lobby({
       onSolo: () => this._onSolo(),
+      onCouch: () => this._onCouch(),
+      onBotRide: () => this._onCouch(true),
       onMultiplayerReady: (net, mode) => this._onMultiplayerReady(net, mode),
+      onSpectate: (net) => this._onSpectate(net),
       input: this.input
     });
 
     // Background music
-    this._musicEl = new Audio('assets/Krampus Workshop.mp3');
+    this._musicTrack = DEFAULT_MUSIC;
+    this._musicEl = new Audio(DEFAULT_MUSIC);
     this._musicEl.loop = true;
     this._musicEl.volume = this.lobby.musicVolume;
     this._musicSourceNode = null; // created once via createMediaElementSource
@@ -495,18 +573,68 @@ class Game {
     this._setupStartHandler();
   }
 
-  _onMultiplayerReady(net, mode) {
+  /** Level editor "Test Ride": skip the lobby and ride a loaded level solo. */
+  startTestRide(levelId) {
+    const level = LEVELS.find(l => l.id === levelId);
+    if (!level) return;
+    this.lobby.startSolo(level);
+    this._onSolo();
+  }
+
+  /**
+   * Couch co-op: captain and stoker share this device — no room, no network.
+   * @param {boolean} [withBot] — a BotPartner rides the back seat instead of a second player
+   */
+  _onCouch(withBot = false) {
+    this.mode = 'couch';
+    this._roomRole = 'captain';
+    this._lobbyBtn.textContent = 'LOBBY';
+    this.bike.applyPreset(this.lobby.selectedPreset);
+
+    if (withBot) {
+      // The captain keeps every control; the bot answers their strokes
+      this._botPartner = new BotPartner();
+    } else {
+      const [captain, stoker] = this.input.splitPlayers(2);
+      this._couchInputs = { captain, stoker };
+      this.balanceCtrl = new BalanceController(captain);
+      this._couchStokerBalance = new BalanceController(stoker);
+      this._couchPrevUp = false;
+      this._couchPrevDown = false;
+    }
+    this._setRideSeats(TANDEM_SEATS);
+
+    // Both riders' gauges and pedals on the one HUD
+    document.querySelector('#phone-gauge .gauge-title').textContent = 'CAPTAIN';
+    document.getElementById('partner-gauge').style.display = '';
+    document.getElementById('partner-pedal-up').style.display = 'flex';
+    document.getElementById('partner-pedal-down').style.display = 'flex';
+    document.getElementById('instructions-couch').style.display = withBot ? 'none' : '';
+
+    this.state = 'instructions';
+    this.instructionsEl.classList.remove('hidden');
+    this._setupStartHandler();
+  }
+
+  _onMultiplayerReady(net, roomRole) {
+    // A triplet's third rider plays the stoker's side: the captain's physics in, taps and lean out
+    const mode = roomRole === 'stoker2' ? 'stoker' : roomRole;
     this.mode = mode;
     this.net = net;
+    net.authority = mode === 'captain';
+    this._roomRole = roomRole;
     this._lobbyBtn.textContent = 'ROOM';
     this.bike.applyPreset(this.lobby.selectedPreset);
 
     // Setup shared pedal controller
-    this.sharedPedal = new SharedPedalController();
+    this._setRideSeats(this._roomSeats());
 
-    // Setup remote bike state for stoker
+    // Setup remote bike state for stoker: predicted locally, interpolated
+    // as a fallback when the captain doesn't support prediction
     if (mode === 'stoker') {
       this.remoteBikeState = new RemoteBikeState();
+      this.predictedBikeState = new PredictedBikeState(this.world.roadPath);
+      this.predictedBikeState.weather = this.weather;
     }
 
     // Network callbacks
@@ -514,46 +642,62 @@ class Game {
       // Track remote pedal for HUD flash
       this._remoteLastFoot = foot;
       this._remoteLastTapTime = performance.now();
-      // Captain feeds stoker taps into shared pedal physics
-      if (this.mode === 'captain' && this.sharedPedal) {
-        this.sharedPedal.receiveTap(source, foot);
+      // Captain feeds stoker taps into shared pedal physics;
+      // the stoker feeds captain taps into its prediction.
+      // Labelled by who runs the physics, which a takeover swaps
+      const seat = this._senderSeat(source);
+      if (this.sharedPedal && this._rideSeats.includes(seat)) {
+        this.sharedPedal.receiveTap(seat, foot);
       }
     };
 
     this.net.onStateReceived = (state) => {
+      // After a seat swap our partner rides captain — its bike is still our team's
+      if (this._raceLink) this._raceLink.sendState(encode('state', state));
       if (this.mode === 'stoker' && this.remoteBikeState) {
-        this.remoteBikeState.pushState(state);
+        if (this.net.hasFeature('prediction')) {
+          this.predictedBikeState.pushState(state);
+        } else {
+          this.remoteBikeState.pushState(state);
+        }
         // Use captain's authoritative timer to prevent drift
         if (state.timerRemaining !== undefined && this.raceManager) {
           this.raceManager.segmentTimeRemaining = state.timerRemaining;
         }
+        this.powerUps.applyState(state);
       }
     };
 
-    this.net.onLeanReceived = (leanValue) => {
-      this.remoteLean = leanValue;
+    this.net.onLeanReceived = (leanValue, source) => {
+      const seat = this._senderSeat(source);
+      if (this._rideSeats.includes(seat)) this._setRemoteLean(seat, leanValue);
     };
 
+    this.net.onChatReceived = (id, source) => this._onChatReceived(id, source);
+
+    // Triplet: a rider joined or left while the rest of us stay connected
+    this.net.onRidersChanged = () => this._onRidersChanged();
+
+    // Head-to-head: the room captain holds the race link and passes other teams' frames on
+    this.net.onRaceFrame = (slot, msg) => this._onRaceFrame(slot, msg);
+    if (roomRole === 'captain' && this.lobby.race) this._joinHeadToHead(this.lobby.race);
+
     this.net.onEventReceived = (eventType) => {
+      if (eventType === EVT_TAKEOVER) {
+        this._yieldAuthority();
+        return;
+      }
+      if (eventType === EVT_SWAP) {
+        this._takeSeat();
+        return;
+      }
+      // After a takeover the former captain may still be reporting its own
+      // solo ride until it hears EVT_TAKEOVER — only a restart request counts
+      if (this._tookOver && eventType !== EVT_RESET) return;
       if (eventType === EVT_COUNTDOWN) {
         this._startCountdown();
       } else if (eventType === EVT_START) {
-        // Stoker receives GO from captain — clear countdown flavor so "1" doesn't stick
-        this.state = 'playing';
-        if (this.raceManager) this.raceManager.start();
-        const flavorNum = document.getElementById('countdown-flavor-num');
-        const flavorIcon = document.getElementById('countdown-flavor-icon');
-        const flavorText = document.getElementById('countdown-flavor-text');
-        if (flavorNum) { flavorNum.textContent = 'GO!'; flavorNum.className = 'tick-go pop'; }
-        if (flavorIcon) flavorIcon.textContent = '';
-        if (flavorText) flavorText.textContent = '';
-        this._playBeep(800, 0.4);
-        setTimeout(() => {
-          if (this.state === 'playing' && flavorNum) {
-            flavorNum.textContent = '';
-            flavorNum.className = '';
-          }
-        }, 1000);
+        this._onRemoteStart();
       } else if (eventType === EVT_RESET) {
         this._hideGameOver();
         this._hideVictory();
@@ -581,10 +725,16 @@ class Game {
       if (this.state !== 'lobby') {
         this._showReconnecting();
       }
+      this._setSwap(null);
+      // Stoker keeps the ride going when the captain drops mid-ride
+      this._scheduleTakeover();
     };
 
     this.net.onConnected = () => {
       this._hideReconnecting();
+      clearTimeout(this._takeoverTimer);
+      // Partner is back — it rejoins as the stoker of the ride we carried on
+      if (this._tookOver && this.mode === 'captain') this._announceTakeover();
       document.getElementById('disconnect-overlay').style.display = 'none';
       // Re-establish media call after data reconnection (only if P2P is already up)
       if (this.mode === 'captain' && this.net.transport === 'p2p') {
@@ -607,6 +757,11 @@ class Game {
       }
     };
 
+    // Captain: spectators who arrive mid-ride need the level and race clock
+    this.net.onSpectatorsChanged = (count, joined) => {
+      if (joined && this.mode === 'captain') this._sendSpectateInfo();
+    };
+
     // Set audio enabled from lobby toggle
     this.net.audioEnabled = this.lobby.audioActive;
 
@@ -634,6 +789,41 @@ class Game {
         this._remoteFinishStats = profile;
         return;
       }
+      // Captain's race state — what the stoker carries on with if it takes over
+      if (profile && profile.type === 'raceSync') {
+        if (this.mode === 'stoker') this._applyRaceSync(profile);
+        return;
+      }
+      // Seat swap handshake
+      if (profile && (profile.type === 'swapRequest' || profile.type === 'swapAccept' || profile.type === 'swapCancel')) {
+        this._onSwapMessage(profile.type);
+        return;
+      }
+      // Head-to-head race our captain joined — recorded with our finish
+      if (profile && profile.type === 'raceInfo') {
+        this._raceCode = profile.code;
+        return;
+      }
+      // Captain's ride log, submitted with the stoker's score
+      if (profile && profile.type === 'rideLog') {
+        if (this._receiveRideLog) this._receiveRideLog(profile.data);
+        this._receiveRideLog = null;
+        this._rideLogMissing = profile.missing || null;
+        return;
+      }
+      // The captain's log as it grows — what we carry on if we take the bike
+      if (profile && profile.type === 'rideLogChunk') {
+        const copy = this._rideLogCopy;
+        if (this.mode === 'stoker' && copy && !copy.add(profile) && !copy.resendAsked) {
+          copy.resendAsked = true;
+          this.net.sendProfile({ type: 'rideLogResend' });
+        }
+        return;
+      }
+      if (profile && profile.type === 'rideLogResend') {
+        if (this._rideLog) this._rideLog.resendAll();
+        return;
+      }
       // Handle tilt status from partner
       if (profile && profile.type === 'tiltStatus') {
         this._partnerHasTilt = profile.hasTilt;
@@ -657,6 +847,11 @@ class Game {
         }
         return;
       }
+      // Stoker: ride in the captain's weather, whatever our copy of the level says
+      if (profile && profile.type === 'weatherSync') {
+        if (this.mode === 'stoker') this._applyWeather(profile.weather);
+        return;
+      }
       // Ignore room sync messages (bikeSync, levelSync, startRide, playGame, difficultySync)
       if (profile && profile.type) return;
       // Show partner avatar if no active video stream
@@ -667,8 +862,8 @@ class Game {
       if (profile.achievements) {
         updateBadgeDisplay('partner-badges', profile.achievements);
       }
-      // Capture partner server ID for score attribution
-      if (profile.serverId) this._partnerServerId = profile.serverId;
+      // Capture partner server ID for score attribution (profiles before the triplet carry no seat)
+      if (profile.serverId) this._riderServerIds[profile.seat || this._partnerRoomSeat()] = profile.serverId;
       // Partner bike color for arch indicator
       if (profile.bikeColor) {
         this._partnerBikeColor = profile.bikeColor;
@@ -696,12 +891,8 @@ class Game {
       );
     }
 
-    // Store room role for return-to-room
-    this._roomRole = mode;
-
     // Update partner gauge label to show partner's role
-    const partnerTitle = document.querySelector('#partner-gauge .gauge-title');
-    if (partnerTitle) partnerTitle.textContent = mode === 'captain' ? 'STOKER' : 'CAPTAIN';
+    this._updatePartnerTitle();
 
     // Show partner gauge + pedal indicators immediately
     document.getElementById('partner-gauge').style.display = '';
@@ -742,8 +933,8 @@ class Game {
         await this.input.requestMotionPermission();
       }
 
-      // On mobile, wait briefly for motion events to arrive
-      if (isMobile && !this.input.motionEnabled && !this.input.gyroConnected) {
+      // On mobile, wait briefly for motion events to arrive (couch players steer with keys or pads)
+      if (isMobile && !this._couchInputs && !this.input.motionEnabled && !this.input.gyroConnected) {
         await new Promise(r => {
           const check = () => { if (this.input.motionEnabled) return r(); };
           check();
@@ -751,8 +942,8 @@ class Game {
           setTimeout(() => { clearInterval(iv); r(); }, 1500);
         });
         if (!this.input.motionEnabled) {
-          if (this.mode === 'solo') {
-            // Solo: block gameplay — tilt is required to steer
+          if (this.mode === 'solo' || this._botPartner) {
+            // Solo, or with a bot that can't steer for us: block gameplay — tilt is required to steer
             started = false;
             this.instructionsEl.classList.add('hidden');
             const action = await this._showMotionFixOverlay();
@@ -818,6 +1009,16 @@ class Game {
         return;
       }
 
+      // Head-to-head: every team starts on the host team's countdown
+      if (this._raceLink && !this._raceLink.started && !this._raceLink.isHost) {
+        this.instructionsEl.classList.add('hidden');
+        const statusEl = document.getElementById('status');
+        statusEl.textContent = 'Waiting for the other teams...';
+        statusEl.style.color = '#ffffff';
+        statusEl.style.fontSize = '';
+        return;
+      }
+
       this._startCountdown();
     };
 
@@ -889,22 +1090,16 @@ class Game {
       flavorNum.textContent = '3';
       flavorNum.className = 'tick-3 pop';
     }
-    this.raceManager = new RaceManager(level);
-    this.hud.raceManager = this.raceManager;
+    this._setupRace(level);
     this.balanceCtrl.resetSteerFrames();
-    this.contributionTracker = new ContributionTracker(this.mode);
-    if (this.collectibleManager) this.collectibleManager.destroy();
-    this.collectibleManager = new CollectibleManager(this.scene, this.world.roadPath, level, this.camera);
-    if (this.obstacleManager) this.obstacleManager.destroy();
-    this.obstacleManager = new ObstacleManager(this.scene, this.world.roadPath, level, this.camera);
-    this.hud.initProgress(level);
-    this.hud.initTimer();
-    // Show initial segment budget during countdown
-    const firstTarget = this.raceManager.checkpoints.length > 0 ? this.raceManager.checkpoints[0] : this.raceManager.raceDistance;
-    const initialBudget = this.raceManager._segmentBudget(firstTarget);
-    this.hud.updateTimer(initialBudget, initialBudget);
-    this.hud.showCollectibles(level);
-    this.world.setRaceMarkers(level, this.camera);
+    // Whoever is in the room now rides this one — a late third rider joins at the start
+    if (this.mode !== 'solo') this._setRideSeats(this._roomSeats());
+    // Riders who swapped seats keep them for restarts; stats stay with the room seats
+    this.contributionTracker = new ContributionTracker(this.mode, !!this.net && this.mode !== this._roomRole, this._rideSeats);
+    this._updateSwapButton();
+
+    this._startRideLog(level);
+    this._loadGhost(level);
 
     // Tutorial: place all items from all phases so they're visible ahead
     if (level.isTutorial && this._tutorialActive) {
@@ -914,7 +1109,7 @@ class Game {
 
     // Setup arch tilt indicator (only for motion/gyro input)
     const playerColor = this._getFrameColor(this.lobby.selectedPreset);
-    if (this.input.motionEnabled || this.input.gyroConnected) {
+    if (!this._couchInputs && (this.input.motionEnabled || this.input.gyroConnected)) {
       const partnerColor = this._partnerBikeColor || '#888888';
       this.archIndicator.setup(this.mode, playerColor, partnerColor);
     }
@@ -958,15 +1153,24 @@ class Game {
       try { this._musicSourceNode.connect(this.recorder._audioDestination); } catch (e) {}
     }
     // Play music if enabled
+    this._setMusicTrack(level.music || DEFAULT_MUSIC);
     if (this.lobby.musicActive) {
       this._musicEl.play().catch(() => {});
     }
 
     this._playBeep(400, 0.15);
 
-    // Captain notifies stoker
+    // Captain notifies stoker (and spectators, who first need to know the level)
     if (this.mode === 'captain' && this.net) {
+      this._sendSpectateInfo();
       this.net.sendEvent(EVT_COUNTDOWN);
+      // After the countdown, so it lands once the stoker has built the level
+      this.net.sendProfile({ type: 'weatherSync', weather: this.weather.config });
+    }
+    // The host team's first countdown starts every team in the race
+    if (this._raceLink && this._raceLink.isHost && !this._raceLink.started) {
+      this._raceLink.started = true;
+      this._raceLink.sendEvent(EVT_COUNTDOWN);
     }
 
     // Send profile to partner (avatar + achievements)
@@ -983,6 +1187,38 @@ class Game {
     }
   }
 
+  /** Build the road, race manager, items and HUD for a level — everything a spectator sees too. */
+  _setupRace(level) {
+    // Each level may ride its own road — rebuild it and put the bike back on the line
+    if (this.world.setRoad(level.road)) {
+      this.bike.roadPath = this.world.roadPath;
+      this.bike.resetToDistance(0);
+    }
+    if (this.predictedBikeState) {
+      this.predictedBikeState.roadPath = this.world.roadPath;
+      this.predictedBikeState.reset();
+    }
+    this._applyWeather(level.weather);
+    this.raceManager = level.endless ? new EndlessRaceManager(level) : new RaceManager(level);
+    this.hud.raceManager = this.raceManager;
+    if (this.collectibleManager) this.collectibleManager.destroy();
+    this.collectibleManager = new CollectibleManager(this.scene, this.world.roadPath, level, this.camera);
+    this.collectibleManager.onPowerUp = (type) => this._onPowerUp(type);
+    this.powerUps.reset();
+    if (this.obstacleManager) this.obstacleManager.destroy();
+    this.obstacleManager = new ObstacleManager(this.scene, this.world.roadPath, level, this.camera);
+    this.hud.initProgress(level);
+    this.hud.initTimer();
+    // Show initial segment budget during countdown
+    const firstTarget = this.raceManager.checkpoints.length > 0 ? this.raceManager.checkpoints[0] : this.raceManager.raceDistance;
+    const initialBudget = this.raceManager._segmentBudget(firstTarget);
+    this.hud.updateTimer(initialBudget, initialBudget);
+    this.hud.showCollectibles(level);
+    this.world.setRaceMarkers(level, this.camera);
+    this._endlessArchD = 0;
+    this._updateEndless();
+  }
+
   _updateCountdown(dt) {
     this.countdownTimer -= dt;
     const flavorNum = document.getElementById('countdown-flavor-num');
@@ -1032,6 +1268,25 @@ class Game {
     }
   }
 
+  // Stoker/spectator receives GO from captain — clear countdown flavor so "1" doesn't stick
+  _onRemoteStart() {
+    this.state = 'playing';
+    if (this.raceManager) this.raceManager.start();
+    const flavorNum = document.getElementById('countdown-flavor-num');
+    const flavorIcon = document.getElementById('countdown-flavor-icon');
+    const flavorText = document.getElementById('countdown-flavor-text');
+    if (flavorNum) { flavorNum.textContent = 'GO!'; flavorNum.className = 'tick-go pop'; }
+    if (flavorIcon) flavorIcon.textContent = '';
+    if (flavorText) flavorText.textContent = '';
+    this._playBeep(800, 0.4);
+    setTimeout(() => {
+      if (this.state === 'playing' && flavorNum) {
+        flavorNum.textContent = '';
+        flavorNum.className = '';
+      }
+    }, 1000);
+  }
+
   _playBeep(freq, duration) {
     try {
       if (!this.audioCtx) return;
@@ -1143,6 +1398,9 @@ class Game {
     } else {
       this.bike.fullReset();
     }
+    // The captain's physics clock restarts too — resync on its next snapshot
+    if (this.predictedBikeState) this.predictedBikeState.reset();
+    this.powerUps.reset();
 
     // Reset segment timer for current segment on checkpoint restart
     if (this.raceManager && checkpointD > 0) {
@@ -1176,8 +1434,9 @@ class Game {
     if (this.mode === 'solo') {
       this.pedalCtrl = new PedalController(this.input);
     } else if (this.sharedPedal) {
-      this.sharedPedal = new SharedPedalController();
+      this.sharedPedal = new SharedPedalController(this._rideSeats);
     }
+    if (this._botPartner) this._botPartner.reset();
 
     this.chaseCamera.initialized = false;
 
@@ -1313,6 +1572,10 @@ class Game {
   }
 
   _showGameOver(fromRemote = false) {
+    if (this.raceManager && this.raceManager.endless) {
+      this._onEndlessCrash();
+      return;
+    }
     this.state = 'gameover';
     this.hud.hideTimer();
     if (this.raceManager) this.raceManager.crashCount++;
@@ -1370,6 +1633,49 @@ class Game {
     }
   }
 
+  // Endless: a crash costs a life and the bike rides on from where it fell.
+  // The race manager ends the run once the lives are gone.
+  _onEndlessCrash() {
+    this.raceManager.crashCount++;
+    hapticCrash();
+    // Clear the pylon the bike fell on so getting going again doesn't cost another life
+    if (this.obstacleManager) {
+      const d = this.bike.distanceTraveled;
+      this.obstacleManager.hideInRange(d - 2, d + 2);
+    }
+    if (this.ddaManager && this.mode !== 'stoker') {
+      let checkpointD = 0;
+      if (this.raceManager.passedCheckpoints.size > 0) {
+        checkpointD = Math.max(...this.raceManager.passedCheckpoints);
+      }
+      this.ddaManager.recordFailure(checkpointD);
+      this.ddaManager.applyInvisibleAdjustments();
+    }
+    const lives = this.raceManager.livesRemaining;
+    const statusEl = document.getElementById('status');
+    statusEl.textContent = lives > 0 ? 'CRASHED! ' + lives + (lives === 1 ? ' life' : ' lives') + ' left' : '';
+    setTimeout(() => {
+      if (statusEl.textContent.startsWith('CRASHED!')) statusEl.textContent = '';
+    }, 2000);
+  }
+
+  // Endless: lay out road items and the next checkpoint arch just ahead of the bike.
+  // Captain and stoker generate the same layout from the level's seeds.
+  _updateEndless() {
+    const rm = this.raceManager;
+    if (!rm || !rm.endless) return;
+    const { obstacles, collectibles } = rm.layoutAhead(this.bike.distanceTraveled);
+    if (obstacles.length && this.obstacleManager) this.obstacleManager.appendItems(obstacles);
+    if (collectibles.length && this.collectibleManager) {
+      this.collectibleManager.appendItems(collectibles);
+      this.hud.updateCollectibles(this.collectibleManager.collected, this.collectibleManager.getTotalItems());
+    }
+    if (rm.nextCheckpoint !== this._endlessArchD) {
+      this._endlessArchD = rm.nextCheckpoint;
+      this.world.addCheckpointArch(rm.nextCheckpoint);
+    }
+  }
+
   _hideGameOver() {
     document.getElementById('gameover-overlay').style.display = 'none';
     this._clearOverlayButtons();
@@ -1446,15 +1752,21 @@ class Game {
       // DDA: reset adjustments on checkpoint pass
       if (this.ddaManager) {
         this.ddaManager.onCheckpointPassed(raceEvent.distance);
+        // Endless: physics hardens a step at each checkpoint
+        if (this.raceManager.endless && this.mode !== 'stoker') {
+          this.ddaManager.escalate(this.raceManager.intensity(raceEvent.distance), this.raceManager.config.physicsRamp);
+        }
       }
 
       // Notify stoker
       if (this.mode === 'captain' && this.net) {
         this.net.sendEvent(EVT_CHECKPOINT);
+        if (this._swap === 'agreed') this._handOverSeat();
       }
     } else if (raceEvent.event === 'finish') {
       // Tutorial completion is handled by _updateTutorial, not the normal victory flow
       if (this._tutorialActive) return;
+      this._finishRideLog();
       this._showVictory();
       hapticFinish();
 
@@ -1471,14 +1783,160 @@ class Game {
     }
   }
 
+  // ============================================================
+  // RIDE LOG + GHOSTS
+  // ============================================================
+
+  // Record every physics step of this attempt; the log verifies the score and becomes a ghost
+  _startRideLog(level) {
+    this._clearRideLog();
+    this._rideLogMissing = null;
+    if (level.isTutorial) return;
+    if (this.mode === 'stoker') {
+      // Stoker runs no physics — the captain sends its log after the finish
+      this._awaitRideLog();
+      return;
+    }
+    this._rideLog = new RideLogWriter(this.bike.physics, {
+      levelId: level.id,
+      difficulty: this.lobby.selectedDifficulty || 'normal',
+      mode: this.mode,
+      roadSeed: this.world.roadPath._seed,
+    });
+  }
+
+  _clearRideLog() {
+    if (this._rideLog) this._rideLog.detach();
+    this._rideLog = null;
+    this._rideLogPacked = null;
+    this._receiveRideLog = null;
+    this._rideLogCopy = null;
+  }
+
+  // Stoker: keep a copy of the captain's log as it streams in, and take the
+  // finished one for our score
+  _awaitRideLog() {
+    this._rideLogPacked = new Promise(resolve => { this._receiveRideLog = resolve; });
+    this._rideLogCopy = new RideLogCopy();
+  }
+
+  // Captain → stoker, every RIDE_LOG_CHUNK_INTERVAL: the log written since the last chunk
+  _sendRideLogChunks() {
+    if (!this._rideLog || this._isTriplet || !this.net.connected || !this.net.hasFeature('rideLogHandoff')) return;
+    let chunk;
+    while ((chunk = this._rideLog.takeChunk())) this.net.sendProfile({ type: 'rideLogChunk', ...chunk });
+  }
+
+  // Seats changed mid-ride (takeover, swap, yielding): one log still covers
+  // the whole ride. The new captain carries on its copy of the old captain's
+  // log from where its own bike took over; the new stoker copies it from now on.
+  _carryRideLog() {
+    if (this.mode === 'captain') {
+      const copy = this._rideLogCopy;
+      this._clearRideLog();
+      if (copy && copy.resumable) {
+        this._rideLog = RideLogWriter.resume(this.bike.physics, copy);
+        this._rideLog.handover();
+      } else {
+        // Partner without rideLogHandoff, or nothing arrived yet — say why there's no log
+        this._rideLogMissing = this.net.connected ? 'swap' : 'takeover';
+      }
+    } else {
+      // Whatever we logged is the partner's to carry on (or rode alone and is dropped).
+      // The captain's next chunk won't fit an empty copy, so it resends the lot
+      this._clearRideLog();
+      this._rideLogMissing = null;
+      this._awaitRideLog();
+    }
+  }
+
+  _finishRideLog() {
+    const log = this._rideLog;
+    if (!log) {
+      // The stoker is waiting for a log that didn't survive a hand-over
+      if (this._rideLogMissing && this.mode === 'captain' && this.net) {
+        this.net.sendProfile({ type: 'rideLog', data: null, missing: this._rideLogMissing });
+      }
+      return;
+    }
+    if (!this.raceManager) return;
+    const timeMs = Math.round(this.raceManager.getElapsedMs());
+    const bytes = log.finish(timeMs, this.bike.distanceTraveled);
+    const endless = !!this.raceManager.endless;
+    this._rideLog = null;
+    this._rideLogPacked = packRideLog(bytes).catch(() => null);
+    this._rideLogPacked.then(data => {
+      if (!data) return;
+      // Local ghosts keep the fastest solo ride — an endless run has no time to beat
+      if (!endless) saveLocalGhost(log.levelId, log.difficulty, log.mode, timeMs, data);
+      if (this.mode === 'captain' && this.net) this.net.sendProfile({ type: 'rideLog', data });
+    });
+  }
+
+  // Solo rides race the ghost picked from the leaderboard, else the local best
+  async _loadGhost(level) {
+    if (level.isTutorial || level.endless || this.mode !== 'solo') {
+      this._clearGhost();
+      return;
+    }
+    const picked = (this.lobby.selectedGhost && this.lobby.selectedGhost.levelId === level.id)
+      ? this.lobby.selectedGhost
+      : getLocalGhost(level.id, this.lobby.selectedDifficulty);
+    if (!picked) {
+      this._clearGhost();
+      return;
+    }
+    if (this._ghost && this._ghostSource === picked.data) {
+      this._ghost.restart();
+      return;
+    }
+    this._clearGhost();
+
+    const raceManager = this.raceManager;
+    try {
+      const bytes = await unpackRideLog(picked.data);
+      // Ride restarted or ended while unpacking
+      if (this.raceManager !== raceManager || this._ghost) return;
+      this._ghost = new GhostRider(this.scene, this.world.roadPath, bytes, picked.label, this.weather);
+      this._ghostSource = picked.data;
+    } catch (e) {
+      console.warn('Ghost unavailable:', e.message);
+    }
+  }
+
+  _clearGhost() {
+    if (this._ghost) this._ghost.destroy();
+    this._ghost = null;
+    this._ghostSource = null;
+  }
+
   _onCollect(count) {
     if (this.raceManager) this.raceManager.collectiblesCount += count;
+    if (this.mode === 'captain') this._sendRaceSync();
     this.hud.updateCollectibles(this.collectibleManager.collected, this.collectibleManager.getTotalItems());
-    this.bike.boostTimer = 3; // 3-second speed boost
+    this.bike.boost(3); // 3-second speed boost
     this._playBeep(1200, 0.1);
     setTimeout(() => this._playBeep(1600, 0.08), 80);
   }
 
+  // Rode through a power-up. The captain's effects are the ride's — a stoker
+  // or spectator passing the same spot waits for them in the next snapshot
+  _onPowerUp(type) {
+    if (this.mode === 'stoker' || this.mode === 'spectator') return;
+    this.powerUps.activate(type);
+    if (type === 'stabilizer') this.bike.stabilize(POWER_UPS.stabilizer.duration);
+    this._playBeep(880, 0.08);
+    setTimeout(() => this._playBeep(1320, 0.12), 90);
+  }
+
+  // A tree or pylon hit a running shield takes instead of the riders
+  _shieldAbsorbs() {
+    if (!this.powerUps.absorbHit()) return false;
+    this.chaseCamera.shakeAmount = 0.1;
+    this._playBeep(600, 0.15);
+    return true;
+  }
+
   _checkAchievements(dt) {
     const state = {
       distance: this.bike.distanceTraveled,
@@ -1519,12 +1977,14 @@ class Game {
       totalCollectibles: this.collectibleManager ? this.collectibleManager.getTotalItems() : 0,
       finishedLevel: level.id,
       bikeKey: this.lobby.selectedPresetKey,
-      raceDistance: level.distance,
+      // An endless run counts the distance actually ridden
+      raceDistance: level.endless ? this.bike.distanceTraveled : level.distance,
       crashes: this.raceManager ? this.raceManager.crashCount : 0,
       isMultiplayer: this.mode !== 'solo',
       safePct: this.contributionTracker ? (() => {
         const s = this.contributionTracker.getSummary();
         if (this.mode === 'solo') return s.solo.safePct;
+        if (this.mode === 'couch') return Math.max(s.captain.safePct, s.stoker.safePct);
         return this.mode === 'captain' ? s.captain.safePct : s.stoker.safePct;
       })() : 0,
       syncDuration: 0,
@@ -1574,12 +2034,14 @@ class Game {
         if (user.serverId) profile.serverId = user.serverId;
       }
     }
+    profile.seat = this._roomRole;
     profile.bikeColor = this._getFrameColor(this.lobby.selectedPreset);
     this.net.sendProfile(profile);
   }
 
   _showVictory(fromRemote = false) {
     this.state = 'victory';
+    this._setSwap(null);
     this.hud.hideTimer();
     const overlay = document.getElementById('victory-overlay');
     overlay.style.display = 'flex';
@@ -1587,7 +2049,9 @@ class Game {
     const level = this.lobby.selectedLevel;
     // Victory title includes role in multiplayer
     const victoryTitle = document.getElementById('victory-title');
-    if (this.mode === 'captain' || this.mode === 'stoker') {
+    if (level.endless) {
+      victoryTitle.textContent = 'RUN OVER!';
+    } else if (this.mode === 'captain' || this.mode === 'stoker') {
       victoryTitle.textContent = 'YOU MADE IT ' + this.mode.toUpperCase() + '!';
     } else {
       victoryTitle.textContent = 'YOU MADE IT!';
@@ -1612,9 +2076,10 @@ class Game {
       summary = this.raceManager.getSummary(this.bike.distanceTraveled);
       contribData = this.contributionTracker ? this.contributionTracker.getSummary() : null;
     }
+    const raceResult = summary && !summary.endless ? this._finishHeadToHead(summary.timeMs) : null;
 
     if (summary) {
-      const collectIcon = level.collectibles === 'gems' ? '\uD83D\uDC8E' : '\uD83C\uDF81'; // 💎 or 🎁
+      const collectIcon = level.collectibles.theme === 'gems' ? '\uD83D\uDC8E' : '\uD83C\uDF81'; // 💎 or 🎁
       const distStr = summary.distance >= 1000 ? (summary.distance / 1000).toFixed(2) + ' km' : summary.distance + ' m';
 
       // Build left and right column stats
@@ -1624,7 +2089,7 @@ class Game {
       ];
       const inputSourceEmoji = { keyboard: '\uD83D\uDCBB', gamepad: '\uD83D\uDD79\uFE0F', motion: '\uD83D\uDCF1', 'gamepad-gyro': '\uD83C\uDFAE' };
       const right = [
-        { icon: '\u2601\uFE0F', value: summary.checkpointsPassed + '/' + summary.checkpointsTotal }, // ☁️ Checkpoints
+        { icon: '\u2601\uFE0F', value: summary.endless ? '' + summary.checkpointsPassed : summary.checkpointsPassed + '/' + summary.checkpointsTotal }, // ☁️ Checkpoints
       ];
       if (summary.collectibles > 0) {
         right.push({ icon: collectIcon, value: '' + summary.collectibles });
@@ -1658,7 +2123,10 @@ class Game {
       html += '</div>';
 
       // Perfect ride / crashes
-      if (summary.crashes > 0) {
+      if (summary.endless) {
+        const reason = summary.endReason === 'timeout' ? '\u23F0 Out of time' : '\uD83D\uDCA5 Out of lives'; // ⏰ / 💥
+        html += '<div class="victory-stat">' + reason + ' \u2014 crashes: <strong>' + summary.crashes + '</strong></div>';
+      } else if (summary.crashes > 0) {
         html += '<div class="victory-stat">\uD83D\uDCA5 Crashes: <strong>' + summary.crashes + '</strong></div>';
       } else {
         html += '<div class="victory-stat victory-perfect">\u2B50 No Crashes! \u2B50</div>';
@@ -1666,34 +2134,34 @@ class Game {
       if (summary.restarts > 0) {
         html += '<div class="victory-stat">\uD83C\uDFC1 Restarts: <strong>' + summary.restarts + '</strong></div>';
       }
+      if (raceResult) {
+        html += '<div class="victory-stat">\uD83C\uDFC6 Place: <strong>' + raceResult.place + ' / ' + raceResult.teams + '</strong></div>'; // 🏆
+      }
 
       statsEl.innerHTML = html;
 
       // Multiplayer contribution breakdown
       if (soloStats && soloStats.mode === 'multiplayer') {
         const contrib = soloStats;
+        // Finish stats from a partner before the triplet don't list their seats
+        const seats = contrib.seats || TANDEM_SEATS;
         const contribDiv = document.createElement('div');
         contribDiv.className = 'victory-contrib';
         contribDiv.innerHTML =
           '<div class="victory-contrib-header">' +
-            '<span class="contrib-label captain-label">CAPTAIN ' + contrib.captain.overallPct + '%</span>' +
-            '<span class="contrib-label stoker-label">STOKER ' + contrib.stoker.overallPct + '%</span>' +
+            seats.map(seat => '<span class="contrib-label ' + seat + '-label">' + SEAT_LABELS[seat] + ' ' + contrib[seat].overallPct + '%</span>').join('') +
           '</div>' +
           '<div class="victory-contrib-bar">' +
-            '<div class="contrib-fill-captain" style="width:' + contrib.captain.overallPct + '%"></div>' +
-            '<div class="contrib-fill-stoker" style="width:' + contrib.stoker.overallPct + '%"></div>' +
+            seats.map(seat => '<div class="contrib-fill-' + seat + '" style="width:' + contrib[seat].overallPct + '%"></div>').join('') +
           '</div>' +
           '<div class="victory-contrib-detail">' +
-            '<div class="contrib-col">' +
-              '<div>\uD83E\uDDB6 <strong>' + contrib.captain.totalTaps + '</strong></div>' +
-              '<div>\u2696\uFE0F <strong>' + contrib.captain.safePct + '%</strong></div>' +
-              '<div>\uD83D\uDEE3\uFE0F <strong>' + contrib.captain.onRoadPct + '%</strong></div>' +
-            '</div>' +
-            '<div class="contrib-col">' +
-              '<div>\uD83E\uDDB6 <strong>' + contrib.stoker.totalTaps + '</strong></div>' +
-              '<div>\u2696\uFE0F <strong>' + contrib.stoker.safePct + '%</strong></div>' +
-              '<div>\uD83D\uDEE3\uFE0F <strong>' + contrib.stoker.onRoadPct + '%</strong></div>' +
-            '</div>' +
+            seats.map(seat =>
+              '<div class="contrib-col">' +
+                '<div>\uD83E\uDDB6 <strong>' + contrib[seat].totalTaps + '</strong></div>' +
+                '<div>\u2696\uFE0F <strong>' + contrib[seat].safePct + '%</strong></div>' +
+                '<div>\uD83D\uDEE3\uFE0F <strong>' + contrib[seat].onRoadPct + '%</strong></div>' +
+              '</div>'
+            ).join('') +
           '</div>';
         statsEl.appendChild(contribDiv);
       }
@@ -1703,7 +2171,7 @@ class Game {
     this._checkFinishAchievements();
 
     // Auto-submit score if logged in
-    this._submitScore();
+    this._submitScore(raceResult);
 
     // Show NEXT LEVEL button if there's a next level
     const nextBtn = document.getElementById('btn-next-level');
@@ -1761,13 +2229,18 @@ class Game {
     }
   }
 
-  async _submitScore() {
+  /** @param {{code:string, place:number, teams:number}|null} [race] — head-to-head finish */
+  async _submitScore(race = null) {
     const auth = this.lobby.auth;
     if (!auth || !auth.isLoggedIn()) return;
     // Demo mode: don't save scores to leaderboard
     if (this._isDemo) return;
+    // A bot stoker's perfect rhythm isn't a couch team's score
+    if (this._botPartner) return;
 
     const level = this.lobby.selectedLevel;
+    // Only built-in levels are ranked — ?level= courses stay local
+    if (!level.builtin) return;
     const raceSummary = this.raceManager ? this.raceManager.getSummary(this.bike.distanceTraveled) : null;
     if (!raceSummary) return;
 
@@ -1776,7 +2249,8 @@ class Game {
       levelId: level.id,
       distance: raceSummary.distance,
       timeMs: raceSummary.timeMs,
-      mode: this.mode,
+      // Room seat, not the seat we finished in — contributions are keyed the same way
+      mode: this.mode === 'solo' || this.mode === 'couch' ? this.mode : this._roomRole,
       collectiblesCount: this.collectibleManager ? this.collectibleManager.collected : 0,
       inputSource: raceSummary.inputSource,
       newAchievements: this.achievements.getNewThisSession().map(a => a.id),
@@ -1784,16 +2258,28 @@ class Game {
       safetyUsed: this.safetyMode,
       scoreMultiplier: TUNE.scoreMultiplier || 1.0,
     };
+    if (race) data.race = race;
+
+    // Attach the ride's input log — the server re-simulates it to verify the score
+    if (this._rideLogPacked) {
+      const rideLog = await Promise.race([
+        this._rideLogPacked,
+        new Promise(resolve => setTimeout(() => resolve(null), RIDE_LOG_WAIT_MS)),
+      ]);
+      if (rideLog) data.rideLog = rideLog;
+    }
+    if (!data.rideLog && this._rideLogMissing) data.rideLogMissing = this._rideLogMissing;
 
     if (this.contributionTracker) {
       const contrib = this.contributionTracker.getSummary();
       const myServerId = auth.user ? auth.user.serverId : null;
       if (contrib.mode === 'multiplayer') {
-        const myRole = this.mode; // 'captain' or 'stoker'
-        const partnerRole = myRole === 'captain' ? 'stoker' : 'captain';
-        contrib[myRole].userId = myServerId;
-        contrib[partnerRole].userId = this._partnerServerId;
-        data.contributions = { captain: contrib.captain, stoker: contrib.stoker };
+        data.contributions = {};
+        for (const seat of contrib.seats) {
+          contrib[seat].userId = seat === this._roomRole ? myServerId : (this._riderServerIds[seat] || null);
+          data.contributions[seat] = contrib[seat];
+        }
+        data.seatSwaps = contrib.swaps;
       } else {
         contrib.solo.userId = myServerId;
         data.contributions = { solo: contrib.solo };
@@ -1826,16 +2312,13 @@ class Game {
   }
 
   _startVictoryVideo(level) {
-    // Video config per level
-    const videoConfigs = {
-      grandma: {
-        src: 'assets/grandma_house_chromakey.mp4',
-        maskSrc: 'assets/grandma_house_chromakey_mask.png',
-        trimStart: 0.00, trimEnd: 5.50,
-        threshold: -0.02, smoothness: 0.110
-      }
-    };
-    const cfg = videoConfigs[level.id];
+    // Levels whose destination is a video billboard replay it here
+    const dest = level.destination;
+    const cfg = dest.type === 'billboard' ? {
+      src: dest.video, maskSrc: dest.mask,
+      trimStart: dest.trimStart, trimEnd: dest.trimEnd,
+      threshold: dest.threshold, smoothness: dest.smoothness
+    } : null;
     if (!cfg) {
       document.getElementById('victory-video').style.display = 'none';
       return;
@@ -1922,6 +2405,15 @@ class Game {
     this._victoryVideo = null;
   }
 
+  /** Swap the background track (level files may name their own), keeping play state. */
+  _setMusicTrack(src) {
+    if (this._musicTrack === src) return;
+    this._musicTrack = src;
+    const wasPlaying = !this._musicEl.paused;
+    this._musicEl.src = src;
+    if (wasPlaying) this._musicEl.play().catch(() => {});
+  }
+
   _updateMusicBtnIcon() {
     if (this.lobby.musicActive) {
       this._musicBtn.classList.remove('muted');
@@ -1933,6 +2425,128 @@ class Game {
     }
   }
 
+  /** Tear down everything _setupRace() built. */
+  _clearRace() {
+    this._tookOver = false;
+    this._swap = null;
+    this.raceManager = null;
+    this.hud.raceManager = null;
+    this.contributionTracker = null;
+    if (this.collectibleManager) { this.collectibleManager.destroy(); this.collectibleManager = null; }
+    if (this.obstacleManager) { this.obstacleManager.destroy(); this.obstacleManager = null; }
+    this._contribBar.style.display = 'none';
+    this._updateSwapButton();
+    this.hud.hideCollectibles();
+    this.hud.hideTimer();
+    this.world.clearRaceMarkers();
+    this._applyWeather(null);
+  }
+
+  /** Ride in a weather config — a level's own, or the captain's (weatherSync). */
+  _applyWeather(config) {
+    this.weather = new Weather(config);
+    this.bike.weather = this.weather;
+    if (this.predictedBikeState) this.predictedBikeState.weather = this.weather;
+    if (this._ghost) this._ghost.bike.weather = this.weather;
+  }
+
+  /** Rain, snow, fog and light for the weather where the bike is now. */
+  _updateWeather(dt, riding) {
+    // The stoker's own physics only runs during a takeover — its prediction has the captain's clock
+    const physics = this.mode === 'stoker' && this.predictedBikeState ? this.predictedBikeState.physics : this.bike.physics;
+    const weather = this.weather.sample(this.bike.distanceTraveled, physics.time);
+    this.weatherEffects.update(weather, this.camera.position, dt);
+    this.world.setWeather(weather);
+    if (this.collectibleManager) this.collectibleManager.setVisibility(weather.visibility);
+    if (this.obstacleManager) this.obstacleManager.setVisibility(weather.visibility);
+    this.hud.updateWeather(riding ? weather.kind : null);
+  }
+
+  // ============================================================
+  // HEAD-TO-HEAD — other teams racing the same level
+  // ============================================================
+
+  /** Room captain: take over the race link the lobby joined and bring our stokers in. */
+  _joinHeadToHead(race) {
+    this._raceLink = race;
+    this._raceCode = race.code;
+    race.onFrame = (slot, msg, bytes) => {
+      this.net.forwardRaceFrame(bytes);
+      this._onRaceFrame(slot, msg);
+    };
+    race.onRacerJoined = () => this._sendRaceTeam();
+    race.onRacerLeft = (slot) => {
+      const frame = racerLeftFrame(slot);
+      this.net.forwardRaceFrame(frame);
+      this._onRaceFrame(slot, { type: 'profile', data: { type: 'raceLeft' } });
+      // The host team left before the start and we're next in line, already waiting
+      if (race.isHost && !race.started && this.state === 'instructions' &&
+          this.instructionsEl.classList.contains('hidden')) {
+        this._startCountdown();
+      }
+    };
+    race.onClose = () => { this._raceLink = null; };
+    this.net.sendProfile({ type: 'raceInfo', code: race.code });
+    this._sendRaceTeam();
+  }
+
+  _sendRaceTeam() {
+    const user = this.lobby.auth && this.lobby.auth.isLoggedIn() && this.lobby.auth.getUser();
+    const name = (user && user.name) || this._raceLink.team;
+    this._raceLink.sendProfile({ type: 'raceTeam', name, presetKey: this.lobby.selectedPresetKey });
+  }
+
+  _onRaceFrame(slot, msg) {
+    // Host team's countdown: the other captains start with it (stokers follow their captain)
+    if (msg.type === 'event') {
+      if (msg.event === EVT_COUNTDOWN && this._raceLink && !this._raceLink.started) {
+        this._raceLink.started = true;
+        if (this.state === 'instructions') this._startCountdown();
+      }
+      return;
+    }
+    if (!this._opponents) {
+      this._opponents = new OpponentRiders(this.scene, this.world, (key) => this.lobby._presetData[key] || null);
+    }
+    this._opponents.handleFrame(slot, msg);
+  }
+
+  _updateOpponents(dt) {
+    this._opponents.update();
+    this._raceRankTimer -= dt;
+    if (this._raceRankTimer > 0) return;
+    this._raceRankTimer = 0.25;
+    if (this._opponents.teamCount > 0) {
+      this.hud.updateRaceRanking(this._opponents.ranking(this.bike.distanceTraveled, this._raceFinishMs));
+    } else {
+      this.hud.hideRaceRanking();
+    }
+  }
+
+  /**
+   * We crossed the line: tell the other teams and work out our place.
+   * Only the first finish of a race counts — later rides just show the opponents.
+   * @returns {{code:string, place:number, teams:number}|null}
+   */
+  _finishHeadToHead(timeMs) {
+    if (!this._opponents || !this._raceCode) return null;
+    if (this._raceLink) this._raceLink.sendProfile({ type: 'raceFinish', timeMs });
+    this._raceFinishMs = timeMs;
+    const teams = this._opponents.teamCount + 1;
+    const result = { code: this._raceCode, place: this._opponents.placeFor(timeMs), teams };
+    this._raceCode = null;
+    return teams > 1 ? result : null;
+  }
+
+  _leaveHeadToHead() {
+    this.lobby.leaveRace();
+    this._raceLink = null;
+    this._raceCode = null;
+    this._raceFinishMs = null;
+    if (this._opponents) { this._opponents.clear(); this._opponents = null; }
+    this.hud.hideRaceRanking();
+  }
+
   _returnToLobby() {
     // Clean up tutorial state if active
     if (this._tutorialActive) {
@@ -1940,6 +2554,7 @@ class Game {
       this.input.suppressGamepadLean = !this.lobby.joystickActive;
     }
     this._musicBtn.style.display = 'none';
+    this._setMusicTrack(DEFAULT_MUSIC);
     if (!this.lobby.musicActive) {
       this._musicEl.pause();
       this._musicEl.currentTime = 0;
@@ -1950,26 +2565,36 @@ class Game {
     this._hideGameOver();
     this._hideVictory();
     this._hideAllOverlays();
-    this.raceManager = null;
-    this.hud.raceManager = null;
-    this.contributionTracker = null;
-    if (this.collectibleManager) { this.collectibleManager.destroy(); this.collectibleManager = null; }
-    if (this.obstacleManager) { this.obstacleManager.destroy(); this.obstacleManager = null; }
-    this._contribBar.style.display = 'none';
-    this.hud.hideCollectibles();
-    this.hud.hideTimer();
-    this.world.clearRaceMarkers();
+    this._clearRace();
+    this._leaveHeadToHead();
+    this._clearRideLog();
+    this._clearGhost();
     this.recorder.stopBuffer();
     this.recorder.stopSelfie();
     this.recorder.clearPartnerStream();
     updateBadgeDisplay('partner-badges', []);
+    this._netPanel.hide();
+    this.quickChat.setAvailable(false);
+    this.hud.clearChat();
+    this.powerUps.reset();
+    this.hud.updatePowerUps(this.powerUps);
     if (this.net) { this.net.destroy(); this.net = null; }
     try { localStorage.removeItem('tandemonium-room'); } catch (e) {}
+    this._botPartner = null;
+    if (this._couchInputs) {
+      this.input.splitPlayers(0);
+      this._couchInputs = null;
+      this._couchStokerBalance = null;
+      this.balanceCtrl = new BalanceController(this.input);
+      document.querySelector('#phone-gauge .gauge-title').textContent = 'YOU';
+      document.getElementById('instructions-couch').style.display = 'none';
+    }
     this.mode = 'solo';
     this._lobbyBtn.textContent = 'LOBBY';
     this.sharedPedal = null;
     this.remoteBikeState = null;
-    this.remoteLean = 0;
+    this.predictedBikeState = null;
+    this._clearRemoteLeans();
     this._remoteLastFoot = null;
     this._remoteLastTapTime = 0;
     this._mpPrevUp = false;
@@ -1983,8 +2608,13 @@ class Game {
     const gpBadge = document.getElementById('gamepad-badge');
     if (gpBadge && this.input.gamepadConnected) gpBadge.style.display = 'block';
     document.getElementById('side-buttons').style.display = '';
+    document.getElementById('side-buttons').classList.remove('spectating');
+    this.hud.setReadOnly(false);
     const partnerTitle = document.querySelector('#partner-gauge .gauge-title');
     if (partnerTitle) partnerTitle.textContent = 'PARTNER';
+    this._rideSeats = TANDEM_SEATS;
+    this._riderServerIds = {};
+    this.bike.setSeats(2);
 
     this.archIndicator.hide();
     this._partnerBikeColor = null;
@@ -2022,15 +2652,10 @@ class Game {
     this._hideAllOverlays();
 
     // Partial cleanup: game state only (keep connection + media alive)
-    this.raceManager = null;
-    this.hud.raceManager = null;
-    this.contributionTracker = null;
-    if (this.collectibleManager) { this.collectibleManager.destroy(); this.collectibleManager = null; }
-    if (this.obstacleManager) { this.obstacleManager.destroy(); this.obstacleManager = null; }
-    this._contribBar.style.display = 'none';
-    this.hud.hideCollectibles();
-    this.hud.hideTimer();
-    this.world.clearRaceMarkers();
+    this._clearRace();
+    this._leaveHeadToHead();
+    this._clearRideLog();
+    this._clearGhost();
     this.recorder.stopBuffer();
     // Don't stop selfie or clear partner stream — keep media alive
     this.archIndicator.hide();
@@ -2042,7 +2667,8 @@ class Game {
     // Reset pedal state
     this.sharedPedal = null;
     this.remoteBikeState = null;
-    this.remoteLean = 0;
+    this.predictedBikeState = null;
+    this._clearRemoteLeans();
     this._remoteLastFoot = null;
     this._remoteLastTapTime = 0;
     this._mpPrevUp = false;
@@ -2152,8 +2778,8 @@ class Game {
     const timerRemaining = this.raceManager ? this.raceManager.segmentTimeRemaining : -1;
     const timerTotal = this.raceManager ? this.raceManager.segmentTimeTotal : 0;
 
-    // Progress bar
-    const raceDistance = this.raceManager ? this.raceManager.raceDistance : 0;
+    // Progress bar (none for endless runs)
+    const raceDistance = this.raceManager && !this.raceManager.endless ? this.raceManager.raceDistance : 0;
     const checkpointPositions = this.raceManager ? this.raceManager.getCheckpointPositions() : [];
     const levelIcon = this.lobby.selectedLevel ? this.lobby.selectedLevel.icon : '';
 
@@ -2177,7 +2803,8 @@ class Game {
       bikeDanger,
       partnerDeg,
       hasPartner: !!remoteData,
-      checkpointFlash: cpFlash
+      checkpointFlash: cpFlash,
+      chat: this.hud.chatBubbles()
     };
   }
 
@@ -2200,12 +2827,21 @@ class Game {
     const a = gp.buttons[0] && gp.buttons[0].pressed;
     // L3 (button 10) — quick gyro recenter
     const l3 = gp.buttons[10] && gp.buttons[10].pressed;
+    // X button (button 2) — seat swap pill
+    const x = gp.buttons[2] && gp.buttons[2].pressed;
 
-    if (up && !this._dpadPrevUp) this.safetyBtn.click();
-    if (down && !this._dpadPrevDown) this.speedBtn.click();
-    if (right && !this._dpadPrevRight) document.getElementById('reset-btn').click();
-    if (left && !this._dpadPrevLeft) this._lobbyBtn.click();
+    // B (button 1) held — the d-pad sends quick-chat callouts instead
+    const chatting = this.quickChat.pollGamepad(gp);
+
+    const riding = this.mode !== 'spectator';
+    if (!chatting) {
+      if (up && !this._dpadPrevUp && riding) this.safetyBtn.click();
+      if (down && !this._dpadPrevDown && riding) this.speedBtn.click();
+      if (right && !this._dpadPrevRight && riding) document.getElementById('reset-btn').click();
+      if (left && !this._dpadPrevLeft) this._lobbyBtn.click();
+    }
     if (y && !this._gpPrevY) this.recorder.saveClip();
+    if (x && !this._gpPrevX && this._swapBtn.style.display !== 'none') this._onSwapButton();
     if (a && !this._gpPrevA && (this.input.motionEnabled || this.input.gyroConnected)) {
       this._recalibrateTilt();
     }
@@ -2222,15 +2858,43 @@ class Game {
     this._gpPrevY = y;
     this._gpPrevA = a;
     this._gpPrevL3 = l3;
+    this._gpPrevX = x;
   }
 
   _updateConnBadge() {
     if (!this.net) return;
     const typeEl = document.getElementById('conn-type');
     const pingEl = document.getElementById('conn-ping');
-    const transport = this.net.transport === 'relay' ? 'RELAY' : 'P2P';
-    if (typeEl) typeEl.textContent = transport;
-    if (pingEl) pingEl.textContent = Math.round(this.net.pingMs) + 'ms';
+    const kind = this.net.transport;
+    const transport = kind === 'relay' ? 'RELAY' : (kind === 'broadcast' || kind === 'memory' ? 'LOCAL' : 'P2P');
+    if (typeEl) typeEl.textContent = this.mode === 'spectator' ? 'WATCHING' : transport;
+    if (pingEl) pingEl.textContent = this.mode === 'spectator' ? '' : Math.round(this.net.pingMs) + 'ms';
+    const specEl = document.getElementById('conn-spectators');
+    if (specEl) {
+      const count = this.net.spectatorCount;
+      specEl.style.display = count > 0 ? 'inline' : 'none';
+      specEl.textContent = ' \u{1F440}' + count;
+    }
+    const chat = this.mode !== 'spectator' && this.net.connected && this.net.hasFeature('quickChat');
+    if (chat !== this.quickChat.available) this.quickChat.setAvailable(chat);
+  }
+
+  // ============================================================
+  // QUICK CHAT — canned callouts between riders
+  // ============================================================
+
+  _sendChat(id) {
+    if (!this.net || !this.net.sendChat(id)) return;
+    this.hud.showChat(QUICK_CHAT[id].text, true);
+  }
+
+  _onChatReceived(id, source) {
+    const entry = QUICK_CHAT[id];
+    if (!entry) return; // a callout from a newer build
+    // The partner gauge stands for both other riders in a triplet — say who spoke
+    const text = this._isTriplet ? SEAT_LABELS[this._senderSeat(source)] + ': ' + entry.text : entry.text;
+    this.hud.showChat(text, false);
+    this.quickChat.speak(id);
   }
 
   // ============================================================
@@ -2358,6 +3022,7 @@ class Game {
     if (level && level.treeCollision === false) {
       // Still check pylon collision
       if (this.obstacleManager && this.obstacleManager.checkCollision(this.bike.position)) {
+        if (this._shieldAbsorbs()) return;
         this.bike._fall();
         this.chaseCamera.shakeAmount = 0.25;
         this._playBeep(150, 0.4);
@@ -2369,6 +3034,7 @@ class Game {
       this.bike.position, this.bike.roadD, this.bike.heading
     );
     if (result.hit) {
+      if (this._shieldAbsorbs()) return;
       this.bike._fall();
       this.chaseCamera.shakeAmount = 0.2;
       this._playBeep(200, 0.3);
@@ -2377,6 +3043,7 @@ class Game {
     }
     // Pylon obstacle collision
     if (this.obstacleManager && this.obstacleManager.checkCollision(this.bike.position)) {
+      if (this._shieldAbsorbs()) return;
       this.bike._fall();
       this.chaseCamera.shakeAmount = 0.25;
       this._playBeep(150, 0.4);
@@ -2389,7 +3056,13 @@ class Game {
     const frontOff = Math.max(0, Math.abs(this.bike._frontWheelOffset) - 2.5);
     const rearOff = Math.max(0, Math.abs(this.bike._rearWheelOffset) - 2.5);
     const intensity = Math.min(Math.max(frontOff, rearOff) / 3, 1);
-    if (intensity > 0) hapticOffRoad(intensity);
+    if (intensity > 0) {
+      hapticOffRoad(intensity);
+      return;
+    }
+    // On the road: gravel, mud and puddles have a rumble of their own
+    const surface = ROAD_SURFACES[this.world.roadPath.getSurfaceAtDistance(this.bike.roadD)];
+    if (surface.haptic) hapticSurface(surface.haptic, Math.min(this.bike.speed / 8, 1));
   }
 
   // ============================================================
@@ -2402,12 +3075,27 @@ class Game {
     // Poll gamepad every frame before reading any input
     this.input.pollGamepad();
 
-    const dt = Math.min((timestamp - this.lastTime) / 1000, 0.05);
+    const frameDt = Math.min((timestamp - this.lastTime) / 1000, 0.05);
     this.lastTime = timestamp;
 
+    // Slow-motion power-up: the ride itself runs slower, race clock included
+    const riding = this.state === 'playing' || this.mode === 'spectator';
+    const dt = riding ? frameDt * this.powerUps.timeScale : frameDt;
+    if (riding) this.powerUps.update(dt);
+    if (riding && this.raceManager) this.raceManager.holdClock((frameDt - dt) * 1000);
+
     const roadPath = this.world.roadPath;
 
-    if (this.state === 'playing') {
+    // Ghost follows the race clock in every state, so it keeps riding while you recover
+    if (this._ghost && this.raceManager) this._ghost.update(this.raceManager.getElapsedMs(), dt);
+    if (this._opponents) this._updateOpponents(frameDt); // other teams ride at their own pace
+    this._updateWeather(dt, riding);
+
+    if (this.mode === 'spectator') {
+      // Spectators follow the captain's stream in every state
+      this._pollDpad();
+      this._updateSpectator(dt);
+    } else if (this.state === 'playing') {
       // D-pad actions (safety/speed/reset/lobby)
       this._pollDpad();
 
@@ -2418,6 +3106,8 @@ class Game {
         this._updateCaptain(dt);
       } else if (this.mode === 'stoker') {
         this._updateStoker(dt);
+      } else if (this.mode === 'couch') {
+        this._updateCouch(dt);
       }
     } else {
       // Lobby / countdown / instructions / victory / gameover: render static scene
@@ -2430,6 +3120,7 @@ class Game {
 
       this.renderer.render(this.scene, this.camera);
     }
+    if (riding) this.hud.updatePowerUps(this.powerUps);
 
     // Clear buffered tap flags after all input has been read this frame
     this.input.consumeTaps();
@@ -2450,13 +3141,14 @@ class Game {
     // Sync balance assist to bike model
     this.bike._balanceAssist = this._assistWeight;
 
+    if (this._rideLog && this.raceManager) this._rideLog.syncClock(this.raceManager.getElapsedMs(), dt);
     const wasFallen = this.bike.fallen;
     this.bike.update(pedalResult, balanceResult, dt, this.safetyMode, this.autoSpeed);
     this._checkTreeCollision();
 
     // Race progress + contribution tracking
     if (this.raceManager) {
-      const timerEnabled = !this.lobby.selectedLevel || this.lobby.selectedLevel.timerEnabled !== false;
+      const timerEnabled = !this.lobby.selectedLevel || this.lobby.selectedLevel.timeBudget.enabled;
       const raceEvent = this.raceManager.update(this.bike.distanceTraveled, timerEnabled ? dt : 0);
       if (raceEvent) {
         if (raceEvent.event === 'timeout' && timerEnabled) { this._onTimerExpired(); return; }
@@ -2464,6 +3156,7 @@ class Game {
       }
       this.hud.updateProgress(this.bike.distanceTraveled, this.raceManager.raceDistance, this.raceManager.passedCheckpoints);
       this.hud.updateTimer(this.raceManager.segmentTimeRemaining, this.raceManager.segmentTimeTotal);
+      this._updateEndless();
     }
     if (this.contributionTracker) {
       this.contributionTracker.update(dt, this.bike, balanceResult.leanInput, 0, this.pedalCtrl.stats);
@@ -2471,7 +3164,7 @@ class Game {
 
     // Collectibles
     if (this.collectibleManager) {
-      const collected = this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position);
+      const collected = this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position, this.powerUps.magnetRadius);
       if (collected.length > 0) {
         this._onCollect(collected.length);
       }
@@ -2516,28 +3209,66 @@ class Game {
     this.recorder.composite(this._buildRecordState(this.pedalCtrl));
   }
 
+  // ============================================================
+  // COUCH UPDATE — two players on one device
+  // ============================================================
+
+  // The stoker's half feeds taps and lean in just as MSG_PEDAL and MSG_LEAN
+  // do for a remote stoker; the captain's half then rides as captain
+  _updateCouch(dt) {
+    // A bot stoker answers inside _updateCaptain, where it sees the captain's taps
+    if (this._botPartner) {
+      this._updateCaptain(dt);
+      return;
+    }
+    const stoker = this._couchInputs.stoker;
+    const upHeld = stoker.isPressed('ArrowLeft');
+    const downHeld = stoker.isPressed('ArrowRight');
+    if (upHeld && !this._couchPrevUp) this._couchStokerTap('up');
+    if (downHeld && !this._couchPrevDown) this._couchStokerTap('down');
+    this._couchPrevUp = upHeld;
+    this._couchPrevDown = downHeld;
+    this._setRemoteLean('stoker', this._couchStokerBalance.update().leanInput);
+
+    this._updateCaptain(dt, this._couchInputs.captain);
+  }
+
+  _couchStokerTap(foot) {
+    this.sharedPedal.receiveTap('stoker', foot);
+    // Flash the stoker's pedal indicator like a partner's
+    this._remoteLastFoot = foot;
+    this._remoteLastTapTime = performance.now();
+  }
+
   // ============================================================
   // CAPTAIN UPDATE — runs physics, sends state
   // ============================================================
 
-  _updateCaptain(dt) {
+  /** @param {object} [input] — the captain's controls; a couch's front-seat PlayerInput */
+  _updateCaptain(dt, input = this.input) {
     // Feed bike speed to input manager for velocity-dependent sensitivity
     this.input.bikeSpeed = this.bike.speed;
     this.input.bikeMaxSpeed = TUNE.maxSpeed || 19;
 
     // Edge-detect pedals → shared pedal controller + send to stoker
-    const upHeld = this.input.isPressed('ArrowLeft');
-    const downHeld = this.input.isPressed('ArrowRight');
+    const upHeld = input.isPressed('ArrowLeft');
+    const downHeld = input.isPressed('ArrowRight');
     if (upHeld && !this._mpPrevUp) {
-      this.sharedPedal.receiveTap('captain', 'up');
+      this.sharedPedal.receiveTap(this._ownSeat, 'up');
       if (this.net) this.net.sendPedal('up');
+      if (this._botPartner) this._botPartner.captainTapped('up');
     }
     if (downHeld && !this._mpPrevDown) {
-      this.sharedPedal.receiveTap('captain', 'down');
+      this.sharedPedal.receiveTap(this._ownSeat, 'down');
       if (this.net) this.net.sendPedal('down');
+      if (this._botPartner) this._botPartner.captainTapped('down');
     }
     this._mpPrevUp = upHeld;
     this._mpPrevDown = downHeld;
+    if (this._botPartner) {
+      const botFoot = this._botPartner.takeTap();
+      if (botFoot) this._couchStokerTap(botFoot);
+    }
 
     // Use shared pedal controller
     const pedalResult = this.sharedPedal.update(dt);
@@ -2546,12 +3277,12 @@ class Game {
 
     // Capture captain's own lean before merging
     const captainLean = balanceResult.leanInput;
+    if (this._botPartner) this._setRemoteLean('stoker', this._botPartner.lean(this.bike, captainLean));
 
-    // Merge lean: captain + stoker averaged
-    balanceResult.leanInput = Math.max(-1, Math.min(1,
-      (balanceResult.leanInput + this.remoteLean) * 0.5
-    ));
+    // Merge lean: all riders averaged
+    balanceResult.leanInput = this._mergeLean(captainLean);
 
+    if (this._rideLog && this.raceManager) this._rideLog.syncClock(this.raceManager.getElapsedMs(), dt);
     const wasFallen = this.bike.fallen;
     this.bike.update(pedalResult, balanceResult, dt, this.safetyMode, this.autoSpeed);
     this._checkTreeCollision();
@@ -2567,20 +3298,24 @@ class Game {
       }
       this.hud.updateProgress(this.bike.distanceTraveled, this.raceManager.raceDistance, this.raceManager.passedCheckpoints);
       this.hud.updateTimer(this.raceManager.segmentTimeRemaining, this.raceManager.segmentTimeTotal);
+      this._updateEndless();
     }
     if (this.contributionTracker) {
-      this.contributionTracker.update(dt, this.bike, captainLean, this.remoteLean, this.sharedPedal.stats);
+      const leanInputs = Object.assign(this._leanInputs, this._remoteLeans);
+      leanInputs.captain = captainLean;
+      this.contributionTracker.update(dt, this.bike, leanInputs, this.sharedPedal.stats);
       // Update contribution bar
       const summary = this.contributionTracker.getSummary();
       if (summary.mode === 'multiplayer') {
         this._contribCaptain.style.width = summary.captain.overallPct + '%';
         this._contribStoker.style.width = summary.stoker.overallPct + '%';
+        if (summary.stoker2) this._contribStoker2.style.width = summary.stoker2.overallPct + '%';
       }
     }
 
     // Collectibles (captain is authoritative)
     if (this.collectibleManager) {
-      const collected = this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position);
+      const collected = this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position, this.powerUps.magnetRadius);
       if (collected.length > 0) {
         this._onCollect(collected.length);
       }
@@ -2605,9 +3340,15 @@ class Game {
     if (this._stateSendTimer >= this._stateSendInterval && this.net && this.net.connected) {
       this._stateSendTimer = 0;
       const timerRemaining = this.raceManager ? this.raceManager.segmentTimeRemaining : -1;
-      this.net.sendState(this.bike, timerRemaining);
+      const stateBytes = this.net.sendState(this.bike, timerRemaining, this.powerUps);
+      if (this._raceLink) this._raceLink.sendState(stateBytes);
       this.net.sendLean(captainLean);
     }
+    this._rideLogChunkTimer += dt;
+    if (this._rideLogChunkTimer >= RIDE_LOG_CHUNK_INTERVAL && this.net) {
+      this._rideLogChunkTimer = 0;
+      this._sendRideLogChunks();
+    }
 
     this.world.update(this.bike.position, this.bike.roadD, dt);
     this.chaseCamera.update(this.bike, dt, this.world.roadPath);
@@ -2621,7 +3362,7 @@ class Game {
     remoteData.remoteLean = this.remoteLean;
     remoteData.remoteLastFoot = this._remoteLastFoot;
     remoteData.remoteLastTapTime = this._remoteLastTapTime;
-    this.hud.update(this.bike, this.input, this.sharedPedal, dt, remoteData);
+    this.hud.update(this.bike, input, this.sharedPedal, dt, remoteData);
     this.archIndicator.update(this.bike, captainLean, this.remoteLean);
     this.renderer.render(this.scene, this.camera);
     this.recorder.composite(this._buildRecordState(this.sharedPedal, remoteData));
@@ -2637,19 +3378,33 @@ class Game {
     const downHeld = this.input.isPressed('ArrowRight');
     if (upHeld && !this._mpPrevUp && this.net) {
       this.net.sendPedal('up');
+      this.sharedPedal.receiveTap(this._ownSeat, 'up');
     }
     if (downHeld && !this._mpPrevDown && this.net) {
       this.net.sendPedal('down');
+      this.sharedPedal.receiveTap(this._ownSeat, 'down');
     }
     this._mpPrevUp = upHeld;
     this._mpPrevDown = downHeld;
 
     // Update local pedal controller for HUD button feedback only
-    // (physics are handled by captain's shared pedal controller)
+    // (the captain's shared pedal controller is authoritative)
     this.pedalCtrl.update(dt);
+    const stokerLean = this.balanceCtrl.update().leanInput;
 
-    // Interpolate remote state
-    const state = this.remoteBikeState ? this.remoteBikeState.getInterpolated() : null;
+    // Predict the bike from both riders' latest inputs so our own lean and
+    // pedals show up without waiting a round trip; interpolate if the
+    // partner lacks the prediction feature
+    let state = null;
+    const predicted = this.predictedBikeState;
+    if (predicted && predicted.latest) {
+      const pedalResult = this.sharedPedal.update(dt);
+      const lean = this._mergeLean(stokerLean);
+      const latencyMs = this._reconnecting ? 0 : this.net.pingMs / 2;
+      state = predicted.update(dt, pedalResult, lean, this.safetyMode, this.autoSpeed, latencyMs);
+    } else if (this.remoteBikeState) {
+      state = this.remoteBikeState.getInterpolated();
+    }
     if (state) {
       this.bike.applyRemoteState(state);
     }
@@ -2669,8 +3424,7 @@ class Game {
     this._leanSendTimer += dt;
     if (this._leanSendTimer >= this._leanSendInterval && this.net && this.net.connected) {
       this._leanSendTimer = 0;
-      const balanceResult = this.balanceCtrl.update();
-      this.net.sendLean(balanceResult.leanInput);
+      this.net.sendLean(stokerLean);
     }
 
     this.world.update(this.bike.position, this.bike.roadD, dt);
@@ -2687,7 +3441,7 @@ class Game {
       }
       // Update distance-based progress (checkpoints) without touching timer
       this.raceManager.updateProgressOnly(this.bike.distanceTraveled);
-      if (this.raceManager.segmentTimeRemaining <= 0 && !this._stokerTimeoutShown && !this._reconnecting) {
+      if (this.raceManager.segmentTimeRemaining <= 0 && !this._stokerTimeoutShown && !this._reconnecting && !this.raceManager.endless) {
         // Show TOO SLOW visual once — captain sends EVT_RESET to clear it
         this._stokerTimeoutShown = true;
         const flash = document.getElementById('timeout-flash');
@@ -2699,11 +3453,12 @@ class Game {
       }
       this.hud.updateProgress(this.bike.distanceTraveled, this.raceManager.raceDistance, this.raceManager.passedCheckpoints);
       this.hud.updateTimer(this.raceManager.segmentTimeRemaining, this.raceManager.segmentTimeTotal);
+      this._updateEndless();
     }
 
     // Collectibles (visual only — captain handles collection)
     if (this.collectibleManager) {
-      this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position);
+      this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position, this.powerUps.magnetRadius);
     }
 
     // Obstacles
@@ -2723,12 +3478,492 @@ class Game {
     remoteData.remoteLastFoot = this._remoteLastFoot;
     remoteData.remoteLastTapTime = this._remoteLastTapTime;
     this.hud.update(this.bike, this.input, this.pedalCtrl, dt, remoteData);
-    const stokerLean = this.balanceCtrl.update().leanInput;
     this.archIndicator.update(this.bike, stokerLean, this.remoteLean);
     this.renderer.render(this.scene, this.camera);
     this.recorder.composite(this._buildRecordState(this.pedalCtrl, remoteData));
   }
 
+  // ============================================================
+  // HOST MIGRATION — the stoker carries on when the captain drops
+  // ============================================================
+
+  // Only mid-ride, with a partner that can hand the race over, and
+  // once there's a captain snapshot to carry on from
+  _canTakeOver() {
+    return this.mode === 'stoker' && this.state === 'playing' && !!this.raceManager && !this._isTriplet &&
+      this.net.hasFeature('hostMigration') && !!this.predictedBikeState && !!this.predictedBikeState.latest;
+  }
+
+  // A link blip isn't a dropped captain: take over once the relay says the
+  // captain left, or its heartbeats have been missing for the full timeout.
+  // Every reconnect attempt re-arms this with the time still left.
+  _scheduleTakeover() {
+    clearTimeout(this._takeoverTimer);
+    if (!this._canTakeOver()) return;
+    this._takeoverTimer = setTimeout(() => {
+      if (!this.net.connected && this._canTakeOver()) this._takeOver();
+    }, this.net.msUntilPartnerLost());
+  }
+
+  // Become the physics authority, starting from the bike as predicted from
+  // the captain's last snapshot. The race timer stays frozen while alone.
+  _takeOver() {
+    this._tookOver = true;
+    this._becomeCaptain();
+
+    const statusEl = document.getElementById('status');
+    statusEl.textContent = 'Captain dropped — you have the bike!';
+    setTimeout(() => {
+      if (statusEl.textContent.startsWith('Captain dropped')) statusEl.textContent = '';
+    }, 3000);
+  }
+
+  // The race state follows the event, so the partner applies it as our stoker
+  _announceTakeover() {
+    if (!this.net.hasFeature('hostMigration')) return;
+    this.net.sendEvent(EVT_TAKEOVER);
+    if (this.state === 'gameover') this.net.sendEvent(EVT_GAMEOVER);
+    this._sendRaceSync();
+  }
+
+  // The partner carried the ride on without us: ride on as its stoker.
+  // If both of us took over while apart, the captain's seat keeps it.
+  _yieldAuthority() {
+    if (this.mode !== 'captain' || !this.raceManager) return;
+    if (this._tookOver && this.net.role === 'captain') return;
+    this._tookOver = false;
+    this._becomeStoker();
+    this.chaseCamera.initialized = false;
+    // Whatever we were showing alone is over — the partner's race carries on
+    this._hideGameOver();
+    this.state = 'playing';
+  }
+
+  // Captain → stoker whenever the race state it can't derive changes
+  _sendRaceSync() {
+    if (!this.net || !this.raceManager || !this.net.hasFeature('hostMigration')) return;
+    this.net.sendProfile({
+      type: 'raceSync',
+      ...this.raceManager.getSyncState(),
+      collected: this.collectibleManager ? this.collectibleManager.collectedIndices() : [],
+      contribution: this.contributionTracker ? this.contributionTracker.getSyncState() : null,
+    });
+  }
+
+  _applyRaceSync(sync) {
+    if (!this.raceManager) return;
+    this.raceManager.applySyncState(sync);
+    if (sync.contribution && this.contributionTracker) this.contributionTracker.applySyncState(sync.contribution);
+    if (this.collectibleManager) {
+      this.collectibleManager.setCollected(sync.collected);
+      this.hud.updateCollectibles(this.collectibleManager.collected, this.collectibleManager.getTotalItems());
+    }
+    this.hud.updateProgress(this.bike.distanceTraveled, this.raceManager.raceDistance, this.raceManager.passedCheckpoints);
+    this.hud.updateTimer(this.raceManager.segmentTimeRemaining, this.raceManager.segmentTimeTotal);
+  }
+
+  // ============================================================
+  // SEAT SWAP — riders trade captain and stoker at a checkpoint
+  // ============================================================
+
+  // Button cycles: ask → (partner accepts) → agreed; tapping while asked
+  // calls it off, tapping when the partner asked accepts
+  _onSwapButton() {
+    if (!this.net || !this.raceManager || this._reconnecting) return;
+    if (this._swap === null) {
+      this.net.sendProfile({ type: 'swapRequest' });
+      this._setSwap('requested');
+    } else if (this._swap === 'requested') {
+      this.net.sendProfile({ type: 'swapCancel' });
+      this._setSwap(null);
+    } else if (this._swap === 'asked') {
+      this.net.sendProfile({ type: 'swapAccept' });
+      this._setSwap('agreed');
+    }
+  }
+
+  _onSwapMessage(type) {
+    if (type === 'swapCancel') {
+      this._setSwap(null);
+    } else if (type === 'swapAccept') {
+      if (this._swap === 'requested') this._setSwap('agreed');
+    } else if (this._swap === 'requested') {
+      // Both asked at once — that's a yes from each of us
+      this._setSwap('agreed');
+    } else {
+      this._setSwap('asked');
+    }
+  }
+
+  _setSwap(swap) {
+    this._swap = swap;
+    this._updateSwapButton();
+  }
+
+  _updateSwapButton() {
+    const btn = this._swapBtn;
+    const shown = !!this.net && !!this.raceManager && this.state !== 'victory' && !this._isTriplet &&
+      (this.mode === 'captain' || this.mode === 'stoker') && this.net.hasFeature('seatSwap');
+    btn.style.display = shown ? '' : 'none';
+    btn.className = this._swap || '';
+    btn.textContent = this._swap === 'requested' ? '\u21C4 WAITING FOR PARTNER'
+      : this._swap === 'asked' ? '\u21C4 ACCEPT SWAP'
+      : this._swap === 'agreed' ? '\u21C4 SWAP AT CHECKPOINT'
+      : '\u21C4 SWAP SEATS';
+  }
+
+  // Captain, at the first checkpoint after both agreed: send the bike as it
+  // is now and the race and stats to carry on with, then ride on as stoker
+  _handOverSeat() {
+    this.net.sendState(this.bike, this.raceManager.segmentTimeRemaining, this.powerUps);
+    // ...and the ride log up to here, for the partner to carry on
+    this._sendRideLogChunks();
+    this._becomeStoker();
+    this._sendRaceSync();
+    this.net.sendEvent(EVT_SWAP);
+  }
+
+  // Stoker: the captain handed over — carry on from its last snapshot
+  _takeSeat() {
+    if (this.mode !== 'stoker' || !this.predictedBikeState || !this.predictedBikeState.latest) return;
+    this._becomeCaptain();
+  }
+
+  // Shared by takeovers and swaps: this rider now runs the physics
+  _becomeCaptain() {
+    this.predictedBikeState.copyTo(this.bike.physics, this._reconnecting ? 0 : this.net.pingMs / 2);
+    this.predictedBikeState = null;
+    this.remoteBikeState = null;
+    this.mode = 'captain';
+    this._onSeatChanged();
+  }
+
+  // ...and this one follows the partner's physics
+  _becomeStoker() {
+    this.mode = 'stoker';
+    this.remoteBikeState = new RemoteBikeState();
+    this.predictedBikeState = new PredictedBikeState(this.world.roadPath);
+    this.predictedBikeState.weather = this.weather;
+    this._stokerWasFallen = false;
+    // Snapshots now come from the partner's own counter
+    this.net.resetStateSequence();
+    this._onSeatChanged();
+  }
+
+  _onSeatChanged() {
+    // Spectators follow whichever seat runs the physics
+    this.net.authority = this.mode === 'captain';
+    this._clearRemoteLeans();
+    this._stateSendTimer = 0;
+    // Taps are labelled by seat, so the shared pedal rhythm starts over
+    this.sharedPedal = new SharedPedalController(this._rideSeats);
+    if (this.contributionTracker) this.contributionTracker.setSeats(this.mode !== this._roomRole);
+    this._carryRideLog();
+    this._setSwap(null);
+    document.getElementById('side-buttons').style.display = this.mode === 'captain' ? '' : 'none';
+
+    // Partner gauge and arch needles name the seats as they are now
+    this._updatePartnerTitle();
+    this.archIndicator.setMode(this.mode);
+  }
+
+  // ============================================================
+  // TRIPLET — a third rider ('stoker2') on the shared crank
+  // ============================================================
+
+  // Every seat once a third rider is in the room, otherwise a tandem
+  _roomSeats() {
+    const triplet = this._roomRole === 'stoker2' || (this.net && this.net.roomRiders.has('stoker2'));
+    return triplet ? SEATS : TANDEM_SEATS;
+  }
+
+  get _isTriplet() {
+    return this._rideSeats.length > 2;
+  }
+
+  // Seats are fixed for a ride: the crank, stats and bike all start over
+  _setRideSeats(seats) {
+    this._rideSeats = seats;
+    this.sharedPedal = new SharedPedalController(seats);
+    this._clearRemoteLeans();
+    this.bike.setSeats(seats.length);
+    this._contribStoker2.style.width = '0';
+    this._updatePartnerTitle();
+  }
+
+  // Pedal and lean labels are seats as the physics sees them. A tandem's
+  // only partner is whoever isn't us (a swap may have moved them); a
+  // triplet never swaps, so the sender's room seat is its seat
+  _senderSeat(source) {
+    if (this._isTriplet) return source;
+    return this.mode === 'captain' ? 'stoker' : 'captain';
+  }
+
+  get _ownSeat() {
+    return this._isTriplet || this.mode === 'couch' ? this._roomRole : this.mode;
+  }
+
+  // A tandem partner's room seat, for profiles that don't carry one
+  _partnerRoomSeat() {
+    return this._roomRole === 'captain' ? 'stoker' : 'captain';
+  }
+
+  _setRemoteLean(seat, lean) {
+    this._remoteLeans[seat] = lean;
+    let sum = 0;
+    for (const s in this._remoteLeans) sum += this._remoteLeans[s];
+    this.remoteLean = sum / (this._rideSeats.length - 1);
+  }
+
+  _clearRemoteLeans() {
+    this._remoteLeans = {};
+    this._leanInputs = {};
+    this.remoteLean = 0;
+  }
+
+  // Our lean averaged with everyone else's
+  _mergeLean(ownLean) {
+    const n = this._rideSeats.length;
+    return Math.max(-1, Math.min(1, (ownLean + this.remoteLean * (n - 1)) / n));
+  }
+
+  // A rider left or arrived without ending our link. Leavers stop leaning;
+  // arrivals wait for the next ride start but need our profile now
+  _onRidersChanged() {
+    if (this._isTriplet) {
+      for (const seat of this._rideSeats) {
+        if (seat in this._remoteLeans && !this.net.roomRiders.has(seat)) this._setRemoteLean(seat, 0);
+      }
+    }
+    if (this.state !== 'lobby') this._sendProfile();
+  }
+
+  _updatePartnerTitle() {
+    const partnerTitle = document.querySelector('#partner-gauge .gauge-title');
+    if (!partnerTitle) return;
+    if (this._botPartner) partnerTitle.textContent = 'BOT';
+    else partnerTitle.textContent = this._isTriplet ? 'TEAM' : this._ownSeat === 'captain' ? 'STOKER' : 'CAPTAIN';
+  }
+
+  // ============================================================
+  // SPECTATOR — read-only view of someone else's ride
+  // ============================================================
+
+  _onSpectate(net) {
+    this.mode = 'spectator';
+    this.net = net;
+    this.remoteBikeState = new RemoteBikeState();
+    this._spectatorNewRide = false;
+    this.bike.fullReset();
+    this.chaseCamera.initialized = false;
+
+    // Relay reconnects keep the spectator on the track, not back in the lobby
+    net.onRoomJoined = null;
+
+    net.onStateReceived = (state) => {
+      this.remoteBikeState.pushState(state);
+      if (this._reconnecting) {
+        this._hideReconnecting();
+        this._setSpectatorStatus('');
+      }
+      // Captain's timer is authoritative, as on the stoker
+      if (state.timerRemaining !== undefined && this.raceManager) {
+        this.raceManager.segmentTimeRemaining = state.timerRemaining;
+      }
+      this.powerUps.applyState(state);
+    };
+
+    net.onEventReceived = (eventType) => this._onSpectatorEvent(eventType);
+
+    net.onProfileReceived = (profile) => {
+      if (profile && profile.type === 'spectateInfo') this._onSpectateInfo(profile);
+    };
+
+    net.onConnected = () => {
+      this._hideReconnecting();
+      document.getElementById('disconnect-overlay').style.display = 'none';
+      if (!this.raceManager) this._setSpectatorStatus('Waiting for the ride to start...');
+    };
+
+    net.onRiderLeft = (role) => {
+      this._showReconnecting();
+      this._setSpectatorStatus((role === 'captain' ? 'Captain' : 'Stoker') + ' dropped out — waiting for them...');
+    };
+
+    net.onReconnecting = () => this._showReconnecting();
+
+    net.onDisconnected = (reason) => {
+      this._hideReconnecting();
+      this._showDisconnect(reason || 'Lost the ride');
+    };
+
+    // Side buttons shrink to LOBBY; no pedals or phone gauge
+    const sideButtons = document.getElementById('side-buttons');
+    sideButtons.style.display = '';
+    sideButtons.classList.add('spectating');
+    this.hud.setReadOnly(true);
+    document.getElementById('partner-gauge').style.display = 'none';
+
+    // Show connection badge (suppress gamepad badge to avoid overlap)
+    document.getElementById('conn-badge').style.display = 'block';
+    this.input.suppressGamepadBadge = true;
+    const gpBadge = document.getElementById('gamepad-badge');
+    if (gpBadge) gpBadge.style.display = 'none';
+
+    this.state = 'spectating';
+    this._setSpectatorStatus(net.connected ? 'Waiting for the ride to start...' : 'Waiting for the captain...');
+  }
+
+  _setSpectatorStatus(text) {
+    const statusEl = document.getElementById('status');
+    statusEl.textContent = text;
+    statusEl.style.color = '#ffffff';
+  }
+
+  // Captain: tell spectators which level is on and, mid-ride, how far in the clock is
+  _sendSpectateInfo(newRide = false) {
+    if (this.mode !== 'captain' || !this.net) return;
+    const rm = this.raceManager;
+    this.net.sendSpectatorProfile({
+      type: 'spectateInfo',
+      levelId: this.lobby.selectedLevel.id,
+      difficulty: this.lobby.selectedDifficulty || 'normal',
+      newRide,
+      riding: !newRide && !!rm && !rm.finished && rm.startTime > 0,
+      elapsedMs: rm ? Math.round(rm.getElapsedMs()) : 0,
+    });
+  }
+
+  _onSpectateInfo(info) {
+    const level = LEVELS.find(l => l.id === info.levelId);
+    if (!level) return;
+    this.lobby.selectedLevel = level;
+    this.lobby.selectedDifficulty = info.difficulty;
+    if (info.newRide) {
+      // The countdown event that follows rebuilds the track
+      this._spectatorNewRide = true;
+    } else if (info.riding && !this.raceManager) {
+      // Joined mid-ride: build the track and wind the race clock forward
+      applyDifficulty(info.difficulty);
+      this._setupRace(level);
+      this.raceManager.start();
+      this.raceManager.startTime = performance.now() - info.elapsedMs;
+      this.state = 'playing';
+      this._setSpectatorStatus('');
+    }
+  }
+
+  _onSpectatorEvent(eventType) {
+    if (eventType === EVT_COUNTDOWN) {
+      this._startSpectatorCountdown();
+    } else if (eventType === EVT_START) {
+      if (!this.raceManager) this._setupRace(this.lobby.selectedLevel);
+      this._onRemoteStart();
+    } else if (eventType === EVT_RESET) {
+      const flash = document.getElementById('timeout-flash');
+      if (flash) flash.classList.remove('visible');
+      if (this.raceManager) this.raceManager.resetSegmentTimer(this.bike.distanceTraveled);
+    } else if (eventType === EVT_CHECKPOINT) {
+      this._showCheckpointFlash();
+    } else if (eventType === EVT_FINISH) {
+      const rm = this.raceManager;
+      this.state = 'spectating';
+      this._setSpectatorStatus(rm && rm.endless
+        ? 'RUN OVER! ' + Math.round(this.bike.distanceTraveled) + ' m'
+        : 'FINISHED! \u23F1 ' + (rm ? rm.getElapsedFormatted() : ''));
+      if (rm) rm.finishTime = performance.now();
+    } else if (eventType === EVT_RETURN_ROOM) {
+      this._clearRace();
+      this.hud.hideProgress();
+      this.remoteBikeState = new RemoteBikeState();
+      this.bike.fullReset();
+      this.chaseCamera.initialized = false;
+      this.state = 'spectating';
+      this._setSpectatorStatus('Riders are back in the room...');
+    }
+    // EVT_GAMEOVER needs nothing — the fallen flag in the state stream shows the crash
+  }
+
+  _startSpectatorCountdown() {
+    const level = this.lobby.selectedLevel;
+    // A checkpoint restart keeps the track; a new ride (or a late join) builds it
+    if (this._spectatorNewRide || !this.raceManager) {
+      this._spectatorNewRide = false;
+      applyDifficulty(this.lobby.selectedDifficulty || 'normal');
+      this._setupRace(level);
+      this.remoteBikeState = new RemoteBikeState();
+    }
+    this.state = 'countdown';
+    this.countdownTimer = 3.0;
+    this._lastCountNum = 3;
+    this._setSpectatorStatus('');
+
+    const flavorIcon = document.getElementById('countdown-flavor-icon');
+    const flavorText = document.getElementById('countdown-flavor-text');
+    const flavorNum = document.getElementById('countdown-flavor-num');
+    if (flavorIcon) flavorIcon.textContent = level.icon;
+    if (flavorText) flavorText.textContent = level.description;
+    if (flavorNum) {
+      flavorNum.textContent = '3';
+      flavorNum.className = 'tick-3 pop';
+    }
+
+    try {
+      if (!this.audioCtx) {
+        this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      }
+    } catch (e) {}
+    this._musicBtn.style.display = 'block';
+    this._updateMusicBtnIcon();
+    this._setMusicTrack(level.music || DEFAULT_MUSIC);
+    if (this.lobby.musicActive) {
+      this._musicEl.play().catch(() => {});
+    }
+    this._playBeep(400, 0.15);
+  }
+
+  _updateSpectator(dt) {
+    if (this.state === 'countdown') this._updateCountdown(dt);
+    if (document.getElementById('disconnect-overlay').style.display !== 'none') this._pollOverlayGamepad();
+
+    const state = this.remoteBikeState && this.remoteBikeState.getInterpolated();
+    if (state) this.bike.applyRemoteState(state);
+
+    this.grassParticles.update(this.bike, dt);
+    this.world.update(this.bike.position, this.bike.roadD, dt);
+    this.chaseCamera.update(this.bike, dt, this.world.roadPath);
+
+    // Race progress — display-only, same as the stoker
+    const racing = this.raceManager && this.state === 'playing';
+    if (racing) {
+      if (!this._reconnecting && this.raceManager.segmentTimeRemaining > 0) {
+        this.raceManager.segmentTimeRemaining -= dt;
+      }
+      this.raceManager.updateProgressOnly(this.bike.distanceTraveled);
+      this.hud.updateProgress(this.bike.distanceTraveled, this.raceManager.raceDistance, this.raceManager.passedCheckpoints);
+      this.hud.updateTimer(this.raceManager.segmentTimeRemaining, this.raceManager.segmentTimeTotal);
+      this._updateEndless();
+    }
+
+    if (this.collectibleManager) {
+      this.collectibleManager.update(dt, this.bike.distanceTraveled, this.bike.position, this.powerUps.magnetRadius);
+    }
+    if (this.obstacleManager) {
+      this.obstacleManager.update(dt, this.bike.distanceTraveled, this.bike.position);
+    }
+
+    if (this.bike.speed > 8) {
+      this.chaseCamera.shakeAmount = Math.max(
+        this.chaseCamera.shakeAmount, (this.bike.speed - 8) * 0.008);
+    }
+    if (this.bike.fallen) this.chaseCamera.shakeAmount = 0.15;
+
+    this._updateConnBadge();
+    // The HUD owns the status line only while the riders are on the road
+    if (racing) this.hud.update(this.bike, this.input, this.pedalCtrl, dt);
+    this.renderer.render(this.scene, this.camera);
+  }
+
   // ============================================================
   // BACKGROUND MOTION ADAPTATION — refines tuning during gameplay
   // ============================================================
@@ -3529,14 +4764,8 @@ class Game {
     // Return to lobby
     this.state = 'lobby';
     this.lobby.show();
-    if (this._isDemo) {
-      // Demo users go back to the first lobby screen
-      this.lobby._showStep(this.lobby.modeStep);
-    } else {
-      // Licensed users go to level/difficulty select
-      this.lobby._pendingMode = 'solo';
-      this.lobby._showStep(this.lobby.levelStep);
-    }
+    // Licensed users go to level/difficulty select; demo users stay on the first lobby screen
+    if (!this._isDemo) this.lobby.showSoloLevels();
   }
 
   // ============================================================
@@ -3553,5 +4782,11 @@ class Game {
 // ============================================================
 // BOOT
 // ============================================================
+// Levels are data (levels/*.json); extra courses can be ridden via ?level=<url>
+const bootParams = new URLSearchParams(location.search);
+await loadLevels(bootParams.getAll('level'));
 const game = new Game();
 window._game = game;
+
+// ?testRide=<levelId> — sent by the level editor (level-editor/)
+if (bootParams.has('testRide')) game.startTestRide(bootParams.get('testRide'));
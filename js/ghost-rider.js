@@ -0,0 +1,117 @@
+// ============================================================
+// GHOST RIDER — translucent BikeModel replaying a ride log
+// Steps its own BikePhysics from recorded inputs, paced by the
+// race clock so it rides alongside the live attempt.
+// ============================================================
+
+import { BikeModel } from './bike-model.js';
+import { BikePhysics, PHYSICS_DT } from './bike-physics.js';
+import { TUNE } from './config.js';
+import { RideLogReader, applyRideEvent } from './ride-log.js';
+
+const GHOST_OPACITY = 0.35;
+const MAX_CATCHUP_STEPS = 1200; // ~10s of replay per frame; any remainder runs next frame
+
+export class GhostRider {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {RoadPath} roadPath — must be built from the log's road seed
+   * @param {Uint8Array} bytes — serialized ride log
+   * @param {string} [label] — whose ghost this is
+   * @param {Weather} [weather] — the level's weather, which the ride was recorded in
+   */
+  constructor(scene, roadPath, bytes, label, weather = null) {
+    this.reader = new RideLogReader(bytes);
+    if (this.reader.roadSeed !== roadPath._seed) throw new Error('Ghost was recorded on a different road');
+    this.label = label || 'Ghost';
+    this.finishTimeMs = this.reader.finishTimeMs;
+
+    this.bike = new BikeModel(scene);
+    this.bike.physics = new BikePhysics({
+      seed: this.reader.physicsSeed,
+      roadPath,
+      tune: { ...TUNE, ...this.reader.tune },
+      position: this.bike.position,
+      weather,
+    });
+    this.bike.setGhost(GHOST_OPACITY);
+    this.restart();
+  }
+
+  restart() {
+    this.reader.rewind();
+    this.bike.resetToDistance(this.reader.startDistance);
+    this._timeMs = 0;
+    this._readNext();
+  }
+
+  _readNext() {
+    this._next = this.reader.next();
+    if (this._next) this._nextAtMs = this._timeMs + this._next.pauseMs + PHYSICS_DT * 1000;
+  }
+
+  get finished() {
+    return !this._next;
+  }
+
+  get distanceTraveled() {
+    return this.bike.distanceTraveled;
+  }
+
+  /** Replay every recorded step up to the live race clock. */
+  update(elapsedMs, dt) {
+    const physics = this.bike.physics;
+    let steps = 0;
+    while (this._next && elapsedMs >= this._nextAtMs && steps < MAX_CATCHUP_STEPS) {
+      for (const ev of this._next.events) applyRideEvent(physics, ev);
+      physics.step(this._next.input);
+      this._timeMs = this._nextAtMs;
+      this._readNext();
+      steps++;
+    }
+    this.bike.updateVisuals(dt);
+  }
+
+  destroy() {
+    this.bike.scene.remove(this.bike.group);
+  }
+}
+
+// ============================================================
+// Local personal-best ghosts (one per level + difficulty)
+// Solo rides only — a tandem log is two riders' inputs, not a
+// pace a solo rider can race. Entries saved before they carried
+// their mode may be tandem rides, so they're treated as empty.
+// ============================================================
+
+function storageKey(levelId, difficulty) {
+  return 'tandemonium_ghost_' + levelId + '_' + (difficulty || 'normal');
+}
+
+/** @returns {{timeMs:number, data:string, mode:'solo'}|null} data is a packed ride log */
+export function getLocalGhost(levelId, difficulty) {
+  try {
+    const raw = localStorage.getItem(storageKey(levelId, difficulty));
+    const ghost = raw ? JSON.parse(raw) : null;
+    return ghost && ghost.mode === 'solo' ? ghost : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Keep a packed solo ride log as the local ghost if it beats the stored one.
+ * @param {string} mode — the ride's mode; anything but 'solo' is never saved
+ * @returns {boolean} true if saved
+ */
+export function saveLocalGhost(levelId, difficulty, mode, timeMs, data) {
+  if (mode !== 'solo') return false;
+  const existing = getLocalGhost(levelId, difficulty);
+  if (existing && existing.timeMs <= timeMs) return false;
+  try {
+    localStorage.setItem(storageKey(levelId, difficulty), JSON.stringify({ timeMs, data, mode }));
+    return true;
+  } catch (e) {
+    return false; // quota exceeded
+  }
+}
@@ -1,14 +1,19 @@
 // ============================================================
 // GRASS PARTICLES — dirt/grass kick-up when off-road
+// Also the road surface's own spray: gravel puffs, mud clods
+// and puddle splashes from the rear wheel (ROAD_SURFACES).
 // ============================================================
 
 import * as THREE from 'three';
+import { ROAD_SURFACES } from './road-surfaces.js';
 
 const POOL_SIZE = 300;
 
-// Two particle types: dirt clods (short life, low arc) and grass flecks (longer, flutter)
+// Particle types: dirt clods (short life, low arc), grass flecks (longer, flutter)
+// and water droplets (high arc, fall like dirt)
 const TYPE_DIRT = 0;
 const TYPE_GRASS = 1;
+const TYPE_WATER = 2;
 
 // Earth-tone palette: [r, g, b]
 const DIRT_COLORS = [
@@ -29,6 +34,32 @@ const GRASS_COLORS = [
   [0.32, 0.42, 0.14],  // olive grass
 ];
 
+const GRAVEL_COLORS = [
+  [0.55, 0.53, 0.50],  // grey stone
+  [0.62, 0.58, 0.50],  // beige stone
+  [0.42, 0.40, 0.38],  // dark stone
+  [0.70, 0.66, 0.58],  // dust
+];
+
+const MUD_COLORS = [
+  [0.26, 0.18, 0.10],  // wet mud
+  [0.32, 0.22, 0.13],  // brown mud
+  [0.20, 0.14, 0.08],  // dark mud
+];
+
+const WATER_COLORS = [
+  [0.70, 0.78, 0.86],  // spray
+  [0.80, 0.86, 0.92],  // white spray
+  [0.50, 0.46, 0.38],  // muddy water
+];
+
+// Per surface particle kind: emission per second at full speed, and the mix
+const SURFACE_SPRAY = {
+  gravel: { rate: 120, colors: GRAVEL_COLORS, type: TYPE_DIRT, lift: 0.6, kick: 0.25 },
+  mud:    { rate: 90, colors: MUD_COLORS, type: TYPE_DIRT, lift: 1.0, kick: 0.15 },
+  splash: { rate: 220, colors: WATER_COLORS, type: TYPE_WATER, lift: 2.2, kick: 0.1 },
+};
+
 export class GrassParticles {
   constructor(scene) {
     this.scene = scene;
@@ -36,6 +67,7 @@ export class GrassParticles {
     // Ring buffer state
     this.nextIndex = 0;
     this.emitAccum = 0;
+    this.surfaceAccum = 0;
 
     // Per-particle arrays
     this.life = new Float32Array(POOL_SIZE);
@@ -78,6 +110,7 @@ export class GrassParticles {
   clear() {
     this.life.fill(0);
     this.emitAccum = 0;
+    this.surfaceAccum = 0;
     const sizes = this.geometry.attributes.size.array;
     sizes.fill(0);
     this.geometry.attributes.size.needsUpdate = true;
@@ -112,8 +145,8 @@ export class GrassParticles {
       const idx = i * 3;
       const t = this.life[i] / this.maxLife[i]; // 1→0 over lifetime
 
-      // Gravity — dirt falls faster, grass flutters
-      if (this.type[i] === TYPE_DIRT) {
+      // Gravity — dirt and water fall faster, grass flutters
+      if (this.type[i] !== TYPE_GRASS) {
         this.vy[i] -= 6.0 * dt;
         // Air drag on dirt
         this.vx[i] *= (1 - 2.0 * dt);
@@ -140,8 +173,8 @@ export class GrassParticles {
         this.vz[i] *= 0.5;
       }
 
-      // Size: dirt shrinks linearly, grass holds then fades
-      if (this.type[i] === TYPE_DIRT) {
+      // Size: dirt and water shrink linearly, grass holds then fades
+      if (this.type[i] !== TYPE_GRASS) {
         sizes[i] = this.startSize[i] * t;
       } else {
         // Grass holds size longer then shrinks in last 30%
@@ -149,6 +182,8 @@ export class GrassParticles {
       }
     }
 
+    this._emitSurfaceSpray(bike, rearOff, dt, pos, col, sizes);
+
     // Emit new particles — each wheel emits independently based on its own offset
     const anyOff = (frontOff > 0 || rearOff > 0);
     if (anyOff && speed > 0.5 && !bike.fallen) {
@@ -248,4 +283,50 @@ export class GrassParticles {
     colorAttr.needsUpdate = true;
     sizeAttr.needsUpdate = true;
   }
+
+  /** The rear wheel throws up whatever the road surface under it is made of. */
+  _emitSurfaceSpray(bike, rearOff, dt, pos, col, sizes) {
+    const surface = bike.roadPath ? ROAD_SURFACES[bike.roadPath.getSurfaceAtDistance(bike.roadD)] : null;
+    const spray = surface && surface.particles ? SURFACE_SPRAY[surface.particles] : null;
+    const speed = bike.speed;
+    if (!spray || rearOff > 0 || speed < 1 || bike.fallen) {
+      this.surfaceAccum = 0;
+      return;
+    }
+    this.surfaceAccum += spray.rate * Math.min(speed / 8, 1) * dt;
+
+    const sinH = Math.sin(bike.heading);
+    const cosH = Math.cos(bike.heading);
+    const rearX = bike.position.x - sinH * 2.0;
+    const rearY = bike.position.y + 0.05;
+    const rearZ = bike.position.z - cosH * 2.0;
+
+    while (this.surfaceAccum >= 1) {
+      this.surfaceAccum -= 1;
+      const i = this.nextIndex;
+      this.nextIndex = (this.nextIndex + 1) % POOL_SIZE;
+      const idx = i * 3;
+
+      pos[idx]     = rearX + (Math.random() - 0.5) * 0.3;
+      pos[idx + 1] = rearY;
+      pos[idx + 2] = rearZ + (Math.random() - 0.5) * 0.3;
+
+      this.type[i] = spray.type;
+      const kickSpeed = speed * spray.kick + Math.random() * 0.4;
+      const sideways = spray.type === TYPE_WATER ? 1.6 : 0.8; // splashes fan out to the sides
+      this.vx[i] = -sinH * kickSpeed + (Math.random() - 0.5) * sideways;
+      this.vy[i] = spray.lift * (0.5 + Math.random());
+      this.vz[i] = -cosH * kickSpeed + (Math.random() - 0.5) * sideways;
+
+      this.maxLife[i] = 0.3 + Math.random() * 0.3;
+      this.life[i] = this.maxLife[i];
+      this.startSize[i] = 0.015 + Math.random() * 0.025;
+
+      const c = spray.colors[Math.floor(Math.random() * spray.colors.length)];
+      col[idx]     = c[0] + (Math.random() - 0.5) * 0.05;
+      col[idx + 1] = c[1] + (Math.random() - 0.5) * 0.05;
+      col[idx + 2] = c[2] + (Math.random() - 0.5) * 0.04;
+      sizes[i] = this.startSize[i];
+    }
+  }
 }
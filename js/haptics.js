@@ -17,6 +17,7 @@ if (typeof document !== 'undefined') {
 }
 
 let _offRoadThrottleUntil = 0;
+let _surfaceThrottleUntil = 0;
 
 function _gamepadRumble(strong, weak, duration) {
   try {
@@ -65,3 +66,21 @@ export function hapticOffRoad(intensity) {
   if (canVibrate) navigator.vibrate(duration);
   _gamepadRumble(intensity * 0.3, intensity * 0.2, duration);
 }
+
+/**
+ * Rumble for the road surface under the wheels, repeated while riding it.
+ * @param {{strong:number, weak:number, buzzMs:number, gapMs:number}} pattern — ROAD_SURFACES[type].haptic
+ * @param {number} intensity — 0-1, from speed
+ */
+export function hapticSurface(pattern, intensity) {
+  const now = performance.now();
+  if (now < _surfaceThrottleUntil) return;
+  if (intensity < 0.1) return;
+
+  // Faster riding, quicker buzzes
+  const gap = Math.round(pattern.gapMs * (1.5 - intensity * 0.5));
+  _surfaceThrottleUntil = now + pattern.buzzMs + gap;
+
+  if (canVibrate) navigator.vibrate(pattern.buzzMs);
+  _gamepadRumble(pattern.strong * intensity, pattern.weak * intensity, pattern.buzzMs);
+}
@@ -3,6 +3,10 @@
 // ============================================================
 
 import { isMobile } from './config.js';
+import { POWER_UPS } from './power-ups.js';
+import { WEATHER_KINDS } from './weather.js';
+
+const CHAT_BUBBLE_S = 2.5; // how long a quick-chat bubble stays up
 
 export class HUD {
   constructor(input) {
@@ -43,6 +47,17 @@ export class HUD {
     // Touch buttons
     this.touchLeftEl = document.getElementById('touch-left');
     this.touchRightEl = document.getElementById('touch-right');
+    this.pedalBar = document.getElementById('pedal-bar');
+
+    // Quick-chat bubbles over our own gauge and the partner's
+    this.chatBubbleEls = {
+      own: document.getElementById('chat-bubble-own'),
+      partner: document.getElementById('chat-bubble-partner'),
+    };
+    this._chatBubbles = { own: null, partner: null }; // { text, shownAt } while up
+
+    // Spectators watch without controls
+    this.readOnly = false;
 
     // Progress bar
     this.progressWrap = document.getElementById('progress-bar-wrap');
@@ -56,10 +71,35 @@ export class HUD {
     this.collectibleIcon = document.getElementById('collectible-icon');
     this.collectibleCount = document.getElementById('collectible-count');
 
+    // Running power-ups: one chip per type, a ring draining as it runs out
+    this.powerUpBar = document.getElementById('powerup-bar');
+    this.powerUpEls = {};
+    for (const [type, def] of Object.entries(POWER_UPS)) {
+      const chip = document.createElement('div');
+      chip.className = 'powerup-chip';
+      chip.style.setProperty('--powerup-color', def.color);
+      chip.title = def.label;
+      const icon = document.createElement('span');
+      icon.className = 'powerup-icon';
+      icon.textContent = def.icon;
+      const time = document.createElement('span');
+      time.className = 'powerup-time';
+      chip.append(icon, time);
+      this.powerUpBar.appendChild(chip);
+      this.powerUpEls[type] = { chip, time, shown: -1 };
+    }
+
+    this.weatherChip = document.getElementById('weather-chip');
+    this._weatherShown = null;
+
     // Segment timer
     this.timerRow = document.getElementById('timer-row');
     this.timerEl = document.getElementById('segment-timer');
 
+    // Head-to-head standings
+    this.raceRankingEl = document.getElementById('race-ranking');
+    this._prevRankingKey = '';
+
     // Center countdown overlay
     this.countdownOverlay = document.getElementById('countdown-overlay');
     this.countdownNumber = document.getElementById('countdown-number');
@@ -85,7 +125,7 @@ export class HUD {
     this._checkpointEls = [];
 
     // Add checkpoint markers
-    for (let d = level.checkpointInterval; d < level.distance; d += level.checkpointInterval) {
+    for (const d of level.checkpoints) {
       const pct = (d / level.distance) * 100;
       const marker = document.createElement('div');
       marker.className = 'progress-checkpoint';
@@ -97,7 +137,16 @@ export class HUD {
   }
 
   updateProgress(distanceTraveled, raceDistance, passedCheckpoints) {
-    const pct = Math.min(100, (distanceTraveled / raceDistance) * 100);
+    // Endless runs have no finish — the bar fills toward the next checkpoint
+    // and the end cap counts the crashes left
+    const endless = this.raceManager && this.raceManager.endless;
+    const pct = endless
+      ? this.raceManager.getProgress(distanceTraveled) * 100
+      : Math.min(100, (distanceTraveled / raceDistance) * 100);
+    if (endless) {
+      const lives = '\u2764\uFE0F'.repeat(this.raceManager.livesRemaining); // ❤️
+      if (this.progressDest.textContent !== lives) this.progressDest.textContent = lives;
+    }
     this.progressFill.style.width = pct + '%';
     this.progressBike.style.left = pct + '%';
 
@@ -161,7 +210,7 @@ export class HUD {
 
   showCollectibles(level) {
     const icons = { presents: '\uD83C\uDF81', gems: '\uD83D\uDC8E' }; // 🎁 💎
-    this.collectibleIcon.textContent = icons[level.collectibles] || '\u2B50';
+    this.collectibleIcon.textContent = icons[level.collectibles.theme] || '\u2B50';
     this.collectibleCount.textContent = '0';
     this.collectibleWrap.style.display = 'flex';
   }
@@ -174,6 +223,102 @@ export class HUD {
     this.collectibleWrap.style.display = 'none';
   }
 
+  /** Show a chip per running power-up with its seconds left. @param {PowerUpEffects} effects */
+  updatePowerUps(effects) {
+    for (const type of Object.keys(this.powerUpEls)) {
+      const el = this.powerUpEls[type];
+      const remaining = effects.timers[type];
+      const secs = remaining > 0 ? Math.ceil(remaining) : 0;
+      if (secs !== el.shown) {
+        el.shown = secs;
+        el.chip.style.display = secs > 0 ? 'flex' : 'none';
+        el.time.textContent = secs;
+      }
+      if (secs > 0) el.chip.style.setProperty('--powerup-left', (remaining / POWER_UPS[type].duration * 360).toFixed(0) + 'deg');
+    }
+  }
+
+  /** Name the weather the bike is riding through (nothing under a clear sky, or off the road). */
+  updateWeather(kind) {
+    if (kind === this._weatherShown) return;
+    this._weatherShown = kind;
+    const def = kind && kind !== 'clear' ? WEATHER_KINDS[kind] : null;
+    this.weatherChip.style.display = def ? 'flex' : 'none';
+    if (def) this.weatherChip.textContent = def.icon + ' ' + def.label;
+  }
+
+  /** Head-to-head standings, leader first. @param {{name:string, own:boolean, finished:boolean}[]} rows */
+  updateRaceRanking(rows) {
+    const key = rows.map(r => r.name + (r.finished ? '+' : '')).join('|');
+    if (key === this._prevRankingKey) return;
+    this._prevRankingKey = key;
+    this.raceRankingEl.style.display = 'flex';
+    this.raceRankingEl.textContent = '';
+    rows.forEach((r, i) => {
+      const row = document.createElement('div');
+      row.textContent = (i + 1) + '. ' + r.name + (r.finished ? ' \uD83C\uDFC1' : ''); // 🏁
+      if (r.own) row.className = 'race-rank-own';
+      this.raceRankingEl.appendChild(row);
+    });
+  }
+
+  hideRaceRanking() {
+    this.raceRankingEl.style.display = 'none';
+    this._prevRankingKey = '';
+  }
+
+  /**
+   * Pop a quick-chat bubble over the partner gauge, or over our own for one we sent.
+   * @param {string} text
+   * @param {boolean} own
+   */
+  showChat(text, own) {
+    const side = own ? 'own' : 'partner';
+    const el = this.chatBubbleEls[side];
+    this._chatBubbles[side] = { text, shownAt: performance.now() };
+    el.textContent = text;
+    // Restart the pop-in animation for back-to-back callouts
+    el.classList.remove('visible');
+    void el.offsetWidth;
+    el.classList.add('visible');
+  }
+
+  /** Bubbles still up, for the clip recorder. @returns {{text:string, own:boolean, progress:number}[]} */
+  chatBubbles() {
+    const now = performance.now();
+    const up = [];
+    for (const side of ['own', 'partner']) {
+      const b = this._chatBubbles[side];
+      if (b) up.push({ text: b.text, own: side === 'own', progress: (now - b.shownAt) / 1000 / CHAT_BUBBLE_S });
+    }
+    return up;
+  }
+
+  clearChat() {
+    for (const side of ['own', 'partner']) {
+      this._chatBubbles[side] = null;
+      this.chatBubbleEls[side].classList.remove('visible');
+    }
+  }
+
+  _expireChat() {
+    const now = performance.now();
+    for (const side of ['own', 'partner']) {
+      const b = this._chatBubbles[side];
+      if (b && now - b.shownAt > CHAT_BUBBLE_S * 1000) {
+        this._chatBubbles[side] = null;
+        this.chatBubbleEls[side].classList.remove('visible');
+      }
+    }
+  }
+
+  /** Hide the rider's own controls and gauges (spectator view). */
+  setReadOnly(on) {
+    this.readOnly = on;
+    if (this.pedalBar) this.pedalBar.style.display = on ? 'none' : '';
+    if (this.phoneGauge) this.phoneGauge.style.display = on ? 'none' : '';
+  }
+
   update(bike, input, pedalCtrl, dt, remoteData) {
     const kmh = Math.round(bike.speed * 3.6);
     const maxKmh = 58;
@@ -212,7 +357,7 @@ export class HUD {
     const braking = leftHeld && rightHeld;
 
     // Touch button feedback (supports both solo and multiplayer pedal controllers)
-    if (this.touchLeftEl && this.touchRightEl) {
+    if (this.touchLeftEl && this.touchRightEl && !this.readOnly) {
       let lClass = 'pedal-touch';
       let rClass = 'pedal-touch';
 
@@ -295,9 +440,9 @@ export class HUD {
     if (bike.fallen) {
       statusText = 'CRASHED! Resetting...';
       statusColor = '#ff4444';
-    } else if (bike.speed < 0.3 && bike.distanceTraveled > 0.5) {
+    } else if (bike.speed < 0.3 && bike.distanceTraveled > 0.5 && !this.readOnly) {
       statusText = isMobile ? 'Tap pedals to ride!' :
-        (input.gamepadConnected ? 'Pedal! Alternate LB/RB or LT/RT' : 'Pedal! Alternate \u2190 \u2192');
+        (input.gamepadConnected ? 'Pedal! Alternate LB/RB or LT/RT' : 'Pedal! Alternate ' + (input.pedalKeys || '\u2190 \u2192'));
       statusColor = '#ffdd44';
     }
     if (statusText !== this._prevStatusText) {
@@ -359,5 +504,7 @@ export class HUD {
         this.crashOverlay.style.background = 'rgba(255, 0, 0, ' + alpha + ')';
       }
     }
+
+    this._expireChat();
   }
 }
@@ -10,6 +10,12 @@ const SONY_PRODUCT_IDS = [0x0ce6, 0x0df2, 0x05c4, 0x09cc];
 const GYRO_SCALE = 2000.0 / 32768.0; // raw → degrees/sec
 const GYRO_CALIB_COUNT = 150;         // ~1.5s at 100Hz
 
+// Couch co-op keyboard halves, by player slot (0 = captain, 1 = stoker)
+const PLAYER_KEYS = [
+  { up: 'KeyQ', down: 'KeyE', left: 'KeyA', right: 'KeyD', label: 'Q E' },
+  { up: 'KeyU', down: 'KeyO', left: 'KeyJ', right: 'KeyL', label: 'U O' },
+];
+
 export class InputManager {
   constructor() {
     this.keys = {};
@@ -50,6 +56,9 @@ export class InputManager {
     this.suppressGamepadBadge = false;
     this.suppressGamepadLean = false;
 
+    // Couch co-op: one PlayerInput per player while the device is shared
+    this.players = [];
+
     // WebHID gyro state
     this.gyroDevice = null;
     this.gyroConnected = false;
@@ -418,6 +427,11 @@ export class InputManager {
   }
 
   pollGamepad() {
+    if (this.players.length > 0) {
+      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      for (const player of this.players) player.poll(pads);
+    }
+
     // Polling fallback: detect gamepads even without events
     if (this.gamepadIndex === null) {
       const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
@@ -469,6 +483,17 @@ export class InputManager {
     return !!this.keys[code];
   }
 
+  /**
+   * Split the keyboard and gamepads between players for couch co-op.
+   * @param {number} count — 2 for a shared tandem; 0 ends the split
+   * @returns {PlayerInput[]} one view per player, front seat first
+   */
+  splitPlayers(count) {
+    this.players = [];
+    for (let slot = 0; slot < count; slot++) this.players.push(new PlayerInput(this, slot));
+    return this.players;
+  }
+
   /** Clear buffered tap flags — call once per frame after all input reading. */
   consumeTaps() {
     this._leftTapped = false;
@@ -664,3 +689,73 @@ export class InputManager {
     return this.motionEnabled ? this.motionLean : 0;
   }
 }
+
+/**
+ * One couch co-op player's share of the device: a keyboard half and the
+ * slot'th connected gamepad. Answers the calls BalanceController and the HUD
+ * make on InputManager — pedals read as ArrowLeft/ArrowRight and lean as
+ * KeyA/KeyD, whichever keys the player actually holds.
+ */
+export class PlayerInput {
+  constructor(manager, slot) {
+    this.manager = manager;
+    this.slot = slot;
+    this.keyMap = PLAYER_KEYS[slot];
+    this.pedalKeys = this.keyMap.label;
+    this.gamepadIndex = null;
+    this.gamepadConnected = false;
+    this.gamepadLean = 0;
+    this._gpLeftPressed = false;
+    this._gpRightPressed = false;
+
+    // Nobody tilts a shared screen
+    this.motionEnabled = false;
+    this.motionRawRelative = 0;
+    this.gyroConnected = false;
+    this.suppressGamepadLean = false;
+  }
+
+  /** Pads go to players in the order the browser lists them. */
+  poll(pads) {
+    let gp = null;
+    let seen = 0;
+    for (let i = 0; i < pads.length; i++) {
+      if (pads[i] && seen++ === this.slot) { gp = pads[i]; break; }
+    }
+    this.gamepadIndex = gp ? gp.index : null;
+    this.gamepadConnected = !!gp;
+    if (!gp) {
+      this.gamepadLean = 0;
+      this._gpLeftPressed = false;
+      this._gpRightPressed = false;
+      return;
+    }
+
+    // Same mapping as InputManager.pollGamepad: left stick X, LB/RB or LT/RT
+    const rawX = gp.axes[0] || 0;
+    this.gamepadLean = Math.abs(rawX) < 0.08 ? 0 : rawX;
+    const THRESHOLD = 0.5;
+    const held = (i) => !!(gp.buttons[i] && gp.buttons[i].pressed);
+    const value = (i) => (gp.buttons[i] ? gp.buttons[i].value : 0);
+    this._gpLeftPressed = held(4) || value(6) >= THRESHOLD;
+    this._gpRightPressed = held(5) || value(7) >= THRESHOLD;
+  }
+
+  getGamepadLean() {
+    return this.gamepadLean;
+  }
+
+  getMotionLean() {
+    return 0;
+  }
+
+  isPressed(code) {
+    const keys = this.manager.keys;
+    const map = this.keyMap;
+    if (code === 'ArrowLeft') return !!keys[map.up] || this._gpLeftPressed;
+    if (code === 'ArrowRight') return !!keys[map.down] || this._gpRightPressed;
+    if (code === 'KeyA') return !!keys[map.left];
+    if (code === 'KeyD') return !!keys[map.right];
+    return false;
+  }
+}
@@ -0,0 +1,679 @@
+// ============================================================
+// LEVEL LOADER — JSON level format: validation + normalization
+// Headless: the game, the leaderboard worker and scripts/ all
+// read levels through parseLevel() so they agree on the course.
+// ============================================================
+
+import { ROAD_DEFAULTS, ROAD_HALF_WIDTH, MIN_LOOP_LENGTH, controlPointCount } from './road-path.js';
+import { POWER_UP_TYPES } from './power-ups.js';
+import { WEATHER_KIND_NAMES, WEATHER_DEFAULTS } from './weather.js';
+import { ROAD_SURFACE_NAMES } from './road-surfaces.js';
+
+export const LEVEL_FORMAT = 1;
+export const COLLECTIBLE_THEMES = ['presents', 'gems'];
+
+// Limits a level may ask of RoadPath — beyond these the loop gets unrideable
+export const ROAD_LIMITS = {
+  loopLength: [MIN_LOOP_LENGTH, 10000],
+  maxCurvature: [0, 0.08],
+  minElevation: [-10, 0],
+  maxElevation: [0, 20],
+};
+
+// "Your Home" billboard just ahead of the start line
+const DEFAULT_START = {
+  type: 'billboard',
+  video: 'assets/your_house_chromakey.mp4',
+  mask: null,
+  trimStart: 0.00, trimEnd: 6.04,
+  threshold: 0.070, smoothness: 0.085,
+  distance: 15, lateralOffset: -4,
+};
+
+const DEFAULT_HOUSE = { type: 'house', lateralOffset: 6, wallColor: 0x8888cc, roofColor: 0xddaa22 };
+
+const LEVEL_KEYS = [
+  'format', 'id', 'name', 'icon', 'description', 'distance', 'road', 'checkpoints',
+  'collectibles', 'powerUps', 'obstacles', 'weather', 'start', 'destination', 'music', 'timeBudget', 'unlock',
+  'isTutorial', 'coaching', 'treeCollision', 'motionAdaptation', 'endless',
+];
+const SCATTER_KEYS = ['seed', 'start', 'spacing', 'jitter', 'spread', 'endMargin'];
+const WEATHER_KEYS = ['seed', 'kinds', 'every', 'blend'];
+const BILLBOARD_KEYS = ['type', 'video', 'mask', 'trimStart', 'trimEnd', 'threshold', 'smoothness', 'distance', 'lateralOffset'];
+const HOUSE_KEYS = ['type', 'lateralOffset', 'wallColor', 'roofColor'];
+
+// Endless runs: checkpoints every checkpointEvery meters, each segment's
+// budget shrinking by budgetShrink, obstacles tightening from spacing to
+// peakSpacing and physics hardening by physicsRamp over rampDistance
+export const ENDLESS_DEFAULTS = {
+  checkpointEvery: 250,
+  budgetShrink: 0.94,
+  maxCrashes: 3,
+  rampDistance: 5000,
+  physicsRamp: 0.25,
+  obstacles: { seed: 198013, start: 80, spacing: 90, peakSpacing: 30, jitter: 25, spread: 3 },
+  collectibles: { seed: 99007, start: 30, spacing: 40, jitter: 20, spread: 4 },
+};
+const ENDLESS_KEYS = ['checkpointEvery', 'budgetShrink', 'maxCrashes', 'rampDistance', 'physicsRamp', 'obstacles', 'collectibles'];
+
+// ============================================================
+// Field readers — each records a readable message and returns
+// a usable fallback so one pass reports every problem at once
+// ============================================================
+
+function show(v) {
+  return v === undefined ? 'missing' : 'got ' + JSON.stringify(v);
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function checkKeys(errors, obj, allowed, path) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) errors.push(`${path}${key} is not a known field`);
+  }
+}
+
+function readNumber(errors, obj, key, path, { min = -Infinity, max = Infinity, fallback } = {}) {
+  const v = obj[key];
+  if (v === undefined && fallback !== undefined) return fallback;
+  if (typeof v !== 'number' || !Number.isFinite(v)) {
+    errors.push(`${path}${key} must be a number (${show(v)})`);
+    return fallback !== undefined ? fallback : 0;
+  }
+  if (v < min || v > max) {
+    const range = max === Infinity ? `at least ${min}` : min === -Infinity ? `at most ${max}` : `between ${min} and ${max}`;
+    errors.push(`${path}${key} must be ${range} (got ${v})`);
+  }
+  return v;
+}
+
+function readString(errors, obj, key, path, { fallback, oneOf } = {}) {
+  const v = obj[key];
+  if (v === undefined && fallback !== undefined) return fallback;
+  if (typeof v !== 'string' || v === '') {
+    errors.push(`${path}${key} must be a non-empty string (${show(v)})`);
+    return fallback !== undefined ? fallback : '';
+  }
+  if (oneOf && !oneOf.includes(v)) {
+    errors.push(`${path}${key} must be one of ${oneOf.map(o => '"' + o + '"').join(', ')} (got "${v}")`);
+  }
+  return v;
+}
+
+function readBool(errors, obj, key, path, fallback) {
+  const v = obj[key];
+  if (v === undefined) return fallback;
+  if (typeof v !== 'boolean') {
+    errors.push(`${path}${key} must be true or false (${show(v)})`);
+    return fallback;
+  }
+  return v;
+}
+
+function readColor(errors, obj, key, path, fallback) {
+  const v = obj[key];
+  if (v === undefined) return fallback;
+  if (typeof v !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(v)) {
+    errors.push(`${path}${key} must be a "#rrggbb" color (${show(v)})`);
+    return fallback;
+  }
+  return parseInt(v.slice(1), 16);
+}
+
+// ============================================================
+// Sections
+// ============================================================
+
+function readRoad(errors, raw) {
+  if (raw === undefined) return { ...ROAD_DEFAULTS };
+  if (!isObject(raw)) {
+    errors.push('road must be an object');
+    return { ...ROAD_DEFAULTS };
+  }
+  checkKeys(errors, raw, [...Object.keys(ROAD_DEFAULTS), 'open', 'controlPoints', 'surfaces'], 'road.');
+  const road = {
+    seed: readNumber(errors, raw, 'seed', 'road.', { min: 1, max: 233279, fallback: ROAD_DEFAULTS.seed }),
+  };
+  if (!Number.isInteger(road.seed)) errors.push(`road.seed must be a whole number (got ${road.seed})`);
+  for (const key of Object.keys(ROAD_LIMITS)) {
+    const [min, max] = ROAD_LIMITS[key];
+    road[key] = readNumber(errors, raw, key, 'road.', { min, max, fallback: ROAD_DEFAULTS[key] });
+  }
+  if (readBool(errors, raw, 'open', 'road.', false)) road.open = true;
+  if (raw.controlPoints !== undefined) road.controlPoints = readControlPoints(errors, raw.controlPoints, road);
+  if (raw.surfaces !== undefined) road.surfaces = readSurfaces(errors, raw.surfaces, road);
+  return road;
+}
+
+// Surface ranges in road distance, in order and not overlapping. A loop's
+// ranges must fit inside it — they repeat every lap.
+function readSurfaces(errors, raw, road) {
+  if (!Array.isArray(raw)) {
+    errors.push('road.surfaces must be a list of {"from", "to", "type"}');
+    return [];
+  }
+  const end = road.open ? Infinity : road.loopLength;
+  let prev = 0;
+  return raw.map((s, i) => {
+    const p = `road.surfaces[${i}].`;
+    if (!isObject(s)) {
+      errors.push(`road.surfaces[${i}] must be an object`);
+      return { from: 0, to: 0, type: 'dirt' };
+    }
+    checkKeys(errors, s, ['from', 'to', 'type'], p);
+    const surface = {
+      from: readNumber(errors, s, 'from', p, { min: 0, max: end }),
+      to: readNumber(errors, s, 'to', p, { min: 0, max: end }),
+      type: readString(errors, s, 'type', p, { oneOf: ROAD_SURFACE_NAMES }),
+    };
+    if (surface.to <= surface.from) {
+      errors.push(`${p}to must be after from (got ${surface.from} to ${surface.to})`);
+    } else if (surface.from < prev) {
+      errors.push(`${p}from must not overlap the range before it, which ends at ${prev} (got ${surface.from})`);
+    } else {
+      prev = surface.to;
+    }
+    return surface;
+  });
+}
+
+// Hand-shaped road: one {curvature, elevation} per SEGMENT_LENGTH, within the road's own limits.
+// An open road has no loop to fill — the seed takes over after the last point.
+function readControlPoints(errors, raw, road) {
+  const max = road.open ? Infinity : controlPointCount(road.loopLength);
+  if (!Array.isArray(raw)) {
+    errors.push('road.controlPoints must be a list of {"curvature", "elevation"}');
+    return [];
+  }
+  if (raw.length > max) errors.push(`road.controlPoints has ${raw.length} points but a ${road.loopLength} m loop uses at most ${max}`);
+  return raw.slice(0, max).map((cp, i) => {
+    const p = `road.controlPoints[${i}].`;
+    if (!isObject(cp)) {
+      errors.push(`road.controlPoints[${i}] must be an object`);
+      return { curvature: 0, elevation: 0 };
+    }
+    checkKeys(errors, cp, ['curvature', 'elevation'], p);
+    return {
+      curvature: readNumber(errors, cp, 'curvature', p, { min: -road.maxCurvature, max: road.maxCurvature, fallback: 0 }),
+      elevation: readNumber(errors, cp, 'elevation', p, { min: road.minElevation, max: road.maxElevation, fallback: 0 }),
+    };
+  });
+}
+
+function readCheckpoints(errors, raw, distance) {
+  if (raw === undefined) return [];
+  if (isObject(raw)) {
+    checkKeys(errors, raw, ['every'], 'checkpoints.');
+    const every = readNumber(errors, raw, 'every', 'checkpoints.', { min: 10 });
+    const list = [];
+    if (every >= 10) {
+      for (let d = every; d < distance; d += every) list.push(d);
+    }
+    return list;
+  }
+  if (!Array.isArray(raw)) {
+    errors.push('checkpoints must be a list of distances or {"every": meters}');
+    return [];
+  }
+  let prev = 0;
+  raw.forEach((d, i) => {
+    if (typeof d !== 'number' || !Number.isFinite(d)) {
+      errors.push(`checkpoints[${i}] must be a number (${show(d)})`);
+    } else if (d <= prev || d >= distance) {
+      errors.push(`checkpoints[${i}] must be after ${prev} and before the finish at ${distance} (got ${d})`);
+    } else {
+      prev = d;
+    }
+  });
+  return raw.slice();
+}
+
+// Same LCG as the rest of the game so scattered layouts are stable
+function scatter(s, distance) {
+  let state = s.seed;
+  const rng = () => {
+    state = (state * 9301 + 49297) % 233280;
+    return state / 233280;
+  };
+  const items = [];
+  for (let d = s.start; d < distance - s.endMargin; d += s.spacing + rng() * s.jitter) {
+    items.push({ d, offset: (rng() - 0.5) * s.spread });
+  }
+  return items;
+}
+
+/**
+ * Layout is either explicit {items:[{d, offset}]} or procedural {scatter:{...}}.
+ * With itemTypes, explicit items may also name one of them as "type".
+ */
+function readLayout(errors, raw, path, distance, extraKeys, itemTypes = null) {
+  checkKeys(errors, raw, ['items', 'scatter', ...extraKeys], path);
+  if (raw.items !== undefined && raw.scatter !== undefined) {
+    errors.push(`${path} needs "items" or "scatter", not both`);
+  }
+  if (raw.scatter !== undefined) {
+    const s = raw.scatter;
+    const sp = path + 'scatter.';
+    if (!isObject(s)) {
+      errors.push(`${path}scatter must be an object`);
+      return [];
+    }
+    checkKeys(errors, s, SCATTER_KEYS, sp);
+    const params = {
+      seed: readNumber(errors, s, 'seed', sp, { min: 1, max: 233279 }),
+      start: readNumber(errors, s, 'start', sp, { min: 0 }),
+      spacing: readNumber(errors, s, 'spacing', sp, { min: 5 }),
+      jitter: readNumber(errors, s, 'jitter', sp, { min: 0, fallback: 0 }),
+      spread: readNumber(errors, s, 'spread', sp, { min: 0, max: ROAD_HALF_WIDTH * 2, fallback: 0 }),
+      endMargin: readNumber(errors, s, 'endMargin', sp, { min: 0, fallback: 0 }),
+    };
+    return params.spacing >= 5 ? scatter(params, distance) : [];
+  }
+  if (raw.items === undefined) return [];
+  if (!Array.isArray(raw.items)) {
+    errors.push(`${path}items must be a list of {"d", "offset"}`);
+    return [];
+  }
+  const items = [];
+  raw.items.forEach((item, i) => {
+    const ip = `${path}items[${i}].`;
+    if (!isObject(item)) {
+      errors.push(`${path}items[${i}] must be an object`);
+      return;
+    }
+    checkKeys(errors, item, itemTypes ? ['d', 'offset', 'type'] : ['d', 'offset'], ip);
+    const parsed = {
+      d: readNumber(errors, item, 'd', ip, { min: 0, max: distance }),
+      offset: readNumber(errors, item, 'offset', ip, { min: -ROAD_HALF_WIDTH, max: ROAD_HALF_WIDTH, fallback: 0 }),
+    };
+    if (itemTypes && item.type !== undefined) parsed.type = readString(errors, item, 'type', ip, { oneOf: itemTypes });
+    items.push(parsed);
+  });
+  return items.sort((a, b) => a.d - b.d);
+}
+
+function readCollectibles(errors, raw, distance) {
+  if (raw === undefined) return { theme: 'presents', items: [] };
+  if (!isObject(raw)) {
+    errors.push('collectibles must be an object');
+    return { theme: 'presents', items: [] };
+  }
+  return {
+    theme: readString(errors, raw, 'theme', 'collectibles.', { fallback: 'presents', oneOf: COLLECTIBLE_THEMES }),
+    items: readLayout(errors, raw, 'collectibles.', distance, ['theme']),
+  };
+}
+
+// Power-ups are laid out like collectibles; items without a "type" take
+// turns through "types" (every kind when the level doesn't narrow it)
+function readPowerUps(errors, raw, distance) {
+  if (raw === undefined || raw === null) return { types: [], items: [] };
+  if (!isObject(raw)) {
+    errors.push('powerUps must be an object or null');
+    return { types: [], items: [] };
+  }
+  let types = POWER_UP_TYPES.slice();
+  if (raw.types !== undefined) {
+    if (!Array.isArray(raw.types) || raw.types.length === 0 || raw.types.some(t => !POWER_UP_TYPES.includes(t))) {
+      errors.push(`powerUps.types must be a list drawn from ${POWER_UP_TYPES.map(t => '"' + t + '"').join(', ')} (${show(raw.types)})`);
+    } else {
+      types = [...new Set(raw.types)];
+    }
+  }
+  const items = readLayout(errors, raw, 'powerUps.', distance, ['types'], POWER_UP_TYPES);
+  let next = 0;
+  for (const item of items) {
+    if (!item.type) item.type = types[next++ % types.length];
+  }
+  return { types, items };
+}
+
+// Weather is seeded by the level, so every rider on it — and the
+// leaderboard's verifier — gets the same rain in the same places
+function readWeather(errors, raw) {
+  if (raw === undefined || raw === null) return null;
+  if (!isObject(raw)) {
+    errors.push('weather must be an object or null');
+    return null;
+  }
+  checkKeys(errors, raw, WEATHER_KEYS, 'weather.');
+  const p = 'weather.';
+  let kinds = WEATHER_KIND_NAMES.slice();
+  if (raw.kinds !== undefined) {
+    if (!Array.isArray(raw.kinds) || raw.kinds.length === 0 || raw.kinds.some(k => !WEATHER_KIND_NAMES.includes(k))) {
+      errors.push(`weather.kinds must be a list drawn from ${WEATHER_KIND_NAMES.map(k => '"' + k + '"').join(', ')} (${show(raw.kinds)})`);
+    } else {
+      kinds = raw.kinds.slice(); // repeats are kept: ["clear", "clear", "rain"] rains a third of the time
+    }
+  }
+  const weather = {
+    seed: readNumber(errors, raw, 'seed', p, { min: 1, max: 233279 }),
+    kinds,
+    every: readNumber(errors, raw, 'every', p, { min: 50, max: 5000, fallback: WEATHER_DEFAULTS.every }),
+    blend: readNumber(errors, raw, 'blend', p, { min: 0, fallback: WEATHER_DEFAULTS.blend }),
+  };
+  if (weather.blend > weather.every / 2) errors.push(`weather.blend must be at most half of weather.every (got ${weather.blend})`);
+  if (!Number.isInteger(weather.seed)) errors.push(`weather.seed must be a whole number (got ${weather.seed})`);
+  return weather;
+}
+
+function readObstacles(errors, raw, distance) {
+  if (raw === undefined || raw === null) return { items: [] };
+  if (!isObject(raw)) {
+    errors.push('obstacles must be an object or null');
+    return { items: [] };
+  }
+  return { items: readLayout(errors, raw, 'obstacles.', distance, []) };
+}
+
+function readBillboard(errors, raw, path, withDistance) {
+  checkKeys(errors, raw, withDistance ? BILLBOARD_KEYS : BILLBOARD_KEYS.filter(k => k !== 'distance'), path);
+  const b = {
+    type: 'billboard',
+    video: readString(errors, raw, 'video', path),
+    mask: raw.mask === undefined || raw.mask === null ? null : readString(errors, raw, 'mask', path),
+    trimStart: readNumber(errors, raw, 'trimStart', path, { min: 0, fallback: 0 }),
+    trimEnd: readNumber(errors, raw, 'trimEnd', path, { min: 0 }),
+    threshold: readNumber(errors, raw, 'threshold', path, { min: -1, max: 1, fallback: 0.07 }),
+    smoothness: readNumber(errors, raw, 'smoothness', path, { min: 0, max: 1, fallback: 0.085 }),
+    lateralOffset: readNumber(errors, raw, 'lateralOffset', path, { min: -30, max: 30 }),
+  };
+  if (b.trimEnd <= b.trimStart) errors.push(`${path}trimEnd must be after trimStart`);
+  if (withDistance) b.distance = readNumber(errors, raw, 'distance', path, { min: 0, fallback: 15 });
+  return b;
+}
+
+function readStart(errors, raw) {
+  if (raw === undefined) return { ...DEFAULT_START };
+  if (raw === null) return null;
+  if (!isObject(raw)) {
+    errors.push('start must be a billboard object or null');
+    return null;
+  }
+  readString(errors, raw, 'type', 'start.', { oneOf: ['billboard'] });
+  return readBillboard(errors, raw, 'start.', true);
+}
+
+function readDestination(errors, raw) {
+  if (raw === undefined) return { ...DEFAULT_HOUSE };
+  if (!isObject(raw)) {
+    errors.push('destination must be an object');
+    return { ...DEFAULT_HOUSE };
+  }
+  const type = readString(errors, raw, 'type', 'destination.', { oneOf: ['house', 'billboard'] });
+  if (type === 'billboard') return readBillboard(errors, raw, 'destination.', false);
+  checkKeys(errors, raw, HOUSE_KEYS, 'destination.');
+  return {
+    type: 'house',
+    lateralOffset: readNumber(errors, raw, 'lateralOffset', 'destination.', { min: -30, max: 30, fallback: DEFAULT_HOUSE.lateralOffset }),
+    wallColor: readColor(errors, raw, 'wallColor', 'destination.', DEFAULT_HOUSE.wallColor),
+    roofColor: readColor(errors, raw, 'roofColor', 'destination.', DEFAULT_HOUSE.roofColor),
+  };
+}
+
+function readTimeBudget(errors, raw, segmentCount) {
+  const budget = { enabled: true, secondsPer250m: 60, minSeconds: 10, segments: null };
+  if (raw === undefined) return budget;
+  if (!isObject(raw)) {
+    errors.push('timeBudget must be an object');
+    return budget;
+  }
+  const p = 'timeBudget.';
+  checkKeys(errors, raw, ['enabled', 'secondsPer250m', 'minSeconds', 'segments'], p);
+  budget.enabled = readBool(errors, raw, 'enabled', p, true);
+  budget.secondsPer250m = readNumber(errors, raw, 'secondsPer250m', p, { min: 1, fallback: budget.secondsPer250m });
+  budget.minSeconds = readNumber(errors, raw, 'minSeconds', p, { min: 1, fallback: budget.minSeconds });
+  if (raw.segments !== undefined) {
+    const segs = raw.segments;
+    if (!Array.isArray(segs) || segs.some(s => typeof s !== 'number' || !(s > 0))) {
+      errors.push(`${p}segments must be a list of positive seconds`);
+    } else if (segs.length !== segmentCount) {
+      errors.push(`${p}segments needs one entry per checkpoint plus the finish (${segmentCount}, got ${segs.length})`);
+    } else {
+      budget.segments = segs.slice();
+    }
+  }
+  return budget;
+}
+
+function readEndlessLayout(errors, raw, path, defaults) {
+  if (raw === undefined) return { ...defaults };
+  if (!isObject(raw)) {
+    errors.push(`${path.slice(0, -1)} must be an object`);
+    return { ...defaults };
+  }
+  checkKeys(errors, raw, Object.keys(defaults), path);
+  const layout = {
+    seed: readNumber(errors, raw, 'seed', path, { min: 1, max: 233279, fallback: defaults.seed }),
+    start: readNumber(errors, raw, 'start', path, { min: 0, fallback: defaults.start }),
+    spacing: readNumber(errors, raw, 'spacing', path, { min: 5, fallback: defaults.spacing }),
+    jitter: readNumber(errors, raw, 'jitter', path, { min: 0, fallback: defaults.jitter }),
+    spread: readNumber(errors, raw, 'spread', path, { min: 0, max: ROAD_HALF_WIDTH * 2, fallback: defaults.spread }),
+  };
+  if (defaults.peakSpacing !== undefined) {
+    layout.peakSpacing = readNumber(errors, raw, 'peakSpacing', path, { min: 5, max: layout.spacing, fallback: Math.min(defaults.peakSpacing, layout.spacing) });
+  }
+  return layout;
+}
+
+function readEndless(errors, raw) {
+  if (!isObject(raw)) {
+    errors.push('endless must be an object');
+    raw = {};
+  }
+  const p = 'endless.';
+  const d = ENDLESS_DEFAULTS;
+  checkKeys(errors, raw, ENDLESS_KEYS, p);
+  const endless = {
+    checkpointEvery: readNumber(errors, raw, 'checkpointEvery', p, { min: 50, fallback: d.checkpointEvery }),
+    budgetShrink: readNumber(errors, raw, 'budgetShrink', p, { min: 0.5, max: 1, fallback: d.budgetShrink }),
+    maxCrashes: readNumber(errors, raw, 'maxCrashes', p, { min: 1, max: 20, fallback: d.maxCrashes }),
+    rampDistance: readNumber(errors, raw, 'rampDistance', p, { min: 100, fallback: d.rampDistance }),
+    physicsRamp: readNumber(errors, raw, 'physicsRamp', p, { min: 0, max: 0.5, fallback: d.physicsRamp }),
+    obstacles: readEndlessLayout(errors, raw.obstacles, 'endless.obstacles.', d.obstacles),
+    collectibles: readEndlessLayout(errors, raw.collectibles, 'endless.collectibles.', d.collectibles),
+  };
+  if (!Number.isInteger(endless.maxCrashes)) errors.push(`endless.maxCrashes must be a whole number (got ${endless.maxCrashes})`);
+  return endless;
+}
+
+// An endless run has no finish — everything distance-based is laid out as it goes
+function checkEndless(errors, json, road) {
+  if (!road.open) errors.push('endless levels need an open road ("road": {"open": true})');
+  if (json.distance !== undefined) errors.push('distance is not used by endless levels (the run ends on time or crashes)');
+  if (json.checkpoints !== undefined) errors.push('checkpoints are not used by endless levels (see endless.checkpointEvery)');
+  if (isObject(json.collectibles) && (json.collectibles.items !== undefined || json.collectibles.scatter !== undefined)) {
+    errors.push('collectibles.items/scatter are not used by endless levels (see endless.collectibles)');
+  }
+  if (json.obstacles !== undefined && json.obstacles !== null) {
+    errors.push('obstacles are not used by endless levels (see endless.obstacles)');
+  }
+  if (json.powerUps !== undefined && json.powerUps !== null) {
+    errors.push('powerUps are not placed on endless levels');
+  }
+  if (isObject(json.timeBudget) && json.timeBudget.segments !== undefined) {
+    errors.push('timeBudget.segments is not used by endless levels (see endless.budgetShrink)');
+  }
+}
+
+function readUnlock(errors, raw) {
+  if (raw === undefined || raw === null) return null;
+  if (!isObject(raw)) {
+    errors.push('unlock must be an object or null');
+    return null;
+  }
+  checkKeys(errors, raw, ['achievement', 'hint'], 'unlock.');
+  return {
+    achievement: readString(errors, raw, 'achievement', 'unlock.'),
+    hint: readString(errors, raw, 'hint', 'unlock.', { fallback: 'Locked' }),
+  };
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Validate a level definition and expand it into the shape the game uses.
+ * Throws one Error listing every problem found.
+ * @param {object|string} json — parsed level JSON (or its text)
+ * @param {string} [source] — file name / URL for error messages
+ */
+export function parseLevel(json, source = 'level') {
+  if (typeof json === 'string') {
+    try {
+      json = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`${source} is not valid JSON: ${e.message}`);
+    }
+  }
+  if (!isObject(json)) throw new Error(`${source} must contain a JSON object`);
+
+  const errors = [];
+  checkKeys(errors, json, LEVEL_KEYS, '');
+
+  const format = readNumber(errors, json, 'format', '', { fallback: LEVEL_FORMAT });
+  if (format !== LEVEL_FORMAT) errors.push(`format ${format} is not supported (expected ${LEVEL_FORMAT})`);
+
+  const id = readString(errors, json, 'id', '');
+  if (id && !/^[a-z0-9_-]+$/.test(id)) errors.push(`id may only use a-z, 0-9, "_" and "-" (got "${id}")`);
+
+  const road = readRoad(errors, json.road);
+  const endless = json.endless === undefined ? null : readEndless(errors, json.endless);
+  if (endless) checkEndless(errors, json, road);
+
+  const distance = endless ? Infinity : readNumber(errors, json, 'distance', '', { min: 50, max: 100000 });
+  const checkpoints = endless ? [] : readCheckpoints(errors, json.checkpoints, distance);
+  const music = json.music === undefined || json.music === null ? null : readString(errors, json, 'music', '');
+
+  const level = {
+    id,
+    name: readString(errors, json, 'name', ''),
+    icon: readString(errors, json, 'icon', '', { fallback: '\uD83D\uDEB4' }), // 🚴
+    description: readString(errors, json, 'description', '', { fallback: '' }),
+    distance,
+    checkpoints,
+    road,
+    collectibles: readCollectibles(errors, json.collectibles, distance),
+    powerUps: endless ? { types: [], items: [] } : readPowerUps(errors, json.powerUps, distance),
+    obstacles: endless ? { items: [] } : readObstacles(errors, json.obstacles, distance),
+    weather: readWeather(errors, json.weather),
+    start: readStart(errors, json.start),
+    destination: readDestination(errors, json.destination),
+    music,
+    timeBudget: readTimeBudget(errors, json.timeBudget, checkpoints.length + 1),
+    unlock: readUnlock(errors, json.unlock),
+    isTutorial: readBool(errors, json, 'isTutorial', '', false),
+    coaching: isObject(json.coaching) ? { ...json.coaching } : null,
+    treeCollision: readBool(errors, json, 'treeCollision', '', true),
+    motionAdaptation: readBool(errors, json, 'motionAdaptation', '', true),
+    endless,
+    source,
+    builtin: false,
+  };
+
+  if (errors.length) {
+    throw new Error(`${source} is not a valid level:\n  - ` + errors.join('\n  - '));
+  }
+  return level;
+}
+
+function hexColor(n) {
+  return '#' + n.toString(16).padStart(6, '0');
+}
+
+/**
+ * Inverse of parseLevel(): a level object back to its JSON form, with
+ * layouts written out as explicit items (what the level editor exports).
+ */
+export function serializeLevel(level) {
+  const json = {
+    format: LEVEL_FORMAT,
+    id: level.id,
+    name: level.name,
+    icon: level.icon,
+    description: level.description,
+    distance: level.distance,
+    road: { ...level.road },
+    checkpoints: level.checkpoints.slice(),
+    collectibles: {
+      theme: level.collectibles.theme,
+      items: level.collectibles.items.map(({ d, offset }) => ({ d, offset })),
+    },
+    obstacles: level.obstacles.items.length
+      ? { items: level.obstacles.items.map(({ d, offset }) => ({ d, offset })) }
+      : null,
+    start: level.start ? { ...level.start } : null,
+    destination: level.destination.type === 'house'
+      ? { ...level.destination, wallColor: hexColor(level.destination.wallColor), roofColor: hexColor(level.destination.roofColor) }
+      : { ...level.destination },
+    timeBudget: { ...level.timeBudget },
+  };
+  if (level.endless) {
+    delete json.distance;
+    delete json.checkpoints;
+    delete json.obstacles;
+    json.collectibles = { theme: level.collectibles.theme };
+    json.endless = {
+      ...level.endless,
+      obstacles: { ...level.endless.obstacles },
+      collectibles: { ...level.endless.collectibles },
+    };
+  }
+  if (level.powerUps.items.length) {
+    json.powerUps = {
+      types: level.powerUps.types.slice(),
+      items: level.powerUps.items.map(({ d, offset, type }) => ({ d, offset, type })),
+    };
+  }
+  if (level.weather) json.weather = { ...level.weather, kinds: level.weather.kinds.slice() };
+  if (level.road.controlPoints) json.road.controlPoints = level.road.controlPoints.map(cp => ({ ...cp }));
+  if (level.road.surfaces) json.road.surfaces = level.road.surfaces.map(s => ({ ...s }));
+  if (!json.timeBudget.segments) delete json.timeBudget.segments;
+  if (level.music) json.music = level.music;
+  if (level.unlock) json.unlock = { ...level.unlock };
+  if (level.isTutorial) json.isTutorial = true;
+  if (level.coaching) json.coaching = { ...level.coaching };
+  if (!level.treeCollision) json.treeCollision = false;
+  if (!level.motionAdaptation) json.motionAdaptation = false;
+  return json;
+}
+
+async function fetchJson(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (e) {
+    throw new Error(`${url} could not be loaded: ${e.message}`);
+  }
+  if (!res.ok) throw new Error(`${url} could not be loaded (HTTP ${res.status})`);
+  const text = await res.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${url} is not valid JSON: ${e.message}`);
+  }
+}
+
+/** Fetch + validate a single level file. */
+export async function loadLevel(url) {
+  const href = String(url);
+  const name = href.startsWith('data:') ? 'inline level' : (href.split('/').pop().split('?')[0] || href);
+  const level = parseLevel(await fetchJson(href), name);
+  level.source = href;
+  return level;
+}
+
+/**
+ * Read a level manifest ({"levels": ["a.json", ...]}).
+ * @returns {Promise<string[]>} level URLs resolved against the manifest
+ */
+export async function loadLevelManifest(url) {
+  const manifest = await fetchJson(String(url));
+  if (!isObject(manifest) || !Array.isArray(manifest.levels)) {
+    throw new Error(`${url} must list level files as {"levels": [...]}`);
+  }
+  return manifest.levels.map(file => new URL(file, url).href);
+}
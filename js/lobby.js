@@ -5,6 +5,10 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { NetworkManager } from './network-manager.js';
+import { BroadcastTransport } from './transports.js';
+import { NetSim, parseNetSim } from './net-sim.js';
+import { RaceLink, raceRoomCode } from './race-link.js';
+import { MatchmakingClient } from './matchmaking.js';
 import { RELAY_URL, BIKE_MODEL_PATH, TUNE, applySteeringFeel, snapshotTuningBase } from './config.js';
 import { LEVELS } from './race-config.js';
 import { AuthManager } from './auth.js';
@@ -20,6 +24,33 @@ function withTimeout(promise, ms = PERMISSION_TIMEOUT_MS) {
   ]);
 }
 
+// ?transport=local keeps rooms inside this browser (BroadcastChannel between
+// tabs) — no relay, signaling server or STUN needed
+const LOCAL_ROOMS = new URLSearchParams(window.location.search).get('transport') === 'local';
+
+// ?netsim=latency:150,loss:0.05 (or a preset like ?netsim=3g) impairs every
+// room's traffic; window.netsim.set({...}) changes it mid-ride
+const NET_SIM = new NetSim(parseNetSim(new URLSearchParams(window.location.search).get('netsim')));
+window.netsim = NET_SIM;
+
+function createNetworkManager() {
+  const net = LOCAL_ROOMS
+    ? new NetworkManager({
+      createRoomTransport: (roomCode, role) => new BroadcastTransport(roomCode, role),
+      netSim: NET_SIM,
+    })
+    : new NetworkManager({ netSim: NET_SIM });
+  net._fallbackUrl = RELAY_URL;
+  return net;
+}
+
+// How long Find a Partner waits before offering a bot stoker instead
+const MATCH_TIMEOUT_MS = 60 * 1000;
+const MATCH_DIFFICULTIES = ['any', 'chill', 'normal', 'daredevil'];
+
+// Room seat names on the selfie PiP
+const ROLE_LABELS = { captain: 'CAPTAIN', stoker: 'STOKER', stoker2: 'STOKER 2' };
+
 const BIKE_NAMES = {
   default: "Grandma's Classic",
   bike_orange: 'Marmalade Express',
@@ -73,26 +104,37 @@ const HOLIDAY_BIKES = {
 };
 
 export class Lobby {
-  constructor({ onSolo, onMultiplayerReady, input }) {
+  constructor({ onSolo, onCouch, onBotRide, onMultiplayerReady, onSpectate, input }) {
     this.onSolo = onSolo;
+    this.onCouch = onCouch;
+    this.onBotRide = onBotRide; // matchmaking timed out: ride as captain with a bot stoker
     this.onMultiplayerReady = onMultiplayerReady;
+    this.onSpectate = onSpectate;
     this.input = input; // InputManager — needed for iOS motion permission
     this.net = null;
+    this.race = null; // RaceLink while our room races other teams (captain only)
+    this._matchmaking = null; // MatchmakingClient while we wait for a random partner
+    this._matchTimer = null;
+    this._matchLevel = 'any'; // level id or 'any'
+    this._matchDifficulty = 'any';
     this.selectedLevel = LEVELS.find(l => !l.isTutorial) || LEVELS[0]; // default to first non-tutorial level
     this._forceWizard = false;
     this.selectedPresetKey = 'default';
     this.selectedDifficulty = 'normal'; // 'chill' | 'normal' | 'daredevil'
-    this._pendingMode = null; // 'solo' or 'multiplayer', set during level selection
+    this.selectedGhost = null; // { levelId, data, label } — leaderboard ghost to race next
+    this._pendingMode = null; // 'solo', 'couch' or 'multiplayer', set during level selection
 
     this.lobbyEl = document.getElementById('lobby');
     this.modeStep = document.getElementById('lobby-mode');
     this.levelStep = document.getElementById('lobby-level');
     this.roleStep = document.getElementById('lobby-role');
+    this.matchStep = document.getElementById('lobby-match');
     this.hostStep = document.getElementById('lobby-host');
     this.joinStep = document.getElementById('lobby-join');
     this.roomStep = document.getElementById('lobby-room');
     this.roomLevelsStep = document.getElementById('lobby-room-levels');
-    this._roomRole = null; // 'captain' | 'stoker'
+    this._roomRole = null; // 'captain' | 'stoker' | 'stoker2'
+    this._joinSeat = 'stoker'; // what the join step joins as: 'stoker' | 'stoker2' | 'spectator'
 
     // Permission toggle buttons
     this.toggleAll = document.getElementById('toggle-all');
@@ -153,7 +195,7 @@ export class Lobby {
     // Column-based navigation for mode step
     this._modeColumns = [
       [this.toggleHelp, this.toggleLeaderboard, this.toggleProfile],
-      [document.getElementById('btn-together'), document.getElementById('btn-solo')],
+      [document.getElementById('btn-together'), document.getElementById('btn-solo'), document.getElementById('btn-couch')],
       [this.toggleAll, this.toggleCamera, this.toggleAudio],
       [this.toggleJoystick, this.toggleMotion, this.toggleMusic],
     ];
@@ -169,10 +211,22 @@ export class Lobby {
     const roleItems = [
       document.getElementById('btn-captain'),
       document.getElementById('btn-stoker'),
+      document.getElementById('btn-stoker2'),
+      document.getElementById('btn-find-partner'),
+      document.getElementById('btn-spectator'),
       document.getElementById('btn-back-mode'),
     ];
     this._stepItems.set(this.roleStep, roleItems);
     this._stepCenterItems.set(this.roleStep, roleItems);
+    const matchItems = [
+      document.getElementById('btn-match-level'),
+      document.getElementById('btn-match-difficulty'),
+      ...this.matchStep.querySelectorAll('[data-match-role]'),
+      document.getElementById('btn-match-cancel'),
+      document.getElementById('btn-back-role-match'),
+    ];
+    this._stepItems.set(this.matchStep, matchItems);
+    this._stepCenterItems.set(this.matchStep, matchItems);
     const hostItems = [
       document.getElementById('btn-back-role-host'),
     ];
@@ -187,6 +241,7 @@ export class Lobby {
     this._stepCenterItems.set(this.joinStep, joinItems);
     this._stepBack.set(this.modeStep, null);
     this._stepBack.set(this.roleStep, document.getElementById('btn-back-mode'));
+    this._stepBack.set(this.matchStep, document.getElementById('btn-back-role-match'));
     this._stepBack.set(this.hostStep, document.getElementById('btn-back-role-host'));
     this._stepBack.set(this.joinStep, document.getElementById('btn-back-role-join'));
 
@@ -406,7 +461,7 @@ export class Lobby {
       const backHint = document.getElementById('gamepad-back-hint');
       if (backHint) { backHint.style.display = ''; backHint.style.visibility = ''; }
     }
-    [this.modeStep, this.levelStep, this.roleStep, this.hostStep, this.joinStep, this.roomStep, this.roomLevelsStep]
+    [this.modeStep, this.levelStep, this.roleStep, this.matchStep, this.hostStep, this.joinStep, this.roomStep, this.roomLevelsStep]
       .forEach(s => s.style.display = 'none');
     step.style.display = 'flex';
     this._clearFocusHighlight();
@@ -458,6 +513,19 @@ export class Lobby {
     this._updateCardHeader(step);
   }
 
+  /** Leave the lobby for a solo ride on `level` (the level editor's test ride). */
+  startSolo(level) {
+    this.selectedLevel = level;
+    this._pendingMode = 'solo';
+    this._hideLobby();
+  }
+
+  /** Back from a solo ride: straight to the level and difficulty step. */
+  showSoloLevels() {
+    this._pendingMode = 'solo';
+    this._showStep(this.levelStep);
+  }
+
   _hideLobby() {
     this.lobbyEl.style.display = 'none';
     this._stopGamepadNav();
@@ -496,6 +564,21 @@ export class Lobby {
       this._showStep(this.roleStep);
     });
 
+    // COUCH CO-OP → two players on this device; full game only, like captaining
+    document.getElementById('btn-couch').addEventListener('click', async () => {
+      if (!this.license.isLicensed) {
+        try {
+          const url = await this.license.startCheckout('tandemonium-web-early');
+          window.location.href = url;
+        } catch (e) {
+          console.error('Checkout error', e);
+        }
+        return;
+      }
+      this._pendingMode = 'couch';
+      this._showStep(this.levelStep);
+    });
+
     // Level selection: build cards and handle clicks
     this._buildLevelCards();
     this._setupDifficultySelector();
@@ -551,23 +634,40 @@ export class Lobby {
       this._createRoom();
     });
 
-    // STOKER (JOIN A RIDE)
-    document.getElementById('btn-stoker').addEventListener('click', () => {
-      this._showStep(this.joinStep);
-      if (this.input && this.input.gamepadConnected) {
-        this._showSpinners(true);
-      } else {
-        this._showSpinners(false);
-        document.getElementById('room-code-input').focus();
-      }
+    // STOKER (JOIN A RIDE), the triplet's third rider and SPECTATOR (WATCH A RIDE) share the room code step
+    document.getElementById('btn-stoker').addEventListener('click', () => this._showJoinStep('stoker'));
+    document.getElementById('btn-stoker2').addEventListener('click', () => this._showJoinStep('stoker2'));
+    document.getElementById('btn-spectator').addEventListener('click', () => this._showJoinStep('spectator'));
+
+    // FIND A PARTNER — queue for a random partner by seat, level and difficulty
+    document.getElementById('btn-find-partner').addEventListener('click', () => this._showMatchStep());
+    document.getElementById('btn-match-level').addEventListener('click', () => this._cycleMatchLevel());
+    document.getElementById('btn-match-difficulty').addEventListener('click', () => {
+      const i = MATCH_DIFFICULTIES.indexOf(this._matchDifficulty);
+      this._matchDifficulty = MATCH_DIFFICULTIES[(i + 1) % MATCH_DIFFICULTIES.length];
+      this._updateMatchButtons();
+    });
+    this.matchStep.querySelectorAll('[data-match-role]').forEach(btn => {
+      btn.addEventListener('click', () => this._startMatchmaking(btn.dataset.matchRole));
+    });
+    document.getElementById('btn-match-cancel').addEventListener('click', () => {
+      this._cancelMatchmaking();
+      this._setMatchStatus('');
+    });
+    document.getElementById('btn-back-role-match').addEventListener('click', () => {
+      this._cancelMatchmaking();
+      this._clearStaleRoomTimer();
+      this._clearRoom();
+      if (this.net) { this.net.destroy(); this.net = null; }
+      this._showStep(this.roleStep);
     });
 
-    // JOIN button
+    // JOIN / WATCH button
     document.getElementById('btn-join').addEventListener('click', () => {
       const raw = document.getElementById('room-code-input').value.trim().toUpperCase();
       if (raw.length >= 4) {
         const code = raw.startsWith('TNDM-') ? raw : 'TNDM-' + raw;
-        this._joinRoom(code);
+        this._enterJoinedRoom(code);
       }
     });
 
@@ -591,6 +691,11 @@ export class Lobby {
     // Levels step: START RIDE button (captain only)
     document.getElementById('btn-start-ride').addEventListener('click', () => {
       if (this._roomRole !== 'captain') return;
+      // In a head-to-head race the host team starts everyone
+      if (this.race && !this.race.isHost) return;
+      if (this.race) {
+        this.race.sendProfile({ type: 'raceStart', levelId: this.selectedLevel.id, difficulty: this.selectedDifficulty });
+      }
       // Send start ride to partner
       if (this.net && this.net.connected) {
         this.net.sendProfile({ type: 'startRide' });
@@ -598,13 +703,22 @@ export class Lobby {
       this._transitionToGame();
     });
 
+    // Levels step: HEAD-TO-HEAD joins or leaves a race room with other teams (captain only)
+    document.getElementById('btn-race').addEventListener('click', () => {
+      if (this._roomRole !== 'captain') return;
+      if (this.race) this.leaveRace();
+      else this._joinRace();
+    });
+
     // Levels step: Back button → return to Room
     document.getElementById('btn-back-room-levels').addEventListener('click', () => {
+      this.leaveRace();
       this._showStep(this.roomStep);
     });
 
     document.getElementById('btn-back-room').addEventListener('click', () => {
       // Leave room — destroy connection, return to role step
+      this.leaveRace();
       if (this.net) { this.net.destroy(); this.net = null; }
       this._removePipLobbyMode();
       // Stop selfie video
@@ -693,14 +807,12 @@ export class Lobby {
     const buttons = [];
     const isDemo = !this.license.isLicensed;
 
-    // Level unlock requirements: achievement ID needed to unlock each level
-    const LEVEL_UNLOCK = { castle: 'home_sweet' }; // Castle requires finishing Grandma's House
-
     // Check if motion/gyro player needs to complete tutorial first
     const needsTuning = this._needsMotionTuning();
 
     LEVELS.filter(l => !l.isTutorial).forEach(level => {
-      const requiredAch = LEVEL_UNLOCK[level.id];
+      // Level unlock requirement: achievement needed to ride it (from the level file)
+      const requiredAch = level.unlock && level.unlock.achievement;
       const achievementLocked = requiredAch && !this._achievements.getEarnedIds().includes(requiredAch);
       const tutorialLocked = needsTuning; // all levels locked until tutorial done
       const locked = achievementLocked || tutorialLocked || isDemo;
@@ -714,7 +826,7 @@ export class Lobby {
           ? 'Get the full game to unlock'
           : tutorialLocked && !achievementLocked
           ? 'Complete Learn to Ride to unlock'
-          : 'Complete Grandma\'s House to unlock';
+          : level.unlock.hint;
         card.innerHTML =
           '<div class="level-card-top">' +
             '<span class="level-card-icon">&#x1F512;</span>' +
@@ -735,6 +847,9 @@ export class Lobby {
           if (this._pendingMode === 'solo') {
             this._hideLobby();
             this.onSolo();
+          } else if (this._pendingMode === 'couch') {
+            this._hideLobby();
+            this.onCouch();
           } else {
             this._showStep(this.roleStep);
           }
@@ -967,13 +1082,22 @@ export class Lobby {
    * Update mode buttons based on auth + license state.
    *   anonymous  → SOLO DEMO only
    *   free       → RIDE TOGETHER (join only) + SOLO DEMO
-   *   licensed   → RIDE TOGETHER + SOLO RIDE
+   *   licensed   → RIDE TOGETHER + SOLO RIDE + COUCH CO-OP
    */
   _updateModeButtons() {
     const btnSolo = document.getElementById('btn-solo');
     const btnTogether = document.getElementById('btn-together');
+    const btnCouch = document.getElementById('btn-couch');
     const access = this.license.accessLevel;
 
+    if (this.license.isLicensed) {
+      btnCouch.classList.remove('role-locked');
+      btnCouch.innerHTML = 'COUCH CO-OP<br><span class="lobby-role-desc">Two players &middot; one screen</span>';
+    } else {
+      btnCouch.classList.add('role-locked');
+      btnCouch.innerHTML = '&#x1F512; COUCH CO-OP<br><span class="lobby-role-desc">Get the full game to ride two to a screen &middot; $5.99</span>';
+    }
+
     if (access === 'licensed') {
       btnSolo.textContent = 'SOLO RIDE';
       btnTogether.classList.remove('role-locked');
@@ -1010,10 +1134,32 @@ export class Lobby {
     }
   }
 
+  _showJoinStep(seat) {
+    this._joinSeat = seat;
+    document.getElementById('btn-join').textContent = seat === 'spectator' ? 'WATCH' : 'JOIN';
+    this._showStep(this.joinStep);
+    if (this.input && this.input.gamepadConnected) {
+      this._showSpinners(true);
+    } else {
+      this._showSpinners(false);
+      document.getElementById('room-code-input').focus();
+    }
+  }
+
+  _enterJoinedRoom(code) {
+    if (this._joinSeat === 'spectator') {
+      this._watchRoom(code);
+    } else {
+      this._joinRoom(code, this._joinSeat);
+    }
+  }
+
   /**
    * Update role buttons: lock START A RIDE for unlicensed users.
    */
   _updateRoleButtons() {
+    // Matchmaking needs the relay — local rooms have no queue
+    document.getElementById('btn-find-partner').style.display = LOCAL_ROOMS ? 'none' : '';
     const btnCaptain = document.getElementById('btn-captain');
     if (!this.license.isLicensed) {
       btnCaptain.classList.add('role-locked');
@@ -1647,7 +1793,8 @@ export class Lobby {
       return;
     }
     document.getElementById('leaderboard-video').style.display = '';
-    LEVELS.forEach(level => {
+    // Only built-in levels are ranked — ?level= courses have no leaderboard
+    LEVELS.filter(l => l.builtin).forEach(level => {
       const btn = document.createElement('button');
       btn.className = 'lb-tab' + (level.id === this._lbSubLevel ? ' active' : '');
       btn.textContent = level.icon + ' ' + level.name;
@@ -1665,7 +1812,7 @@ export class Lobby {
 
   async _openLeaderboard() {
     const modal = document.getElementById('leaderboard-modal');
-    this._lbSubLevel = this.selectedLevel ? this.selectedLevel.id : 'grandma';
+    this._lbSubLevel = this.selectedLevel && this.selectedLevel.builtin ? this.selectedLevel.id : 'grandma';
 
     // Reset main tabs active state
     const mainTabs = document.getElementById('lb-main-tabs');
@@ -1759,15 +1906,16 @@ export class Lobby {
         }
 
         await this._cacheAvatarUrls(entries.map(e => e.avatar_url));
-        list.innerHTML = this._renderEntries(entries, level, myId);
+        list.innerHTML = this._renderEntries(entries, level, myId, true);
+        this._bindGhostButton(list, levelId, mode);
       } catch (e) {
         list.innerHTML = '<div class="lb-no-data">Could not load leaderboard</div>';
       }
     }
   }
 
-  _renderEntries(entries, level, myId) {
-    const collectibleEmoji = level.collectibles === 'gems' ? '\uD83D\uDC8E' : '\uD83C\uDF81';
+  _renderEntries(entries, level, myId, allowGhost) {
+    const collectibleEmoji = level.collectibles.theme === 'gems' ? '\uD83D\uDC8E' : '\uD83C\uDF81';
 
     return entries.map((e, i) => {
       const isYou = myId && e.user_id === myId;
@@ -1799,18 +1947,58 @@ export class Lobby {
         ? '<span class="lb-date">' + this._relativeDate(e.created_at) + '</span>'
         : '';
 
+      // Only the #1 ride offers its ghost (endless runs have no ghosts)
+      let ghostHtml = '';
+      if (allowGhost && !level.endless && i === 0 && e.has_ghost) {
+        const picked = this.selectedGhost && this.selectedGhost.scoreId === e.id;
+        ghostHtml = '<button class="lb-ghost-btn' + (picked ? ' active' : '') +
+          '" title="Race this ghost">\uD83D\uDC7B</button>';
+      }
+
       return '<div class="lb-entry' + youClass + '">' +
         '<span class="lb-rank">' + (i + 1) + '</span>' +
         avatar +
         '<span class="lb-name">' + this._escapeHtml((e.display_name || 'Player').split(' ')[0]) + youTag + '</span>' +
         modeHtml +
         collectHtml +
-        '<span class="lb-time">' + this._formatTime(e.time_ms) + '</span>' +
+        '<span class="lb-time">' + (level.endless ? this._formatDistance(e.distance) : this._formatTime(e.time_ms)) + '</span>' +
         dateHtml +
+        ghostHtml +
       '</div>';
     }).join('');
   }
 
+  /** Download the #1 ride's ghost so the next solo start races it. */
+  _bindGhostButton(list, levelId, mode) {
+    const btn = list.querySelector('.lb-ghost-btn');
+    if (!btn) return;
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (btn.classList.contains('active')) {
+        this.selectedGhost = null;
+        btn.classList.remove('active');
+        return;
+      }
+      btn.disabled = true;
+      try {
+        const data = await this.auth.getLeaderboard(levelId, null, 1, { mode, ghost: 'top' });
+        const top = data.entries && data.entries[0];
+        if (top && top.ghost) {
+          this.selectedGhost = {
+            levelId,
+            scoreId: top.id,
+            data: top.ghost,
+            label: (top.display_name || 'Player').split(' ')[0],
+          };
+          btn.classList.add('active');
+        }
+      } catch (err) {
+        console.warn('Ghost download failed:', err.message);
+      }
+      btn.disabled = false;
+    });
+  }
+
   _renderPartners(partners) {
     return partners.map(p => {
       const avatarSrc = p.avatar_url ? (this._avatarCache.get(p.avatar_url) || p.avatar_url) : '';
@@ -1885,6 +2073,12 @@ export class Lobby {
     return min + ':' + String(sec).padStart(2, '0') + '.' + frac;
   }
 
+  // Endless runs rank by distance
+  _formatDistance(m) {
+    if (!m) return '--';
+    return m >= 1000 ? (m / 1000).toFixed(2) + ' km' : m + ' m';
+  }
+
   _relativeDate(isoStr) {
     if (!isoStr) return '';
     const diff = Date.now() - new Date(isoStr).getTime();
@@ -1904,15 +2098,14 @@ export class Lobby {
   _startLeaderboardVideo(levelId) {
     this._stopLeaderboardVideo();
 
-    const videoConfigs = {
-      grandma: {
-        src: 'assets/grandma_house_chromakey.mp4',
-        maskSrc: 'assets/grandma_house_chromakey_mask.png',
-        trimStart: 0.00, trimEnd: 5.50,
-        threshold: -0.02, smoothness: 0.110
-      }
-    };
-    const cfg = videoConfigs[levelId];
+    // Levels whose destination is a video billboard show it here too
+    const level = LEVELS.find(l => l.id === levelId);
+    const dest = level && level.destination;
+    const cfg = dest && dest.type === 'billboard' ? {
+      src: dest.video, maskSrc: dest.mask,
+      trimStart: dest.trimStart, trimEnd: dest.trimEnd,
+      threshold: dest.threshold, smoothness: dest.smoothness
+    } : null;
     const canvas = document.getElementById('leaderboard-video');
     if (!cfg) {
       canvas.style.display = 'none';
@@ -2178,8 +2371,7 @@ export class Lobby {
   }
 
   async _createRoom() {
-    this.net = new NetworkManager();
-    this.net._fallbackUrl = RELAY_URL;
+    this.net = createNetworkManager();
     this.net.cameraEnabled = this.cameraActive;
     this.net.audioEnabled = this.audioActive;
     const statusEl = document.getElementById('host-status');
@@ -2256,9 +2448,9 @@ export class Lobby {
     };
 
     // Auth error: token was rejected by relay — clear and re-login
-    this.net.onAuthError = () => {
+    this.net.onAuthError = (reason) => {
       console.warn('LOBBY: Relay auth failed for captain — refreshing login');
-      statusEl.textContent = 'Session expired, signing in...';
+      statusEl.textContent = (reason || 'Session expired') + ' — signing in...';
       statusEl.className = 'conn-status';
       this.auth.refreshLogin();
       this._pendingCreateRoom = true;
@@ -2267,9 +2459,8 @@ export class Lobby {
     this.net.enterRoom(code, 'captain');
   }
 
-  async _joinRoom(code) {
-    this.net = new NetworkManager();
-    this.net._fallbackUrl = RELAY_URL;
+  async _joinRoom(code, seat = 'stoker') {
+    this.net = createNetworkManager();
     this.net.cameraEnabled = this.cameraActive;
     this.net.audioEnabled = this.audioActive;
     const statusEl = document.getElementById('join-status');
@@ -2278,13 +2469,13 @@ export class Lobby {
     statusEl.className = 'conn-status';
 
     // Fetch relay auth token if logged in (optional — relay allows unauthenticated)
-    const relayToken = await this.auth.getRelayToken(code, 'stoker');
+    const relayToken = await this.auth.getRelayToken(code, seat);
     if (relayToken) this.net._relayToken = relayToken;
 
     this.net.onRoomJoined = () => {
       statusEl.textContent = 'Waiting for captain...';
       // Save room to localStorage for rejoin after refresh
-      this._saveRoom(code, 'stoker');
+      this._saveRoom(code, seat);
     };
 
     this.net.onConnected = () => {
@@ -2292,7 +2483,7 @@ export class Lobby {
       statusEl.textContent = 'Connected!';
       statusEl.className = 'conn-status connected';
       setTimeout(() => {
-        this._showRoomStep('stoker');
+        this._showRoomStep(seat);
       }, 1000);
     };
 
@@ -2312,13 +2503,16 @@ export class Lobby {
     };
 
     // Auth error: token was rejected by relay — clear and re-login
-    this.net.onAuthError = async () => {
-      console.warn('LOBBY: Relay auth failed for stoker — attempting token refresh');
-      statusEl.textContent = 'Session expired, retrying...';
+    let retriedToken = false;
+    this.net.onAuthError = async (reason) => {
+      console.warn('LOBBY: Relay auth failed for ' + seat + ' — attempting token refresh');
+      statusEl.textContent = (reason || 'Session expired') + ' — retrying...';
       statusEl.className = 'conn-status';
 
-      // Try getting a fresh token first (in case server JWT is still valid)
-      const freshToken = await this.auth.getRelayToken(code, 'stoker');
+      // Try getting a fresh token first (in case server JWT is still valid);
+      // one that's refused too won't fare better a second time
+      const freshToken = retriedToken ? null : await this.auth.getRelayToken(code, seat);
+      retriedToken = true;
       if (freshToken) {
         statusEl.textContent = 'Reconnecting...';
         this.net.retryWithToken(freshToken);
@@ -2330,7 +2524,74 @@ export class Lobby {
       }
     };
 
-    this.net.enterRoom(code, 'stoker');
+    this.net.enterRoom(code, seat);
+  }
+
+  async _watchRoom(code) {
+    this.net = createNetworkManager();
+    const statusEl = document.getElementById('join-status');
+
+    statusEl.textContent = 'Connecting...';
+    statusEl.className = 'conn-status';
+
+    const relayToken = await this.auth.getRelayToken(code, 'spectator');
+    if (relayToken) this.net._relayToken = relayToken;
+
+    // Spectators go straight to the track and wait there for the riders
+    this.net.onRoomJoined = () => {
+      this._lastFailedCode = null;
+      statusEl.textContent = '';
+      this._hideLobby();
+      this.onSpectate(this.net);
+    };
+
+    this.net.onDisconnected = (reason) => {
+      statusEl.textContent = reason || 'Could not connect';
+      statusEl.className = 'conn-status error';
+      if (this._currentStep === this.joinStep) {
+        this._lastFailedCode = code;
+      }
+    };
+
+    this.net.onAuthError = (reason) => {
+      console.warn('LOBBY: Relay auth failed for spectator — refreshing login');
+      statusEl.textContent = (reason || 'Sign-in required') + '...';
+      statusEl.className = 'conn-status';
+      this.auth.refreshLogin();
+    };
+
+    this.net.enterRoom(code, 'spectator');
+  }
+
+  // Riders see how many people are watching the room
+  _showSpectatorCount(count) {
+    const el = document.getElementById('room-spectators');
+    if (!el) return;
+    el.style.display = count > 0 ? '' : 'none';
+    el.textContent = '\u{1F440} ' + count + ' watching';
+  }
+
+  _showRiderCount() {
+    const el = document.getElementById('room-riders');
+    if (!el) return;
+    const riders = this.net ? this.net.roomRiders.size + 1 : 0;
+    el.style.display = riders > 2 ? '' : 'none';
+    el.textContent = '\u{1F6B2} ' + riders + ' riders \u2014 triplet!';
+  }
+
+  // A third rider arrived (or left) after the room was set up: bring them
+  // up to date — the captain also resends the level and difficulty
+  _onRoomRidersChanged() {
+    this._showRiderCount();
+    if (!this.net || !this.net.connected) return;
+    this.net.sendProfile({ type: 'bikeSync', presetKey: this.selectedPresetKey });
+    this._sendRoomProfile();
+    if (this._roomRole !== 'captain') return;
+    this.net.sendProfile({ type: 'difficultySync', difficulty: this.selectedDifficulty });
+    if (this._currentStep === this.roomLevelsStep) {
+      this.net.sendProfile({ type: 'playGame' });
+      this.net.sendProfile({ type: 'levelSync', levelId: this.selectedLevel.id });
+    }
   }
 
   // ── Room Persistence (localStorage) ──────────────────────────
@@ -2362,7 +2623,7 @@ export class Lobby {
   }
 
   _showRejoinPrompt(saved) {
-    const roleName = saved.role === 'captain' ? 'Captain' : 'Stoker';
+    const roleName = saved.role === 'captain' ? 'Captain' : saved.role === 'stoker2' ? 'Third Rider' : 'Stoker';
     // Create a simple modal overlay for rejoin prompt
     const overlay = document.createElement('div');
     overlay.id = 'rejoin-overlay';
@@ -2408,8 +2669,7 @@ export class Lobby {
     if (saved.role === 'captain') {
       this._showStep(this.hostStep);
       // Re-use _createRoom logic but with saved code
-      this.net = new NetworkManager();
-      this.net._fallbackUrl = RELAY_URL;
+      this.net = createNetworkManager();
       this.net.cameraEnabled = this.cameraActive;
       this.net.audioEnabled = this.audioActive;
       const statusEl = document.getElementById('host-status');
@@ -2445,20 +2705,19 @@ export class Lobby {
     } else {
       this._showStep(this.joinStep);
       // Re-use _joinRoom logic with saved code
-      this.net = new NetworkManager();
-      this.net._fallbackUrl = RELAY_URL;
+      this.net = createNetworkManager();
       this.net.cameraEnabled = this.cameraActive;
       this.net.audioEnabled = this.audioActive;
       const statusEl = document.getElementById('join-status');
       statusEl.textContent = 'Rejoining room...';
       statusEl.className = 'conn-status';
 
-      const relayToken = await this.auth.getRelayToken(saved.roomCode, 'stoker');
+      const relayToken = await this.auth.getRelayToken(saved.roomCode, saved.role);
       if (relayToken) this.net._relayToken = relayToken;
 
       this.net.onRoomJoined = () => {
         statusEl.textContent = 'Waiting for captain...';
-        this._saveRoom(saved.roomCode, 'stoker');
+        this._saveRoom(saved.roomCode, saved.role);
         this._startStaleRoomTimer(statusEl);
       };
 
@@ -2466,7 +2725,7 @@ export class Lobby {
         this._clearStaleRoomTimer();
         statusEl.textContent = 'Connected!';
         statusEl.className = 'conn-status connected';
-        setTimeout(() => this._showRoomStep('stoker'), 1000);
+        setTimeout(() => this._showRoomStep(saved.role), 1000);
       };
 
       this.net.onDisconnected = (reason) => {
@@ -2474,7 +2733,7 @@ export class Lobby {
         statusEl.className = 'conn-status error';
       };
 
-      this.net.enterRoom(saved.roomCode, 'stoker');
+      this.net.enterRoom(saved.roomCode, saved.role);
     }
 
     return true;
@@ -2505,6 +2764,146 @@ export class Lobby {
     }
   }
 
+  // ── Matchmaking (random partner) ─────────────────────────────
+
+  _showMatchStep() {
+    this._showStep(this.matchStep);
+    this._setMatchStatus('');
+    this._setMatchSearching(false);
+  }
+
+  _cycleMatchLevel() {
+    const ids = ['any', ...LEVELS.filter(l => l.builtin && !l.isTutorial).map(l => l.id)];
+    this._matchLevel = ids[(ids.indexOf(this._matchLevel) + 1) % ids.length];
+    this._updateMatchButtons();
+  }
+
+  _updateMatchButtons() {
+    const level = LEVELS.find(l => l.id === this._matchLevel);
+    document.getElementById('btn-match-level').textContent = 'LEVEL: ' + (level ? level.name.toUpperCase() : 'ANY');
+    document.getElementById('btn-match-difficulty').textContent = 'DIFFICULTY: ' + this._matchDifficulty.toUpperCase();
+  }
+
+  // Choices and seats while idle, CANCEL while queued
+  _setMatchSearching(searching) {
+    this._updateMatchButtons();
+    document.getElementById('btn-match-level').style.display = searching ? 'none' : '';
+    document.getElementById('btn-match-difficulty').style.display = searching ? 'none' : '';
+    // Captaining is full game only, like START A RIDE
+    this.matchStep.querySelectorAll('[data-match-role]').forEach(btn => {
+      const allowed = this.license.isLicensed || btn.dataset.matchRole === 'stoker';
+      btn.style.display = !searching && allowed ? '' : 'none';
+    });
+    document.getElementById('btn-match-cancel').style.display = searching ? '' : 'none';
+    this._focusIndex = 0;
+    this._applyFocusHighlight();
+  }
+
+  _setMatchStatus(text, state = '') {
+    const statusEl = document.getElementById('match-status');
+    statusEl.textContent = text;
+    statusEl.className = 'conn-status' + (state ? ' ' + state : '');
+  }
+
+  /** @param {string} role — 'captain', 'stoker' or 'any' */
+  _startMatchmaking(role) {
+    this._cancelMatchmaking();
+    // Unlicensed riders can't captain, so 'either seat' means the back one
+    if (!this.license.isLicensed) role = 'stoker';
+    const mm = new MatchmakingClient(RELAY_URL, {
+      role,
+      level: this._matchLevel,
+      difficulty: this._matchDifficulty,
+      skill: this._achievements.getEarnedIds().length,
+    });
+    mm.onQueued = (position, waiting) => {
+      this._setMatchStatus(position === 1 && waiting === 1
+        ? 'Waiting for a partner...'
+        : 'In the queue: ' + position + ' of ' + waiting);
+    };
+    mm.onMatched = (match) => {
+      clearTimeout(this._matchTimer);
+      this._matchmaking = null;
+      this._enterMatchedRoom(match);
+    };
+    mm.onError = (reason) => {
+      this._cancelMatchmaking();
+      this._setMatchStatus(reason, 'error');
+    };
+    this._matchmaking = mm;
+    this._setMatchSearching(true);
+    this._setMatchStatus('Looking for a partner...');
+    this._matchTimer = setTimeout(() => this._onMatchTimeout(), MATCH_TIMEOUT_MS);
+    mm.open();
+  }
+
+  _cancelMatchmaking() {
+    clearTimeout(this._matchTimer);
+    this._matchTimer = null;
+    if (this._matchmaking) {
+      this._matchmaking.cancel();
+      this._matchmaking = null;
+    }
+    if (this._currentStep === this.matchStep) this._setMatchSearching(false);
+  }
+
+  // Nobody turned up in time: full-game riders captain with a bot stoker instead
+  _onMatchTimeout() {
+    this._cancelMatchmaking();
+    if (!this.license.isLicensed) {
+      this._setMatchStatus('No partner found — try again in a minute', 'error');
+      return;
+    }
+    this._setMatchStatus('No partner found — riding with a bot');
+    this._applyMatchChoices(this._matchLevel, this._matchDifficulty);
+    this._matchTimer = setTimeout(() => {
+      this._matchTimer = null;
+      this._hideLobby();
+      this.onBotRide();
+    }, 1500);
+  }
+
+  // Preselect what the pair agreed on; 'any' keeps our own choice
+  _applyMatchChoices(levelId, difficulty) {
+    const level = LEVELS.find(l => l.id === levelId);
+    if (level) this.selectedLevel = level;
+    if (MATCH_DIFFICULTIES.includes(difficulty) && difficulty !== 'any') {
+      this.selectedDifficulty = difficulty;
+      document.querySelectorAll('.difficulty-btn').forEach(b => b.classList.remove('selected'));
+      document.querySelectorAll('.difficulty-btn[data-difficulty="' + difficulty + '"]')
+        .forEach(b => b.classList.add('selected'));
+    }
+  }
+
+  /** Join the room the matchmaker made for us, in the seat it gave us. */
+  _enterMatchedRoom({ room, role, token, level, difficulty }) {
+    this._applyMatchChoices(level, difficulty);
+    this._setMatchStatus('Partner found! Connecting...');
+
+    this.net = createNetworkManager();
+    this.net.cameraEnabled = this.cameraActive;
+    this.net.audioEnabled = this.audioActive;
+    if (token) this.net._relayToken = token;
+
+    this.net.onRoomJoined = () => {
+      this._saveRoom(room, role);
+      // The partner may have left the queue just as we were matched
+      this._startStaleRoomTimer(document.getElementById('match-status'));
+    };
+
+    this.net.onConnected = () => {
+      this._clearStaleRoomTimer();
+      this._setMatchStatus('Connected!', 'connected');
+      setTimeout(() => this._showRoomStep(role), 1000);
+    };
+
+    this.net.onDisconnected = (reason) => {
+      this._setMatchStatus(reason || 'Could not connect', 'error');
+    };
+
+    this.net.enterRoom(room, role);
+  }
+
   // ── Room Step (shared multiplayer lobby) ─────────────────────
 
   _showRoomStep(role) {
@@ -2530,7 +2929,7 @@ export class Lobby {
     // Set role labels on PiP circles
     const selfieLabel = document.getElementById('selfie-pip-label');
     const partnerLabel = document.getElementById('partner-pip-label');
-    if (selfieLabel) selfieLabel.textContent = role === 'captain' ? 'CAPTAIN' : 'STOKER';
+    if (selfieLabel) selfieLabel.textContent = ROLE_LABELS[role];
     if (partnerLabel) partnerLabel.textContent = role === 'captain' ? 'STOKER' : 'CAPTAIN';
 
     // Register gamepad nav for room step
@@ -2548,6 +2947,10 @@ export class Lobby {
 
     // Register room message handler
     this.net.onProfileReceived = (profile) => this._handleRoomMessage(profile);
+    this.net.onSpectatorsChanged = (count) => this._showSpectatorCount(count);
+    this._showSpectatorCount(this.net.spectatorCount);
+    this.net.onRidersChanged = () => this._onRoomRidersChanged();
+    this._showRiderCount();
 
     // Send current bike preset to partner
     this.net.sendProfile({ type: 'bikeSync', presetKey: this.selectedPresetKey });
@@ -2569,6 +2972,7 @@ export class Lobby {
       if (waitText) { waitText.textContent = 'Partner disconnected'; waitText.style.display = ''; }
       document.getElementById('btn-play-game').style.display = 'none';
       document.getElementById('btn-start-ride').style.display = 'none';
+      this.leaveRace();
       setTimeout(() => {
         if (this.net) { this.net.destroy(); this.net = null; }
         this._removePipLobbyMode();
@@ -2592,6 +2996,10 @@ export class Lobby {
       waitText.style.display = '';
     }
 
+    // Head-to-head needs the relay — local rooms can't reach other teams
+    document.getElementById('race-controls').style.display = (role === 'captain' && !LOCAL_ROOMS) ? '' : 'none';
+    this._showRaceStatus();
+
     // Build level cards BEFORE _showStep so _stepItems is populated
     this._buildRoomLevelCards(role === 'captain');
 
@@ -2609,10 +3017,8 @@ export class Lobby {
     const container = document.getElementById('room-level-cards');
     container.innerHTML = '';
     const buttons = [];
-    const LEVEL_UNLOCK = { castle: 'home_sweet' };
-
     LEVELS.filter(l => !l.isTutorial).forEach(level => {
-      const requiredAch = LEVEL_UNLOCK[level.id];
+      const requiredAch = level.unlock && level.unlock.achievement;
       const locked = requiredAch && !this._achievements.getEarnedIds().includes(requiredAch);
 
       const card = document.createElement('button');
@@ -2625,7 +3031,7 @@ export class Lobby {
             '<span class="level-card-icon">&#x1F512;</span>' +
             '<span class="level-card-name">' + level.name + '</span>' +
           '</div>' +
-          '<div class="level-card-desc">Complete Grandma\'s House to unlock</div>';
+          '<div class="level-card-desc">' + level.unlock.hint + '</div>';
         card.disabled = true;
       } else {
         card.innerHTML =
@@ -2667,11 +3073,12 @@ export class Lobby {
     }
 
     // Register for gamepad nav on levels step
-    // Order: level cards → START RIDE → difficulty → back
+    // Order: level cards → START RIDE → difficulty → HEAD-TO-HEAD → back
     if (isClickable) {
       buttons.push(document.getElementById('btn-start-ride'));
       const diffBtns = document.querySelectorAll('#difficulty-selector .difficulty-btn');
       diffBtns.forEach(b => buttons.push(b));
+      if (!LOCAL_ROOMS) buttons.push(document.getElementById('btn-race'));
     }
     const levelsItems = isClickable
       ? [...buttons, document.getElementById('btn-back-room-levels')]
@@ -2870,6 +3277,65 @@ export class Lobby {
     }
   }
 
+  // ── Head-to-head ──────────────────────────────────────────
+
+  // An empty code hosts a race named after our room: TNDM-AB12 races as RACE-AB12
+  _joinRace() {
+    const typed = document.getElementById('race-code-input').value.trim();
+    const code = raceRoomCode(typed || this.net.roomCode.replace('TNDM-', ''));
+    const race = new RaceLink(RELAY_URL, code, this.net.roomCode);
+    race.onJoined = () => this._showRaceStatus();
+    race.onRacerJoined = () => this._showRaceStatus();
+    race.onRacerLeft = () => this._showRaceStatus();
+    race.onFrame = (slot, msg) => this._handleRaceFrame(msg);
+    race.onClose = (reason) => {
+      this.race = null;
+      this._showRaceStatus(reason);
+    };
+    this.race = race;
+    race.open();
+    this._showRaceStatus();
+  }
+
+  /** Leave the race room, if we're in one. */
+  leaveRace() {
+    if (!this.race) return;
+    this.race.leave();
+    this.race = null;
+    this._showRaceStatus();
+  }
+
+  _showRaceStatus(error) {
+    const status = document.getElementById('race-status');
+    document.getElementById('btn-race').textContent = this.race ? 'LEAVE RACE' : 'HEAD-TO-HEAD';
+    document.getElementById('race-code-input').disabled = !!this.race;
+    if (!this.race) {
+      status.textContent = error || '';
+    } else if (this.race.slot < 0) {
+      status.textContent = 'Joining ' + this.race.code + '...';
+    } else {
+      const teams = this.race.teamCount;
+      status.textContent = this.race.code + ' \u2014 ' + teams + (teams === 1 ? ' team' : ' teams') +
+        (this.race.isHost ? ' \u2014 you start the race' : ' \u2014 the host team starts the race');
+    }
+  }
+
+  // The host team chose the level and started — bring our stokers along
+  _handleRaceFrame(msg) {
+    if (msg.type !== 'profile' || !msg.data || msg.data.type !== 'raceStart') return;
+    if (this.lobbyEl.style.display === 'none') return; // already riding
+    const level = LEVELS.find(l => l.id === msg.data.levelId);
+    if (!level) return;
+    this.selectedLevel = level;
+    this.selectedDifficulty = msg.data.difficulty || 'normal';
+    if (this.net && this.net.connected) {
+      this.net.sendProfile({ type: 'levelSync', levelId: level.id });
+      this.net.sendProfile({ type: 'difficultySync', difficulty: this.selectedDifficulty });
+      this.net.sendProfile({ type: 'startRide' });
+    }
+    this._transitionToGame();
+  }
+
   _sendRoomProfile() {
     if (!this.net || !this.net.connected) return;
     const profile = { achievements: this._achievements.getEarned() };
@@ -2936,7 +3402,7 @@ export class Lobby {
     // Set role labels on PiP circles
     const selfieLabel = document.getElementById('selfie-pip-label');
     const partnerLabel = document.getElementById('partner-pip-label');
-    if (selfieLabel) selfieLabel.textContent = role === 'captain' ? 'CAPTAIN' : 'STOKER';
+    if (selfieLabel) selfieLabel.textContent = ROLE_LABELS[role];
     if (partnerLabel) partnerLabel.textContent = role === 'captain' ? 'STOKER' : 'CAPTAIN';
 
     // Register gamepad nav for room step
@@ -3003,6 +3469,10 @@ export class Lobby {
 
     // Re-register room message handler
     this.net.onProfileReceived = (profile) => this._handleRoomMessage(profile);
+    this.net.onSpectatorsChanged = (count) => this._showSpectatorCount(count);
+    this._showSpectatorCount(this.net.spectatorCount);
+    this.net.onRidersChanged = () => this._onRoomRidersChanged();
+    this._showRiderCount();
 
     // Send current bike preset and profile to partner on re-entry
     if (this.net.connected) {
@@ -3051,6 +3521,7 @@ export class Lobby {
       if (waitText) { waitText.textContent = 'Partner disconnected'; waitText.style.display = ''; }
       document.getElementById('btn-play-game').style.display = 'none';
       document.getElementById('btn-start-ride').style.display = 'none';
+      this.leaveRace();
       setTimeout(() => {
         if (this.net) { this.net.destroy(); this.net = null; }
         this._removePipLobbyMode();
@@ -3163,7 +3634,7 @@ export class Lobby {
       spinnerStatus.className = 'conn-status';
       spinnerStatus.style.display = '';
     }
-    this._joinRoom(code);
+    this._enterJoinedRoom(code);
   }
 
   _setSpinnerValuesFromCode(code) {
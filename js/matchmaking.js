@@ -0,0 +1,56 @@
+// ============================================================
+// MATCHMAKING — wait in the relay's random-partner queue
+// The relay pairs players by seat, level, difficulty and skill,
+// then hands both a fresh room code and a relay token for their
+// seat. From there it's an ordinary room join.
+// ============================================================
+
+import { RelayTransport } from './transports.js';
+
+export class MatchmakingClient {
+  /**
+   * @param {string} relayUrl
+   * @param {{role: string, level?: string, difficulty?: string, skill?: number}} request
+   *   role is 'captain', 'stoker' or 'any'; level and difficulty default to 'any'
+   */
+  constructor(relayUrl, request) {
+    this.matched = false;
+    this.onQueued = null;   // (position, waiting) — 1 is next in line
+    this.onMatched = null;  // ({ room, role, token, level, difficulty }) — 'any' when neither side chose
+    this.onError = null;    // (reason) — the queue closed without a match; cancel() doesn't fire this
+
+    const params = new URLSearchParams({
+      role: request.role,
+      level: request.level || 'any',
+      difficulty: request.difficulty || 'any',
+    });
+    if (Number.isFinite(request.skill)) params.set('skill', String(request.skill));
+    this._transport = new RelayTransport(relayUrl + '/matchmake?' + params);
+    this._transport.onMessage = (data) => this._handleMessage(data);
+    this._transport.onClose = ({ opened }) => {
+      if (this.matched || !this.onError) return;
+      this.onError(opened ? 'Lost the matchmaking queue' : 'Could not reach the matchmaking queue');
+    };
+  }
+
+  open() {
+    this._transport.open();
+  }
+
+  /** Leave the queue. */
+  cancel() {
+    this._transport.close();
+  }
+
+  _handleMessage(data) {
+    if (typeof data !== 'string') return;
+    let notice;
+    try { notice = JSON.parse(data); } catch (e) { return; }
+    if (notice.type === 'queued') {
+      if (this.onQueued) this.onQueued(notice.position, notice.waiting);
+    } else if (notice.type === 'matched') {
+      this.matched = true;
+      if (this.onMatched) this.onMatched(notice);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// ============================================================
+// NET PANEL — connection diagnostics overlay
+// Tap the connection badge to open it: RTT and jitter
+// histograms, loss, traffic rates, transport switches and the
+// ICE candidate pair, refreshed once a second. EXPORT saves the
+// same numbers as JSON to attach to a bug report.
+// ============================================================
+
+const REFRESH_MS = 1000;
+
+function bars(histogram, unit) {
+  const peak = Math.max(1, ...histogram.map(b => b.count));
+  let prev = 0;
+  return histogram.map(b => {
+    const label = b.upTo === null ? '>' + prev + unit : prev + '–' + b.upTo + unit;
+    if (b.upTo !== null) prev = b.upTo;
+    const width = Math.round(b.count / peak * 100);
+    return '<div class="net-bar"><span class="net-bar-label">' + label + '</span>' +
+      '<span class="net-bar-track"><span class="net-bar-fill" style="width:' + width + '%"></span></span>' +
+      '<span class="net-bar-count">' + b.count + '</span></div>';
+  }).join('');
+}
+
+function value(v, unit) {
+  return v === null || v === undefined ? '--' : v + unit;
+}
+
+function clockTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour12: false });
+}
+
+export class NetPanel {
+  /** @param {() => NetworkManager|null} getNet — the live connection, if any */
+  constructor(getNet) {
+    this._getNet = getNet;
+    this._el = document.getElementById('net-panel');
+    this._body = document.getElementById('net-panel-body');
+    this._timer = null;
+
+    const onTap = (id, fn) => {
+      const el = document.getElementById(id);
+      el.addEventListener('touchend', (e) => { e.preventDefault(); fn(); });
+      el.addEventListener('click', fn);
+    };
+    onTap('net-panel-export', () => this.exportJson());
+    onTap('net-panel-close', () => this.hide());
+  }
+
+  get visible() {
+    return this._el.style.display !== 'none';
+  }
+
+  toggle() {
+    if (this.visible) this.hide();
+    else this.show();
+  }
+
+  show() {
+    if (!this._getNet()) return;
+    this._el.style.display = 'block';
+    this.refresh();
+    clearInterval(this._timer);
+    this._timer = setInterval(() => this.refresh(), REFRESH_MS);
+  }
+
+  hide() {
+    this._el.style.display = 'none';
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  refresh() {
+    const net = this._getNet();
+    if (!net) {
+      this.hide();
+      return;
+    }
+    const r = net.getTelemetry();
+    const ice = r.ice
+      ? r.ice.local + ' ⇄ ' + r.ice.remote + (r.ice.protocol ? ' (' + r.ice.protocol + ')' : '')
+      : '--';
+    const switches = r.switches.slice(-5).reverse()
+      .map(s => '<div>' + clockTime(s.at) + ' ' + s.from + ' → ' + s.to + '</div>').join('');
+    this._body.innerHTML =
+      '<div class="net-row"><b>' + r.transport.toUpperCase() + '</b> · ' + (r.role || '--') +
+        ' · last ' + r.windowSeconds + 's</div>' +
+      '<div class="net-row">RTT ' + value(r.rtt.last, 'ms') + ' · p50 ' + value(r.rtt.p50, 'ms') +
+        ' · p95 ' + value(r.rtt.p95, 'ms') + ' · max ' + value(r.rtt.max, 'ms') + '</div>' +
+      bars(r.rtt.histogram, 'ms') +
+      '<div class="net-row">JITTER mean ' + value(r.jitter.mean, 'ms') + '</div>' +
+      bars(r.jitter.histogram, 'ms') +
+      '<div class="net-row">LOSS ' + value(r.loss.percent, '%') + ' · ' + r.loss.lost + ' lost, ' +
+        r.loss.late + ' late of ' + r.loss.expected + '</div>' +
+      '<div class="net-row">OUT ' + (r.rates.sentBytesPerSec / 1024).toFixed(1) + ' KB/s · IN ' +
+        (r.rates.receivedBytesPerSec / 1024).toFixed(1) + ' KB/s</div>' +
+      '<div class="net-row">STATE out ' + r.rates.statesOutPerSec + '/s · in ' + r.rates.statesInPerSec + '/s</div>' +
+      '<div class="net-row">ICE ' + ice + '</div>' +
+      '<div class="net-row">SWITCHES ' + r.switches.length + '</div>' +
+      '<div class="net-switches">' + switches + '</div>';
+  }
+
+  /** Download the current report as tandemonium-net-<room>-<time>.json. */
+  exportJson() {
+    const net = this._getNet();
+    if (!net) return;
+    const report = net.getTelemetry();
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'tandemonium-net-' + (report.room || 'local') + '-' +
+      report.exportedAt.replace(/[:.]/g, '-') + '.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
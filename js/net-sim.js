@@ -0,0 +1,185 @@
+// ============================================================
+// NET SIM — debug impairment for multiplayer traffic
+// Sits inside each Transport, so P2P and relay frames suffer
+// alike, in both directions: added latency and jitter, loss,
+// reordering, a bandwidth cap and scheduled outages. Seeded, so
+// the same settings drop the same frames every run.
+// Turn it on with ?netsim=latency:150,jitter:40,loss:0.05 (or a
+// preset, ?netsim=flaky) and tune it live from the console via
+// window.netsim.set({...}).
+// ============================================================
+
+export const NET_SIM_DEFAULTS = {
+  latency: 0,    // ms added one way
+  jitter: 0,     // ± ms on top of latency
+  loss: 0,       // 0..1 chance a frame is lost
+  reliable: 1,   // 1: lost frames are resent and hold up the ones behind (relay and PeerJS links are reliable); 0: gone
+  reorder: 0,    // 0..1 chance a frame is held back behind later ones
+  kbps: 0,       // link capacity each way, 0 = unlimited
+  dropEvery: 0,  // s between scheduled outages, 0 = none
+  dropFor: 10,   // s each outage lasts — past the 8 s heartbeat timeout by default
+  seed: 1,
+};
+
+export const NET_SIM_PRESETS = {
+  lan: { latency: 2, jitter: 1 },
+  wifi: { latency: 20, jitter: 15, loss: 0.01 },
+  '4g': { latency: 60, jitter: 30, loss: 0.01, kbps: 2000 },
+  '3g': { latency: 150, jitter: 60, loss: 0.03, reorder: 0.02, kbps: 400 },
+  flaky: { latency: 80, jitter: 80, loss: 0.08, reorder: 0.05, dropEvery: 60 },
+};
+
+const REORDER_HOLD_MS = 60;  // extra delay for a frame picked to arrive out of order
+const RESEND_MS = 200;       // a reliable link notices a loss this long after a round trip
+const MAX_QUEUE_MS = 2000;   // a capped link's backlog beyond this is dropped, like a full router buffer
+
+/**
+ * Read a ?netsim= value: a preset name, 'key:value' pairs, or both
+ * ('3g,loss:0.1'). Unknown keys are ignored.
+ * @param {string|null} spec
+ * @returns {object} settings over NET_SIM_DEFAULTS — all zeros when spec is empty
+ */
+export function parseNetSim(spec) {
+  const config = { ...NET_SIM_DEFAULTS };
+  if (!spec) return config;
+  for (const part of spec.split(',')) {
+    const [key, value] = part.split(':').map(s => s.trim());
+    if (value === undefined) {
+      if (NET_SIM_PRESETS[key]) Object.assign(config, NET_SIM_PRESETS[key]);
+      else console.warn('NETSIM: unknown preset "' + key + '"');
+    } else if (key in NET_SIM_DEFAULTS && value !== '' && Number.isFinite(Number(value))) {
+      config[key] = Number(value);
+    }
+  }
+  return config;
+}
+
+// mulberry32 — small seedable PRNG
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class NetSim {
+  /** @param {object} [config] — see NET_SIM_DEFAULTS */
+  constructor(config = NET_SIM_DEFAULTS) {
+    this.stats = { passed: 0, dropped: 0, resent: 0, outageDropped: 0, queueDropped: 0, reordered: 0 };
+    this.set(config);
+  }
+
+  /** Change settings (merged into the current ones); restarts the seed and the outage schedule. */
+  set(config) {
+    this.config = { ...NET_SIM_DEFAULTS, ...this.config, ...config };
+    this._random = seededRandom(this.config.seed);
+    this._startedAt = performance.now();
+    this._outageUntil = 0;
+    if (this.active) console.log('NETSIM:', JSON.stringify(this.config));
+    return this.config;
+  }
+
+  /** Back to a clean network. */
+  clear() {
+    this.config = null;
+    return this.set(NET_SIM_DEFAULTS);
+  }
+
+  /** Cut the link both ways right now for `seconds` (default dropFor). */
+  outage(seconds = this.config.dropFor) {
+    this._outageUntil = performance.now() + seconds * 1000;
+  }
+
+  get active() {
+    const c = this.config;
+    return c.latency > 0 || c.jitter > 0 || c.loss > 0 || c.reorder > 0 || c.kbps > 0 ||
+      c.dropEvery > 0 || this._outageUntil > performance.now();
+  }
+
+  get inOutage() {
+    const now = performance.now();
+    if (now < this._outageUntil) return true;
+    const { dropEvery, dropFor } = this.config;
+    if (dropEvery <= 0) return false;
+    const intoCycle = (now - this._startedAt) % ((dropEvery + dropFor) * 1000);
+    return intoCycle >= dropEvery * 1000;
+  }
+
+  /** One direction of one transport — each keeps its own order and backlog. */
+  createLink() {
+    return new NetSimLink(this);
+  }
+}
+
+class NetSimLink {
+  constructor(sim) {
+    this.sim = sim;
+    this._lastArrival = 0; // in-order frames never overtake each other
+    this._busyUntil = 0;   // when a capped link finishes the frames already on it
+  }
+
+  get active() {
+    return this.sim.active;
+  }
+
+  /**
+   * Send `data` across this link: `deliver(data)` runs now, later, or never.
+   * Room notices (JSON strings) are the relay's own reliable messages — they
+   * are delayed and cut by outages, but never lost or reordered.
+   */
+  pass(data, deliver) {
+    const sim = this.sim;
+    if (!sim.active) {
+      deliver(data);
+      return;
+    }
+    const c = sim.config;
+    const stats = sim.stats;
+    if (sim.inOutage) {
+      stats.outageDropped++;
+      return;
+    }
+    const control = typeof data === 'string';
+    const lost = !control && c.loss > 0 && sim._random() < c.loss;
+    if (lost && !c.reliable) {
+      stats.dropped++;
+      return;
+    }
+
+    const now = performance.now();
+    let departure = now;
+    if (c.kbps > 0) {
+      const bytes = control ? data.length : data.byteLength;
+      const start = Math.max(now, this._busyUntil);
+      if (start - now > MAX_QUEUE_MS) {
+        stats.queueDropped++;
+        return;
+      }
+      this._busyUntil = start + (bytes * 8) / c.kbps; // kbit/s = bits per ms
+      departure = this._busyUntil;
+    }
+
+    let arrival = departure + c.latency + (c.jitter > 0 ? (sim._random() * 2 - 1) * c.jitter : 0);
+    if (lost) {
+      // Resent after a round trip and a timeout; in-order frames queue up behind it
+      arrival += c.latency * 2 + RESEND_MS;
+      stats.resent++;
+    }
+    if (!control && c.reorder > 0 && sim._random() < c.reorder) {
+      arrival += REORDER_HOLD_MS + c.jitter * 2;
+      stats.reordered++;
+    } else {
+      arrival = Math.max(arrival, this._lastArrival);
+      this._lastArrival = arrival;
+    }
+
+    stats.passed++;
+    const delay = arrival - now;
+    if (delay <= 0) deliver(data);
+    else setTimeout(() => deliver(data), delay);
+  }
+}
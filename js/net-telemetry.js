@@ -0,0 +1,192 @@
+// ============================================================
+// NET TELEMETRY — rolling connection quality for one NetworkManager
+// RTT and jitter from heartbeat round trips, loss from gaps in
+// the state stream's sequence numbers, traffic rates sampled
+// once a second from the transports, transport switches and
+// the P2P link's ICE candidate types. report() is plain JSON,
+// ready to attach to a bug report.
+// ============================================================
+
+const WINDOW_SECONDS = 60; // rolling window for rates, loss and histograms
+const RTT_BUCKETS = [25, 50, 100, 200, 400];   // ms upper bounds; the last bucket is open-ended
+const JITTER_BUCKETS = [5, 10, 25, 50, 100];
+const MAX_SWITCHES = 50;
+
+/** Counts per bucket: values up to each bound, then everything above the last. */
+function histogram(values, bounds) {
+  const counts = new Array(bounds.length + 1).fill(0);
+  for (const v of values) {
+    let i = bounds.findIndex(b => v <= b);
+    if (i < 0) i = bounds.length;
+    counts[i]++;
+  }
+  return bounds.map((b, i) => ({ upTo: b, count: counts[i] }))
+    .concat([{ upTo: null, count: counts[bounds.length] }]);
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+const round1 = (v) => v === null ? null : Math.round(v * 10) / 10;
+
+export class NetTelemetry {
+  constructor() {
+    this.startedAt = Date.now();
+    this._rtts = [];        // { at, ms } heartbeat round trips
+    this._jitters = [];     // { at, ms } change between consecutive round trips
+    this._seconds = [];     // per-second samples: { at, sentBytes, receivedBytes, statesIn, statesOut, expected, lost, late }
+    this._counters = this._emptyCounters();
+    this._lastTraffic = null;
+    this._lastSeq = null;
+    this.switches = [];     // { at, from, to }
+    this.ice = null;        // { local, remote, protocol } candidate types of the live P2P pair
+  }
+
+  _emptyCounters() {
+    return { statesIn: 0, statesOut: 0, expected: 0, lost: 0, late: 0 };
+  }
+
+  /** A heartbeat came back after `ms`. */
+  recordRtt(ms) {
+    const at = Date.now();
+    const prev = this._rtts[this._rtts.length - 1];
+    this._rtts.push({ at, ms });
+    if (prev) this._jitters.push({ at, ms: Math.abs(ms - prev.ms) });
+  }
+
+  /** A state snapshot arrived with `seq`: gaps since the last one count as lost, stragglers as late. */
+  recordStateIn(seq) {
+    const c = this._counters;
+    c.statesIn++;
+    if (this._lastSeq === null) {
+      this._lastSeq = seq;
+      c.expected++;
+      return;
+    }
+    const step = (seq - this._lastSeq) | 0;
+    if (step === 0) return; // the same snapshot twice (relay and P2P racing)
+    if (step < 0) {
+      // Overtaken by a newer one. It was counted lost when the gap opened; if
+      // that was in an earlier second, this second's count simply stays at 0
+      c.late++;
+      c.lost = Math.max(0, c.lost - 1);
+      return;
+    }
+    c.expected += step;
+    c.lost += step - 1;
+    this._lastSeq = seq;
+  }
+
+  recordStateOut() {
+    this._counters.statesOut++;
+  }
+
+  /** The sender restarted its counter (new partner, seat swap): don't read the jump as loss. */
+  resetSequence() {
+    this._lastSeq = null;
+  }
+
+  recordSwitch(from, to) {
+    this.switches.push({ at: Date.now(), from, to });
+    if (this.switches.length > MAX_SWITCHES) this.switches.shift();
+  }
+
+  /**
+   * Close out one second of traffic.
+   * @param {{room: object|null, p2p: object|null}} stats — NetworkManager.getTransportStats()
+   */
+  sample(stats) {
+    const at = Date.now();
+    let sentBytes = 0;
+    let receivedBytes = 0;
+    for (const link of [stats.room, stats.p2p]) {
+      if (!link) continue;
+      sentBytes += link.sentBytes;
+      receivedBytes += link.receivedBytes;
+    }
+    // Transports are replaced on reconnects, so their counters restart — never count backwards
+    const last = this._lastTraffic;
+    this._lastTraffic = { sentBytes, receivedBytes };
+    this._seconds.push({
+      at,
+      sentBytes: last ? Math.max(0, sentBytes - last.sentBytes) : 0,
+      receivedBytes: last ? Math.max(0, receivedBytes - last.receivedBytes) : 0,
+      ...this._counters,
+    });
+    this._counters = this._emptyCounters();
+
+    const cutoff = at - WINDOW_SECONDS * 1000;
+    for (const list of [this._rtts, this._jitters, this._seconds]) {
+      while (list.length > 0 && list[0].at < cutoff) list.shift();
+    }
+  }
+
+  /**
+   * Look up the candidate types of a PeerJS connection's selected ICE pair.
+   * @param {RTCPeerConnection} pc
+   */
+  async sampleIce(pc) {
+    if (!pc || !pc.getStats) return;
+    try {
+      const stats = await pc.getStats();
+      let pair = null;
+      stats.forEach(s => {
+        if (s.type === 'transport' && s.selectedCandidatePairId) pair = stats.get(s.selectedCandidatePairId);
+      });
+      // Firefox has no transport stats — fall back to the nominated pair in use
+      if (!pair) {
+        stats.forEach(s => {
+          if (s.type === 'candidate-pair' && s.nominated && s.state === 'succeeded') pair = s;
+        });
+      }
+      if (!pair) return;
+      const local = stats.get(pair.localCandidateId);
+      const remote = stats.get(pair.remoteCandidateId);
+      this.ice = {
+        local: local ? local.candidateType : null,    // host | srflx | prflx | relay (TURN)
+        remote: remote ? remote.candidateType : null,
+        protocol: local ? local.protocol : null,
+      };
+    } catch (e) { /* closed mid-query */ }
+  }
+
+  /** Everything so far, as plain JSON. */
+  report() {
+    const rtts = this._rtts.map(r => r.ms).sort((a, b) => a - b);
+    const jitters = this._jitters.map(j => j.ms);
+    const seconds = this._seconds;
+    const n = Math.max(1, seconds.length);
+    const sum = (key) => seconds.reduce((total, s) => total + s[key], 0);
+    const expected = sum('expected');
+    return {
+      windowSeconds: seconds.length,
+      rtt: {
+        last: rtts.length ? round1(this._rtts[this._rtts.length - 1].ms) : null,
+        p50: round1(percentile(rtts, 0.5)),
+        p95: round1(percentile(rtts, 0.95)),
+        max: round1(rtts.length ? rtts[rtts.length - 1] : null),
+        histogram: histogram(rtts, RTT_BUCKETS),
+      },
+      jitter: {
+        mean: jitters.length ? round1(jitters.reduce((a, b) => a + b, 0) / jitters.length) : null,
+        histogram: histogram(jitters, JITTER_BUCKETS),
+      },
+      loss: {
+        percent: expected > 0 ? round1(sum('lost') / expected * 100) : null,
+        lost: sum('lost'),
+        late: sum('late'),
+        expected,
+      },
+      rates: {
+        sentBytesPerSec: Math.round(sum('sentBytes') / n),
+        receivedBytesPerSec: Math.round(sum('receivedBytes') / n),
+        statesInPerSec: round1(sum('statesIn') / n),
+        statesOutPerSec: round1(sum('statesOut') / n),
+      },
+      switches: this.switches.slice(),
+      ice: this.ice,
+    };
+  }
+}
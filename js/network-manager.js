@@ -1,11 +1,25 @@
 // ============================================================
 // NETWORK MANAGER — PeerJS P2P + Cloudflare Worker relay
+// Rides start on a room transport (the relay, or a local room
+// from transports.js) and upgrade to P2P when the room is the
+// relay. Everything on the wire goes through a Transport.
+// Triplet rooms (a third rider in 'stoker2') stay on the room
+// transport, which fans every frame out to all riders.
 // ============================================================
 
 import {
-  MSG_PEDAL, MSG_STATE, MSG_EVENT, MSG_HEARTBEAT, MSG_LEAN, MSG_PROFILE,
   TURN_CREDENTIALS_URL, PEERJS_HOST, PEERJS_PORT, PEERJS_PATH, PEERJS_SECURE
 } from './config.js';
+import {
+  FEATURES, LOCAL_FEATURES, NO_HELLO_REASON, SEATS, encode, decode, helloMessage, checkCompatibility
+} from './protocol.js';
+import { RelayTransport, PeerTransport } from './transports.js';
+import { NetTelemetry } from './net-telemetry.js';
+import { POWER_UP_TYPES } from './power-ups.js';
+
+const HANDSHAKE_TIMEOUT_MS = 5000; // partners that stay silent this long predate HELLO
+export const HEARTBEAT_TIMEOUT_MS = 8000; // a partner this quiet has dropped
+const ICE_SAMPLE_EVERY = 5; // heartbeats between looks at the P2P link's candidate pair
 
 const PEERJS_CONFIG = {
   host: PEERJS_HOST,
@@ -15,13 +29,21 @@ const PEERJS_CONFIG = {
 };
 
 export class NetworkManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {function(string, string): Transport} [options.createRoomTransport] — (roomCode, role) → room
+   *   transport to use instead of the relay, e.g. a BroadcastTransport or createMemoryRooms()
+   * @param {NetSim} [options.netSim] — debug impairment applied to every transport, P2P and room alike
+   */
+  constructor({ createRoomTransport = null, netSim = null } = {}) {
     this.peer = null;
-    this.conn = null;
-    this.role = null; // 'captain' | 'stoker'
+    this.conn = null; // PeerJS DataConnection behind the P2P transport (media calls need its peer id)
+    this.role = null; // 'captain' | 'stoker' | 'stoker2' | 'spectator'
+    this.authority = false; // we run the bike's physics (the captain seat, until a swap or takeover)
     this.roomCode = null;
     this.connected = false;
-    this.transport = 'none'; // 'p2p' | 'relay' | 'none'
+    this.telemetry = new NetTelemetry(); // connection quality for the diagnostics panel
+    this._transportKind = 'none';
     this.lastPingTime = 0;
     this.pingMs = 0;
     this.onPedalReceived = null;
@@ -33,9 +55,20 @@ export class NetworkManager {
     this.onReconnecting = null;
     this.onRemoteStream = null;
     this.onProfileReceived = null;
-    this.onRoomJoined = null; // fires when relay WebSocket opens (room entered, waiting for partner)
+    this.onRoomJoined = null; // fires when the room transport opens (room entered, waiting for partner)
     this.onP2PUpgrade = null; // fires when P2P transport is established (for media calls)
-    this.onAuthError = null; // fires when relay rejects connection (401/403 auth failure)
+    this.onAuthError = null; // (reason) — the relay refused our token; a fresh one may get us in
+    this.remoteVersion = null; // partner's protocol version, set by its HELLO
+    this.features = 0; // FEATURES bits both peers support
+    this.spectatorCount = 0; // riders: how many people are watching
+    this.onSpectatorsChanged = null; // riders: fires with the new spectator count
+    this.onRiderLeft = null; // spectators: a rider dropped off the relay
+    this.roomRiders = new Set(); // riders: the other rider seats in the room right now
+    this.tripletRoom = false; // a third rider is in (or was in) the room — no P2P upgrade
+    this._captainLeft = false; // the room told us the captain's socket closed
+    this.onRidersChanged = null; // riders: someone joined or left without ending our link
+    this.onRaceFrame = null; // stokers: (slot, msg) — another team's frame, passed on by our captain
+    this.onChatReceived = null; // riders: (id, seat) — a QUICK_CHAT callout from another rider
     this.cameraEnabled = true; // set false to suppress local camera in calls
     this.audioEnabled = false; // set true to include microphone in calls
     this._mediaCall = null;
@@ -44,27 +77,48 @@ export class NetworkManager {
     this._reconnectAttempts = 0;
     this._fastReconnectAttempts = 5;   // phase 1: exponential backoff (1s,2s,4s,8s,16s)
     this._maxReconnectAttempts = 25;   // phase 2: 20 more at fixed 16s intervals
-    this._relayWs = null;
+    this._createRoomTransport = createRoomTransport;
+    this._netSim = netSim;
+    this._room = null; // room transport: relay, or a local room
+    this._p2p = null;  // PeerTransport once an upgrade is attempted
     this._fallbackUrl = null;
     this._relayToken = null;
     this._relayPartnerReady = false;
     this._reconnectTimeout = null;
-    this._activeConn = null; // tracks which conn is current to ignore stale close events
     this._iceServers = null; // cached TURN + STUN servers
     this._enterRoomCallback = null;
     this._relayReconnectAttempts = 0;
     this._relayKeepaliveInterval = null;
-    this._relayDidOpen = false; // tracks if relay WS ever opened (false = auth rejection)
     this._p2pUpgradeTimeout = null;
     this._p2pUpgradeRetryTimeout = null;
+    this._handshakeTimeout = null;
+    this._rejected = false; // partner failed the HELLO check — stop reconnecting
+    this._stateSeq = 0;
+    this._lastStateSeq = null;
+
+    // Reused state message values (avoid per-send allocations)
+    this._stateMsg = {
+      seq: 0, sentAt: 0, x: 0, y: 0, z: 0, heading: 0, lean: 0, leanVelocity: 0,
+      speed: 0, crankAngle: 0, distanceTraveled: 0, roadD: 0, flags: 0,
+      timerRemaining: -1, tick: 0, fallTimer: 0, boostTimer: 0,
+      shieldTimer: 0, magnetTimer: 0, stabilizerTimer: 0, slowmoTimer: 0
+    };
+  }
+
+  /** Kind of the transport in use: 'p2p' | 'relay' | 'broadcast' | 'memory' | 'none'. */
+  get transport() {
+    return this._transportKind;
+  }
 
-    // Pre-allocated send buffers (avoid per-send allocations)
-    this._stateBuf = new ArrayBuffer(46);
-    this._stateView = new DataView(this._stateBuf);
-    this._stateBytes = new Uint8Array(this._stateBuf);
-    this._leanBuf = new ArrayBuffer(5);
-    this._leanView = new DataView(this._leanBuf);
-    this._leanBytes = new Uint8Array(this._leanBuf);
+  set transport(kind) {
+    if (kind === this._transportKind) return;
+    this.telemetry.recordSwitch(this._transportKind, kind);
+    this._transportKind = kind;
+  }
+
+  /** True when both peers announced the named FEATURES capability. */
+  hasFeature(name) {
+    return (this.features & FEATURES[name]) !== 0;
   }
 
   generateRoomCode() {
@@ -109,47 +163,51 @@ export class NetworkManager {
 
   async enterRoom(roomCode, role, callback) {
     this.role = role;
+    this.authority = role === 'captain';
     this.roomCode = roomCode;
+    if (role === 'stoker2') this._becomeTriplet();
 
     // Fetch relay auth token (non-blocking, stored for relay connection)
     // Token is expected to be set by caller before or after this call
 
-    // Connect to relay immediately
-    this._connectRelay();
+    // Connect to the room (relay) immediately
+    this._connectRoom();
 
     // Store the callback for status updates
     this._enterRoomCallback = callback;
   }
 
   _setupConnection() {
-    const conn = this.conn;
-    this._activeConn = conn;
+    const p2p = this._useP2P(this.conn);
 
-    conn.on('open', () => {
+    p2p.onOpen = () => {
       clearTimeout(this._reconnectTimeout);
-      this.connected = true;
       this.transport = 'p2p';
       // Don't reset _reconnectAttempts here — a flaky connection that
       // opens briefly then closes would reset the counter and loop forever.
       // Instead, reset in the heartbeat ACK handler after a verified round-trip.
 
       this._startHeartbeat();
-      if (this.onConnected) this.onConnected();
-    });
-
-    conn.on('data', (data) => {
-      this._handleMessage(data);
-    });
+      // onConnected fires once the partner's HELLO checks out
+      this._beginHandshake();
+    };
 
-    conn.on('close', () => {
+    p2p.onClose = () => {
       // Ignore close events from stale connections
-      if (conn !== this._activeConn) return;
+      if (p2p !== this._p2p) return;
       this._handleDisconnect();
-    });
+    };
+    p2p.open();
+  }
 
-    conn.on('error', (err) => {
-      console.warn('NET: Connection error:', err);
-    });
+  // Wrap a PeerJS connection as the current P2P transport, retiring the previous one
+  _useP2P(conn) {
+    if (this._p2p) this._p2p.close();
+    const p2p = new PeerTransport(conn);
+    if (this._netSim) p2p.impair(this._netSim);
+    p2p.onMessage = (data) => this._handleMessage(data);
+    this._p2p = p2p;
+    return p2p;
   }
 
   _handleMessage(data) {
@@ -164,148 +222,345 @@ export class NetworkManager {
         if (parsed.type === 'relay') {
           bytes = new Uint8Array(parsed.data);
         } else if (parsed.type === 'partner-ready') {
-          // Relay: partner has connected — now safe to start heartbeat
-          this._relayPartnerReady = true;
-          if (this.transport === 'relay' && !this._heartbeatInterval) {
-            this._startHeartbeat();
-          }
-          if (!this.connected) {
-            this.connected = true;
-            if (this.onConnected) this.onConnected();
-          }
-          // Attempt P2P upgrade now that both peers are on relay
-          this._attemptP2PUpgrade();
+          this._riderJoined(parsed.role || this._partnerSeat());
           return;
         } else if (parsed.type === 'waiting') {
           // Relay confirms room is valid, waiting for partner
           return;
         } else if (parsed.type === 'disconnect') {
-          // Relay: partner disconnected — immediate notification
-          this._handleDisconnect();
+          // Relay: a partner disconnected — immediate notification
+          this._riderLeft(parsed.role || this._partnerSeat());
+          return;
+        } else if (parsed.type === 'spectators') {
+          this._handleSpectatorCount(parsed.count);
+          return;
+        } else if (parsed.type === 'rider-left') {
+          if (this.onRiderLeft) this.onRiderLeft(parsed.role);
+          return;
+        } else if (parsed.type === 'full') {
+          this._rejectPartner('This ride already has as many spectators as it can take');
+          return;
+        } else if (parsed.type === 'rejected') {
+          this._handleRoomRejection(parsed.code, parsed.reason);
           return;
         } else return;
       } catch (e) { return; }
     }
 
-    if (bytes.length === 0) return;
-    const type = bytes[0];
-
-    if (type === MSG_PEDAL) {
-      const foot = (bytes.length >= 2 && bytes[1] === 0x01) ? 'down' : 'up';
-      if (this.onPedalReceived) this.onPedalReceived(this.role === 'captain' ? 'stoker' : 'captain', foot);
-    } else if (type === MSG_STATE) {
-      const state = this._decodeState(bytes);
-      if (this.onStateReceived) this.onStateReceived(state);
-    } else if (type === MSG_EVENT) {
-      if (bytes.length >= 2 && this.onEventReceived) {
-        this.onEventReceived(bytes[1]);
-      }
-    } else if (type === MSG_LEAN) {
-      if (bytes.length >= 5) {
-        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-        const leanValue = view.getFloat32(1, true);
-        if (this.onLeanReceived) this.onLeanReceived(leanValue);
-      }
-    } else if (type === MSG_HEARTBEAT) {
+    const msg = decode(bytes);
+    if (!msg) return;
+
+    if (msg.type === 'hello') {
+      this._handleHello(msg);
+      return;
+    }
+    if (msg.type === 'heartbeat') {
       this._lastRemoteHeartbeat = performance.now();
       // Verified data exchange — safe to reset reconnect counter
       this._reconnectAttempts = 0;
-      if (bytes.length >= 2 && bytes[1] === 0x01) {
+      if (msg.kind === 0x01) {
         this.pingMs = performance.now() - this.lastPingTime;
+        this.telemetry.recordRtt(this.pingMs);
       } else {
-        this._send(new Uint8Array([MSG_HEARTBEAT, 0x01]));
+        this._send(encode('heartbeat', { kind: 0x01 }));
       }
-    } else if (type === MSG_PROFILE) {
-      try {
-        const json = new TextDecoder().decode(bytes.slice(1));
-        const profile = JSON.parse(json);
-        if (this.onProfileReceived) this.onProfileReceived(profile);
-      } catch (e) { /* ignore malformed profile */ }
+      return;
+    }
+    // Nothing else is trusted until the partner's HELLO checks out
+    if (this.remoteVersion === null) return;
+
+    if (msg.type === 'pedal') {
+      const foot = msg.foot === 0x01 ? 'down' : 'up';
+      if (this.onPedalReceived) this.onPedalReceived(this._senderSeat(msg.seat), foot);
+    } else if (msg.type === 'state') {
+      this.telemetry.recordStateIn(msg.seq);
+      // Drop snapshots overtaken by a newer one (e.g. relay and P2P racing)
+      if (this._lastStateSeq !== null && ((msg.seq - this._lastStateSeq) | 0) <= 0) return;
+      this._lastStateSeq = msg.seq;
+      if (this.onStateReceived) this.onStateReceived(msg);
+    } else if (msg.type === 'event') {
+      if (this.onEventReceived) this.onEventReceived(msg.event);
+    } else if (msg.type === 'lean') {
+      if (this.onLeanReceived) this.onLeanReceived(msg.lean, this._senderSeat(msg.seat));
+    } else if (msg.type === 'profile') {
+      if (this.onProfileReceived) this.onProfileReceived(msg.data);
+    } else if (msg.type === 'race') {
+      const inner = decode(msg.frame);
+      if (inner && this.onRaceFrame) this.onRaceFrame(msg.slot, inner);
+    } else if (msg.type === 'chat') {
+      if (this.onChatReceived) this.onChatReceived(msg.chat, this._senderSeat(msg.seat));
+    }
+  }
+
+  // Peers before the triplet don't say who sent a pedal or lean — in a tandem
+  // (and in room notices from local rooms) it can only be the partner
+  _partnerSeat() {
+    return this.role === 'captain' ? 'stoker' : 'captain';
+  }
+
+  _senderSeat(seat) {
+    return SEATS[seat] || this._partnerSeat();
+  }
+
+  // Room: a rider connected. The first partner starts our link; anyone
+  // arriving after that only needs our HELLO
+  _riderJoined(role) {
+    this.roomRiders.add(role);
+    if (role === 'captain') this._captainLeft = false;
+    if (role === 'stoker2') this._becomeTriplet();
+    if (!this.connected) {
+      // Now safe to start heartbeat
+      this._relayPartnerReady = true;
+      if (this.transport !== 'p2p' && !this._heartbeatInterval) {
+        this._startHeartbeat();
+      }
+      // onConnected and the P2P upgrade wait for the partner's HELLO
+      this._beginHandshake();
+    } else {
+      this._send(helloMessage());
+      if (this.onRidersChanged) this.onRidersChanged();
+    }
+  }
+
+  // Room: a rider dropped. Losing the captain, or the last partner, ends our
+  // link; a stoker leaving a triplet leaves the others riding as a tandem
+  _riderLeft(role) {
+    this.roomRiders.delete(role);
+    if (role === 'captain') this._captainLeft = true;
+    if (role === 'captain' || this.roomRiders.size === 0) {
+      this._handleDisconnect();
+    } else if (this.onRidersChanged) {
+      this.onRidersChanged();
+    }
+  }
+
+  // Three riders can't share a P2P link — the room transport carries everything
+  _becomeTriplet() {
+    if (this.tripletRoom) return;
+    this.tripletRoom = true;
+    clearTimeout(this._p2pUpgradeTimeout);
+    clearTimeout(this._p2pUpgradeRetryTimeout);
+    if (this._p2p) {
+      const p2p = this._p2p;
+      this._p2p = null;
+      p2p.close();
+      console.log('NET: Third rider joined, leaving P2P for the relay');
+    }
+    if (this.peer) { try { this.peer.destroy(); } catch (e) {} this.peer = null; }
+    if (this._room && this.transport === 'p2p') this.transport = this._room.kind;
+  }
+
+  // Announce our protocol version; a partner that never answers predates HELLO
+  _beginHandshake() {
+    this._send(helloMessage());
+    clearTimeout(this._handshakeTimeout);
+    this._handshakeTimeout = setTimeout(() => {
+      if (this.remoteVersion === null) this._rejectPartner(NO_HELLO_REASON);
+    }, HANDSHAKE_TIMEOUT_MS);
+  }
+
+  _handleHello(hello) {
+    let reason = checkCompatibility(hello);
+    if (!reason && this.role === 'spectator' && !(hello.features & FEATURES.spectators)) {
+      reason = "This ride can't be watched — the captain needs to reload for the latest version";
+    }
+    if (!reason && this.role === 'stoker2' && !(hello.features & FEATURES.triplet)) {
+      reason = "This ride can't take a third rider — the others need to reload for the latest version";
+    }
+    if (reason) {
+      this._rejectPartner(reason);
+      return;
+    }
+    clearTimeout(this._handshakeTimeout);
+    // Every rider's HELLO narrows the features, so a triplet only uses what all three support
+    this.features = (this.remoteVersion === null ? LOCAL_FEATURES : this.features) & hello.features;
+    this.remoteVersion = hello.version;
+    this._lastStateSeq = null; // partner may have restarted its counter
+    this.telemetry.resetSequence();
+    // Spectators get no heartbeats — a HELLO is their proof the ride is still there
+    if (this.role === 'spectator') this._reconnectAttempts = 0;
+    if (!this.connected) {
+      this.connected = true;
+      this._captainLeft = false;
+      if (this.onConnected) this.onConnected();
     }
+    // Attempt P2P upgrade now that both peers are on relay (spectators stay on relay)
+    if (this.transport === 'relay' && this.role !== 'spectator') this._attemptP2PUpgrade();
+  }
+
+  // Riders: a rising count means someone new needs our HELLO before they trust anything
+  _handleSpectatorCount(count) {
+    const joined = count > this.spectatorCount;
+    this.spectatorCount = count;
+    if (joined && this.authority) this._sendToSpectators(helloMessage());
+    if (this.onSpectatorsChanged) this.onSpectatorsChanged(count, joined);
+  }
+
+  // Authority → relay → spectators only; partners never see these
+  _sendToSpectators(bytes) {
+    if (this._room && this._room.kind === 'relay') this._room.send(encode('spectate', { frame: bytes }));
+  }
+
+  // On relay transport the relay already copies state and events to spectators;
+  // over P2P it never sees them, so the authority mirrors them itself
+  _mirrorToSpectators(bytes) {
+    if (this.authority && this.spectatorCount > 0 && this.transport === 'p2p') {
+      this._sendToSpectators(bytes);
+    }
+  }
+
+  /** Captain: send a profile message to spectators only (level info for late joiners). */
+  sendSpectatorProfile(data) {
+    if (this.spectatorCount > 0) this._sendToSpectators(encode('profile', { data }));
+  }
+
+  // Incompatible partner: tear everything down without reconnecting
+  _rejectPartner(reason) {
+    console.warn('NET: Partner rejected —', reason);
+    this._rejected = true;
+    this.destroy();
+    if (this.onDisconnected) this.onDisconnected(reason);
+  }
+
+  // The relay refused our seat and is closing the socket. A token problem may
+  // clear up with a fresh token; someone else's room or seat won't
+  _handleRoomRejection(code, reason) {
+    console.warn('NET: Relay refused the seat —', code);
+    reason = reason || 'The relay refused to seat you';
+    if (code && code.startsWith('auth-') && this.onAuthError) {
+      this._rejected = true; // no reconnect loop on the closing socket; retryWithToken clears it
+      this.onAuthError(reason);
+      return;
+    }
+    this._rejectPartner(reason);
+  }
+
+  /** The partner now sends the state stream (seat swap) — accept its own counter. */
+  resetStateSequence() {
+    this._lastStateSeq = null;
+    this.telemetry.resetSequence();
   }
 
   sendPedal(foot) {
-    this._send(new Uint8Array([MSG_PEDAL, foot === 'down' ? 0x01 : 0x00]));
+    this._send(encode('pedal', { foot: foot === 'down' ? 0x01 : 0x00, seat: SEATS.indexOf(this.role) }));
   }
 
   sendLean(leanValue) {
-    const view = this._leanView;
-    view.setUint8(0, MSG_LEAN);
-    view.setFloat32(1, leanValue, true);
-    this._send(this._leanBytes);
-  }
-
-  sendState(bike, timerRemaining) {
-    const view = this._stateView;
-    view.setUint8(0, MSG_STATE);
-    view.setFloat32(1, bike.position.x, true);
-    view.setFloat32(5, bike.position.y, true);
-    view.setFloat32(9, bike.position.z, true);
-    view.setFloat32(13, bike.heading, true);
-    view.setFloat32(17, bike.lean, true);
-    view.setFloat32(21, bike.leanVelocity, true);
-    view.setFloat32(25, bike.speed, true);
-    view.setFloat32(29, bike.crankAngle || 0, true);
-    view.setFloat32(33, bike.distanceTraveled, true);
-    view.setFloat32(37, bike.roadD, true);
-    let flags = 0;
-    if (bike.fallen) flags |= 1;
-    if (bike._braking) flags |= 2;
-    view.setUint8(41, flags);
-    view.setFloat32(42, timerRemaining >= 0 ? timerRemaining : -1, true);
-    this._send(this._stateBytes);
+    this._send(encode('lean', { lean: leanValue, seat: SEATS.indexOf(this.role) }));
+  }
+
+  /**
+   * @param {object} [powerUps] — PowerUpEffects whose timers ride along
+   * @returns {Uint8Array} the encoded snapshot — a shared buffer, copy it to keep it
+   */
+  sendState(bike, timerRemaining, powerUps = null) {
+    const s = this._stateMsg;
+    this._stateSeq = (this._stateSeq + 1) >>> 0;
+    s.seq = this._stateSeq;
+    s.sentAt = Math.floor(performance.now());
+    s.x = bike.position.x;
+    s.y = bike.position.y;
+    s.z = bike.position.z;
+    s.heading = bike.heading;
+    s.lean = bike.lean;
+    s.leanVelocity = bike.leanVelocity;
+    s.speed = bike.speed;
+    s.crankAngle = bike.crankAngle || 0;
+    s.distanceTraveled = bike.distanceTraveled;
+    s.roadD = bike.roadD;
+    s.flags = (bike.fallen ? 1 : 0) | (bike._braking ? 2 : 0);
+    s.timerRemaining = timerRemaining >= 0 ? timerRemaining : -1;
+    // Prediction fields: the physics tick this snapshot was taken at, plus the
+    // timers the stoker can't derive when it rolls back to it
+    s.tick = bike.physics.tick;
+    s.fallTimer = bike.fallTimer;
+    s.boostTimer = bike.boostTimer;
+    for (const type of POWER_UP_TYPES) s[type + 'Timer'] = powerUps ? powerUps.timers[type] : 0;
+    const bytes = encode('state', s);
+    this._send(bytes);
+    this._mirrorToSpectators(bytes);
+    this.telemetry.recordStateOut();
+    return bytes;
   }
 
   sendEvent(eventType) {
-    this._send(new Uint8Array([MSG_EVENT, eventType]));
+    const bytes = encode('event', { event: eventType });
+    this._send(bytes);
+    this._mirrorToSpectators(bytes);
   }
 
   sendProfile(data) {
-    const json = JSON.stringify(data);
-    const encoded = new TextEncoder().encode(json);
-    const msg = new Uint8Array(1 + encoded.length);
-    msg[0] = MSG_PROFILE;
-    msg.set(encoded, 1);
-    this._send(msg);
-  }
-
-  _decodeState(bytes) {
-    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-    const state = {
-      x: view.getFloat32(1, true),
-      y: view.getFloat32(5, true),
-      z: view.getFloat32(9, true),
-      heading: view.getFloat32(13, true),
-      lean: view.getFloat32(17, true),
-      leanVelocity: view.getFloat32(21, true),
-      speed: view.getFloat32(25, true),
-      crankAngle: view.getFloat32(29, true),
-      distanceTraveled: view.getFloat32(33, true),
-      roadD: view.getFloat32(37, true),
-      flags: view.getUint8(41)
-    };
-    // Timer field added in 46-byte messages; absent in legacy 42-byte messages
-    if (bytes.byteLength >= 46) {
-      state.timerRemaining = view.getFloat32(42, true);
-    }
-    return state;
+    this._send(encode('profile', { data }));
+  }
+
+  /** Send a QUICK_CHAT callout to the other riders. @returns {boolean} false when the partner can't show it */
+  sendChat(id) {
+    if (!this.hasFeature('quickChat')) return false;
+    this._send(encode('chat', { chat: id, seat: SEATS.indexOf(this.role) }));
+    return true;
+  }
+
+  /** Captain: pass a race frame from another team on to our stokers, as the relay stamped it. */
+  forwardRaceFrame(bytes) {
+    if (this.hasFeature('headToHead')) this._send(bytes);
   }
 
   _send(data) {
-    if (this.transport === 'p2p' && this.conn && this.conn.open) {
-      try { this.conn.send(data); } catch (e) { console.warn('NET: P2P send failed:', e); }
-    } else if (this._relayWs && this._relayWs.readyState === WebSocket.OPEN) {
-      try { this._relayWs.send(data); } catch (e) { console.warn('NET: Relay send failed:', e); }
+    if (this.transport === 'p2p' && this._p2p && this._p2p.isOpen) {
+      this._p2p.send(data);
+    } else if (this._room) {
+      this._room.send(data);
     }
   }
 
+  /**
+   * Traffic counters for the transport in use and both links.
+   * @returns {{transport: string, room: object|null, p2p: object|null}}
+   */
+  getTransportStats() {
+    return {
+      transport: this.transport,
+      room: this._room ? this._room.stats() : null,
+      p2p: this._p2p ? this._p2p.stats() : null,
+    };
+  }
+
+  /**
+   * Connection quality report for the diagnostics panel and bug reports.
+   * @returns {object} NetTelemetry.report() plus who, where and which link
+   */
+  getTelemetry() {
+    return {
+      exportedAt: new Date().toISOString(),
+      since: new Date(this.telemetry.startedAt).toISOString(),
+      role: this.role,
+      room: this.roomCode,
+      transport: this.transport,
+      pingMs: Math.round(this.pingMs),
+      ...this.telemetry.report(),
+    };
+  }
+
+  // Time left before a dropped link counts as the partner gone for good: none
+  // once the room says the captain left, else whatever the heartbeat timeout
+  // has left to run (a flaky link usually comes back well before that)
+  msUntilPartnerLost() {
+    if (this._captainLeft) return 0;
+    return Math.max(0, HEARTBEAT_TIMEOUT_MS - (performance.now() - this._lastRemoteHeartbeat));
+  }
+
   _startHeartbeat() {
     this._stopHeartbeat();
     this._lastRemoteHeartbeat = performance.now();
+    let beats = 0;
     this._heartbeatInterval = setInterval(() => {
       this.lastPingTime = performance.now();
-      this._send(new Uint8Array([MSG_HEARTBEAT, 0x00]));
-      if (performance.now() - this._lastRemoteHeartbeat > 8000) {
+      this._send(encode('heartbeat', { kind: 0x00 }));
+      this.telemetry.sample(this.getTransportStats());
+      if (this.transport === 'p2p' && this.conn && ++beats % ICE_SAMPLE_EVERY === 0) {
+        this.telemetry.sampleIce(this.conn.peerConnection);
+      }
+      if (performance.now() - this._lastRemoteHeartbeat > HEARTBEAT_TIMEOUT_MS) {
         this._handleDisconnect();
       }
     }, 1000);
@@ -321,10 +576,8 @@ export class NetworkManager {
   _startRelayKeepalive() {
     this._stopRelayKeepalive();
     this._relayKeepaliveInterval = setInterval(() => {
-      if (this._relayWs && this._relayWs.readyState === WebSocket.OPEN) {
-        // Send a ping to keep the Durable Object alive
-        try { this._relayWs.send(new Uint8Array([MSG_HEARTBEAT, 0x02])); } catch (e) {}
-      }
+      // Send a ping to keep the Durable Object alive
+      if (this._room) this._room.send(encode('heartbeat', { kind: 0x02 }));
       // Refresh localStorage room timestamp
       this._refreshRoomTimestamp();
     }, 5 * 60 * 1000); // every 5 minutes
@@ -349,8 +602,10 @@ export class NetworkManager {
   }
 
   _handleDisconnect() {
+    if (this._rejected) return;
     clearTimeout(this._reconnectTimeout);
     this.connected = false;
+    this.remoteVersion = null;
     this._stopHeartbeat();
 
     if (this._reconnectAttempts < this._maxReconnectAttempts) {
@@ -359,7 +614,8 @@ export class NetworkManager {
       const delay = this._reconnectAttempts <= this._fastReconnectAttempts
         ? Math.pow(2, this._reconnectAttempts - 1) * 1000
         : 16000;
-      setTimeout(() => {
+      // Tracked so destroy() can cancel it
+      this._reconnectTimeout = setTimeout(() => {
         if (!this.connected) this._attemptReconnect();
       }, delay);
     } else {
@@ -385,13 +641,13 @@ export class NetworkManager {
     if (this.onReconnecting) this.onReconnecting(this._reconnectAttempts, this._maxReconnectAttempts);
 
     // Close stale connections
-    if (this.conn) { try { this.conn.close(); } catch (e) {} }
-    if (this._relayWs) { try { this._relayWs.close(); } catch (e) {} this._relayWs = null; }
+    if (this._p2p) { this._p2p.close(); this._p2p = null; }
+    if (this._room) { this._room.close(); this._room = null; }
 
-    // Reconnect via relay first (primary transport)
-    if (this._fallbackUrl) {
+    // Reconnect via the room first (primary transport)
+    if (this._fallbackUrl || this._createRoomTransport) {
       this._relayReconnectAttempts = 0;
-      this._connectRelay();
+      this._connectRoom();
       // Timeout: if relay doesn't reconnect within 5s, try next attempt
       this._reconnectTimeout = setTimeout(() => {
         if (!this.connected) this._handleDisconnect();
@@ -445,19 +701,25 @@ export class NetworkManager {
     audioEl.play().catch(() => {});
   }
 
-  _connectRelay() {
-    if (!this._fallbackUrl) return;
-    this._relayPartnerReady = false;
-    this._relayDidOpen = false;
+  _roomTransport() {
+    if (this._createRoomTransport) return this._createRoomTransport(this.roomCode, this.role);
+    if (!this._fallbackUrl) return null;
     let url = this._fallbackUrl + '?room=' + this.roomCode + '&role=' + this.role;
     if (this._relayToken) url += '&token=' + encodeURIComponent(this._relayToken);
-    this._relayWs = new WebSocket(url);
+    return new RelayTransport(url);
+  }
 
-    this._relayWs.binaryType = 'arraybuffer';
-    this._relayWs.onopen = () => {
-      this._relayDidOpen = true;
+  _connectRoom() {
+    const room = this._roomTransport();
+    if (!room) return;
+    if (this._netSim) room.impair(this._netSim);
+    this._relayPartnerReady = false;
+    this.roomRiders.clear();
+    this._room = room;
+
+    room.onOpen = () => {
       this._relayReconnectAttempts = 0;
-      this.transport = 'relay';
+      this.transport = room.kind;
 
       // Room joined — notify caller
       if (this.onRoomJoined) this.onRoomJoined();
@@ -466,24 +728,22 @@ export class NetworkManager {
         this._enterRoomCallback = null;
       }
     };
-    this._relayWs.onmessage = (e) => {
-      this._handleMessage(e.data);
-    };
-    this._relayWs.onerror = (err) => {
-      console.warn('NET: Relay WebSocket error:', err);
+    room.onMessage = (data) => {
+      this._handleMessage(data);
     };
-    this._relayWs.onclose = () => {
+    room.onClose = ({ opened }) => {
+      if (this._rejected || room !== this._room) return;
       // If P2P is active, silently ignore relay failures (it's just a hot standby)
       if (this.transport === 'p2p' && this.connected) {
-        if (this._relayDidOpen) {
+        if (opened) {
           this._reconnectRelayBackground();
         }
         // Don't fire auth errors or disconnect while P2P is working
         return;
       }
 
-      // If WebSocket never opened, the relay rejected the connection (401/403)
-      if (!this._relayDidOpen) {
+      // If the room never opened, the relay rejected the connection (401/403)
+      if (!opened) {
         console.warn('NET: Relay rejected connection (likely auth error — missing or invalid token)');
         // Fire auth error callback instead of futile reconnect loop
         if (this.onAuthError) {
@@ -494,7 +754,12 @@ export class NetworkManager {
         }
         return;
       }
-      if (this.transport === 'relay' || this.transport === 'none') {
+      if (this.transport !== 'p2p') {
+        // Spectators have no heartbeat to notice a dead relay — treat the close as the drop
+        if (this.role === 'spectator' && this.connected) {
+          this._handleDisconnect();
+          return;
+        }
         // Try relay reconnection with backoff before falling back to disconnect
         if (this._relayReconnectAttempts < 3) {
           this._relayReconnectAttempts++;
@@ -502,7 +767,7 @@ export class NetworkManager {
           console.warn('NET: Relay closed, retrying in ' + delay + 'ms (attempt ' + this._relayReconnectAttempts + '/3)');
           setTimeout(() => {
             if (!this.connected) {
-              this._connectRelay();
+              this._connectRoom();
             }
           }, delay);
         } else {
@@ -511,14 +776,16 @@ export class NetworkManager {
         }
       }
     };
+    room.open();
   }
 
   // Retry relay connection with a fresh token
   retryWithToken(token) {
     this._relayToken = token;
+    this._rejected = false;
     this._relayReconnectAttempts = 0;
-    if (this._relayWs) { try { this._relayWs.close(); } catch (e) {} this._relayWs = null; }
-    this._connectRelay();
+    if (this._room) { this._room.close(); this._room = null; }
+    this._connectRoom();
   }
 
   _reconnectRelayBackground() {
@@ -526,7 +793,7 @@ export class NetworkManager {
     setTimeout(() => {
       if (this.connected && this.transport === 'p2p') {
         this._relayReconnectAttempts = 0;
-        this._connectRelay();
+        this._connectRoom();
       }
     }, 2000);
   }
@@ -534,6 +801,7 @@ export class NetworkManager {
   _attemptP2PUpgrade() {
     if (!this.roomCode || !this.role) return;
     if (this.transport === 'p2p') return; // already on P2P
+    if (this.tripletRoom) return;
 
     const peerId = this.roomCode + '-' + this.role;
     const partnerPeerId = this.roomCode + '-' + (this.role === 'captain' ? 'stoker' : 'captain');
@@ -585,38 +853,31 @@ export class NetworkManager {
   }
 
   _setupP2PUpgradeConnection() {
-    const conn = this.conn;
-    conn.on('open', () => {
+    const p2p = this._useP2P(this.conn);
+
+    p2p.onOpen = () => {
       clearTimeout(this._p2pUpgradeTimeout);
       this.transport = 'p2p';
-      this._activeConn = conn;
       console.log('NET: Upgraded to P2P transport');
       // Start relay keepalive to keep it as hot standby
       this._startRelayKeepalive();
       // Notify listeners (game.js uses this to start media calls)
       if (this.onP2PUpgrade) this.onP2PUpgrade();
-    });
-
-    conn.on('data', (data) => {
-      this._handleMessage(data);
-    });
+    };
 
-    conn.on('close', () => {
-      if (conn !== this._activeConn) return;
+    p2p.onClose = () => {
+      if (p2p !== this._p2p) return;
       // P2P dropped — fall back to relay silently if relay is alive
-      if (this._relayWs && this._relayWs.readyState === WebSocket.OPEN) {
+      if (this._room && this._room.isOpen) {
         console.log('NET: P2P dropped, falling back to relay');
-        this.transport = 'relay';
+        this.transport = this._room.kind;
         // Retry P2P upgrade later
         this._scheduleP2PRetry();
       } else {
         this._handleDisconnect();
       }
-    });
-
-    conn.on('error', (err) => {
-      console.warn('NET: P2P connection error:', err);
-    });
+    };
+    p2p.open();
   }
 
   _scheduleP2PRetry() {
@@ -677,6 +938,7 @@ export class NetworkManager {
   destroy() {
     this._stopHeartbeat();
     clearTimeout(this._reconnectTimeout);
+    clearTimeout(this._handshakeTimeout);
     clearTimeout(this._p2pUpgradeTimeout);
     clearTimeout(this._p2pUpgradeRetryTimeout);
     this._stopRelayKeepalive();
@@ -690,15 +952,16 @@ export class NetworkManager {
       try { this._mediaCall.close(); } catch (e) {}
       this._mediaCall = null;
     }
-    // Stop remote audio playback
-    const audioEl = document.getElementById('partner-audio');
+    // Stop remote audio playback (no DOM in headless sessions)
+    const audioEl = typeof document !== 'undefined' && document.getElementById('partner-audio');
     if (audioEl) { audioEl.srcObject = null; }
-    if (this.conn) { try { this.conn.close(); } catch (e) {} }
+    if (this._p2p) this._p2p.close();
     if (this.peer) { try { this.peer.destroy(); } catch (e) {} }
-    if (this._relayWs) { try { this._relayWs.close(); } catch (e) {} }
+    if (this._room) this._room.close();
     this.connected = false;
     this.conn = null;
     this.peer = null;
-    this._relayWs = null;
+    this._p2p = null;
+    this._room = null;
   }
 }
@@ -9,15 +9,6 @@ const HIT_RADIUS = 1.2;
 const VISIBLE_AHEAD = 200;
 const VISIBLE_BEHIND = 40;
 
-// Seeded PRNG for deterministic placement
-function makeRng(seed) {
-  let s = seed;
-  return () => {
-    s = (s * 9301 + 49297) % 233280;
-    return s / 233280;
-  };
-}
-
 // Chromakey shaders (same as collectibles)
 const chromakeyVertex = `
   varying vec2 vUv;
@@ -66,6 +57,7 @@ export class ObstacleManager {
     this._pool = [];
     this._items = []; // { absoluteD, roadD, lateralOffset, poolIdx }
     this._loopLen = roadPath.loopLength;
+    this.visibleAhead = VISIBLE_AHEAD; // shortened in fog — see setVisibility()
 
     // Create shared video element for the pylon animation
     this._video = document.createElement('video');
@@ -147,28 +139,8 @@ export class ObstacleManager {
       this._pool.push({ mesh, shadow, itemIdx: -1 });
     }
 
-    // Place obstacles deterministically along the race
-    this._placeItems();
-  }
-
-  _placeItems() {
-    if (this.level.isTutorial) return; // tutorial items placed via replaceItems()
-    // Use a different seed than collectibles so they don't overlap
-    const rng = makeRng(this.level.id.charCodeAt(0) * 2000 + 13);
-    const spacing = 55 + (this.level.distance > 2000 ? 25 : 0);
-
-    // Start obstacles after the first section so the player gets going
-    const startD = spacing * 1.5;
-    for (let d = startD; d < this.level.distance - 50; d += spacing + rng() * 25) {
-      // Place on the road, biased toward center but still avoidable
-      const lateralOffset = (rng() - 0.5) * 3; // ±1.5 units from center
-      this._items.push({
-        absoluteD: d,
-        roadD: d % this._loopLen,
-        lateralOffset,
-        poolIdx: -1
-      });
-    }
+    // Layout comes from the level file (tutorial items placed later via replaceItems())
+    this.replaceItems(level.obstacles.items);
   }
 
   replaceItems(positions) {
@@ -178,6 +150,11 @@ export class ObstacleManager {
       slot.itemIdx = -1;
     }
     this._items = [];
+    this.appendItems(positions);
+  }
+
+  /** Add hazards after the existing ones (endless mode lays the road out as it goes). */
+  appendItems(positions) {
     for (const p of positions) {
       this._items.push({
         absoluteD: p.d,
@@ -188,6 +165,11 @@ export class ObstacleManager {
     }
   }
 
+  /** Fog: only place items this share of the clear-weather distance ahead (0-1). */
+  setVisibility(fraction) {
+    this.visibleAhead = VISIBLE_AHEAD * Math.max(0.1, Math.min(1, fraction));
+  }
+
   update(dt, bikeDistanceTraveled, bikePosition) {
     // Release pool slots for items out of range
     for (const slot of this._pool) {
@@ -200,7 +182,7 @@ export class ObstacleManager {
         continue;
       }
       const ahead = item.absoluteD - bikeDistanceTraveled;
-      if (ahead < -VISIBLE_BEHIND || ahead > VISIBLE_AHEAD) {
+      if (ahead < -VISIBLE_BEHIND || ahead > this.visibleAhead) {
         slot.mesh.visible = false;
         slot.shadow.visible = false;
         item.poolIdx = -1;
@@ -213,7 +195,7 @@ export class ObstacleManager {
       const item = this._items[i];
       if (item._hidden) continue;
       const ahead = item.absoluteD - bikeDistanceTraveled;
-      if (ahead < -VISIBLE_BEHIND || ahead > VISIBLE_AHEAD) continue;
+      if (ahead < -VISIBLE_BEHIND || ahead > this.visibleAhead) continue;
 
       // Compute world position
       const pt = this.roadPath.getPointAtDistance(item.roadD);
@@ -0,0 +1,111 @@
+// ============================================================
+// OPPONENT RIDERS — the other teams in a head-to-head race
+// One BikeModel per team, driven by its captain's state
+// snapshots through RemoteBikeState, plus the live standings.
+// ============================================================
+
+import { BikeModel } from './bike-model.js';
+import { RemoteBikeState } from './remote-bike-state.js';
+
+export class OpponentRiders {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {World} world — read for its current road, which each level may rebuild
+   * @param {function(string): object|null} presetFor — bike preset data for a preset key
+   */
+  constructor(scene, world, presetFor) {
+    this.scene = scene;
+    this.world = world;
+    this.presetFor = presetFor;
+    this.teams = new Map(); // slot → { bike, remote, name, lastSeq, finishMs }
+  }
+
+  get teamCount() {
+    return this.teams.size;
+  }
+
+  /** Handle a frame from the team in `slot`: its bike state, name, finish or departure. */
+  handleFrame(slot, msg) {
+    if (msg.type === 'state') {
+      const team = this._team(slot);
+      // Drop snapshots overtaken by a newer one, like NetworkManager does for our own captain
+      if (team.lastSeq !== null && ((msg.seq - team.lastSeq) | 0) <= 0) return;
+      team.lastSeq = msg.seq;
+      team.remote.pushState(msg);
+    } else if (msg.type === 'profile' && msg.data) {
+      const data = msg.data;
+      if (data.type === 'raceTeam') {
+        const team = this._team(slot);
+        if (typeof data.name === 'string') team.name = data.name.slice(0, 24);
+        const preset = data.presetKey && this.presetFor(data.presetKey);
+        if (preset) team.bike.applyPreset(preset);
+      } else if (data.type === 'raceFinish') {
+        this._team(slot).finishMs = data.timeMs;
+      } else if (data.type === 'raceLeft') {
+        this.remove(slot);
+      }
+    }
+  }
+
+  _team(slot) {
+    let team = this.teams.get(slot);
+    if (!team) {
+      const bike = new BikeModel(this.scene);
+      bike.roadPath = this.world.roadPath;
+      team = { bike, remote: new RemoteBikeState(), name: 'Team ' + (slot + 1), lastSeq: null, finishMs: null };
+      this.teams.set(slot, team);
+    }
+    return team;
+  }
+
+  /** Move every opponent bike to its interpolated state. */
+  update() {
+    for (const team of this.teams.values()) {
+      const state = team.remote.getInterpolated();
+      if (!state) continue;
+      team.bike.roadPath = this.world.roadPath;
+      team.bike.applyRemoteState(state);
+    }
+  }
+
+  /**
+   * Standings, leader first: finished teams by time, then everyone else by distance.
+   * @param {number} ownDistance
+   * @param {number|null} ownFinishMs
+   * @returns {{name: string, own: boolean, finished: boolean}[]}
+   */
+  ranking(ownDistance, ownFinishMs) {
+    const rows = [{ name: 'YOU', own: true, distance: ownDistance, finishMs: ownFinishMs }];
+    for (const team of this.teams.values()) {
+      const distance = team.remote.curr ? team.remote.curr.distanceTraveled : 0;
+      rows.push({ name: team.name, own: false, distance, finishMs: team.finishMs });
+    }
+    rows.sort((a, b) => {
+      if (a.finishMs !== null && b.finishMs !== null) return a.finishMs - b.finishMs;
+      if (a.finishMs !== null) return -1;
+      if (b.finishMs !== null) return 1;
+      return b.distance - a.distance;
+    });
+    return rows.map(r => ({ name: r.name, own: r.own, finished: r.finishMs !== null }));
+  }
+
+  /** Finishing place for a time: one behind every team already home faster. */
+  placeFor(timeMs) {
+    let place = 1;
+    for (const team of this.teams.values()) {
+      if (team.finishMs !== null && team.finishMs < timeMs) place++;
+    }
+    return place;
+  }
+
+  remove(slot) {
+    const team = this.teams.get(slot);
+    if (!team) return;
+    this.scene.remove(team.bike.group);
+    this.teams.delete(slot);
+  }
+
+  clear() {
+    for (const slot of [...this.teams.keys()]) this.remove(slot);
+  }
+}
@@ -0,0 +1,90 @@
+// ============================================================
+// POWER-UPS — typed pickups and the effects they leave running
+// Levels pick which types CollectibleManager places on the road
+// (level "powerUps"). Riding through one starts its effect for a
+// few seconds; the captain's timers travel in every state
+// snapshot so the stoker and spectators show the same ones.
+// Headless: the level loader and ride verifier read POWER_UPS too.
+// ============================================================
+
+// Durations are ride seconds — slow-motion stretches them along with everything else
+export const POWER_UPS = {
+  shield:     { icon: '\u{1F6E1}\uFE0F', label: 'SHIELD', color: '#44aaff', duration: 20 }, // 🛡️ absorbs one tree or pylon hit
+  magnet:     { icon: '\u{1F9F2}', label: 'MAGNET', color: '#ff5566', duration: 10 },       // 🧲 pulls nearby items in
+  stabilizer: { icon: '\u2696\uFE0F', label: 'STEADY', color: '#44dd88', duration: 8 },     // ⚖️ BikePhysics.stabilize()
+  slowmo:     { icon: '\u{1F422}', label: 'SLOW-MO', color: '#bb88ff', duration: 5 },       // 🐢 the whole ride runs slower
+};
+export const POWER_UP_TYPES = Object.keys(POWER_UPS);
+
+export const MAGNET_RADIUS = 10;  // m — items this close drift to the bike
+export const SLOWMO_SCALE = 0.5;  // ride time per real second while slow-motion runs
+const SHIELD_GRACE_S = 1.0;       // after absorbing a hit, long enough to ride clear of it
+
+export class PowerUpEffects {
+  constructor() {
+    this.timers = {};
+    this.reset();
+  }
+
+  /** End every effect (new ride, checkpoint restart). */
+  reset() {
+    for (const type of POWER_UP_TYPES) this.timers[type] = 0;
+    this._graceTimer = 0;
+  }
+
+  /** Start (or top up) an effect for its full duration. */
+  activate(type) {
+    if (!POWER_UPS[type]) return;
+    this.timers[type] = POWER_UPS[type].duration;
+  }
+
+  isActive(type) {
+    return this.timers[type] > 0;
+  }
+
+  /** @param {number} dt — ride time (s), already slowed by slow-motion */
+  update(dt) {
+    for (const type of POWER_UP_TYPES) {
+      if (this.timers[type] > 0) this.timers[type] = Math.max(0, this.timers[type] - dt);
+    }
+    if (this._graceTimer > 0) this._graceTimer -= dt;
+  }
+
+  /**
+   * A tree or pylon hit: a running shield takes it and breaks.
+   * @returns {boolean} true when the hit was absorbed and the bike stays up
+   */
+  absorbHit() {
+    if (this._graceTimer > 0) return true;
+    if (!this.isActive('shield')) return false;
+    this.timers.shield = 0;
+    this._graceTimer = SHIELD_GRACE_S;
+    return true;
+  }
+
+  /** Ride time per real second. */
+  get timeScale() {
+    return this.isActive('slowmo') ? SLOWMO_SCALE : 1;
+  }
+
+  get magnetRadius() {
+    return this.isActive('magnet') ? MAGNET_RADIUS : 0;
+  }
+
+  /** Running effects in POWER_UPS order, for the HUD. @returns {{type:string, remaining:number, fraction:number}[]} */
+  active() {
+    return POWER_UP_TYPES.filter(type => this.timers[type] > 0).map(type => ({
+      type,
+      remaining: this.timers[type],
+      fraction: this.timers[type] / POWER_UPS[type].duration,
+    }));
+  }
+
+  /** Copy the captain's timers from a state snapshot (older captains send none). */
+  applyState(state) {
+    for (const type of POWER_UP_TYPES) {
+      const v = state[type + 'Timer'];
+      this.timers[type] = v > 0 ? v : 0;
+    }
+  }
+}
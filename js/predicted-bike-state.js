@@ -0,0 +1,233 @@
+// ============================================================
+// PREDICTED BIKE STATE — client-side prediction for the stoker
+// Runs its own BikePhysics with both riders' latest inputs so the
+// stoker's lean and pedals show up immediately, then rolls back to
+// each captain snapshot and replays the inputs recorded since.
+// Corrections are blended out over a few frames instead of popping.
+// ============================================================
+
+import { BikePhysics, PHYSICS_DT, PHYSICS_HZ } from './bike-physics.js';
+
+const HISTORY_TICKS = PHYSICS_HZ * 2;   // inputs kept for replay (2 s)
+const MAX_CATCHUP_TICKS = PHYSICS_HZ / 2; // never predict more than 0.5 s ahead of a snapshot
+const LEAD_SLACK_TICKS = 6;            // clock drift tolerated before re-aligning to the captain
+const SNAP_DISTANCE = 3;               // meters — larger corrections jump instead of blending
+const CORRECTION_RATE = 10;            // 1/s — how fast a blended correction fades out
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+export class PredictedBikeState {
+  /**
+   * @param {object} roadPath — the road the captain is riding
+   */
+  constructor(roadPath) {
+    this.physics = new BikePhysics({ roadPath });
+    this.latest = null;      // newest captain snapshot (authoritative flags + timer)
+    this._pending = null;    // snapshot waiting to be reconciled
+    this._history = [];      // { tick, input } per predicted step, oldest first
+    this._accumulator = 0;
+    this._synced = false;
+
+    // Visual error left over from the last correction, faded each frame
+    this._error = { x: 0, y: 0, z: 0, heading: 0, lean: 0 };
+
+    this._input = {
+      acceleration: 0, wobble: 0, braking: false, crankAngle: 0,
+      leanInput: 0, gyroActive: false, safetyMode: false, autoSpeed: false
+    };
+
+    // Reusable result object, same shape RemoteBikeState hands to applyRemoteState()
+    this._outState = {
+      x: 0, y: 0, z: 0, heading: 0, lean: 0, leanVelocity: 0,
+      speed: 0, crankAngle: 0, distanceTraveled: 0, roadD: 0, flags: 0
+    };
+  }
+
+  set roadPath(v) { this.physics.roadPath = v; }
+  set weather(v) { this.physics.weather = v; }
+
+  /** Drop all prediction — the next snapshot is taken as-is (race reset, new level). */
+  reset() {
+    this.latest = null;
+    this._pending = null;
+    this._history.length = 0;
+    this._accumulator = 0;
+    this._synced = false;
+    this._clearError();
+  }
+
+  /**
+   * Copy the predicted bike into another simulation that carries on from
+   * here — the stoker's own bike when it takes over from a dropped captain
+   * or swaps seats. A snapshot still queued is reconciled first.
+   * @param {BikePhysics} physics
+   * @param {number} [latencyMs=0] — one-way delay of captain snapshots
+   */
+  copyTo(physics, latencyMs = 0) {
+    if (this._pending) this._reconcile(this._pending, Math.round((latencyMs / 1000) * PHYSICS_HZ));
+    this._pending = null;
+    const p = this.physics;
+    physics.position.x = p.position.x;
+    physics.position.y = p.position.y;
+    physics.position.z = p.position.z;
+    for (const key of ['heading', 'lean', 'leanVelocity', 'speed', 'crankAngle', 'distanceTraveled', 'roadD',
+      'fallen', 'braking', 'fallTimer', 'boostTimer', 'stabilizeTimer', 'tick', 'time']) {
+      physics[key] = p[key];
+    }
+  }
+
+  /** Queue a captain snapshot; snapshots arriving out of order are ignored. */
+  pushState(state) {
+    const last = this.latest;
+    // A tick far behind the last one means the captain reset its clock (checkpoint restart)
+    if (last && state.tick <= last.tick && last.tick - state.tick < PHYSICS_HZ) return;
+    this.latest = state;
+    this._pending = state;
+  }
+
+  /**
+   * Advance the prediction by one frame.
+   * @param {number} dt — frame time (s)
+   * @param {{acceleration:number, wobble:number, braking:boolean, crankAngle:number}} pedalResult — both riders' taps
+   * @param {number} leanInput — merged captain + stoker lean
+   * @param {boolean} safetyMode
+   * @param {boolean} autoSpeed
+   * @param {number} latencyMs — one-way delay of captain snapshots
+   * @returns {object|null} state for BikeModel.applyRemoteState()
+   */
+  update(dt, pedalResult, leanInput, safetyMode, autoSpeed, latencyMs) {
+    const input = this._input;
+    input.wobble = pedalResult.wobble;
+    input.braking = pedalResult.braking;
+    input.crankAngle = pedalResult.crankAngle;
+    input.leanInput = leanInput;
+    input.safetyMode = !!safetyMode;
+    input.autoSpeed = !!autoSpeed;
+    let acceleration = pedalResult.acceleration;
+
+    const leadTicks = Math.round((latencyMs / 1000) * PHYSICS_HZ);
+    if (this._pending) this._reconcile(this._pending, leadTicks);
+    this._pending = null;
+    if (!this._synced) return null;
+
+    // The captain decides falls (trees, pylons) — hold the fallen pose it sent
+    if (this.latest.flags & 1) {
+      this._restore(this.latest);
+      this._history.length = 0;
+      this._accumulator = 0;
+      this._clearError();
+      return this._output();
+    }
+
+    this._accumulator += dt;
+    let steps = 0;
+    while (this._accumulator >= PHYSICS_DT && steps < MAX_CATCHUP_TICKS) {
+      this._accumulator -= PHYSICS_DT;
+      input.acceleration = acceleration;
+      acceleration = 0; // pedal impulse applies once, like BikePhysics.advance()
+      this._step(input);
+      steps++;
+    }
+    if (steps === MAX_CATCHUP_TICKS) this._accumulator = 0;
+
+    const fade = Math.exp(-CORRECTION_RATE * dt);
+    const e = this._error;
+    e.x *= fade; e.y *= fade; e.z *= fade; e.heading *= fade; e.lean *= fade;
+    return this._output();
+  }
+
+  _step(input) {
+    this.physics.step(input);
+    this._history.push({ tick: this.physics.tick, input: { ...input } });
+    if (this._history.length > HISTORY_TICKS) this._history.shift();
+  }
+
+  // Roll back to the snapshot and replay the inputs predicted since it was taken
+  _reconcile(snap, leadTicks) {
+    const p = this.physics;
+    const before = this._synced
+      ? { x: p.position.x, y: p.position.y, z: p.position.z, heading: p.heading, lean: p.lean }
+      : null;
+
+    // Where "now" is on the captain's clock, give or take some drift
+    const target = snap.tick + leadTicks;
+    const end = this._synced
+      ? Math.max(target - LEAD_SLACK_TICKS, Math.min(target + LEAD_SLACK_TICKS, p.tick))
+      : target;
+
+    const history = this._history;
+    let i = 0;
+    while (i < history.length && history[i].tick <= snap.tick) i++;
+    const replay = history.slice(i);
+    const held = replay.length ? replay[replay.length - 1].input : this._input;
+
+    this._restore(snap);
+    history.length = 0;
+    let r = 0;
+    while (p.tick < end && p.tick - snap.tick < MAX_CATCHUP_TICKS) {
+      while (r < replay.length && replay[r].tick <= p.tick) r++;
+      const input = r < replay.length && replay[r].tick === p.tick + 1 ? replay[r].input : held;
+      this._step(input);
+    }
+
+    if (!before) {
+      this._synced = true;
+      this._clearError();
+      return;
+    }
+    const e = this._error;
+    e.x += before.x - p.position.x;
+    e.y += before.y - p.position.y;
+    e.z += before.z - p.position.z;
+    e.heading = wrapAngle(e.heading + before.heading - p.heading);
+    e.lean += before.lean - p.lean;
+    if (e.x * e.x + e.z * e.z > SNAP_DISTANCE * SNAP_DISTANCE) this._clearError();
+  }
+
+  _restore(snap) {
+    const p = this.physics;
+    p.position.x = snap.x;
+    p.position.y = snap.y;
+    p.position.z = snap.z;
+    p.heading = snap.heading;
+    p.lean = snap.lean;
+    p.leanVelocity = snap.leanVelocity;
+    p.speed = snap.speed;
+    p.crankAngle = snap.crankAngle;
+    p.distanceTraveled = snap.distanceTraveled;
+    p.roadD = snap.roadD;
+    p.fallen = !!(snap.flags & 1);
+    p.braking = !!(snap.flags & 2);
+    p.fallTimer = snap.fallTimer;
+    p.boostTimer = snap.boostTimer;
+    p.stabilizeTimer = snap.stabilizerTimer || 0; // older captains send no power-up timers
+    p.tick = snap.tick;
+    p.time = snap.tick * PHYSICS_DT;
+  }
+
+  _clearError() {
+    const e = this._error;
+    e.x = e.y = e.z = e.heading = e.lean = 0;
+  }
+
+  _output() {
+    const p = this.physics;
+    const e = this._error;
+    const s = this._outState;
+    s.x = p.position.x + e.x;
+    s.y = p.position.y + e.y;
+    s.z = p.position.z + e.z;
+    s.heading = p.heading + e.heading;
+    s.lean = p.lean + e.lean;
+    s.leanVelocity = p.leanVelocity;
+    s.speed = p.speed;
+    s.crankAngle = p.crankAngle;
+    s.distanceTraveled = p.distanceTraveled;
+    s.roadD = p.roadD;
+    // Falls only count once the captain confirms them (a predicted fall may be rolled back)
+    s.flags = (this.latest.flags & 1) | (p.braking ? 2 : 0);
+    return s;
+  }
+}
@@ -0,0 +1,190 @@
+// ============================================================
+// PROTOCOL — versioned wire format shared by clients and relay
+// Every message is described once in SCHEMA; encoders and
+// decoders are generated from it. Peers swap a HELLO carrying
+// their version range and feature flags before anything else,
+// and refuse partners they can't talk to.
+// ============================================================
+
+// Bump PROTOCOL_VERSION on any wire change. Raise MIN_PROTOCOL_VERSION only
+// when older peers can no longer be understood (fields appended to the end
+// of a message's `extra` list stay readable by both sides).
+export const PROTOCOL_VERSION = 10;
+export const MIN_PROTOCOL_VERSION = 2;
+
+// Optional capabilities, negotiated in HELLO — a feature is on only when both peers set it
+export const FEATURES = {
+  prediction: 1 << 0, // stoker predicts the bike from state ticks instead of interpolating
+  spectators: 1 << 1, // captain copies its ride to spectators through the relay
+  hostMigration: 1 << 2, // stoker takes over the physics when the captain drops mid-ride
+  seatSwap: 1 << 3, // riders trade captain and stoker at a checkpoint
+  triplet: 1 << 4, // rooms take a third rider ('stoker2') on the shared crank
+  headToHead: 1 << 5, // captain passes other teams' race frames on to its stokers
+  quickChat: 1 << 6, // riders swap canned callouts and emoji reactions
+  rideLogHandoff: 1 << 7, // captain streams its ride log so a takeover or swap can carry it on
+};
+export const LOCAL_FEATURES = Object.values(FEATURES).reduce((all, bit) => all | bit, 0);
+
+// Rider seats front to back; `seat` fields carry the index
+export const SEATS = ['captain', 'stoker', 'stoker2'];
+
+const TYPES = {
+  u8:  { size: 1, read: (v, o) => v.getUint8(o),        write: (v, o, x) => v.setUint8(o, x) },
+  u16: { size: 2, read: (v, o) => v.getUint16(o, true), write: (v, o, x) => v.setUint16(o, x, true) },
+  u32: { size: 4, read: (v, o) => v.getUint32(o, true), write: (v, o, x) => v.setUint32(o, x >>> 0, true) },
+  f32: { size: 4, read: (v, o) => v.getFloat32(o, true), write: (v, o, x) => v.setFloat32(o, x, true) },
+  // Variable-length tails filling the rest of the message — only allowed as the last field
+  json: { size: 0 },   // UTF-8 JSON
+  bytes: { size: 0 },  // raw bytes, e.g. a whole nested message
+};
+
+// Byte 0 of every message is its id. `fields` must all be present; `extra`
+// fields were appended in later versions and decode as undefined when a
+// shorter message arrives. HELLO's layout must never change.
+export const SCHEMA = {
+  pedal:     { id: 0x01, fields: [['foot', 'u8']], extra: [['seat', 'u8']] }, // 0 = up, 1 = down; sender's SEATS index
+  state:     { id: 0x02, fields: [
+    ['seq', 'u32'], ['sentAt', 'u32'],                              // per-sender counter, sender ms clock
+    ['x', 'f32'], ['y', 'f32'], ['z', 'f32'],
+    ['heading', 'f32'], ['lean', 'f32'], ['leanVelocity', 'f32'],
+    ['speed', 'f32'], ['crankAngle', 'f32'], ['distanceTraveled', 'f32'], ['roadD', 'f32'],
+    ['flags', 'u8'],                                                // bit 0 fallen, bit 1 braking
+    ['timerRemaining', 'f32'],                                      // -1 when no race timer runs
+    ['tick', 'u32'], ['fallTimer', 'f32'], ['boostTimer', 'f32'],   // prediction fields
+  ], extra: [
+    // Power-up seconds left (POWER_UPS in power-ups.js); 0 when not running
+    ['shieldTimer', 'f32'], ['magnetTimer', 'f32'], ['stabilizerTimer', 'f32'], ['slowmoTimer', 'f32'],
+  ] },
+  event:     { id: 0x03, fields: [['event', 'u8']] },              // EVT_* in config.js
+  heartbeat: { id: 0x04, fields: [['kind', 'u8']] },               // 0 = ping, 1 = pong, 2 = relay keepalive
+  lean:      { id: 0x05, fields: [['lean', 'f32']], extra: [['seat', 'u8']] },
+  // 0x06 was MSG_COLLECT, never sent
+  profile:   { id: 0x07, fields: [['data', 'json']] },
+  hello:     { id: 0x08, fields: [['version', 'u16'], ['minVersion', 'u16'], ['features', 'u32']] },
+  spectate:  { id: 0x09, fields: [['frame', 'bytes']] },           // captain → relay: forward `frame` to spectators only
+  race:      { id: 0x0a, fields: [['slot', 'u8'], ['frame', 'bytes']] }, // another team's `frame`; slot stamped by the relay
+  chat:      { id: 0x0b, fields: [['chat', 'u8'], ['seat', 'u8']] }, // QUICK_CHAT index in quick-chat.js; sender's SEATS index
+};
+
+/**
+ * Build encode/decode functions for a schema.
+ * @param {object} schema — { name: { id, fields: [[field, type]], extra?: [[field, type]] } }
+ * @returns {{ MSG: object, encode: function, decode: function }}
+ */
+export function createCodec(schema) {
+  const MSG = {};
+  const byId = new Map();
+  const codecs = {};
+
+  for (const [name, def] of Object.entries(schema)) {
+    if (byId.has(def.id)) throw new Error(`Protocol: ${name} reuses message id ${def.id}`);
+    const layout = [];
+    let offset = 1;
+    const all = [...def.fields, ...(def.extra || [])];
+    all.forEach(([field, type], i) => {
+      const t = TYPES[type];
+      if (!t) throw new Error(`Protocol: unknown type "${type}" for ${name}.${field}`);
+      if (t.size === 0 && i !== all.length - 1) {
+        throw new Error(`Protocol: ${name}.${field} is ${type} and must be the last field`);
+      }
+      layout.push({ field, type, offset, required: i < def.fields.length });
+      offset += t.size;
+    });
+
+    const variable = layout.length > 0 && TYPES[layout[layout.length - 1].type].size === 0;
+    const minSize = layout.filter(f => f.required && TYPES[f.type].size > 0)
+      .reduce((end, f) => f.offset + TYPES[f.type].size, 1);
+    const codec = { name, id: def.id, layout, minSize, variable };
+    // Fixed-size messages reuse one buffer — callers send it straight away
+    if (!variable) {
+      const buf = new ArrayBuffer(offset);
+      codec.view = new DataView(buf);
+      codec.bytes = new Uint8Array(buf);
+    }
+
+    MSG[name] = def.id;
+    byId.set(def.id, codec);
+    codecs[name] = codec;
+  }
+
+  /**
+   * Encode a message. Fixed-size messages return a shared buffer that the
+   * next encode of the same type overwrites.
+   * @param {string} name — SCHEMA key
+   * @param {object} values — field values by name (missing numbers encode as 0)
+   * @returns {Uint8Array}
+   */
+  function encode(name, values = {}) {
+    const codec = codecs[name];
+    if (!codec) throw new Error(`Protocol: unknown message "${name}"`);
+    let view = codec.view;
+    let bytes = codec.bytes;
+    let tail = null;
+    if (codec.variable) {
+      const last = codec.layout[codec.layout.length - 1];
+      const value = values[last.field];
+      tail = last.type === 'json' ? new TextEncoder().encode(JSON.stringify(value)) : value;
+      bytes = new Uint8Array(last.offset + tail.length);
+      view = new DataView(bytes.buffer);
+    }
+    view.setUint8(0, codec.id);
+    for (const f of codec.layout) {
+      if (TYPES[f.type].size === 0) bytes.set(tail, f.offset);
+      else TYPES[f.type].write(view, f.offset, values[f.field] || 0);
+    }
+    return bytes;
+  }
+
+  /**
+   * Decode a message.
+   * @param {Uint8Array} bytes
+   * @returns {object|null} { type, ...fields }, or null for unknown or malformed messages
+   */
+  function decode(bytes) {
+    if (!bytes || bytes.byteLength === 0) return null;
+    const codec = byId.get(bytes[0]);
+    if (!codec || bytes.byteLength < codec.minSize) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const msg = { type: codec.name };
+    for (const f of codec.layout) {
+      if (f.type === 'bytes') {
+        msg[f.field] = bytes.subarray(f.offset);
+      } else if (f.type === 'json') {
+        try {
+          msg[f.field] = JSON.parse(new TextDecoder().decode(bytes.subarray(f.offset)));
+        } catch (e) {
+          return null;
+        }
+      } else if (f.offset + TYPES[f.type].size <= bytes.byteLength) {
+        msg[f.field] = TYPES[f.type].read(view, f.offset);
+      }
+    }
+    return msg;
+  }
+
+  return { MSG, encode, decode };
+}
+
+export const { MSG, encode, decode } = createCodec(SCHEMA);
+
+/** HELLO for this build. */
+export function helloMessage() {
+  return encode('hello', { version: PROTOCOL_VERSION, minVersion: MIN_PROTOCOL_VERSION, features: LOCAL_FEATURES });
+}
+
+const OLDER_PARTNER = 'Your partner is on an older version of Tandemonium — ask them to reload the page';
+
+/**
+ * Check a partner's HELLO against this build.
+ * @returns {string|null} reason to show the player, or null when compatible
+ */
+export function checkCompatibility(hello) {
+  if (hello.version < MIN_PROTOCOL_VERSION) return OLDER_PARTNER;
+  if (hello.minVersion > PROTOCOL_VERSION) {
+    return 'Your partner is on a newer version of Tandemonium — reload this page to update';
+  }
+  return null;
+}
+
+/** Shown when a partner never sends HELLO — it predates the versioned protocol. */
+export const NO_HELLO_REASON = OLDER_PARTNER;
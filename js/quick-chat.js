@@ -0,0 +1,130 @@
+// ============================================================
+// QUICK CHAT — canned callouts and emoji reactions
+// For riders without voice: a tap on the 💬 tray, or B plus a
+// d-pad direction on a gamepad, sends one of a fixed list of
+// phrases as a single `chat` message. The partner sees it as a
+// bubble over our gauge and can have it read aloud.
+// ============================================================
+
+// The index is the wire id — append only, never reorder
+export const QUICK_CHAT = [
+  { text: 'Left!', say: 'Left' },
+  { text: 'Right!', say: 'Right' },
+  { text: 'Slow down', say: 'Slow down' },
+  { text: 'Sync up!', say: 'Sync up' },
+  { text: 'Nice!', say: 'Nice' },
+  { text: 'Sorry!', say: 'Sorry' },
+  { text: '\u{1F44D}', say: 'Thumbs up', emoji: true },    // 👍
+  { text: '\u{1F602}', say: 'Ha ha', emoji: true },        // 😂
+  { text: '\u{1F631}', say: 'Whoa', emoji: true },         // 😱
+  { text: '\u{1F525}', say: 'On fire', emoji: true },      // 🔥
+];
+
+// Gamepad: hold B and press a direction; B on its own says 'Nice!'
+const DPAD_CHAT = { up: 3, down: 2, left: 0, right: 1 };
+const B_TAP_CHAT = 4;
+const DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+
+const SEND_COOLDOWN_MS = 600; // one callout at a time — mashing doesn't flood the partner
+const TTS_KEY = 'tandemonium-chat-tts';
+
+export class QuickChat {
+  /** @param {(id: number) => void} onSend — deliver a QUICK_CHAT id to the partner */
+  constructor(onSend) {
+    this._onSend = onSend;
+    this._lastSentAt = 0;
+    this.available = false;
+
+    this._btn = document.getElementById('chat-btn');
+    this._tray = document.getElementById('chat-tray');
+    this._ttsBtn = document.getElementById('chat-tts');
+    try { this.tts = localStorage.getItem(TTS_KEY) === '1'; } catch (e) { this.tts = false; }
+
+    const onTap = (el, fn) => {
+      el.addEventListener('touchend', (e) => { e.preventDefault(); fn(); });
+      el.addEventListener('click', fn);
+    };
+    const list = document.getElementById('chat-options');
+    QUICK_CHAT.forEach((entry, id) => {
+      const btn = document.createElement('button');
+      btn.className = entry.emoji ? 'chat-option chat-emoji' : 'chat-option';
+      btn.textContent = entry.text;
+      onTap(btn, () => this.send(id));
+      list.appendChild(btn);
+    });
+    onTap(this._btn, () => this._setTrayOpen(this._tray.style.display === 'none'));
+    onTap(this._ttsBtn, () => this._setTts(!this.tts));
+    this._updateTtsButton();
+
+    // Gamepad edge detection
+    this._prevB = false;
+    this._prevDirs = { up: false, down: false, left: false, right: false };
+    this._usedDpad = false;
+  }
+
+  /** Show or hide the 💬 button (riders on a networked ride only). */
+  setAvailable(on) {
+    this.available = on;
+    this._btn.style.display = on ? '' : 'none';
+    if (!on) this._setTrayOpen(false);
+  }
+
+  /** Send a QUICK_CHAT id, unless the last one went out a moment ago. */
+  send(id) {
+    if (!this.available || !QUICK_CHAT[id]) return;
+    const now = performance.now();
+    if (now - this._lastSentAt < SEND_COOLDOWN_MS) return;
+    this._lastSentAt = now;
+    this._setTrayOpen(false);
+    this._onSend(id);
+  }
+
+  /** Read a received callout aloud, when the rider turned that on. */
+  speak(id) {
+    const entry = QUICK_CHAT[id];
+    if (!entry || !this.tts || typeof speechSynthesis === 'undefined') return;
+    speechSynthesis.cancel(); // a new callout replaces one still being read
+    const utterance = new SpeechSynthesisUtterance(entry.say);
+    utterance.rate = 1.2;
+    speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Gamepad: B plus a d-pad direction sends that direction's callout; B
+   * pressed and released alone sends 'Nice!'.
+   * @returns {boolean} true while B is held — the d-pad is chat's, not the side buttons'
+   */
+  pollGamepad(gp) {
+    const held = (i) => !!(gp.buttons[i] && gp.buttons[i].pressed);
+    const b = this.available && held(1);
+    for (const dir of Object.keys(DPAD_BUTTONS)) {
+      const down = held(DPAD_BUTTONS[dir]);
+      if (b && down && !this._prevDirs[dir]) {
+        this.send(DPAD_CHAT[dir]);
+        this._usedDpad = true;
+      }
+      this._prevDirs[dir] = down;
+    }
+    if (!b && this._prevB && !this._usedDpad) this.send(B_TAP_CHAT);
+    if (!b) this._usedDpad = false;
+    this._prevB = b;
+    return b;
+  }
+
+  _setTrayOpen(open) {
+    this._tray.style.display = open ? 'flex' : 'none';
+    this._btn.classList.toggle('open', open);
+  }
+
+  _setTts(on) {
+    this.tts = on;
+    try { localStorage.setItem(TTS_KEY, on ? '1' : '0'); } catch (e) {}
+    this._updateTtsButton();
+    if (!on && typeof speechSynthesis !== 'undefined') speechSynthesis.cancel();
+  }
+
+  _updateTtsButton() {
+    this._ttsBtn.textContent = this.tts ? '\u{1F50A} READ ALOUD' : '\u{1F507} READ ALOUD'; // 🔊 / 🔇
+    this._ttsBtn.classList.toggle('on', this.tts);
+  }
+}
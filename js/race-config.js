@@ -1,42 +1,55 @@
 // ============================================================
-// RACE CONFIG — level definitions
+// RACE CONFIG — level registry
+// Built-in levels live in levels/*.json (listed in levels/index.json);
+// extra levels can be loaded from any URL via ?level=<url>.
 // ============================================================
 
-export const LEVELS = [
-  {
-    id: 'tutorial',
-    name: 'Learn to Ride',
-    distance: 212,
-    collectibles: 'presents',
-    checkpointInterval: 212,   // single checkpoint = entire ride
-    icon: '\uD83D\uDEB4',        // 🚴
-    description: 'Master pedaling and steering!',
-    isTutorial: true,
-    coaching: { dodgeArrow: true, collectIndicator: true },
-    timerEnabled: false,
-    treeCollision: false,
-    motionAdaptation: false
-  },
-  {
-    id: 'grandma',
-    name: "Grandma's House",
-    distance: 250,
-    collectibles: 'presents',
-    checkpointInterval: 62,
-    icon: '\uD83C\uDFE0',        // 🏠
-    description: 'Grandma called — she needs her presents!'
-  },
-  {
-    id: 'castle',
-    name: 'The Castle',
-    distance: 2000,
-    collectibles: 'gems',
-    checkpointInterval: 500,
-    icon: '\uD83C\uDFF0',        // 🏰
-    description: 'The King awaits! Collect gems on the road to glory!'
-  }
-];
+import { loadLevel, loadLevelManifest } from './level-loader.js';
+
+export const BUILTIN_LEVEL_MANIFEST = new URL('../levels/index.json', import.meta.url).href;
+
+// Filled by loadLevels() before the game boots
+export const LEVELS = [];
 
 export function getLevelById(id) {
   return LEVELS.find(l => l.id === id) || LEVELS[0];
 }
+
+/** Add a level, replacing any loaded level with the same id. */
+export function addLevel(level) {
+  const idx = LEVELS.findIndex(l => l.id === level.id);
+  if (idx >= 0) LEVELS[idx] = level;
+  else LEVELS.push(level);
+  return level;
+}
+
+/**
+ * Load the built-in levels plus any extra level URLs.
+ * A broken level file is reported and skipped; only an empty
+ * registry is fatal.
+ * @param {string[]} [extraUrls]
+ * @returns {Promise<string[]>} error messages for levels that failed to load
+ */
+export async function loadLevels(extraUrls = []) {
+  const problems = [];
+  let builtinUrls = [];
+  try {
+    builtinUrls = await loadLevelManifest(BUILTIN_LEVEL_MANIFEST);
+  } catch (e) {
+    problems.push(e.message);
+  }
+
+  const results = await Promise.allSettled([...builtinUrls, ...extraUrls].map(url => loadLevel(url)));
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') {
+      problems.push(r.reason.message);
+      return;
+    }
+    r.value.builtin = i < builtinUrls.length;
+    addLevel(r.value);
+  });
+
+  for (const msg of problems) console.error('[levels] ' + msg);
+  if (LEVELS.length === 0) throw new Error('No levels could be loaded:\n' + problems.join('\n'));
+  return problems;
+}
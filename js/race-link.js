@@ -0,0 +1,124 @@
+// ============================================================
+// RACE LINK — a team's seat in a head-to-head race room
+// Each team's captain joins one relay room as a 'racer'. Its
+// state snapshots, profiles and events go out wrapped in a
+// race frame, and the relay fans them out to every other team
+// with the sender's slot written in.
+// ============================================================
+
+import { RelayTransport } from './transports.js';
+import { encode, decode } from './protocol.js';
+
+const RACE_PREFIX = 'RACE-';
+
+/** Race room code from what the player typed, e.g. 'ab12' → 'RACE-AB12'. */
+export function raceRoomCode(raw) {
+  const code = raw.trim().toUpperCase();
+  return code.startsWith(RACE_PREFIX) ? code : RACE_PREFIX + code;
+}
+
+/** A race frame saying the team in `slot` left — what the relay's 'racer-left' becomes for our stokers. */
+export function racerLeftFrame(slot) {
+  return encode('race', { slot, frame: encode('profile', { data: { type: 'raceLeft' } }) });
+}
+
+export class RaceLink {
+  /**
+   * @param {string} relayUrl
+   * @param {string} code — race room code ('RACE-XXXX')
+   * @param {string} team — our tandem's room code, so the relay can tell teams apart
+   */
+  constructor(relayUrl, code, team) {
+    this.code = code;
+    this.team = team;
+    this.slot = -1;           // ours, handed out by the relay
+    this.racers = new Map();  // slot → room code of every other team
+    this.started = false;     // the host team's countdown went out
+    this._stateSeq = 0;
+    this.onJoined = null;       // () — we have a slot
+    this.onRacerJoined = null;  // (slot)
+    this.onRacerLeft = null;    // (slot)
+    this.onFrame = null;        // (slot, msg, bytes) — msg is the wrapped frame decoded, bytes the race frame as received
+    this.onClose = null;        // (reason) — the relay ended it; leave() doesn't fire this
+    this._transport = new RelayTransport(relayUrl + '?room=' + encodeURIComponent(code) +
+      '&role=racer&team=' + encodeURIComponent(team));
+    this._transport.onMessage = (data) => this._handleMessage(data);
+    this._transport.onClose = ({ opened }) => {
+      if (this.onClose) this.onClose(opened ? 'Lost the race room' : 'Could not reach the race room');
+    };
+  }
+
+  open() {
+    this._transport.open();
+  }
+
+  /** The team in the lowest slot hosts: it picks the level and starts the countdown. */
+  get isHost() {
+    if (this.slot < 0) return false;
+    for (const slot of this.racers.keys()) {
+      if (slot < this.slot) return false;
+    }
+    return true;
+  }
+
+  /** Teams in the room, ours included. */
+  get teamCount() {
+    return this.racers.size + 1;
+  }
+
+  /** Send one of our encoded messages to every other team. */
+  sendFrame(bytes) {
+    this._transport.send(encode('race', { slot: this.slot, frame: bytes }));
+  }
+
+  /**
+   * Send our bike's encoded state snapshot, renumbered so the other teams see
+   * one sequence even when a seat swap hands the physics to our partner.
+   */
+  sendState(bytes) {
+    const frame = encode('race', { slot: this.slot, frame: bytes });
+    this._stateSeq = (this._stateSeq + 1) >>> 0;
+    new DataView(frame.buffer).setUint32(3, this._stateSeq, true); // after race id, slot and state id
+    this._transport.send(frame);
+  }
+
+  sendProfile(data) {
+    this.sendFrame(encode('profile', { data }));
+  }
+
+  sendEvent(eventType) {
+    this.sendFrame(encode('event', { event: eventType }));
+  }
+
+  leave() {
+    this._transport.close();
+  }
+
+  _handleMessage(data) {
+    if (typeof data === 'string') {
+      let notice;
+      try { notice = JSON.parse(data); } catch (e) { return; }
+      if (notice.type === 'race-joined') {
+        this.slot = notice.slot;
+        for (const r of notice.racers) this.racers.set(r.slot, r.team);
+        if (this.onJoined) this.onJoined();
+      } else if (notice.type === 'racer-joined') {
+        this.racers.set(notice.slot, notice.team);
+        if (this.onRacerJoined) this.onRacerJoined(notice.slot);
+      } else if (notice.type === 'racer-left') {
+        this.racers.delete(notice.slot);
+        if (this.onRacerLeft) this.onRacerLeft(notice.slot);
+      } else if (notice.type === 'full') {
+        this.leave();
+        if (this.onClose) this.onClose('This race already has as many teams as it can take');
+      }
+      return;
+    }
+
+    const bytes = new Uint8Array(data);
+    const msg = decode(bytes);
+    if (!msg || msg.type !== 'race') return;
+    const inner = decode(msg.frame);
+    if (inner && this.onFrame) this.onFrame(msg.slot, inner, bytes);
+  }
+}
@@ -8,13 +8,8 @@ export class RaceManager {
   constructor(level) {
     this.level = level;
     this.raceDistance = level.distance;
-    this.checkpointInterval = level.checkpointInterval;
-
-    // Build checkpoint list
-    this.checkpoints = [];
-    for (let d = this.checkpointInterval; d < this.raceDistance; d += this.checkpointInterval) {
-      this.checkpoints.push(d);
-    }
+    this.checkpoints = level.checkpoints.slice();
+    this.timeBudget = level.timeBudget;
 
     this.passedCheckpoints = new Set();
     this.finished = false;
@@ -30,8 +25,16 @@ export class RaceManager {
     this.segmentTimeTotal = 0;
   }
 
-  _segmentBudget(segmentDistance) {
-    const base = Math.max(10, (segmentDistance / 250) * 60); // 60 seconds per 250m, minimum 10s
+  // Seconds allowed to reach segEnd (a checkpoint or the finish) from segStart
+  _segmentBudget(segEnd, segStart = 0) {
+    const tb = this.timeBudget;
+    let base;
+    if (tb.segments) {
+      const idx = this.checkpoints.indexOf(segEnd);
+      base = tb.segments[idx >= 0 ? idx : this.checkpoints.length];
+    } else {
+      base = Math.max(tb.minSeconds, ((segEnd - segStart) / 250) * tb.secondsPer250m);
+    }
     return base * (TUNE.timeMultiplier || 1.0);
   }
 
@@ -62,8 +65,7 @@ export class RaceManager {
         break;
       }
     }
-    const segDist = segEnd - segStart;
-    this.segmentTimeTotal = this._segmentBudget(segDist);
+    this.segmentTimeTotal = this._segmentBudget(segEnd, segStart);
     this.segmentTimeRemaining = this.segmentTimeTotal;
   }
 
@@ -99,8 +101,7 @@ export class RaceManager {
             break;
           }
         }
-        const segDist = nextTarget - cp;
-        this.segmentTimeTotal = this._segmentBudget(segDist);
+        this.segmentTimeTotal = this._segmentBudget(nextTarget, cp);
         this.segmentTimeRemaining = this.segmentTimeTotal;
         return { event: 'checkpoint', distance: cp, total: this.checkpoints.length, passed: this.passedCheckpoints.size };
       }
@@ -125,6 +126,39 @@ export class RaceManager {
     this.collectiblesCount++;
   }
 
+  /** Timer, checkpoints and tallies — everything the other rider needs to carry the race on. */
+  getSyncState() {
+    return {
+      elapsedMs: Math.round(this.getElapsedMs()),
+      timerRemaining: this.segmentTimeRemaining,
+      timerTotal: this.segmentTimeTotal,
+      checkpoints: [...this.passedCheckpoints],
+      collectibles: this.collectiblesCount,
+      crashes: this.crashCount,
+      restarts: this.restartCount,
+    };
+  }
+
+  /** Adopt a race handed over by the other rider (see getSyncState). */
+  applySyncState(sync) {
+    if (sync.elapsedMs > 0) this.startTime = performance.now() - sync.elapsedMs;
+    this.segmentTimeRemaining = sync.timerRemaining;
+    this.segmentTimeTotal = sync.timerTotal;
+    this.passedCheckpoints = new Set(sync.checkpoints);
+    this.collectiblesCount = sync.collectibles;
+    this.crashCount = sync.crashes;
+    this.restartCount = sync.restarts;
+  }
+
+  /**
+   * Hold the race clock back by wall time the ride didn't live through
+   * (slow-motion), so race time keeps pace with the physics and the ride log.
+   */
+  holdClock(ms) {
+    if (this.startTime === 0 || this.finished || !(ms > 0)) return;
+    this.startTime += ms;
+  }
+
   getElapsedMs() {
     if (this.startTime === 0) return 0;
     const end = this.finishTime || performance.now();
@@ -0,0 +1,605 @@
+// ============================================================
+// RIDE LOG — compact binary record of every BikePhysics step
+// Inputs are quantized before the live step consumes them, so
+// replaying a log through BikePhysics reproduces the ride exactly.
+// Shared by ghosts (browser) and score verification (worker/Node).
+// ============================================================
+
+import { PHYSICS_DT } from './bike-physics.js';
+
+export const RIDE_LOG_VERSION = 2; // 2: RIDE_EVT_HANDOVER
+const MAGIC = [0x54, 0x44, 0x52, 0x4c]; // 'TDRL'
+
+// Tune keys BikePhysics reads each step (order is part of the format)
+export const PHYSICS_TUNE_KEYS = [
+  'leanForce', 'gravityForce', 'damping', 'turnRate', 'maxSpeed',
+  'wobbleMultiplier', 'crashThreshold', 'dangerOnset', 'autoCorrection'
+];
+
+// Events — changes made to the physics between steps
+export const RIDE_EVT_BOOST  = 0x01; // f32 seconds
+export const RIDE_EVT_FALL   = 0x02; // tree / pylon hit
+export const RIDE_EVT_RESET  = 0x03; // f32 race distance (checkpoint restart)
+export const RIDE_EVT_PAUSE  = 0x04; // u32 ms the race clock ran without steps
+export const RIDE_EVT_TUNE   = 0x05; // u8 key index + f32 value (DDA)
+export const RIDE_EVT_ASSIST = 0x06; // f32 balance assist
+export const RIDE_EVT_STABILIZE = 0x07; // f32 seconds (stabilizer power-up)
+export const RIDE_EVT_HANDOVER = 0x08; // f64 HANDOVER_KEYS + u32 tick + u32 rng + u8 flags (new captain's bike)
+
+// Physics state a hand-over carries, exactly (order is part of the format)
+const HANDOVER_KEYS = [
+  'x', 'y', 'z', 'heading', 'lean', 'leanVelocity', 'speed', 'crankAngle', 'distanceTraveled',
+  'roadD', 'lateralOffset', 'fallTimer', 'boostTimer', 'stabilizeTimer', 'time'
+];
+const HANDOVER_BYTES = HANDOVER_KEYS.length * 8 + 4 + 4 + 1;
+
+// Per-tick flag byte
+const F_BRAKING   = 0x01;
+const F_GYRO      = 0x02;
+const F_SAFETY    = 0x04;
+const F_AUTOSPEED = 0x08;
+const F_ACCEL     = 0x10; // + u16 acceleration * 1000
+const F_WOBBLE    = 0x20; // + u8 wobble * 100 (only when changed)
+const F_LEAN      = 0x40; // + i16 lean * 32767 (only when changed)
+const F_EVENTS    = 0x80; // + u8 count + events
+
+// Clock gaps shorter than this are frame jitter, not pauses
+const PAUSE_THRESHOLD_MS = 100;
+
+// Largest piece of log one rideLogChunk profile carries
+const RIDE_LOG_CHUNK_BYTES = 32 * 1024;
+
+const ACCEL_SCALE = 1000;
+const WOBBLE_SCALE = 100;
+const LEAN_SCALE = 32767;
+
+function tuneValue(v) {
+  return typeof v === 'boolean' ? (v ? 1 : 0) : Math.fround(v || 0);
+}
+
+function eventBytes(ev) {
+  if (ev.type === RIDE_EVT_HANDOVER) return 1 + HANDOVER_BYTES;
+  return ev.type === RIDE_EVT_TUNE ? 6 : 5;
+}
+
+/**
+ * Records a live ride. Attach to a BikePhysics right after it has been
+ * reset to the start line; the physics calls back into the writer.
+ */
+export class RideLogWriter {
+  /**
+   * @param {BikePhysics} physics
+   * @param {object} meta
+   * @param {string} meta.levelId
+   * @param {string} meta.difficulty
+   * @param {string} meta.mode — 'solo' | 'captain' | 'couch'
+   * @param {number} meta.roadSeed
+   */
+  constructor(physics, { levelId, difficulty, mode, roadSeed }) {
+    this.physics = physics;
+    this.levelId = levelId;
+    this.difficulty = difficulty;
+    this.mode = mode;
+    this.roadSeed = roadSeed;
+    this.physicsSeed = physics._seed;
+    this.startDistance = Math.fround(physics.distanceTraveled);
+
+    this.ticks = 0;
+    this.timeMs = 0;   // simulated time + recorded pauses (the ghost's clock)
+    this.finished = false;
+
+    this._buf = new Uint8Array(16384);
+    this._view = new DataView(this._buf.buffer);
+    this._len = 0;
+    this._sent = 0; // bytes already handed out by takeChunk()
+    this._events = [];
+    this._lastLean = 0;
+    this._lastWobble = 0;
+
+    // Snapshot tune so later changes (DDA) are written as events
+    this._lastTune = PHYSICS_TUNE_KEYS.map(k => this._quantizeTune(k));
+    this._initialTune = this._lastTune.slice();
+    this._lastAssist = Math.fround(physics.balanceAssist);
+    physics.balanceAssist = this._lastAssist;
+
+    physics.recorder = this;
+  }
+
+  /**
+   * Carry on a log another rider started, from the partner's copy of it
+   * (takeover, seat swap). Follow with handover() to record where this
+   * rider's physics took over.
+   * @param {BikePhysics} physics
+   * @param {RideLogCopy} copy — must be resumable
+   */
+  static resume(physics, copy) {
+    const s = copy.state;
+    // Checkpoint restarts reseed the RNG, and the replay reseeds with the header's seed
+    physics._seed = s.physicsSeed;
+    const writer = new RideLogWriter(physics, s);
+    writer.startDistance = s.startDistance;
+    writer._initialTune = s.initialTune.slice();
+    writer._lastTune = s.lastTune.slice();
+    writer._lastAssist = s.lastAssist;
+    writer._lastLean = s.lastLean;
+    writer._lastWobble = s.lastWobble;
+    writer.ticks = s.ticks;
+    writer.timeMs = s.timeMs;
+    writer._ensure(copy.length);
+    writer._buf.set(copy.bytes());
+    writer._len = writer._sent = copy.length;
+    return writer;
+  }
+
+  detach() {
+    if (this.physics.recorder === this) this.physics.recorder = null;
+  }
+
+  /**
+   * Record the physics' current state as the point where this rider's bike
+   * took the ride over. Replay jumps to it; the verifier bounds the jump.
+   */
+  handover() {
+    const p = this.physics;
+    const state = { x: p.position.x, y: p.position.y, z: p.position.z };
+    for (const key of HANDOVER_KEYS.slice(3)) state[key] = p[key];
+    state.tick = p.tick;
+    state.rngState = p._rngState;
+    state.fallen = p.fallen;
+    state.braking = p.braking;
+    this._events.push({ type: RIDE_EVT_HANDOVER, state });
+  }
+
+  /**
+   * The log bytes written since the last call, for the partner's RideLogCopy.
+   * The piece that reaches the end of the log carries the writer state the
+   * copy needs to be resumed.
+   * @returns {{offset:number, data:string, state?:object}|null} null when there's nothing new
+   */
+  takeChunk() {
+    if (this._sent >= this._len) return null;
+    const offset = this._sent;
+    this._sent = Math.min(this._len, offset + RIDE_LOG_CHUNK_BYTES);
+    const chunk = { offset, data: toBase64(this._buf.subarray(offset, this._sent)) };
+    if (this._sent === this._len) {
+      chunk.state = {
+        levelId: this.levelId, difficulty: this.difficulty, mode: this.mode, roadSeed: this.roadSeed,
+        physicsSeed: this.physicsSeed, startDistance: this.startDistance, initialTune: this._initialTune.slice(),
+        lastTune: this._lastTune.slice(), lastAssist: this._lastAssist, lastLean: this._lastLean,
+        lastWobble: this._lastWobble, ticks: this.ticks, timeMs: this.timeMs, length: this._len,
+      };
+    }
+    return chunk;
+  }
+
+  /** Hand the whole log out again from takeChunk() (the partner's copy fell out of step). */
+  resendAll() {
+    this._sent = 0;
+  }
+
+  // Round a live tune value to what the log can store, so live == replay
+  _quantizeTune(key) {
+    const tune = this.physics.tune;
+    const v = tuneValue(tune[key]);
+    if (typeof tune[key] === 'number' && tune[key] !== v) tune[key] = v;
+    return v;
+  }
+
+  /**
+   * Account for race-clock time that passed without physics steps
+   * (crash overlay, resume countdown, dropped frames). Call once per
+   * frame before the bike is updated.
+   */
+  syncClock(elapsedMs, dt) {
+    const behind = elapsedMs - dt * 1000 - this.timeMs;
+    if (behind > PAUSE_THRESHOLD_MS) {
+      const ms = Math.round(behind);
+      this._events.push({ type: RIDE_EVT_PAUSE, value: ms });
+      this.timeMs += ms;
+    }
+  }
+
+  // === Called by BikePhysics ===
+
+  onBoost(seconds) {
+    this._events.push({ type: RIDE_EVT_BOOST, value: Math.fround(seconds) });
+  }
+
+  onStabilize(seconds) {
+    this._events.push({ type: RIDE_EVT_STABILIZE, value: Math.fround(seconds) });
+  }
+
+  onFall() {
+    this._events.push({ type: RIDE_EVT_FALL });
+  }
+
+  onReset(distance) {
+    this._events.push({ type: RIDE_EVT_RESET, value: Math.fround(distance) });
+  }
+
+  /** Quantize the step input in place and append it to the log. */
+  beforeStep(input) {
+    if (this.finished) return;
+    const physics = this.physics;
+
+    for (let i = 0; i < PHYSICS_TUNE_KEYS.length; i++) {
+      const v = this._quantizeTune(PHYSICS_TUNE_KEYS[i]);
+      if (v !== this._lastTune[i]) {
+        this._lastTune[i] = v;
+        this._events.push({ type: RIDE_EVT_TUNE, key: i, value: v });
+      }
+    }
+    const assist = Math.fround(physics.balanceAssist);
+    physics.balanceAssist = assist;
+    if (assist !== this._lastAssist) {
+      this._lastAssist = assist;
+      this._events.push({ type: RIDE_EVT_ASSIST, value: assist });
+    }
+
+    const accel = Math.min(65535, Math.max(0, Math.round(input.acceleration * ACCEL_SCALE)));
+    const wobble = Math.min(255, Math.max(0, Math.round(input.wobble * WOBBLE_SCALE)));
+    const lean = Math.max(-LEAN_SCALE, Math.min(LEAN_SCALE, Math.round(input.leanInput * LEAN_SCALE)));
+    input.acceleration = accel / ACCEL_SCALE;
+    input.wobble = wobble / WOBBLE_SCALE;
+    input.leanInput = lean / LEAN_SCALE;
+
+    let flags = 0;
+    if (input.braking) flags |= F_BRAKING;
+    if (input.gyroActive) flags |= F_GYRO;
+    if (input.safetyMode) flags |= F_SAFETY;
+    if (input.autoSpeed) flags |= F_AUTOSPEED;
+    if (accel) flags |= F_ACCEL;
+    if (wobble !== this._lastWobble) flags |= F_WOBBLE;
+    if (lean !== this._lastLean) flags |= F_LEAN;
+    if (this._events.length) flags |= F_EVENTS;
+
+    let size = 8;
+    for (const ev of this._events) size += eventBytes(ev);
+    this._ensure(size);
+    const v = this._view;
+    v.setUint8(this._len++, flags);
+    if (flags & F_ACCEL) { v.setUint16(this._len, accel, true); this._len += 2; }
+    if (flags & F_WOBBLE) { v.setUint8(this._len++, wobble); this._lastWobble = wobble; }
+    if (flags & F_LEAN) { v.setInt16(this._len, lean, true); this._len += 2; this._lastLean = lean; }
+    if (flags & F_EVENTS) {
+      v.setUint8(this._len++, this._events.length);
+      for (const ev of this._events) this._writeEvent(ev);
+      this._events.length = 0;
+    }
+
+    this.ticks++;
+    this.timeMs += PHYSICS_DT * 1000;
+  }
+
+  _writeEvent(ev) {
+    const v = this._view;
+    v.setUint8(this._len++, ev.type);
+    switch (ev.type) {
+      case RIDE_EVT_BOOST:
+      case RIDE_EVT_RESET:
+      case RIDE_EVT_ASSIST:
+      case RIDE_EVT_STABILIZE:
+        v.setFloat32(this._len, ev.value, true); this._len += 4;
+        break;
+      case RIDE_EVT_PAUSE:
+        v.setUint32(this._len, ev.value, true); this._len += 4;
+        break;
+      case RIDE_EVT_TUNE:
+        v.setUint8(this._len++, ev.key);
+        v.setFloat32(this._len, ev.value, true); this._len += 4;
+        break;
+      case RIDE_EVT_HANDOVER:
+        for (const key of HANDOVER_KEYS) { v.setFloat64(this._len, ev.state[key], true); this._len += 8; }
+        v.setUint32(this._len, ev.state.tick, true); this._len += 4;
+        v.setUint32(this._len, ev.state.rngState, true); this._len += 4;
+        v.setUint8(this._len++, (ev.state.fallen ? 1 : 0) | (ev.state.braking ? 2 : 0));
+        break;
+    }
+  }
+
+  _ensure(extra) {
+    if (this._len + extra <= this._buf.length) return;
+    const next = new Uint8Array(Math.max(this._buf.length * 2, this._len + extra));
+    next.set(this._buf.subarray(0, this._len));
+    this._buf = next;
+    this._view = new DataView(next.buffer);
+  }
+
+  /**
+   * Stop recording and serialize header + ticks.
+   * @param {number} finishTimeMs — official race time
+   * @param {number} distance — distance traveled at the finish
+   * @returns {Uint8Array}
+   */
+  finish(finishTimeMs, distance) {
+    this.finished = true;
+    this.detach();
+
+    const enc = new TextEncoder();
+    const level = enc.encode(this.levelId || '');
+    const diff = enc.encode(this.difficulty || '');
+    const mode = enc.encode(this.mode || '');
+    const headerLen = 4 + 1 + (1 + level.length) + (1 + diff.length) + (1 + mode.length) +
+      4 + 4 + 4 + 1 + PHYSICS_TUNE_KEYS.length * 4 + 4 + 4 + 4;
+
+    const out = new Uint8Array(headerLen + this._len);
+    const v = new DataView(out.buffer);
+    let o = 0;
+    for (const b of MAGIC) v.setUint8(o++, b);
+    v.setUint8(o++, RIDE_LOG_VERSION);
+    for (const s of [level, diff, mode]) {
+      v.setUint8(o++, s.length);
+      out.set(s, o);
+      o += s.length;
+    }
+    v.setUint32(o, this.roadSeed >>> 0, true); o += 4;
+    v.setUint32(o, this.physicsSeed >>> 0, true); o += 4;
+    v.setFloat32(o, this.startDistance, true); o += 4;
+    v.setUint8(o++, PHYSICS_TUNE_KEYS.length);
+    for (const val of this._initialTune) { v.setFloat32(o, val, true); o += 4; }
+    v.setUint32(o, Math.max(0, Math.round(finishTimeMs)), true); o += 4;
+    v.setFloat32(o, distance, true); o += 4;
+    v.setUint32(o, this.ticks, true); o += 4;
+    out.set(this._buf.subarray(0, this._len), o);
+    return out;
+  }
+}
+
+/**
+ * Streams ticks back out of a serialized ride log.
+ * Throws on a bad magic number or an unknown version.
+ */
+export class RideLogReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    const v = this._view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let o = 0;
+    for (const b of MAGIC) {
+      if (v.getUint8(o++) !== b) throw new Error('Not a ride log');
+    }
+    this.version = v.getUint8(o++);
+    if (this.version < 1 || this.version > RIDE_LOG_VERSION) throw new Error('Unsupported ride log version ' + this.version);
+
+    const dec = new TextDecoder();
+    const readStr = () => {
+      const n = v.getUint8(o++);
+      const s = dec.decode(bytes.subarray(o, o + n));
+      o += n;
+      return s;
+    };
+    this.levelId = readStr();
+    this.difficulty = readStr();
+    this.mode = readStr();
+    this.roadSeed = v.getUint32(o, true); o += 4;
+    this.physicsSeed = v.getUint32(o, true); o += 4;
+    this.startDistance = v.getFloat32(o, true); o += 4;
+    const tuneCount = v.getUint8(o++);
+    this.tune = {};
+    for (let i = 0; i < tuneCount; i++) {
+      const val = v.getFloat32(o, true); o += 4;
+      if (i < PHYSICS_TUNE_KEYS.length) this.tune[PHYSICS_TUNE_KEYS[i]] = val;
+    }
+    this.finishTimeMs = v.getUint32(o, true); o += 4;
+    this.distance = v.getFloat32(o, true); o += 4;
+    this.tickCount = v.getUint32(o, true); o += 4;
+
+    this._start = o;
+    this.rewind();
+  }
+
+  rewind() {
+    this._offset = this._start;
+    this.ticksRead = 0;
+    this._lean = 0;
+    this._wobble = 0;
+    // Reusable record (avoid per-tick allocation)
+    this._record = {
+      input: {
+        acceleration: 0, wobble: 0, braking: false, crankAngle: 0,
+        leanInput: 0, gyroActive: false, safetyMode: false, autoSpeed: false
+      },
+      events: [],
+      pauseMs: 0
+    };
+  }
+
+  get done() {
+    return this._offset >= this.bytes.length;
+  }
+
+  /**
+   * Read the next tick. The returned record is reused between calls.
+   * @returns {{input:object, events:Array, pauseMs:number}|null}
+   */
+  next() {
+    if (this.done) return null;
+    const v = this._view;
+    const rec = this._record;
+    const input = rec.input;
+    rec.events.length = 0;
+    rec.pauseMs = 0;
+
+    const flags = v.getUint8(this._offset++);
+    input.braking = !!(flags & F_BRAKING);
+    input.gyroActive = !!(flags & F_GYRO);
+    input.safetyMode = !!(flags & F_SAFETY);
+    input.autoSpeed = !!(flags & F_AUTOSPEED);
+    input.acceleration = 0;
+    if (flags & F_ACCEL) {
+      input.acceleration = v.getUint16(this._offset, true) / ACCEL_SCALE;
+      this._offset += 2;
+    }
+    if (flags & F_WOBBLE) this._wobble = v.getUint8(this._offset++);
+    if (flags & F_LEAN) {
+      this._lean = v.getInt16(this._offset, true);
+      this._offset += 2;
+    }
+    input.wobble = this._wobble / WOBBLE_SCALE;
+    input.leanInput = this._lean / LEAN_SCALE;
+
+    if (flags & F_EVENTS) {
+      const count = v.getUint8(this._offset++);
+      for (let i = 0; i < count; i++) {
+        const type = v.getUint8(this._offset++);
+        if (type === RIDE_EVT_PAUSE) {
+          rec.pauseMs += v.getUint32(this._offset, true);
+          this._offset += 4;
+        } else if (type === RIDE_EVT_TUNE) {
+          const key = v.getUint8(this._offset++);
+          const value = v.getFloat32(this._offset, true);
+          this._offset += 4;
+          rec.events.push({ type, key, value });
+        } else if (type === RIDE_EVT_FALL) {
+          rec.events.push({ type });
+        } else if (type === RIDE_EVT_HANDOVER) {
+          const state = {};
+          for (const key of HANDOVER_KEYS) {
+            state[key] = v.getFloat64(this._offset, true);
+            this._offset += 8;
+          }
+          state.tick = v.getUint32(this._offset, true);
+          state.rngState = v.getUint32(this._offset + 4, true);
+          const flags = v.getUint8(this._offset + 8);
+          this._offset += 9;
+          state.fallen = !!(flags & 1);
+          state.braking = !!(flags & 2);
+          rec.events.push({ type, state });
+        } else if (type === RIDE_EVT_BOOST || type === RIDE_EVT_RESET || type === RIDE_EVT_ASSIST ||
+                   type === RIDE_EVT_STABILIZE) {
+          const value = v.getFloat32(this._offset, true);
+          this._offset += 4;
+          rec.events.push({ type, value });
+        } else {
+          throw new Error('Unknown ride log event ' + type);
+        }
+      }
+    }
+
+    this.ticksRead++;
+    return rec;
+  }
+}
+
+/** Apply one recorded between-step event to a physics instance. */
+export function applyRideEvent(physics, ev) {
+  switch (ev.type) {
+    case RIDE_EVT_BOOST: physics.boost(ev.value); break;
+    case RIDE_EVT_FALL: physics.fall(); break;
+    case RIDE_EVT_RESET: physics.resetToDistance(ev.value); break;
+    case RIDE_EVT_TUNE: physics.tune[PHYSICS_TUNE_KEYS[ev.key]] = ev.value; break;
+    case RIDE_EVT_ASSIST: physics.balanceAssist = ev.value; break;
+    case RIDE_EVT_STABILIZE: physics.stabilize(ev.value); break;
+    case RIDE_EVT_HANDOVER: {
+      const s = ev.state;
+      physics.position.x = s.x;
+      physics.position.y = s.y;
+      physics.position.z = s.z;
+      for (const key of HANDOVER_KEYS.slice(3)) physics[key] = s[key];
+      physics.tick = s.tick;
+      physics._rngState = s.rngState;
+      physics.fallen = s.fallen;
+      physics.braking = s.braking;
+      break;
+    }
+  }
+}
+
+/**
+ * The partner's copy of the authority's log, built from takeChunk()
+ * pieces as they arrive, so the log outlives a takeover or seat swap.
+ */
+export class RideLogCopy {
+  constructor() {
+    this._buf = new Uint8Array(16384);
+    this.length = 0;
+    this.state = null;
+    this.resendAsked = false; // a resend is on its way; don't ask again
+  }
+
+  /** True once the copy holds the whole log the last state describes. */
+  get resumable() {
+    return !!this.state && this.state.length === this.length;
+  }
+
+  bytes() {
+    return this._buf.subarray(0, this.length);
+  }
+
+  /**
+   * @param {{offset:number, data:string, state?:object}} chunk — from RideLogWriter.takeChunk()
+   * @returns {boolean} false when the chunk doesn't continue the copy (a piece was lost)
+   */
+  add({ offset, data, state }) {
+    // A resend starts the log over
+    if (offset === 0) {
+      this.length = 0;
+      this.resendAsked = false;
+    }
+    if (offset !== this.length || typeof data !== 'string') return false;
+    const bytes = fromBase64(data);
+    if (this.length + bytes.length > this._buf.length) {
+      const next = new Uint8Array(Math.max(this._buf.length * 2, this.length + bytes.length));
+      next.set(this.bytes());
+      this._buf = next;
+    }
+    this._buf.set(bytes, this.length);
+    this.length += bytes.length;
+    this.state = state || null;
+    return true;
+  }
+}
+
+// ============================================================
+// Transport helpers — gzip + base64 for localStorage and the API
+// ============================================================
+
+// An hour of riding is ~2-3 MB unpacked even with input on every tick
+export const MAX_RIDE_LOG_BYTES = 4 * 1024 * 1024;
+
+function toBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function fromBase64(base64) {
+  const bin = atob(base64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+export async function packRideLog(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+  return toBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+/**
+ * @param {string} base64 — packed log (packRideLog)
+ * @param {number} [maxBytes] — inflating past this throws instead of
+ *   buffering the rest (a small upload can be a gzip bomb)
+ */
+export async function unpackRideLog(base64, maxBytes = MAX_RIDE_LOG_BYTES) {
+  const reader = new Blob([fromBase64(base64)]).stream().pipeThrough(new DecompressionStream('gzip')).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new Error('Ride log inflates past ' + maxBytes + ' bytes');
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let o = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, o);
+    o += chunk.length;
+  }
+  return bytes;
+}
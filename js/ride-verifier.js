@@ -0,0 +1,247 @@
+// ============================================================
+// RIDE VERIFIER — re-simulates a ride log against a claimed score
+// Headless: runs in the leaderboard worker and in Node
+// (scripts/verify-ride.js). Never trusts the log's own header
+// for anything the server can derive itself.
+// ============================================================
+
+import { BikePhysics, PHYSICS_DT } from './bike-physics.js';
+import { RoadPath } from './road-path.js';
+import { BALANCE_DEFAULTS, DIFFICULTY_PRESETS } from './config.js';
+import { POWER_UPS, MAGNET_RADIUS } from './power-ups.js';
+import { Weather } from './weather.js';
+import {
+  RideLogReader, applyRideEvent, PHYSICS_TUNE_KEYS,
+  RIDE_EVT_BOOST, RIDE_EVT_RESET, RIDE_EVT_TUNE, RIDE_EVT_ASSIST, RIDE_EVT_STABILIZE, RIDE_EVT_HANDOVER
+} from './ride-log.js';
+
+// Tolerances between the claimed score and the simulation
+const TIME_TOLERANCE_MS = 1000;   // race clock vs step clock (+ stoker latency)
+const TIME_TOLERANCE_FRAC = 0.02;
+const DISTANCE_TOLERANCE = 5;     // claimed distance is rounded, stoker's is interpolated
+const MAX_TICKS_AFTER_FINISH = 12; // one frame of catch-up steps
+const MAX_RIDE_MS = 60 * 60 * 1000; // no level takes an hour; nothing longer is simulated
+
+// Input sanity — generous bounds on what PedalController/SharedPedalController emit
+const MAX_ACCEL_PER_TICK = 3.0;
+const MAX_PEDAL_TICKS_PER_SEC = 30;
+
+// Two pickups can't be closer than the level's tightest item gap minus
+// both collect radii (CollectibleManager COLLECT_RADIUS), less a margin.
+// A magnet reaches out to MAGNET_RADIUS instead
+const BOOST_SPACING_SLACK = 2 * 2.0 + 1;
+const MAGNET_SPACING_SLACK = 2 * MAGNET_RADIUS + 1;
+const BOOST_SECONDS = 3;
+
+// A hand-over restarts the bike from the new captain's prediction: it may
+// have moved on by the time the log paused for, plus this much latency
+const HANDOVER_SLACK_S = 1;
+const FALL_SECONDS = 2;
+
+// DDA may widen crashThreshold by 15% and cut gravityForce by 20% (DDAManager)
+const DDA_LIMITS = {
+  crashThreshold: [1, 1.15],
+  gravityForce: [0.8, 1],
+};
+
+const EPS = 1e-4;
+
+// Built roads, keyed by level road config — building one costs a few ms
+const _roads = new Map();
+function getRoad(road) {
+  const key = JSON.stringify(road);
+  if (!_roads.has(key)) _roads.set(key, new RoadPath(road));
+  return _roads.get(key);
+}
+
+function minBoostSpacing(items, slack) {
+  let gap = Infinity;
+  for (let i = 1; i < items.length; i++) gap = Math.min(gap, items[i].d - items[i - 1].d);
+  return Math.max(0, gap - slack);
+}
+
+// Endless runs also harden gravityForce / crashThreshold by up to physicsRamp (DDAManager.escalate)
+function tuneLimits(level) {
+  if (!level.endless) return DDA_LIMITS;
+  const ramp = level.endless.physicsRamp;
+  return {
+    crashThreshold: [DDA_LIMITS.crashThreshold[0] - ramp, DDA_LIMITS.crashThreshold[1]],
+    gravityForce: [DDA_LIMITS.gravityForce[0], DDA_LIMITS.gravityForce[1] + ramp],
+  };
+}
+
+function expectedTune(difficulty) {
+  const preset = DIFFICULTY_PRESETS[difficulty];
+  if (!preset) return null;
+  const tune = { ...BALANCE_DEFAULTS, ...preset };
+  const out = {};
+  for (const key of PHYSICS_TUNE_KEYS) {
+    const v = tune[key];
+    out[key] = typeof v === 'boolean' ? (v ? 1 : 0) : Math.fround(v || 0);
+  }
+  return out;
+}
+
+/**
+ * Re-simulate a serialized ride log and compare it to the claimed score.
+ * @param {Uint8Array} bytes — unpacked ride log
+ * @param {{levelId:string, difficulty?:string, timeMs:number, distance:number}} claim
+ * @param {object|null} level — parseLevel() result for claim.levelId, from the server's own level files
+ * @returns {{ok:boolean, reasons:string[], simulated:{timeMs:number, distance:number, ticks:number}|null}}
+ */
+export function verifyRideLog(bytes, claim, level) {
+  const reasons = [];
+
+  let reader;
+  try {
+    reader = new RideLogReader(bytes);
+  } catch (e) {
+    return { ok: false, reasons: ['unreadable log: ' + e.message], simulated: null };
+  }
+
+  // --- Header ---
+  const difficulty = claim.difficulty || 'normal';
+  if (!level || level.isTutorial || level.id !== claim.levelId) {
+    return { ok: false, reasons: ['unknown level'], simulated: null };
+  }
+  if (reader.levelId !== claim.levelId) reasons.push('log is for level ' + reader.levelId);
+  if (reader.difficulty !== difficulty) reasons.push('log is for difficulty ' + reader.difficulty);
+  if (reader.roadSeed !== level.road.seed) reasons.push('wrong road seed');
+  if (reader.startDistance !== 0) reasons.push('ride did not start at the line');
+
+  const tune = expectedTune(difficulty);
+  if (!tune) {
+    reasons.push('unknown difficulty');
+  } else {
+    for (const key of PHYSICS_TUNE_KEYS) {
+      if (Math.abs(reader.tune[key] - tune[key]) > EPS) reasons.push('tampered tune: ' + key);
+    }
+  }
+  if (reasons.length) return { ok: false, reasons, simulated: null };
+
+  // Every tick is PHYSICS_DT of race time, so the header already bounds the
+  // ride — don't spend the CPU on more ticks than the claim could hold
+  const timeTolerance = Math.max(TIME_TOLERANCE_MS, claim.timeMs * TIME_TOLERANCE_FRAC);
+  const loggedMs = reader.tickCount * PHYSICS_DT * 1000;
+  if (loggedMs > MAX_RIDE_MS) return { ok: false, reasons: ['log too long'], simulated: null };
+  if (loggedMs > claim.timeMs + timeTolerance) return { ok: false, reasons: ['time mismatch'], simulated: null };
+
+  // --- Simulation ---
+  // Endless runs have no finish and lay out their items as they go
+  const endless = !!level.endless;
+  const checkpoints = level.checkpoints;
+  const powerUps = level.powerUps ? level.powerUps.items : [];
+  const stabilizers = powerUps.filter(p => p.type === 'stabilizer').length;
+  const boostSpacing = endless
+    ? Math.max(0, level.endless.collectibles.spacing - BOOST_SPACING_SLACK)
+    : minBoostSpacing(level.collectibles.items,
+      powerUps.some(p => p.type === 'magnet') ? MAGNET_SPACING_SLACK : BOOST_SPACING_SLACK);
+  const limitsByKey = tuneLimits(level);
+
+  const physics = new BikePhysics({
+    seed: reader.physicsSeed, roadPath: getRoad(level.road), tune: { ...tune }, weather: new Weather(level.weather || null),
+  });
+  physics.resetToDistance(0);
+
+  let timeMs = 0;
+  let finishTick = -1;
+  let finishTimeMs = 0;
+  let maxDistance = 0;
+  let lastBoostD = -Infinity;
+  let stabilizes = 0;
+  let pedalTicks = 0;
+  let windowStart = 0;
+  let rec;
+
+  const fail = (reason) => {
+    if (!reasons.includes(reason)) reasons.push(reason);
+  };
+
+  // The header's tick count is what was checked above; stop there whatever follows
+  while (reader.ticksRead < reader.tickCount && (rec = reader.next())) {
+    timeMs += rec.pauseMs;
+
+    for (const ev of rec.events) {
+      if (ev.type === RIDE_EVT_RESET) {
+        // Only the start line or a checkpoint already reached (endless runs never restart)
+        if (ev.value !== 0 && (endless || !(checkpoints.includes(ev.value) && ev.value <= maxDistance))) {
+          fail('reset past an unreached checkpoint');
+        }
+        lastBoostD = -Infinity;
+        stabilizes = 0; // items past the checkpoint come back
+      } else if (ev.type === RIDE_EVT_STABILIZE) {
+        if (ev.value > POWER_UPS.stabilizer.duration) fail('oversized stabilizer');
+        if (++stabilizes > stabilizers) fail('more stabilizers than the level places');
+      } else if (ev.type === RIDE_EVT_BOOST) {
+        if (ev.value > BOOST_SECONDS) fail('oversized boost');
+        if (physics.distanceTraveled - lastBoostD < boostSpacing) fail('boosts closer than collectible spacing');
+        lastBoostD = physics.distanceTraveled;
+      } else if (ev.type === RIDE_EVT_TUNE) {
+        const key = PHYSICS_TUNE_KEYS[ev.key];
+        const limits = limitsByKey[key];
+        if (!limits || ev.value < tune[key] * limits[0] - EPS || ev.value > tune[key] * limits[1] + EPS) {
+          fail('tune change outside DDA limits: ' + key);
+        }
+      } else if (ev.type === RIDE_EVT_ASSIST) {
+        if (ev.value < 0 || ev.value > 1) fail('balance assist out of range');
+      } else if (ev.type === RIDE_EVT_HANDOVER) {
+        const s = ev.state;
+        if (reader.mode === 'solo' || reader.mode === 'couch') fail('hand-over in a single-device ride');
+        if (Math.abs(s.distanceTraveled - physics.distanceTraveled) >
+            physics.maxSpeed * (rec.pauseMs / 1000 + HANDOVER_SLACK_S)) {
+          fail('hand-over moves the bike too far');
+        }
+        if (!(s.speed >= 0 && s.speed <= physics.maxSpeed + EPS) || !(Math.abs(s.lean) <= Math.PI / 2) ||
+            !(s.boostTimer <= BOOST_SECONDS) || !(s.stabilizeTimer <= POWER_UPS.stabilizer.duration) ||
+            !(s.fallTimer <= FALL_SECONDS) || !Object.values(s).every(v => typeof v === 'boolean' || Number.isFinite(v))) {
+          fail('implausible hand-over state');
+        }
+      }
+      applyRideEvent(physics, ev);
+    }
+
+    const input = rec.input;
+    if (input.acceleration > MAX_ACCEL_PER_TICK) fail('pedal impulse too large');
+    if (reader.ticksRead - windowStart >= 1 / PHYSICS_DT) {
+      windowStart = reader.ticksRead;
+      pedalTicks = 0;
+    }
+    if (input.acceleration > 0 && ++pedalTicks > MAX_PEDAL_TICKS_PER_SEC) fail('pedal rate too high');
+
+    physics.step(input);
+    timeMs += PHYSICS_DT * 1000;
+    if (physics.distanceTraveled > maxDistance) maxDistance = physics.distanceTraveled;
+
+    if (finishTick < 0 && physics.distanceTraveled >= level.distance) {
+      finishTick = reader.ticksRead;
+      finishTimeMs = timeMs;
+    }
+  }
+
+  const ticks = reader.ticksRead;
+  const simulated = {
+    timeMs: Math.round(finishTick >= 0 ? finishTimeMs : timeMs),
+    distance: Math.round(physics.distanceTraveled),
+    ticks,
+  };
+
+  // --- Compare ---
+  if (ticks !== reader.tickCount) fail('truncated log');
+  if (!reader.done) fail('log runs past its tick count');
+  // An endless run ends on time or crashes, so the whole log is the ride
+  if (!endless) {
+    if (finishTick < 0) {
+      fail('simulated ride never reaches the finish');
+    } else if (ticks - finishTick > MAX_TICKS_AFTER_FINISH) {
+      fail('log continues past the finish');
+    }
+  }
+  if (Math.abs(simulated.timeMs - claim.timeMs) > timeTolerance) {
+    fail('time mismatch');
+  }
+  if (Math.abs(physics.distanceTraveled - claim.distance) > DISTANCE_TOLERANCE) {
+    fail('distance mismatch');
+  }
+
+  return { ok: reasons.length === 0, reasons, simulated };
+}
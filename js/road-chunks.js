@@ -1,8 +1,11 @@
 // ============================================================
 // ROAD CHUNKS — pooled road surface meshes following RoadPath
+// Stretches the road marks as another surface (paved, gravel,
+// mud, puddles) get their own texture, drawn over the dirt one.
 // ============================================================
 
 import * as THREE from 'three';
+import { ROAD_SURFACE_NAMES, DEFAULT_SURFACE } from './road-surfaces.js';
 
 const CHUNK_LENGTH = 50;       // road distance per chunk
 const POOL_SIZE = 12;          // number of chunks in pool
@@ -22,6 +25,21 @@ export class RoadChunkManager {
       polygonOffset: true, polygonOffsetFactor: -1, polygonOffsetUnits: -1
     });
 
+    // One material per surface the road uses, indexed like ROAD_SURFACE_NAMES;
+    // a plain dirt road keeps the single material and no geometry groups
+    const used = new Set(roadPath.getSurfaces().map(s => s.type));
+    this._surfaceTexs = [];
+    this._materials = used.size === 0 ? null : ROAD_SURFACE_NAMES.map(type => {
+      if (type === DEFAULT_SURFACE || !used.has(type)) return this._roadMat;
+      const tex = this._createSurfaceTexture(type);
+      this._surfaceTexs.push(tex);
+      return new THREE.MeshPhongMaterial({
+        map: tex, flatShading: true, side: THREE.DoubleSide,
+        shininess: type === 'mud' || type === 'puddle' ? 80 : 30, // wet surfaces catch the light
+        polygonOffset: true, polygonOffsetFactor: -1, polygonOffsetUnits: -1
+      });
+    });
+
     // Pool of chunks
     this._chunks = [];   // { startD, group, roadMesh }
     this._activeStartDs = new Set();
@@ -43,7 +61,7 @@ export class RoadChunkManager {
 
     // Road surface
     const roadGeo = this._createRoadGeometry();
-    const roadMesh = new THREE.Mesh(roadGeo, this._roadMat);
+    const roadMesh = new THREE.Mesh(roadGeo, this._materials || this._roadMat);
     roadMesh.receiveShadow = true;
     roadMesh.frustumCulled = false; // road chunks always in view — skip bounding sphere
     group.add(roadMesh);
@@ -204,6 +222,88 @@ export class RoadChunkManager {
     return tex;
   }
 
+  /**
+   * Paint one surface over a copy of the dirt texture, inside the road
+   * proper — the shoulders and grass stay as they are.
+   */
+  _createSurfaceTexture(type) {
+    const src = this._roadTex.image;
+    const size = src.width;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(src, 0, 0);
+    const imgData = ctx.getImageData(0, 0, size, size);
+    const d = imgData.data;
+
+    let seed = 24680 + ROAD_SURFACE_NAMES.indexOf(type);
+    const rand = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647; };
+    const roadEdge = ROAD_HALF_WIDTH / VISUAL_HALF_WIDTH; // |u - 0.5| * 2 at the road edge
+
+    for (let py = 0; py < size; py++) {
+      for (let px = 0; px < size; px++) {
+        const u = px / size;
+        const distFromCenter = Math.abs(u - 0.5) * 2;
+        const w = Math.max(0, Math.min(1, (roadEdge - distFromCenter) / 0.06)); // soft edge into the shoulder
+        if (w === 0) continue;
+        const idx = (py * size + px) * 4;
+        const lum = (d[idx] + d[idx + 1] + d[idx + 2]) / 3;
+        let r, g, b;
+        if (type === 'paved') {
+          // Asphalt, keeping a trace of the dirt's grain; dashed center line
+          const v = 48 + lum * 0.2 + rand() * 14;
+          r = v; g = v; b = v * 1.04;
+          if (Math.abs(u - 0.5) < 0.007 && py % 128 < 64) { r = 225; g = 215; b = 150; }
+        } else if (type === 'gravel') {
+          // Loose grey-beige stones
+          const stone = 110 + rand() * 90;
+          r = stone; g = stone * 0.95; b = stone * 0.86;
+          if (rand() < 0.15) { r *= 0.6; g *= 0.6; b *= 0.6; } // gaps between stones
+        } else if (type === 'mud') {
+          // Dark wet brown with glossy smears
+          const smear = Math.sin(px * 0.045 + py * 0.02) * Math.sin(py * 0.06) + Math.sin(px * 0.11 - py * 0.035) * 0.5;
+          const gloss = smear > 0.9 ? (smear - 0.9) * 90 : 0;
+          r = d[idx] * 0.5 + gloss; g = d[idx + 1] * 0.4 + gloss; b = d[idx + 2] * 0.3 + gloss;
+        } else {
+          // Puddles: darkened wet dirt, water drawn on top below
+          r = d[idx] * 0.75; g = d[idx + 1] * 0.72; b = d[idx + 2] * 0.7;
+        }
+        d[idx]     = Math.floor(d[idx] * (1 - w) + Math.min(255, r) * w);
+        d[idx + 1] = Math.floor(d[idx + 1] * (1 - w) + Math.min(255, g) * w);
+        d[idx + 2] = Math.floor(d[idx + 2] * (1 - w) + Math.min(255, b) * w);
+      }
+    }
+    ctx.putImageData(imgData, 0, 0);
+
+    if (type === 'puddle') {
+      // Standing water: sky-grey pools with a lighter rim, kept inside the road
+      const half = roadEdge * size / 2;
+      for (let i = 0; i < 7; i++) {
+        const rx = half * (0.2 + rand() * 0.35);
+        const ry = size * (0.04 + rand() * 0.05);
+        const cx = size / 2 + (rand() * 2 - 1) * (half - rx);
+        const cy = rand() * size;
+        ctx.fillStyle = 'rgba(150, 170, 190, 0.85)';
+        ctx.strokeStyle = 'rgba(210, 225, 235, 0.6)';
+        ctx.lineWidth = 3;
+        for (const wrapY of [cy, cy - size, cy + size]) { // pools cross the tile's top and bottom seamlessly
+          ctx.beginPath();
+          ctx.ellipse(cx, wrapY, rx, ry, 0, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.stroke();
+        }
+      }
+    }
+
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.wrapS = THREE.ClampToEdgeWrapping;
+    tex.wrapT = THREE.RepeatWrapping;
+    tex.magFilter = THREE.LinearFilter;
+    tex.minFilter = THREE.LinearFilter;
+    return tex;
+  }
+
   _createRoadGeometry() {
     // Triangle strip: (SAMPLES_PER_CHUNK + 1) cross-sections, 2 verts each
     const n = SAMPLES_PER_CHUNK + 1;
@@ -270,6 +370,22 @@ export class RoadChunkManager {
     chunk.roadMesh.geometry.attributes.position.needsUpdate = true;
     chunk.roadMesh.geometry.attributes.normal.needsUpdate = true;
     chunk.roadMesh.geometry.attributes.uv.needsUpdate = true;
+    if (this._materials) this._groupSurfaces(chunk.roadMesh.geometry, startD, step);
+  }
+
+  /** One geometry group per run of strips on the same surface. */
+  _groupSurfaces(geo, startD, step) {
+    geo.clearGroups();
+    let runStart = 0;
+    let runType = -1;
+    for (let i = 0; i < SAMPLES_PER_CHUNK; i++) {
+      const type = ROAD_SURFACE_NAMES.indexOf(this.roadPath.getSurfaceAtDistance(startD + (i + 0.5) * step));
+      if (type === runType) continue;
+      if (runType >= 0) geo.addGroup(runStart * 6, (i - runStart) * 6, runType);
+      runStart = i;
+      runType = type;
+    }
+    geo.addGroup(runStart * 6, (SAMPLES_PER_CHUNK - runStart) * 6, runType);
   }
 
   _buildChunk(chunk, startD) {
@@ -280,7 +396,6 @@ export class RoadChunkManager {
 
   _rebuildAll(bikeD) {
     this._activeStartDs.clear();
-    const L = this.roadPath.loopLength;
 
     // Center chunks around bike
     const behindChunks = 2;
@@ -288,7 +403,7 @@ export class RoadChunkManager {
 
     for (let i = 0; i < POOL_SIZE; i++) {
       const rawD = firstChunkD + i * CHUNK_LENGTH;
-      const startD = ((rawD % L) + L) % L;
+      const startD = this.roadPath.wrapD(rawD);
       this._buildChunk(this._chunks[i], startD);
       this._activeStartDs.add(startD);
     }
@@ -298,8 +413,6 @@ export class RoadChunkManager {
 
   /** Call each frame with current bike road-distance */
   update(bikeD) {
-    const L = this.roadPath.loopLength;
-
     // Determine desired range
     const behindChunks = 2;
     const firstChunkD = Math.floor(bikeD / CHUNK_LENGTH) * CHUNK_LENGTH - behindChunks * CHUNK_LENGTH;
@@ -308,7 +421,7 @@ export class RoadChunkManager {
     const neededDs = new Set();
     for (let i = 0; i < POOL_SIZE; i++) {
       const rawD = firstChunkD + i * CHUNK_LENGTH;
-      neededDs.add(((rawD % L) + L) % L);
+      neededDs.add(this.roadPath.wrapD(rawD));
     }
 
     // Find chunks that are no longer needed, reassign them
@@ -337,5 +450,11 @@ export class RoadChunkManager {
       this.scene.remove(chunk.group);
       chunk.roadMesh.geometry.dispose();
     }
+    this._roadMat.dispose();
+    this._roadTex.dispose();
+    if (this._materials) {
+      for (const mat of new Set(this._materials)) if (mat !== this._roadMat) mat.dispose();
+    }
+    for (const tex of this._surfaceTexs) tex.dispose();
   }
 }
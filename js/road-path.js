@@ -1,32 +1,80 @@
 // ============================================================
 // ROAD PATH — seeded procedural road centerline with curves & hills
-//             Closed loop with Hermite spline closure
+//             Closed loop with Hermite spline closure, or an open
+//             road streamed indefinitely from the seed
 // ============================================================
 
-import * as THREE from 'three';
+import { DEFAULT_SURFACE } from './road-surfaces.js';
 
-const SEGMENT_LENGTH = 40;     // distance between control points
-const MAX_CURVATURE = 0.03;    // rad per unit at control point
-const MAX_ELEVATION = 4.0;     // tallest hill
-const MIN_ELEVATION = -1.0;    // deepest valley
+export const SEGMENT_LENGTH = 40; // distance between control points
 const SAMPLE_STEP = 0.5;       // cache resolution
 const FLAT_ZONE = 80;          // first N units are straight & flat
-const ROAD_HALF_WIDTH = 2.5;   // road is 5 units wide
+export const ROAD_HALF_WIDTH = 2.5; // road is 5 units wide
 
-const LOOP_LENGTH = 1200;      // total loop distance
-const CLOSURE_ZONE = 300;      // Hermite spline from (LOOP_LENGTH - CLOSURE_ZONE) to LOOP_LENGTH
+const CLOSURE_ZONE = 300;      // Hermite spline from (loopLength - CLOSURE_ZONE) to loopLength
 const RAMP_DOWN = 200;         // elevation ramps to 0 over this distance before closure
 
+export const DEFAULT_ROAD_SEED = 42;
+
+// Open roads: samples are cached in blocks, windowed around recent lookups
+const OPEN_BLOCK = 100;                              // road distance per cached block
+const OPEN_BLOCK_SAMPLES = OPEN_BLOCK / SAMPLE_STEP;
+const OPEN_MAX_BLOCKS = 48;                          // ~4.8 km of road kept at once
+const MEANDER_LIMIT = Math.PI / 4;                   // heading drift allowed before steering back
+const MEANDER_STRENGTH = 0.05;                       // curvature per radian past the limit
+
+// Per-level road shape (levels/*.json "road" block overrides these)
+export const ROAD_DEFAULTS = {
+  seed: DEFAULT_ROAD_SEED,
+  loopLength: 1200,      // total loop distance
+  maxCurvature: 0.03,    // rad per unit at control point
+  minElevation: -1.0,    // deepest valley
+  maxElevation: 4.0,     // tallest hill
+};
+
+// Shortest loop that still fits the flat start, ramp-down and closure spline
+export const MIN_LOOP_LENGTH = FLAT_ZONE + RAMP_DOWN + CLOSURE_ZONE + SEGMENT_LENGTH;
+
+/** Number of control points a loop uses (the closure spline needs none). */
+export function controlPointCount(loopLength) {
+  return Math.ceil((Math.max(MIN_LOOP_LENGTH, loopLength) - CLOSURE_ZONE) / SEGMENT_LENGTH) + 2;
+}
+
 export class RoadPath {
-  constructor(seed = 42) {
-    this._seed = seed;
-    this._rngState = seed;
+  /**
+   * @param {number|object} [road] — seed, or {seed, loopLength, maxCurvature, minElevation, maxElevation, open, controlPoints}
+   *   open: never close the loop — control points are generated on demand
+   *   and loopLength is Infinity (point-to-point and endless routes)
+   *   controlPoints: [{curvature, elevation}] one per SEGMENT_LENGTH from d=0,
+   *   replacing the seeded ones (hand-shaped roads from the level editor)
+   *   surfaces: [{from, to, type}] road-distance ranges that aren't plain dirt
+   *   (ROAD_SURFACES) — on a loop they repeat every lap
+   */
+  constructor(road = {}) {
+    const opts = typeof road === 'number' ? { seed: road } : road;
+    const cfg = { ...ROAD_DEFAULTS, ...opts };
+    this._seed = cfg.seed;
+    this._rngState = cfg.seed;
+    this._maxCurvature = cfg.maxCurvature;
+    this._minElevation = cfg.minElevation;
+    this._maxElevation = cfg.maxElevation;
+    this._fixedControlPoints = cfg.controlPoints || null;
+    this._surfaces = (cfg.surfaces || []).slice().sort((a, b) => a.from - b.from);
     this._controlPoints = [];   // {d, curvature, elevation}
     this._cache = [];            // {x, y, z, heading} at SAMPLE_STEP intervals
     this._cacheMaxD = 0;
-    this.loopLength = LOOP_LENGTH;
-
-    this._buildFullLoop();
+    this.open = !!cfg.open;
+
+    if (this.open) {
+      this.loopLength = Infinity;
+      this._blocks = new Map();   // block index -> samples [k*OPEN_BLOCK, (k+1)*OPEN_BLOCK]
+      this._anchors = [{ x: 0, y: 0, z: 0, heading: 0 }]; // first sample of each block
+      this._lastBlockIdx = -1;
+      this._lastBlock = null;
+    } else {
+      this.loopLength = Math.max(MIN_LOOP_LENGTH, cfg.loopLength);
+      this._buildFullLoop();
+    }
   }
 
   // Seeded LCG PRNG (same as trees for consistency)
@@ -41,23 +89,23 @@ export class RoadPath {
   }
 
   _buildFullLoop() {
-    const randomEnd = LOOP_LENGTH - CLOSURE_ZONE; // 900
+    const randomEnd = this.loopLength - CLOSURE_ZONE; // 900 on the default loop
 
-    // Generate control points for the random portion [0, 900]
+    // Generate control points for the random portion [0, randomEnd]
     this._ensureControlPoints(randomEnd);
 
     // Build cache for random portion
     this._buildCacheTo(randomEnd);
 
-    // Build closure spline for [900, 1200]
+    // Build closure spline for [randomEnd, loopLength]
     this._buildClosure();
   }
 
   _ensureControlPoints(upToD) {
-    const cap = LOOP_LENGTH - CLOSURE_ZONE; // don't generate past random zone
+    const cap = this.loopLength - CLOSURE_ZONE; // don't generate past random zone (Infinity when open)
     const clampedD = Math.min(upToD, cap);
     const needed = Math.ceil(clampedD / SEGMENT_LENGTH) + 2;
-    const rampStart = cap - RAMP_DOWN; // 700
+    const rampStart = cap - RAMP_DOWN;
 
     while (this._controlPoints.length < needed) {
       const i = this._controlPoints.length;
@@ -66,11 +114,17 @@ export class RoadPath {
       let curvature = 0;
       let elevation = 0;
 
-      if (d >= FLAT_ZONE) {
+      if (this._fixedControlPoints && (!this.open || i < this._fixedControlPoints.length)) {
+        const cp = this._fixedControlPoints[i];
+        if (cp) {
+          curvature = cp.curvature;
+          elevation = cp.elevation;
+        }
+      } else if (d >= FLAT_ZONE) {
         // Gradual ramp-in of curvature and elevation after flat zone
         const rampT = Math.min((d - FLAT_ZONE) / (SEGMENT_LENGTH * 2), 1);
-        curvature = this._signedRandom() * MAX_CURVATURE * rampT;
-        elevation = (this._seededRandom() * (MAX_ELEVATION - MIN_ELEVATION) + MIN_ELEVATION) * rampT;
+        curvature = this._signedRandom() * this._maxCurvature * rampT;
+        elevation = (this._seededRandom() * (this._maxElevation - this._minElevation) + this._minElevation) * rampT;
 
         // Ramp elevation and curvature toward 0 for smooth closure approach
         if (d > rampStart) {
@@ -97,13 +151,27 @@ export class RoadPath {
       d = SAMPLE_STEP;
     }
 
-    const randomEnd = LOOP_LENGTH - CLOSURE_ZONE;
-    const homingStart = randomEnd * 0.35; // begin gentle homing at ~315
-
     while (d <= targetD) {
-      const prev = this._cache[this._cache.length - 1];
-      let curvature = this._interpolateCurvature(d);
-      const elevation = this._interpolateElevation(d);
+      this._cache.push(this._nextSample(this._cache[this._cache.length - 1], d));
+      d += SAMPLE_STEP;
+    }
+
+    this._cacheMaxD = d - SAMPLE_STEP;
+  }
+
+  // Integrate one SAMPLE_STEP of road from the previous sample to distance d
+  _nextSample(prev, d) {
+    let curvature = this._interpolateCurvature(d);
+    const elevation = this._interpolateElevation(d);
+
+    if (this.open) {
+      // Meander: steer back once the heading drifts too far, so an open
+      // road always makes progress and never curls back across itself
+      const excess = Math.abs(prev.heading) - MEANDER_LIMIT;
+      if (excess > 0) curvature -= Math.sign(prev.heading) * excess * MEANDER_STRENGTH;
+    } else {
+      const randomEnd = this.loopLength - CLOSURE_ZONE;
+      const homingStart = randomEnd * 0.35; // begin gentle homing at ~315 on the default loop
 
       // Homing bias: gently steer toward origin so the road naturally loops
       if (d > homingStart) {
@@ -120,22 +188,84 @@ export class RoadPath {
           curvature += headingError * homingStrength;
         }
       }
+    }
 
-      const heading = prev.heading + curvature * SAMPLE_STEP;
-      const x = prev.x + Math.sin(heading) * SAMPLE_STEP;
-      const z = prev.z + Math.cos(heading) * SAMPLE_STEP;
-      const y = elevation;
+    const heading = prev.heading + curvature * SAMPLE_STEP;
+    const x = prev.x + Math.sin(heading) * SAMPLE_STEP;
+    const z = prev.z + Math.cos(heading) * SAMPLE_STEP;
+    const y = elevation;
 
-      this._cache.push({ x, y, z, heading });
-      d += SAMPLE_STEP;
+    return { x, y, z, heading };
+  }
+
+  // ── Open road streaming ──
+
+  /**
+   * Samples for block k, integrated from that block's anchor. Anchors are
+   * generated once, in order, so a block evicted from the window rebuilds
+   * bit-identically when the bike (or a replay) comes back to it.
+   */
+  _openBlock(k) {
+    if (k === this._lastBlockIdx) return this._lastBlock;
+    let block = this._blocks.get(k);
+    if (!block) {
+      for (let j = this._anchors.length - 1; j < k; j++) this._integrateBlock(j);
+      block = this._blocks.get(k) || this._integrateBlock(k);
+    }
+    this._lastBlockIdx = k;
+    this._lastBlock = block;
+    return block;
+  }
+
+  _integrateBlock(k) {
+    const startD = k * OPEN_BLOCK;
+    this._ensureControlPoints(startD + OPEN_BLOCK + SEGMENT_LENGTH * 2);
+
+    const block = [this._anchors[k]];
+    for (let i = 1; i <= OPEN_BLOCK_SAMPLES; i++) {
+      block.push(this._nextSample(block[i - 1], startD + i * SAMPLE_STEP));
     }
+    if (this._anchors.length === k + 1) this._anchors.push(block[OPEN_BLOCK_SAMPLES]);
 
-    this._cacheMaxD = d - SAMPLE_STEP;
+    this._blocks.set(k, block);
+    this._evictBlocks(k);
+    return block;
   }
 
-  _buildClosure() {
-    const closureStart = LOOP_LENGTH - CLOSURE_ZONE; // 900
+  // Keep the cache windowed: drop the block farthest from the one just used
+  _evictBlocks(k) {
+    while (this._blocks.size > OPEN_MAX_BLOCKS) {
+      let farthest = k;
+      for (const idx of this._blocks.keys()) {
+        if (Math.abs(idx - k) > Math.abs(farthest - k)) farthest = idx;
+      }
+      this._blocks.delete(farthest);
+      if (farthest === this._lastBlockIdx) this._lastBlockIdx = -1;
+    }
+  }
+
+  _openPointAt(d) {
+    // Straight, flat run-up behind the start line
+    if (d <= 0) return { x: 0, y: 0, z: d, heading: 0 };
+
+    const k = Math.floor(d / OPEN_BLOCK);
+    const block = this._openBlock(k);
+    const idx = (d - k * OPEN_BLOCK) / SAMPLE_STEP;
+    const i0 = Math.min(Math.floor(idx), OPEN_BLOCK_SAMPLES - 1);
+    const frac = idx - i0;
+
+    const a = block[i0];
+    const b = block[i0 + 1];
+
+    return {
+      x: a.x + (b.x - a.x) * frac,
+      y: a.y + (b.y - a.y) * frac,
+      z: a.z + (b.z - a.z) * frac,
+      heading: a.heading + (b.heading - a.heading) * frac
+    };
+  }
 
+  _buildClosure() {
     // Get state at end of random portion
     const lastEntry = this._cache[this._cache.length - 1];
     const p0x = lastEntry.x;
@@ -198,7 +328,7 @@ export class RoadPath {
       this._cache.push({ x, y, z, heading });
     }
 
-    this._cacheMaxD = LOOP_LENGTH;
+    this._cacheMaxD = this.loopLength;
   }
 
   // Hermite interpolation of curvature at distance d
@@ -233,16 +363,40 @@ export class RoadPath {
     return { d: idx * SEGMENT_LENGTH, curvature: 0, elevation: 0 };
   }
 
-  // Wrap d into [0, LOOP_LENGTH)
-  _wrapD(d) {
-    return ((d % LOOP_LENGTH) + LOOP_LENGTH) % LOOP_LENGTH;
+  // === Public API ===
+
+  /** Wrap a road distance into [0, loopLength); open roads don't wrap. */
+  wrapD(d) {
+    if (this.open) return d;
+    const L = this.loopLength;
+    return ((d % L) + L) % L;
   }
 
-  // === Public API ===
+  /** Surface type (a ROAD_SURFACES key) at road distance d. */
+  getSurfaceAtDistance(d) {
+    if (this._surfaces.length === 0) return DEFAULT_SURFACE;
+    d = this.wrapD(d);
+    for (const s of this._surfaces) {
+      if (d < s.from) break;
+      if (d < s.to) return s.type;
+    }
+    return DEFAULT_SURFACE;
+  }
+
+  /** Surface ranges in use, as {from, to, type} copies. */
+  getSurfaces() {
+    return this._surfaces.map(s => ({ ...s }));
+  }
+
+  /** Control points in use, as {d, curvature, elevation} copies. */
+  getControlPoints() {
+    return this._controlPoints.map(cp => ({ ...cp }));
+  }
 
   /** Get road centerline point at distance d along the road */
   getPointAtDistance(d) {
-    d = this._wrapD(d);
+    if (this.open) return this._openPointAt(d);
+    d = this.wrapD(d);
 
     const idx = d / SAMPLE_STEP;
     const i0 = Math.floor(idx);
@@ -282,15 +436,15 @@ export class RoadPath {
   getClosestRoadInfo(worldX, worldZ, hintD) {
     const searchRadius = 60;
     const searchStep = 5;
-    const L = LOOP_LENGTH;
+    const L = this.loopLength;
 
     // Use hint if provided, otherwise fall back to Z-based estimate
-    let bestD = hintD !== undefined ? this._wrapD(hintD) : Math.max(0, worldZ) % L;
+    let bestD = hintD !== undefined ? this.wrapD(hintD) : Math.max(0, worldZ) % L;
     let bestDist = Infinity;
 
     // Coarse search (wraps naturally via getPointAtDistance)
     for (let offset = -searchRadius; offset <= searchRadius; offset += searchStep) {
-      const d = this._wrapD(bestD + offset);
+      const d = this.wrapD(bestD + offset);
       const pt = this.getPointAtDistance(d);
       const dx = worldX - pt.x;
       const dz = worldZ - pt.z;
@@ -303,7 +457,7 @@ export class RoadPath {
 
     // Fine search
     for (let offset = -searchStep; offset <= searchStep; offset += SAMPLE_STEP) {
-      const d = this._wrapD(bestD + offset);
+      const d = this.wrapD(bestD + offset);
       const pt = this.getPointAtDistance(d);
       const dx = worldX - pt.x;
       const dz = worldZ - pt.z;
@@ -315,8 +469,8 @@ export class RoadPath {
     }
 
     // Parabolic sub-step refinement
-    const dL = this._wrapD(bestD - SAMPLE_STEP);
-    const dR = this._wrapD(bestD + SAMPLE_STEP);
+    const dL = this.wrapD(bestD - SAMPLE_STEP);
+    const dR = this.wrapD(bestD + SAMPLE_STEP);
     const pL = this.getPointAtDistance(dL);
     const pR = this.getPointAtDistance(dR);
     const fL = (worldX - pL.x) ** 2 + (worldZ - pL.z) ** 2;
@@ -324,7 +478,7 @@ export class RoadPath {
     const denom = 2 * (fL - 2 * bestDist + fR);
     if (Math.abs(denom) > 1e-10) {
       const offset = ((fL - fR) / denom) * SAMPLE_STEP;
-      bestD = this._wrapD(bestD + Math.max(-SAMPLE_STEP, Math.min(SAMPLE_STEP, offset)));
+      bestD = this.wrapD(bestD + Math.max(-SAMPLE_STEP, Math.min(SAMPLE_STEP, offset)));
     }
 
     const pt = this.getPointAtDistance(bestD);
@@ -0,0 +1,25 @@
+// ============================================================
+// ROAD SURFACES — what the road is made of, stretch by stretch
+// A level's road.surfaces marks distance ranges as something other
+// than the usual dirt; RoadPath answers which one is under a wheel.
+// Each surface has a physics profile (read by BikePhysics, so the
+// ride verifier sees it too), a haptic pattern and a particle kind.
+// Headless: RoadChunkManager and GrassParticles draw them.
+// ============================================================
+
+// friction scales rolling resistance, grip scales braking and steering
+// bite (like Weather's), wobble is a speed-scaled shake through the bars.
+// haptic: rumble while riding it — strong/weak motor magnitudes, buzz
+// length and the gap between buzzes (ms). particles: what the wheels throw up
+export const ROAD_SURFACES = {
+  dirt:   { label: 'Dirt', friction: 1, grip: 1, wobble: 0, haptic: null, particles: null },
+  paved:  { label: 'Paved', friction: 0.75, grip: 1.1, wobble: 0, haptic: null, particles: null },
+  gravel: { label: 'Gravel', friction: 1.25, grip: 0.85, wobble: 0.05,
+    haptic: { strong: 0.1, weak: 0.35, buzzMs: 25, gapMs: 35 }, particles: 'gravel' },
+  mud:    { label: 'Mud', friction: 1.5, grip: 0.7, wobble: 0.03,
+    haptic: { strong: 0.35, weak: 0.1, buzzMs: 60, gapMs: 120 }, particles: 'mud' },
+  puddle: { label: 'Puddle', friction: 1.25, grip: 0.8, wobble: 0.02,
+    haptic: { strong: 0.2, weak: 0.5, buzzMs: 40, gapMs: 80 }, particles: 'splash' },
+};
+export const ROAD_SURFACE_NAMES = Object.keys(ROAD_SURFACES);
+export const DEFAULT_SURFACE = 'dirt';
@@ -1,11 +1,29 @@
 // ============================================================
 // SHARED PEDAL CONTROLLER (multiplayer)
-// Offset-aware two-foot tracking: captain + stoker coordinate
-// opposite feet on a shared crank (180° offset)
+// Offset-aware two-foot tracking for N riders on a shared crank.
+// Each seat's pedals sit at a phase offset (180° for a tandem,
+// 120° for a triplet); a tap says where that rider thinks the
+// crank is, and riders score by agreeing with each other.
 // ============================================================
 
+/** Riders spaced evenly around the crank: [0, π] for two, [0, 2π/3, 4π/3] for three. */
+export function evenPhaseOffsets(count) {
+  return Array.from({ length: count }, (_, i) => (i * 2 * Math.PI) / count);
+}
+
+// Smallest angle between two crank positions, 0..π
+function crankGap(a, b) {
+  const d = Math.abs(a - b) % (2 * Math.PI);
+  return d > Math.PI ? 2 * Math.PI - d : d;
+}
+
 export class SharedPedalController {
-  constructor() {
+  /**
+   * @param {string[]} [seats] — rider seats front to back, e.g. ['captain', 'stoker', 'stoker2']
+   * @param {number[]} [phaseOffsets] — each seat's crank offset in radians
+   */
+  constructor(seats = ['captain', 'stoker'], phaseOffsets = evenPhaseOffsets(seats.length)) {
+    this.seats = seats;
     this.pedalPower = 0;
     this.crankAngle = 0;
     this.wasCorrect = false;
@@ -15,19 +33,19 @@ export class SharedPedalController {
     this._pendingTaps = [];
 
     // Per-player tracking
-    this.captainLastFoot = null;
-    this.captainLastTime = 0;
-    this.stokerLastFoot = null;
-    this.stokerLastTime = 0;
+    this._riders = {};
+    seats.forEach((seat, i) => {
+      this._riders[seat] = { phase: phaseOffsets[i] || 0, lastFoot: null, lastTime: 0, lastAngle: 0 };
+    });
 
     // Running offset quality score (0-1)
     this.offsetScore = 0.5;
 
     // Stats tracking per player
-    this.stats = {
-      captain: { totalTaps: 0, correctTaps: 0, wrongTaps: 0, totalPower: 0 },
-      stoker:  { totalTaps: 0, correctTaps: 0, wrongTaps: 0, totalPower: 0 }
-    };
+    this.stats = {};
+    for (const seat of seats) {
+      this.stats[seat] = { totalTaps: 0, correctTaps: 0, wrongTaps: 0, totalPower: 0 };
+    }
   }
 
   receiveTap(source, foot) {
@@ -46,13 +64,14 @@ export class SharedPedalController {
       this.wasInPhase = false;
     }
 
-    // Check for simultaneous same-foot taps (within 100ms) = crank fight
+    // Check for simultaneous out-of-phase taps (within 100ms) = crank fight
+    // (for a tandem: both riders pushing the same foot)
     if (this._pendingTaps.length >= 2) {
       const t0 = this._pendingTaps[0];
       const t1 = this._pendingTaps[1];
       if (Math.abs(t0.time - t1.time) < 0.1 &&
           t0.source !== t1.source &&
-          t0.foot === t1.foot) {
+          crankGap(this._tapAngle(t0), this._tapAngle(t1)) > Math.PI / 2) {
         this.wasBrake = true;
         this.pedalPower *= 0.9;
         this.offsetScore = Math.max(0, this.offsetScore - 0.15);
@@ -66,11 +85,14 @@ export class SharedPedalController {
     // Process taps one at a time
     while (this._pendingTaps.length > 0) {
       const tap = this._pendingTaps.shift();
-      const playerLastFoot = tap.source === 'captain' ? this.captainLastFoot : this.stokerLastFoot;
-      const otherLastFoot = tap.source === 'captain' ? this.stokerLastFoot : this.captainLastFoot;
-      const gap = tap.time - (tap.source === 'captain' ? this.captainLastTime : this.stokerLastTime);
+      const rider = this._rider(tap.source);
+      const playerLastFoot = rider.lastFoot;
+      const gap = tap.time - rider.lastTime;
+      // Compare against the latest tap from anyone else on the crank
+      const other = this._latestOther(rider);
+      const outOfPhase = other !== null && crankGap(this._tapAngle(tap), other.lastAngle) > Math.PI / 2;
 
-      const pStats = this.stats[tap.source] || this.stats.captain;
+      const pStats = this.stats[tap.source] || this.stats[this.seats[0]];
       pStats.totalTaps++;
 
       if (playerLastFoot === tap.foot) {
@@ -82,8 +104,8 @@ export class SharedPedalController {
         acceleration += 0.06;
         pStats.totalPower += 0.06;
         wobble += 0.5;
-      } else if (otherLastFoot !== null && tap.foot === otherLastFoot) {
-        // Same foot as other player — in-phase (poor offset)
+      } else if (outOfPhase) {
+        // Fighting the other riders' offset — in-phase (poor offset)
         this.wasInPhase = true;
         pStats.correctTaps++;
         this.offsetScore = Math.max(0, this.offsetScore - 0.08);
@@ -94,7 +116,7 @@ export class SharedPedalController {
         pStats.totalPower += accel;
         wobble += 0.2;
       } else {
-        // Opposite foot — perfect offset!
+        // Matches the crank — perfect offset!
         this.wasCorrect = true;
         pStats.correctTaps++;
         this.offsetScore = Math.min(1, this.offsetScore + 0.1);
@@ -108,7 +130,7 @@ export class SharedPedalController {
       }
 
       this._updatePlayerState(tap);
-      this.crankAngle += Math.PI / 2;
+      this.crankAngle += Math.PI / this.seats.length;
     }
 
     // Decay
@@ -118,13 +140,30 @@ export class SharedPedalController {
     return { acceleration, wobble, braking: false, crankAngle: this.crankAngle };
   }
 
-  _updatePlayerState(tap) {
-    if (tap.source === 'captain') {
-      this.captainLastFoot = tap.foot;
-      this.captainLastTime = tap.time;
-    } else {
-      this.stokerLastFoot = tap.foot;
-      this.stokerLastTime = tap.time;
+  // Unknown sources count as the captain, like the stats fallback
+  _rider(source) {
+    return this._riders[source] || this._riders[this.seats[0]];
+  }
+
+  // Where a tap puts the crank: down strokes at the seat's offset, up strokes half a turn on
+  _tapAngle(tap) {
+    return (tap.foot === 'down' ? 0 : Math.PI) - this._rider(tap.source).phase;
+  }
+
+  _latestOther(rider) {
+    let latest = null;
+    for (const seat of this.seats) {
+      const r = this._riders[seat];
+      if (r === rider || r.lastFoot === null) continue;
+      if (!latest || r.lastTime > latest.lastTime) latest = r;
     }
+    return latest;
+  }
+
+  _updatePlayerState(tap) {
+    const rider = this._rider(tap.source);
+    rider.lastFoot = tap.foot;
+    rider.lastTime = tap.time;
+    rider.lastAngle = this._tapAngle(tap);
   }
 }
@@ -0,0 +1,297 @@
+// ============================================================
+// TRANSPORTS — interchangeable links under NetworkManager
+// Every transport opens, sends frames, hands received frames to
+// onMessage, reports traffic stats and closes. Room transports
+// (relay, BroadcastChannel, in-memory) also speak the relay's
+// JSON room protocol — 'waiting', 'partner-ready', 'disconnect'
+// — so the manager can't tell a local room from the real relay.
+// ============================================================
+
+/**
+ * Base class. Subclasses implement open(), _write(data) and _disconnect(),
+ * and report what happens through _didOpen(), _didReceive() and _didClose().
+ * close() is the caller hanging up, so it never fires onClose.
+ */
+export class Transport {
+  constructor(kind) {
+    this.kind = kind;       // 'relay' | 'p2p' | 'broadcast' | 'memory'
+    this.onOpen = null;     // () — ready to send
+    this.onMessage = null;  // (data) — binary frame, or a JSON control string from a room transport
+    this.onClose = null;    // ({ opened }) — the far side or the network ended it; opened=false means it never connected
+    this._open = false;
+    this._opened = false;
+    this._closed = false;
+    this._stats = { sentMessages: 0, sentBytes: 0, receivedMessages: 0, receivedBytes: 0, openedAt: 0 };
+    this._simOut = null; // NetSim links, set by impair()
+    this._simIn = null;
+  }
+
+  /**
+   * Route frames both ways through a NetSim (debug network impairment).
+   * @param {NetSim|null} sim — null sends frames straight through again
+   */
+  impair(sim) {
+    this._simOut = sim ? sim.createLink() : null;
+    this._simIn = sim ? sim.createLink() : null;
+  }
+
+  get isOpen() {
+    return this._open;
+  }
+
+  open() {
+    throw new Error(`Transport: ${this.kind} does not implement open()`);
+  }
+
+  /** @returns {boolean} false when the frame couldn't be sent */
+  send(data) {
+    if (!this.isOpen) return false;
+    if (this._simOut && this._simOut.active) {
+      // Frames may leave later, after the caller has reused a shared encode buffer
+      this._simOut.pass(typeof data === 'string' ? data : data.slice(), (frame) => {
+        if (this.isOpen) this._transmit(frame);
+      });
+      return true;
+    }
+    return this._transmit(data);
+  }
+
+  _transmit(data) {
+    try {
+      this._write(data);
+    } catch (e) {
+      console.warn('NET: ' + this.kind + ' send failed:', e);
+      return false;
+    }
+    this._stats.sentMessages++;
+    this._stats.sentBytes += byteLength(data);
+    return true;
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this._open = false;
+    this._disconnect();
+  }
+
+  /** @returns {{kind:string, open:boolean, sentMessages:number, sentBytes:number, receivedMessages:number, receivedBytes:number, openedAt:number}} */
+  stats() {
+    return { kind: this.kind, open: this.isOpen, ...this._stats };
+  }
+
+  _didOpen() {
+    if (this._closed) return;
+    this._open = true;
+    this._opened = true;
+    this._stats.openedAt = Date.now();
+    if (this.onOpen) this.onOpen();
+  }
+
+  _didReceive(data) {
+    if (this._closed) return;
+    if (this._simIn) {
+      this._simIn.pass(data, (frame) => this._deliver(frame));
+      return;
+    }
+    this._deliver(data);
+  }
+
+  _deliver(data) {
+    if (this._closed) return;
+    this._stats.receivedMessages++;
+    this._stats.receivedBytes += byteLength(data);
+    if (this.onMessage) this.onMessage(data);
+  }
+
+  _didClose() {
+    if (this._closed) return;
+    this._closed = true;
+    this._open = false;
+    if (this.onClose) this.onClose({ opened: this._opened });
+  }
+}
+
+function byteLength(data) {
+  return typeof data === 'string' ? data.length : data.byteLength;
+}
+
+// ── Relay (Cloudflare Worker WebSocket) ──────────────────────
+
+export class RelayTransport extends Transport {
+  /** @param {string} url — relay URL including room, role and token */
+  constructor(url) {
+    super('relay');
+    this.url = url;
+    this._ws = null;
+  }
+
+  open() {
+    const ws = new WebSocket(this.url);
+    ws.binaryType = 'arraybuffer';
+    ws.onopen = () => this._didOpen();
+    ws.onmessage = (e) => this._didReceive(e.data);
+    ws.onerror = (err) => console.warn('NET: Relay WebSocket error:', err);
+    ws.onclose = () => this._didClose();
+    this._ws = ws;
+  }
+
+  get isOpen() {
+    return this._open && this._ws.readyState === WebSocket.OPEN;
+  }
+
+  _write(data) {
+    this._ws.send(data);
+  }
+
+  _disconnect() {
+    if (this._ws) { try { this._ws.close(); } catch (e) {} }
+  }
+}
+
+// ── P2P (PeerJS data connection) ─────────────────────────────
+
+export class PeerTransport extends Transport {
+  /** @param {object} conn — PeerJS DataConnection, not yet open */
+  constructor(conn) {
+    super('p2p');
+    this.conn = conn;
+  }
+
+  open() {
+    const conn = this.conn;
+    conn.on('open', () => this._didOpen());
+    conn.on('data', (data) => this._didReceive(data));
+    conn.on('close', () => this._didClose());
+    conn.on('error', (err) => console.warn('NET: P2P connection error:', err));
+  }
+
+  get isOpen() {
+    return this._open && this.conn.open;
+  }
+
+  _write(data) {
+    this.conn.send(data);
+  }
+
+  _disconnect() {
+    try { this.conn.close(); } catch (e) {}
+  }
+}
+
+// ── Local rooms (no server) ──────────────────────────────────
+
+/**
+ * Presence for serverless rooms: members announce themselves with 'join',
+ * answer with 'here' and say 'leave' on the way out. Subclasses provide
+ * _post(packet) to reach the other members and call _receivePacket().
+ */
+class LocalRoomTransport extends Transport {
+  constructor(kind, role) {
+    super(kind);
+    this.role = role;
+    this._partnersHere = new Set();
+  }
+
+  open() {
+    this._connect();
+    this._didOpen();
+    this._control({ type: 'waiting' });
+    this._post({ from: this.role, kind: 'join' });
+  }
+
+  _write(data) {
+    this._post({ from: this.role, kind: 'data', data });
+  }
+
+  _disconnect() {
+    this._post({ from: this.role, kind: 'leave' });
+    this._release();
+  }
+
+  _receivePacket(packet) {
+    if (this._closed || packet.from === this.role) return;
+    const role = packet.from;
+    if (packet.kind === 'data') {
+      this._didReceive(packet.data);
+    } else if (packet.kind === 'join' || packet.kind === 'here') {
+      if (packet.kind === 'join') this._post({ from: this.role, kind: 'here' });
+      this._partnersHere.add(role);
+      this._control({ type: 'partner-ready', role });
+    } else if (packet.kind === 'leave' && this._partnersHere.delete(role)) {
+      this._control({ type: 'disconnect', role });
+    }
+  }
+
+  // Room notices arrive as the same JSON strings the relay sends
+  _control(message) {
+    this._didReceive(JSON.stringify(message));
+  }
+}
+
+/** Rooms shared by tabs of one browser. Frames are structured-cloned, so senders may reuse buffers. */
+export class BroadcastTransport extends LocalRoomTransport {
+  /**
+   * @param {string} roomCode
+   * @param {'captain'|'stoker'|'stoker2'} role
+   */
+  constructor(roomCode, role) {
+    super('broadcast', role);
+    this.roomCode = roomCode;
+    this._channel = null;
+  }
+
+  _connect() {
+    this._channel = new BroadcastChannel('tandemonium-' + this.roomCode);
+    this._channel.onmessage = (e) => this._receivePacket(e.data);
+  }
+
+  _post(packet) {
+    this._channel.postMessage(packet);
+  }
+
+  _release() {
+    this._channel.close();
+  }
+}
+
+/** Rooms inside one page or Node process — for headless tests and demos. */
+export class MemoryTransport extends LocalRoomTransport {
+  /**
+   * @param {Set<MemoryTransport>} members — shared by everyone in the room
+   * @param {'captain'|'stoker'|'stoker2'} role
+   */
+  constructor(members, role) {
+    super('memory', role);
+    this._members = members;
+  }
+
+  _connect() {
+    this._members.add(this);
+  }
+
+  // Delivered on a later task, like a real network, with the bytes copied
+  _post(packet) {
+    if (packet.data) packet.data = packet.data.slice();
+    for (const member of this._members) {
+      if (member !== this) setTimeout(() => member._receivePacket(packet), 0);
+    }
+  }
+
+  _release() {
+    this._members.delete(this);
+  }
+}
+
+/**
+ * In-memory room factory for NetworkManager's createRoomTransport option.
+ * Managers given the same factory share rooms by room code.
+ * @returns {function(string, string): MemoryTransport}
+ */
+export function createMemoryRooms() {
+  const rooms = new Map();
+  return (roomCode, role) => {
+    if (!rooms.has(roomCode)) rooms.set(roomCode, new Set());
+    return new MemoryTransport(rooms.get(roomCode), role);
+  };
+}
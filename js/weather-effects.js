@@ -0,0 +1,107 @@
+// ============================================================
+// WEATHER EFFECTS — rain, snow and fog for the current Weather
+// Falling particles fill a box that travels with the camera, so
+// only a fixed pool is ever drawn; wind slants them. Fog density
+// and color follow the sampled visibility and cloud cover.
+// ============================================================
+
+import * as THREE from 'three';
+
+const POOL_SIZE = 700;
+const BOX = { x: 30, y: 16, z: 30 }; // m of falling weather kept around the camera
+const RAIN_SPEED = 18;   // m/s
+const SNOW_SPEED = 1.6;
+const WIND_DRIFT = 4;    // m/s sideways per unit of gust torque
+
+const FOG_COLOR = new THREE.Color(0xe4f0f8);      // clear-sky haze (matches the scene default)
+const OVERCAST_FOG = new THREE.Color(0x9aa3ab);
+const FOG_DENSITY = 0.006;
+
+function makeLayer(scene, color, size, opacity) {
+  const positions = new Float32Array(POOL_SIZE * 3);
+  for (let i = 0; i < POOL_SIZE; i++) {
+    positions[i * 3] = (Math.random() - 0.5) * BOX.x;
+    positions[i * 3 + 1] = Math.random() * BOX.y;
+    positions[i * 3 + 2] = (Math.random() - 0.5) * BOX.z;
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setDrawRange(0, 0);
+  const material = new THREE.PointsMaterial({
+    color, size, transparent: true, opacity, sizeAttenuation: true, depthWrite: false,
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false;
+  scene.add(points);
+  return { geometry, material, points, positions };
+}
+
+/** v moved into [center - size/2, center + size/2) by whole box widths. */
+function wrap(v, center, size) {
+  const rel = v - center + size / 2;
+  return v - Math.floor(rel / size) * size;
+}
+
+export class WeatherEffects {
+  constructor(scene) {
+    this.scene = scene;
+    this._rain = makeLayer(scene, 0xaabbdd, 0.06, 0.6);
+    this._snow = makeLayer(scene, 0xffffff, 0.12, 0.9);
+    this._fogColor = new THREE.Color();
+  }
+
+  /**
+   * @param {object} weather — Weather.sample() at the bike
+   * @param {THREE.Vector3} center — camera position; particles surround it
+   * @param {number} dt — frame time (s)
+   */
+  update(weather, center, dt) {
+    const drift = weather.gust * WIND_DRIFT * dt;
+    this._fall(this._rain, weather.rain, RAIN_SPEED * dt, drift, center, 0);
+    this._fall(this._snow, weather.snow, SNOW_SPEED * dt, drift, center, dt);
+
+    const fog = this.scene.fog;
+    if (fog) {
+      fog.density = FOG_DENSITY / Math.max(0.1, weather.visibility);
+      fog.color.copy(this._fogColor.copy(FOG_COLOR).lerp(OVERCAST_FOG, weather.overcast));
+    }
+  }
+
+  /** Back to a clear sky (lobby, level without weather). */
+  clear() {
+    this._rain.geometry.setDrawRange(0, 0);
+    this._snow.geometry.setDrawRange(0, 0);
+    const fog = this.scene.fog;
+    if (fog) {
+      fog.density = FOG_DENSITY;
+      fog.color.copy(FOG_COLOR);
+    }
+  }
+
+  _fall(layer, amount, fall, drift, center, flutter) {
+    const count = Math.round(POOL_SIZE * amount);
+    layer.geometry.setDrawRange(0, count);
+    if (count === 0) return;
+    const p = layer.positions;
+    const t = performance.now() / 1000;
+    for (let i = 0; i < count; i++) {
+      const ix = i * 3;
+      p[ix] += drift + (flutter ? Math.sin(t * 1.3 + i) * flutter * 0.5 : 0);
+      p[ix + 1] -= fall;
+      // World-space particles, wrapped into the box around the camera so
+      // riding through them looks right but the bike never leaves the weather
+      p[ix] = wrap(p[ix], center.x, BOX.x);
+      p[ix + 1] = wrap(p[ix + 1], center.y, BOX.y);
+      p[ix + 2] = wrap(p[ix + 2], center.z, BOX.z);
+    }
+    layer.geometry.attributes.position.needsUpdate = true;
+  }
+
+  destroy() {
+    for (const layer of [this._rain, this._snow]) {
+      this.scene.remove(layer.points);
+      layer.geometry.dispose();
+      layer.material.dispose();
+    }
+  }
+}
@@ -0,0 +1,101 @@
+// ============================================================
+// WEATHER — seeded per-level weather and what it does to riding
+// A level's "weather" splits the course into stretches, each one
+// picking a kind from the level's list off the seed, blending into
+// the next over its last few meters. sample() is a pure function
+// of race distance and physics time, so BikePhysics, the ride
+// verifier, ghosts and the stoker's prediction all see the same
+// rain and the same gusts on the same tick.
+// Headless: the visuals live in weather-effects.js.
+// ============================================================
+
+// grip scales braking and steering bite, grassEdge is where grass drag
+// takes over (the road itself is 2.5 m each side), wind is gust strength,
+// drag is extra rolling resistance, visibility scales how far ahead the
+// road is populated and how thick the fog is; rain, snow and overcast
+// only drive the visuals
+export const WEATHER_KINDS = {
+  clear: { icon: '\u2600\uFE0F', label: 'CLEAR', grip: 1, grassEdge: 2.5, wind: 0, drag: 0, visibility: 1, rain: 0, snow: 0, overcast: 0 },       // ☀️
+  rain:  { icon: '\u{1F327}\uFE0F', label: 'RAIN', grip: 0.7, grassEdge: 1.8, wind: 0, drag: 0, visibility: 0.6, rain: 1, snow: 0, overcast: 0.7 }, // 🌧️
+  wind:  { icon: '\u{1F32C}\uFE0F', label: 'WIND', grip: 1, grassEdge: 2.5, wind: 1, drag: 0, visibility: 1, rain: 0, snow: 0, overcast: 0.25 },   // 🌬️
+  fog:   { icon: '\u{1F32B}\uFE0F', label: 'FOG', grip: 1, grassEdge: 2.5, wind: 0, drag: 0, visibility: 0.3, rain: 0, snow: 0, overcast: 0.5 },    // 🌫️
+  snow:  { icon: '\u2744\uFE0F', label: 'SNOW', grip: 0.8, grassEdge: 2.0, wind: 0.3, drag: 0.15, visibility: 0.5, rain: 0, snow: 1, overcast: 0.6 }, // ❄️
+};
+export const WEATHER_KIND_NAMES = Object.keys(WEATHER_KINDS);
+const BLENDED_KEYS = ['grip', 'grassEdge', 'wind', 'drag', 'visibility', 'rain', 'snow', 'overcast'];
+
+export const WEATHER_DEFAULTS = {
+  every: 400, // m per stretch
+  blend: 60,  // m at the end of a stretch spent turning into the next
+};
+
+const GUST_TORQUE = 1.6;   // rad/s² lean push at the peak of a full-strength gust
+const GUST_PERIOD = 7;     // s between gust peaks
+const GUST_SHARPNESS = 3;  // higher = shorter gusts with calm in between
+
+// mulberry32's mixing step over (seed, stretch, salt) — hashed rather than
+// drawn in sequence so any distance can be sampled directly
+function stretchRandom(seed, index, salt) {
+  let t = (seed + Math.imul(index, 0x6d2b79f5) + Math.imul(salt, 0x9e3779b9)) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export class Weather {
+  /**
+   * @param {{seed:number, kinds:string[], every?:number, blend?:number}|null} config —
+   *   a level's parsed "weather" (null: clear skies all the way)
+   */
+  constructor(config) {
+    this.config = config ? { ...WEATHER_DEFAULTS, ...config } : null;
+    this._sample = { kind: 'clear', gust: 0 };
+    for (const key of BLENDED_KEYS) this._sample[key] = WEATHER_KINDS.clear[key];
+  }
+
+  /** Kind of the stretch starting at index * every meters. */
+  kindAt(index) {
+    const c = this.config;
+    if (!c) return 'clear';
+    return c.kinds[Math.floor(stretchRandom(c.seed, index, 1) * c.kinds.length)];
+  }
+
+  /**
+   * Conditions at a race distance and physics time.
+   * @returns {object} WEATHER_KINDS fields blended for this spot, plus `kind`
+   *   (the dominant one) and `gust` (signed lean torque, rad/s²).
+   *   Reused between calls — copy what you keep.
+   */
+  sample(distance, time) {
+    const out = this._sample;
+    const c = this.config;
+    if (!c) return out;
+
+    const index = Math.floor(Math.max(0, distance) / c.every);
+    const into = Math.max(0, distance) - index * c.every;
+    const from = WEATHER_KINDS[this.kindAt(index)];
+    let to = from;
+    let mix = 0;
+    const blendStart = c.every - c.blend;
+    if (into > blendStart) {
+      to = WEATHER_KINDS[this.kindAt(index + 1)];
+      const f = (into - blendStart) / c.blend;
+      mix = f * f * (3 - 2 * f); // smoothstep
+    }
+    for (const key of BLENDED_KEYS) out[key] = from[key] + (to[key] - from[key]) * mix;
+    const dominant = mix < 0.5 ? index : index + 1;
+    out.kind = this.kindAt(dominant);
+
+    // Gusts pulse with physics time; each stretch blows from one side
+    if (out.wind > 0) {
+      const side = stretchRandom(c.seed, dominant, 2) < 0.5 ? -1 : 1;
+      const phase = stretchRandom(c.seed, dominant, 3) * Math.PI * 2;
+      const pulse = Math.max(0, Math.sin(time * Math.PI * 2 / GUST_PERIOD + phase)) ** GUST_SHARPNESS;
+      const flutter = 0.8 + 0.2 * Math.sin(time * 3.7 + phase);
+      out.gust = side * out.wind * pulse * flutter * GUST_TORQUE;
+    } else {
+      out.gust = 0;
+    }
+    return out;
+  }
+}
@@ -4,7 +4,7 @@
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { RoadPath } from './road-path.js';
+import { RoadPath, ROAD_DEFAULTS } from './road-path.js';
 import { RoadChunkManager } from './road-chunks.js';
 
 const GROUND_SIZE = 500;
@@ -20,6 +20,11 @@ const CLOUD_BEHIND = 250;
 const CLOUD_MIN_Y = 10;
 const CLOUD_MAX_Y = 20;
 const CLOUD_DRIFT = 1.5;      // units/sec lateral drift
+const WIND_CLOUD_DRIFT = 4;   // windy weather multiplies the drift up to this much
+const AMBIENT_INTENSITY = 0.5;
+const SUN_INTENSITY = 1.1;
+const OVERCAST_SUN = 0.35;    // share of the sun left under full cloud cover
+const OPEN_BALLOON_SPAN = 1200; // open roads: balloons repeat every this much road
 
 // Chromakey shaders for green-screen video billboards.
 // Uses green-dominance (G - max(R,B)) instead of distance from a single key color,
@@ -60,8 +65,9 @@ export class World {
     this.scene = scene;
     this.tileSize = 4;
 
-    // Road path (deterministic)
-    this.roadPath = new RoadPath(42);
+    // Road path (deterministic) — replaced per level by setRoad()
+    this.roadPath = new RoadPath(ROAD_DEFAULTS);
+    this._roadKey = JSON.stringify(ROAD_DEFAULTS);
 
     // Road chunks
     this.roadChunks = new RoadChunkManager(scene, this.roadPath);
@@ -80,12 +86,14 @@ export class World {
     // Tree pool
     this._treePool = [];     // { mesh, roadD, lateralOffset, scale, active }
     this._treeNextD = 0;     // next road-distance to place trees at
+    this._treeBackD = 0;     // open roads: trees before this were recycled ahead
     this._treeSpacing = 3;   // average spacing along road
     this._treeModelReady = false;
 
     // Cloud pool
     this._cloudPool = [];    // { group, roadD, lateralOffset, baseY }
     this._cloudNextD = 0;
+    this._cloudBackD = 0;
     this._cloudSpacing = 10;
 
     // Cloud PRNG — separate seed
@@ -103,6 +111,8 @@ export class World {
       return this._balloonRngState / 233280;
     };
 
+    this._cloudDrift = CLOUD_DRIFT;
+
     this._buildGround();
     this._buildTreePool();
     this._buildClouds();
@@ -270,6 +280,59 @@ export class World {
     this.scene.add(this.floor);
   }
 
+  /**
+   * Rebuild the road and re-lay the scenery along it for a level's road config.
+   * @param {object} road — level.road
+   * @returns {boolean} true if the road changed (callers must re-place bikes)
+   */
+  setRoad(road) {
+    const key = JSON.stringify(road);
+    if (key === this._roadKey) return false;
+    this._roadKey = key;
+
+    this.roadChunks.dispose();
+    this.roadPath = new RoadPath(road);
+    this.roadChunks = new RoadChunkManager(this.scene, this.roadPath);
+    this._lastSnapX = NaN;
+    this._resetScenery();
+    for (const b of this._balloons) this._moveBalloon(b, b.homeD);
+    return true;
+  }
+
+  /** Replay the tree + cloud seeds so scenery stays deterministic per road. */
+  _resetScenery() {
+    for (const slot of this._treePool) {
+      slot.active = false;
+      slot.mesh.visible = false;
+    }
+    this._treeRngState = 137;
+    this._treeNextD = 0;
+    this._treeBackD = 0;
+    if (this._treeModelReady) this._placeTreesUpTo(this._initialSceneryD(TREE_AHEAD));
+
+    for (const slot of this._cloudPool) {
+      slot.active = false;
+      slot.group.visible = false;
+    }
+    this._cloudRngState = 271;
+    this._cloudNextD = 0;
+    this._cloudBackD = 0;
+    this._placeCloudsUpTo(this._initialSceneryD(CLOUD_AHEAD));
+  }
+
+  // A loop is dressed once, end to end; an open road only as far as the bike can see
+  _initialSceneryD(ahead) {
+    return this.roadPath.open ? ahead : this.roadPath.loopLength;
+  }
+
+  /** Open roads: lay scenery ahead of the bike, recycling what it has left behind. */
+  _streamScenery(bikeD) {
+    // Rode back past recycled scenery (a restart) — replay from the start line
+    if (bikeD < this._treeBackD || bikeD < this._cloudBackD) this._resetScenery();
+    if (this._treeModelReady) this._placeTreesUpTo(bikeD + TREE_AHEAD, bikeD - TREE_BEHIND);
+    this._placeCloudsUpTo(bikeD + CLOUD_AHEAD, bikeD - CLOUD_BEHIND);
+  }
+
   _buildTreePool() {
     const scales = [0.7, 1.0, 1.3];
 
@@ -311,13 +374,17 @@ export class World {
 
       this._treeModelReady = true;
       // Now place all trees for the loop
-      this._placeTreesUpTo(this.roadPath.loopLength);
+      this._placeTreesUpTo(this._initialSceneryD(TREE_AHEAD));
     }, undefined, (err) => {
       console.error('Failed to load pine tree model:', err);
     });
   }
 
-  _placeTreesUpTo(maxD) {
+  /**
+   * @param {number} maxD — place trees up to this road distance
+   * @param {number} [recycleBeforeD] — open roads: trees behind this may be reused
+   */
+  _placeTreesUpTo(maxD, recycleBeforeD = -Infinity) {
     const cap = this.roadPath.loopLength;
     if (maxD > cap) maxD = cap;
 
@@ -325,9 +392,10 @@ export class World {
       const d = this._treeNextD;
       this._treeNextD += this._treeSpacing + this._treeSeededRandom() * 4;
 
-      // Find inactive tree slot
-      const slot = this._treePool.find(t => !t.active);
+      // Find inactive (or left-behind) tree slot
+      const slot = this._treePool.find(t => !t.active || t.roadD < recycleBeforeD);
       if (!slot) break;
+      if (slot.active) this._treeBackD = Math.max(this._treeBackD, slot.roadD);
 
       const side = this._treeSeededRandom() > 0.5 ? 1 : -1;
       const lateralDist = 5 + this._treeSeededRandom() * 40;
@@ -431,10 +499,10 @@ export class World {
     }
 
     // Place all clouds for the loop
-    this._placeCloudsUpTo(this.roadPath.loopLength);
+    this._placeCloudsUpTo(this._initialSceneryD(CLOUD_AHEAD));
   }
 
-  _placeCloudsUpTo(maxD) {
+  _placeCloudsUpTo(maxD, recycleBeforeD = -Infinity) {
     const cap = this.roadPath.loopLength;
     if (maxD > cap) maxD = cap;
 
@@ -442,8 +510,9 @@ export class World {
       const d = this._cloudNextD;
       this._cloudNextD += this._cloudSpacing + this._cloudSeededRandom() * 40;
 
-      const slot = this._cloudPool.find(c => !c.active);
+      const slot = this._cloudPool.find(c => !c.active || c.roadD < recycleBeforeD);
       if (!slot) break;
+      if (slot.active) this._cloudBackD = Math.max(this._cloudBackD, slot.roadD);
 
       const side = this._cloudSeededRandom() > 0.5 ? 1 : -1;
       const lateralDist = 25 + this._cloudSeededRandom() * 125; // 25-150 units from road
@@ -480,7 +549,7 @@ export class World {
   }
 
   _driftClouds(dt) {
-    const drift = CLOUD_DRIFT * dt;
+    const drift = this._cloudDrift * dt;
     for (const slot of this._cloudPool) {
       if (!slot.active || !slot.group.visible) continue;
       slot.group.position.x += drift;
@@ -553,7 +622,8 @@ export class World {
 
       // Place in world — keep closer to road so they sit in front of clouds
       const rng = this._balloonSeededRandom;
-      const roadD = 200 + rng() * (this.roadPath.loopLength - 400);
+      const span = this.roadPath.open ? OPEN_BALLOON_SPAN : this.roadPath.loopLength;
+      const roadD = 200 + rng() * (span - 400);
       const side = rng() > 0.5 ? 1 : -1;
       const lateralDist = 20 + rng() * 60; // 20-80: closer than most clouds (15-295)
       const pt = this.roadPath.getPointAtDistance(roadD);
@@ -572,6 +642,8 @@ export class World {
       this._balloons.push({
         group,
         roadD,
+        homeD: roadD,
+        lateralOffset: side * lateralDist,
         baseY,
         bobPhase: rng() * Math.PI * 2,
       });
@@ -583,6 +655,11 @@ export class World {
     const L = this.roadPath.loopLength;
     const t = performance.now() * 0.001;
     for (const b of this._balloons) {
+      if (this.roadPath.open) {
+        // Open roads: each balloon repeats every OPEN_BALLOON_SPAN; use the repeat nearest ahead
+        const lap = Math.max(0, Math.ceil((bikeD - CLOUD_BEHIND - b.homeD) / OPEN_BALLOON_SPAN));
+        if (b.homeD + lap * OPEN_BALLOON_SPAN !== b.roadD) this._moveBalloon(b, b.homeD + lap * OPEN_BALLOON_SPAN);
+      }
       let ahead = b.roadD - bikeD;
       if (ahead < -L / 2) ahead += L;
       if (ahead > L / 2) ahead -= L;
@@ -594,6 +671,13 @@ export class World {
     }
   }
 
+  _moveBalloon(b, roadD) {
+    const pt = this.roadPath.getPointAtDistance(roadD);
+    b.roadD = roadD;
+    b.group.position.x = pt.x + Math.cos(pt.heading) * b.lateralOffset;
+    b.group.position.z = pt.z - Math.sin(pt.heading) * b.lateralOffset;
+  }
+
   // ── Ground deformation ────────────────────────────────────
 
   _deformGround(bikePos, bikeD) {
@@ -660,10 +744,10 @@ export class World {
   }
 
   _buildLighting() {
-    const ambient = new THREE.AmbientLight(0x5566aa, 0.5);
-    this.scene.add(ambient);
+    this.ambient = new THREE.AmbientLight(0x5566aa, AMBIENT_INTENSITY);
+    this.scene.add(this.ambient);
 
-    this.sun = new THREE.DirectionalLight(0xffffdd, 1.1);
+    this.sun = new THREE.DirectionalLight(0xffffdd, SUN_INTENSITY);
     this.sun.position.set(30, 40, 20);
     this.sun.castShadow = true;
     this.sun.shadow.mapSize.width = 1024;
@@ -681,6 +765,19 @@ export class World {
     this.scene.add(hemi);
   }
 
+  /**
+   * Light and clouds for the weather at the bike: cloud cover dims the sun
+   * (the ambient fill brightens a little, so shadows go soft rather than
+   * dark) and wind hurries the clouds along.
+   * @param {object|null} weather — Weather.sample(), or null for a clear sky
+   */
+  setWeather(weather) {
+    const overcast = weather ? weather.overcast : 0;
+    this.sun.intensity = SUN_INTENSITY * (1 - (1 - OVERCAST_SUN) * overcast);
+    this.ambient.intensity = AMBIENT_INTENSITY * (1 + 0.4 * overcast);
+    this._cloudDrift = CLOUD_DRIFT * (1 + (WIND_CLOUD_DRIFT - 1) * (weather ? weather.wind : 0));
+  }
+
   checkTreeCollision(bikePos, bikeD, bikeHeading) {
     const L = this.roadPath.loopLength;
     const headX = bikePos.x + Math.sin(bikeHeading) * 2;
@@ -727,8 +824,11 @@ export class World {
       map: cloudTexture, color: 0xffd700,
       transparent: true, opacity: 0.6, depthWrite: false
     });
-    const minFinishGap = level.checkpointInterval * 0.5;
-    for (let d = level.checkpointInterval; d < level.distance - minFinishGap; d += level.checkpointInterval) {
+    this._archMat = archMat;
+    level.checkpoints.forEach((d, i) => {
+      // Skip an arch that would crowd the finish (closer than half its segment)
+      const prevD = i > 0 ? level.checkpoints[i - 1] : 0;
+      if (level.distance - d < (d - prevD) * 0.5) return;
       const roadD = d % L;
       const pt = this.roadPath.getPointAtDistance(roadD);
 
@@ -757,20 +857,13 @@ export class World {
       this.scene.add(group);
 
       this._raceMarkers.push({ mesh: group, roadD, type: 'checkpoint' });
-    }
+    });
 
-    // Your Home: chromakey video billboard just ahead of start line, left side
-    {
-      const homeD = 15;
+    // Start billboard (default: "Your Home") just ahead of the start line
+    if (level.start) {
+      const homeD = level.start.distance % L;
       const homePt = this.roadPath.getPointAtDistance(homeD);
-      const marker = this._createVideoBillboard({
-        videoSrc: 'assets/your_house_chromakey.mp4',
-        trimStart: 0.00, trimEnd: 6.04,
-        threshold: 0.070, smoothness: 0.085,
-        maskSrc: null,
-        roadPt: homePt, roadD: homeD, lateralOffset: -4,
-        type: 'start'
-      });
+      const marker = this._createVideoBillboard(this._billboardOptions(level.start, homePt, homeD, 'start'));
       this._raceMarkers.push(marker);
 
       // Clear trees near the billboard so they don't overlap
@@ -788,32 +881,29 @@ export class World {
       }
     }
 
+    // Endless runs have no destination — arches are added as the run goes (addCheckpointArch)
+    if (!Number.isFinite(level.distance)) return;
+
     // Destination marker
     const destD = level.distance % L;
     const destPt = this.roadPath.getPointAtDistance(destD);
+    const dest = level.destination;
 
-    if (level.id === 'grandma') {
-      // Grandma's House: chromakey video billboard
-      const marker = this._createVideoBillboard({
-        videoSrc: 'assets/grandma_house_chromakey.mp4',
-        trimStart: 0.00, trimEnd: 5.50,
-        threshold: -0.02, smoothness: 0.110,
-        maskSrc: 'assets/grandma_house_chromakey_mask.png',
-        roadPt: destPt, roadD: destD, lateralOffset: 6,
-        type: 'destination'
-      });
+    if (dest.type === 'billboard') {
+      // Chromakey video billboard (e.g. Grandma's House)
+      const marker = this._createVideoBillboard(this._billboardOptions(dest, destPt, destD, 'destination'));
       this._raceMarkers.push(marker);
     } else {
-      // Other levels: simple house shape (box + pyramid roof)
+      // Simple house shape (box + pyramid roof)
       const destGroup = new THREE.Group();
       const wallGeo = new THREE.BoxGeometry(3, 2.5, 3);
-      const wallMat = new THREE.MeshPhongMaterial({ color: 0x8888cc, emissive: 0x111111 });
+      const wallMat = new THREE.MeshPhongMaterial({ color: dest.wallColor, emissive: 0x111111 });
       const walls = new THREE.Mesh(wallGeo, wallMat);
       walls.position.y = 1.25;
       destGroup.add(walls);
 
       const roofGeo = new THREE.ConeGeometry(2.5, 1.5, 4);
-      const roofMat = new THREE.MeshPhongMaterial({ color: 0xddaa22, emissive: 0x111100 });
+      const roofMat = new THREE.MeshPhongMaterial({ color: dest.roofColor, emissive: 0x111100 });
       const roof = new THREE.Mesh(roofGeo, roofMat);
       roof.position.y = 3.25;
       roof.rotation.y = Math.PI / 4;
@@ -824,9 +914,9 @@ export class World {
       const rightX = fwdZ;
       const rightZ = -fwdX;
       destGroup.position.set(
-        destPt.x + rightX * 6,
+        destPt.x + rightX * dest.lateralOffset,
         destPt.y,
-        destPt.z + rightZ * 6
+        destPt.z + rightZ * dest.lateralOffset
       );
       destGroup.rotation.y = destPt.heading;
       destGroup.visible = false;
@@ -848,6 +938,11 @@ export class World {
     }
   }
 
+  /** Add a checkpoint arch after setRaceMarkers() — endless runs place them one ahead at a time. */
+  addCheckpointArch(distance) {
+    this._createCloudArch(distance, this._archMat, this.roadPath.loopLength);
+  }
+
   /** Create a gold cloud arch at the given distance (same as checkpoint arches). */
   _createCloudArch(distance, archMat, loopLen) {
     const roadD = distance % loopLen;
@@ -924,6 +1019,17 @@ export class World {
     return mesh;
   }
 
+  /** Map a level-file billboard ({video, mask, trim…}) to _createVideoBillboard options. */
+  _billboardOptions(b, roadPt, roadD, type) {
+    return {
+      videoSrc: b.video, maskSrc: b.mask,
+      trimStart: b.trimStart, trimEnd: b.trimEnd,
+      threshold: b.threshold, smoothness: b.smoothness,
+      roadPt, roadD, lateralOffset: b.lateralOffset,
+      type
+    };
+  }
+
   _createVideoBillboard({ videoSrc, trimStart, trimEnd, threshold, smoothness, maskSrc, roadPt, roadD, lateralOffset, type }) {
     const video = document.createElement('video');
     video.src = videoSrc;
@@ -1094,6 +1200,9 @@ export class World {
     // Road chunks
     this.roadChunks.update(bikeD);
 
+    // Open roads stream their scenery
+    if (this.roadPath.open) this._streamScenery(bikeD);
+
     // Trees
     this._updateTreeVisibility(bikeD);
     this._updateTreeHeights(bikeD);
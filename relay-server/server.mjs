@@ -0,0 +1,401 @@
+// Tandemonium WebSocket Relay — self-hosted Node server
+// Speaks the same room protocol as the Cloudflare Worker (worker/relay.js)
+// so LAN parties, schools and local development can ride fully offline.
+// Run: npm install ws && node relay-server/server.mjs
+// Env: PORT (default 8787), RELAY_SECRET (optional — verifies relay tokens like the Worker),
+//      RELAY_STRICT_AUTH (true/1 — require tokens and enforce room ownership, as on the Worker)
+
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { decode } from '../js/protocol.js';
+import {
+    ROOM_TTL_MS, RIDER_ROLES, ROLES, RACER_ROLE, MAX_SPECTATORS, SPECTATOR_MESSAGES, spectatorAuthority,
+    MATCH_TICK_MS, otherRiders, freeRacerSlot, stampRaceFrame, checkRelayToken,
+    strictAuthEnabled, seatRejection, rejectionMessage, parseMatchRequest, pairQueue, matchTickets
+} from '../worker/relay-common.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const RELAY_SECRET = process.env.RELAY_SECRET || '';
+const STRICT_AUTH = strictAuthEnabled(process.env.RELAY_STRICT_AUTH);
+const PING_INTERVAL_MS = 30 * 1000; // Cloudflare drops dead sockets for us; here we ping
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+// Same behaviour as the TandemRoom Durable Object, one instance per room code
+class TandemRoom {
+    constructor(code, rooms) {
+        this.code = code;
+        this.rooms = rooms;
+        this.sockets = new Map(); // ws → role
+        this.racers = new Map();  // ws → { slot, team } for racers
+        this.users = new Map();   // ws → user ID from the rider's relay token (null without one)
+        this.owner = null;        // strict auth: the first captain's user ID
+        this.authority = 'captain'; // seat spectators follow (spectatorAuthority)
+        this._alarm = null;
+    }
+
+    getWebSockets(role) {
+        const sockets = [];
+        for (const [ws, r] of this.sockets) {
+            if (!role || r === role) sockets.push(ws);
+        }
+        return sockets;
+    }
+
+    accept(ws, role, team, userId) {
+        if (role === 'spectator') {
+            this._acceptSpectator(ws);
+            return;
+        }
+        if (role === RACER_ROLE) {
+            this._acceptRacer(ws, team);
+            return;
+        }
+
+        // Strict rooms belong to their first captain, and each seat to whoever sits in it
+        const existing = this.getWebSockets(role);
+        if (STRICT_AUTH) {
+            const refused = seatRejection(role, userId, this.owner, existing.map(sock => this.users.get(sock)));
+            if (refused) {
+                rejectSocket(ws, refused);
+                return;
+            }
+            if (role === 'captain' && this.owner === null && userId !== null) this.owner = userId;
+        }
+
+        // Close stale sockets for same role (reconnection dedup). Marked first:
+        // the rider is still here, so their close mustn't tell anyone they left
+        for (const sock of existing) {
+            sock.replaced = true;
+            try { sock.close(1000, 'replaced'); } catch (e) {}
+        }
+
+        this.users.set(ws, userId);
+        this._attach(ws, role);
+
+        // Notify both sides for every partner already connected
+        let partnersHere = false;
+        const readyMsg = JSON.stringify({ type: 'partner-ready', role: role });
+        for (const partnerRole of otherRiders(role)) {
+            const partnerReady = this.getWebSockets(partnerRole);
+            if (partnerReady.length === 0) continue;
+            partnersHere = true;
+
+            // Tell the new joiner this partner is here
+            ws.send(JSON.stringify({ type: 'partner-ready', role: partnerRole }));
+
+            // Tell the existing partner the new player joined
+            for (const sock of partnerReady) {
+                try { sock.send(readyMsg); } catch (e) { /* closed */ }
+            }
+        }
+
+        if (!partnersHere) {
+            // No partner yet — confirm room is valid
+            ws.send(JSON.stringify({ type: 'waiting' }));
+        }
+
+        const spectators = this.getWebSockets('spectator').length;
+        if (spectators > 0) {
+            ws.send(JSON.stringify({ type: 'spectators', count: spectators }));
+        }
+    }
+
+    // Spectators only listen: they get the captain's state and events, never send
+    _acceptSpectator(ws) {
+        if (this.getWebSockets('spectator').length >= MAX_SPECTATORS) {
+            ws.send(JSON.stringify({ type: 'full' }));
+            ws.close(1000, 'full');
+            return;
+        }
+
+        this._attach(ws, 'spectator');
+
+        // The captain answers a rising count with its HELLO and the level being ridden
+        this._broadcastSpectatorCount();
+    }
+
+    // Racers only hear each other: each team's frames go to every other team
+    _acceptRacer(ws, team) {
+        const others = this.getWebSockets(RACER_ROLE).map(sock => this.racers.get(sock));
+        const slot = freeRacerSlot(others.map(r => r.slot));
+        if (slot < 0) {
+            ws.send(JSON.stringify({ type: 'full' }));
+            ws.close(1000, 'full');
+            return;
+        }
+
+        this.racers.set(ws, { slot, team: (team || '').slice(0, 16) });
+        this._attach(ws, RACER_ROLE);
+        ws.send(JSON.stringify({ type: 'race-joined', slot, racers: others }));
+        this._sendToRacers(JSON.stringify({ type: 'racer-joined', ...this.racers.get(ws) }), ws);
+    }
+
+    _sendToRacers(message, except) {
+        for (const sock of this.getWebSockets(RACER_ROLE)) {
+            if (sock === except) continue;
+            try { sock.send(message); } catch (e) { /* closed */ }
+        }
+    }
+
+    _attach(ws, role) {
+        this.sockets.set(ws, role);
+        ws.on('message', (data, isBinary) => this.webSocketMessage(ws, data, isBinary));
+        ws.on('close', () => this.webSocketClose(ws));
+        ws.on('error', () => ws.close());
+
+        // Reset room TTL on new connection
+        this._setAlarm();
+    }
+
+    _broadcastSpectatorCount() {
+        const msg = JSON.stringify({ type: 'spectators', count: this.getWebSockets('spectator').length });
+        for (const role of RIDER_ROLES) {
+            for (const sock of this.getWebSockets(role)) {
+                try { sock.send(msg); } catch (e) { /* closed */ }
+            }
+        }
+    }
+
+    _sendToSpectators(message) {
+        for (const sock of this.getWebSockets('spectator')) {
+            try { sock.send(message); } catch (e) { /* closed */ }
+        }
+    }
+
+    webSocketMessage(ws, message, isBinary) {
+        const senderRole = this.sockets.get(ws);
+        // Spectators are read-only; a replaced socket's last frames are stale
+        if (senderRole === 'spectator' || ws.replaced) return;
+
+        // Only forward frames the shared protocol schema can decode
+        if (!isBinary) return;
+        const msg = decode(new Uint8Array(message.buffer, message.byteOffset, message.byteLength));
+        if (!msg) return;
+
+        if (senderRole === RACER_ROLE) {
+            const frame = stampRaceFrame(message, msg, this.racers.get(ws).slot);
+            if (frame) this._sendToRacers(frame, ws);
+            return;
+        }
+
+        // The authority on P2P copies spectator traffic here, wrapped so partners don't get it twice
+        if (msg.type === 'spectate') {
+            this.authority = spectatorAuthority(this.authority, senderRole, decode(msg.frame));
+            if (senderRole === this.authority) this._sendToSpectators(msg.frame.slice());
+            return;
+        }
+
+        // Relay to the other players
+        for (const targetRole of otherRiders(senderRole)) {
+            for (const sock of this.getWebSockets(targetRole)) {
+                try { sock.send(message); } catch (e) { /* closed */ }
+            }
+        }
+        this.authority = spectatorAuthority(this.authority, senderRole, msg);
+        if (senderRole === this.authority && SPECTATOR_MESSAGES.has(msg.type)) {
+            this._sendToSpectators(message);
+        }
+    }
+
+    webSocketClose(ws) {
+        const senderRole = this.sockets.get(ws);
+        if (!senderRole) return;
+        this.sockets.delete(ws);
+        this.users.delete(ws);
+        if (senderRole === 'spectator') {
+            this._broadcastSpectatorCount();
+            return;
+        }
+        if (senderRole === RACER_ROLE) {
+            const { slot } = this.racers.get(ws);
+            this.racers.delete(ws);
+            this._sendToRacers(JSON.stringify({ type: 'racer-left', slot }));
+            return;
+        }
+        // A reconnect took this socket's seat — its partners already heard partner-ready
+        if (ws.replaced) return;
+        // Notify partners
+        const closeMsg = JSON.stringify({ type: 'disconnect', role: senderRole });
+        for (const targetRole of otherRiders(senderRole)) {
+            for (const sock of this.getWebSockets(targetRole)) {
+                try { sock.send(closeMsg); } catch (e) { /* closed */ }
+            }
+        }
+        // Spectators keep watching and wait for the rider to come back
+        this._sendToSpectators(JSON.stringify({ type: 'rider-left', role: senderRole }));
+    }
+
+    _setAlarm() {
+        clearTimeout(this._alarm);
+        this._alarm = setTimeout(() => this.alarm(), ROOM_TTL_MS);
+    }
+
+    alarm() {
+        // Clean up room if no active WebSockets remain
+        if (this.sockets.size === 0) {
+            this.rooms.delete(this.code);
+        } else {
+            // Still active — reschedule
+            this._setAlarm();
+        }
+    }
+}
+
+// Same behaviour as the Matchmaker Durable Object: one queue for everyone
+class Matchmaker {
+    constructor() {
+        this.queue = new Map(); // ws → queue entry
+        this._tick = null;
+    }
+
+    accept(ws, entry) {
+        this.queue.set(ws, { ...entry, joinedAt: Date.now(), ws });
+        ws.on('close', () => {
+            if (this.queue.delete(ws)) this._match();
+        });
+        ws.on('error', () => ws.close());
+        this._match();
+    }
+
+    // Pair who we can, hand each pair a room, and tell everyone else where they stand
+    async _match() {
+        const waiting = [...this.queue.values()];
+        const pairs = pairQueue(waiting, Date.now());
+        for (const pair of pairs) {
+            this.queue.delete(pair.captain.ws);
+            this.queue.delete(pair.stoker.ws);
+        }
+
+        let position = 0;
+        for (const entry of this.queue.values()) {
+            try {
+                entry.ws.send(JSON.stringify({ type: 'queued', position: ++position, waiting: this.queue.size }));
+            } catch (e) { /* closed */ }
+        }
+
+        // Skill windows widen while players wait, so look again shortly
+        clearTimeout(this._tick);
+        if (this.queue.size > 0) this._tick = setTimeout(() => this._match(), MATCH_TICK_MS);
+
+        for (const pair of pairs) {
+            for (const [entry, message] of await matchTickets(pair, RELAY_SECRET)) {
+                try {
+                    entry.ws.send(message);
+                    entry.ws.close(1000, 'matched');
+                } catch (e) { /* left just now — the partner's room simply stays empty */ }
+            }
+        }
+    }
+}
+
+const matchmaker = new Matchmaker();
+const rooms = new Map();
+
+function roomFor(code) {
+    let room = rooms.get(code);
+    if (!room) {
+        room = new TandemRoom(code, rooms);
+        rooms.set(code, room);
+    }
+    return room;
+}
+
+function refuseUpgrade(socket, status, text) {
+    socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Type: text/plain\r\n\r\n${text}`);
+    socket.destroy();
+}
+
+// Refused seats get a reason the lobby can show, as on the Worker
+function rejectSocket(ws, code) {
+    ws.send(rejectionMessage(code));
+    ws.close(1008, code);
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    // CORS preflight
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    // No TURN on a LAN — clients fall back to STUN and host candidates
+    if (url.pathname === '/turn-credentials') {
+        response.writeHead(200, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+        response.end(JSON.stringify({ iceServers: [] }));
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('Tandemonium Relay OK');
+});
+
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', async (request, socket, head) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    // Random-partner queue
+    if (url.pathname === '/matchmake') {
+        const entry = parseMatchRequest(url.searchParams);
+        if (!entry) return refuseUpgrade(socket, 400, 'Invalid role');
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            ws.isAlive = true;
+            ws.on('pong', () => { ws.isAlive = true; });
+            matchmaker.accept(ws, entry);
+        });
+        return;
+    }
+
+    const room = url.searchParams.get('room');
+    const role = url.searchParams.get('role');
+    if (!room) return refuseUpgrade(socket, 400, 'Missing room');
+    if (!role || !ROLES.includes(role)) return refuseUpgrade(socket, 400, 'Invalid role');
+
+    // Verify the relay token (optional unless RELAY_STRICT_AUTH is on)
+    const { userId, rejected } = await checkRelayToken(url.searchParams.get('token'), RELAY_SECRET, room, role, STRICT_AUTH);
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        if (rejected) {
+            rejectSocket(ws, rejected);
+            return;
+        }
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        roomFor(room).accept(ws, role, url.searchParams.get('team'), userId);
+    });
+});
+
+// Terminate sockets that missed a ping so their partner hears 'disconnect'
+const pingInterval = setInterval(() => {
+    for (const ws of wss.clients) {
+        if (!ws.isAlive) {
+            ws.terminate();
+            continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+    }
+}, PING_INTERVAL_MS);
+
+function shutdown() {
+    clearInterval(pingInterval);
+    clearTimeout(matchmaker._tick);
+    for (const ws of wss.clients) ws.close(1001, 'server shutting down');
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 2000).unref(); // don't wait on sockets that never finish closing
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, () => {
+    console.log(`Tandemonium relay listening on port ${PORT}`);
+    if (STRICT_AUTH && !RELAY_SECRET) console.warn('RELAY_STRICT_AUTH is on without RELAY_SECRET — every seat will be refused');
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Re-simulate a ride log locally — same check the leaderboard worker runs.
+ *
+ * Usage:
+ *   node scripts/verify-ride.js <log-file> [--level castle] [--time 123456] [--distance 2000] [--difficulty normal]
+ *                               [--level-file path/to/level.json]
+ *
+ * <log-file> holds either the packed log (base64 text, as stored in
+ * score_moderation.ride_log / score_ghosts.data) or the raw binary log.
+ * Claim fields default to the values recorded in the log header.
+ * The course comes from levels/<level>.json unless --level-file is given.
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = { file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) {
+      args[a.slice(2)] = argv[++i];
+    } else {
+      args.file = a;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node scripts/verify-ride.js <log-file> [--level id] [--time ms] [--distance m] [--difficulty name] [--level-file path]');
+    process.exit(2);
+  }
+
+  const load = (rel) => import(pathToFileURL(path.join(ROOT, rel)).href);
+  const { RideLogReader, unpackRideLog } = await load('js/ride-log.js');
+  const { verifyRideLog } = await load('js/ride-verifier.js');
+  const { parseLevel } = await load('js/level-loader.js');
+
+  const raw = fs.readFileSync(args.file);
+  const looksBinary = raw[0] === 0x54 && raw[1] === 0x44 && raw[2] === 0x52 && raw[3] === 0x4c; // 'TDRL'
+  const bytes = looksBinary
+    ? new Uint8Array(raw)
+    : await unpackRideLog(raw.toString('utf-8').trim());
+
+  const header = new RideLogReader(bytes);
+  const claim = {
+    levelId: args.level || header.levelId,
+    difficulty: args.difficulty || header.difficulty,
+    timeMs: args.time ? Number(args.time) : header.finishTimeMs,
+    distance: args.distance ? Number(args.distance) : header.distance,
+  };
+
+  const levelFile = args['level-file'] || path.join(ROOT, 'levels', claim.levelId + '.json');
+  if (!fs.existsSync(levelFile)) throw new Error(`No level file for "${claim.levelId}" (${levelFile})`);
+  const level = parseLevel(fs.readFileSync(levelFile, 'utf-8'), path.basename(levelFile));
+
+  console.log(`Log: ${header.levelId} / ${header.difficulty} / ${header.mode}, ${header.tickCount} ticks`);
+  console.log(`Claim: ${claim.timeMs} ms, ${Math.round(claim.distance)} m`);
+
+  const result = verifyRideLog(bytes, claim, level);
+  if (result.simulated) {
+    console.log(`Simulated: ${result.simulated.timeMs} ms, ${result.simulated.distance} m`);
+  }
+  if (result.ok) {
+    console.log('VERIFIED');
+  } else {
+    console.log('MISMATCH:\n  - ' + result.reasons.join('\n  - '));
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(2);
+});
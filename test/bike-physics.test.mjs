@@ -0,0 +1,120 @@
+// ============================================================
+// BikePhysics — headless checks (npm test)
+// Determinism, the crash threshold, slope drag and the
+// center-strip bonus, on real RoadPaths with no browser.
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BikePhysics, PHYSICS_DT } from '../js/bike-physics.js';
+import { RoadPath } from '../js/road-path.js';
+import { TUNE } from '../js/config.js';
+
+function idleInput() {
+  return {
+    acceleration: 0, wobble: 0, braking: false, crankAngle: 0,
+    leanInput: 0, gyroActive: false, safetyMode: false, autoSpeed: false
+  };
+}
+
+// Straight open road; elevation climbs `grade` meters per meter after the first segment
+function straightRoad(grade) {
+  const controlPoints = [];
+  for (let i = 0; i < 40; i++) controlPoints.push({ curvature: 0, elevation: Math.max(0, i - 1) * 40 * grade });
+  return new RoadPath({ open: true, controlPoints });
+}
+
+function makeBike(roadPath, opts = {}) {
+  const bike = new BikePhysics({ roadPath, tune: { ...TUNE }, ...opts });
+  bike.resetToDistance(opts.distance || 0);
+  return bike;
+}
+
+function snapshot(bike) {
+  return {
+    x: bike.position.x, y: bike.position.y, z: bike.position.z,
+    heading: bike.heading, lean: bike.lean, leanVelocity: bike.leanVelocity,
+    speed: bike.speed, distanceTraveled: bike.distanceTraveled, roadD: bike.roadD,
+    fallen: bike.fallen, tick: bike.tick, rng: bike._rngState,
+  };
+}
+
+// 30 s of pedaling with pedal wobble (so the RNG is in play), balancing
+// against the lean and weaving a little
+function scriptedRide(seed) {
+  const bike = makeBike(new RoadPath({ seed: 42 }), { seed });
+  const input = idleInput();
+  for (let tick = 0; tick < 30 * 120; tick++) {
+    const t = tick * PHYSICS_DT;
+    input.acceleration = tick % 30 === 0 ? 0.6 : 0;
+    input.wobble = 0.3;
+    const lean = -(bike.lean * 1.5 + bike.leanVelocity * 0.3) + Math.sin(t * 0.7) * 0.05;
+    input.leanInput = Math.max(-1, Math.min(1, lean));
+    input.crankAngle = t * 4;
+    bike.step(input);
+  }
+  return snapshot(bike);
+}
+
+test('same seed and inputs give identical state', () => {
+  const a = scriptedRide(7);
+  const b = scriptedRide(7);
+  assert.deepEqual(a, b);
+  assert.ok(a.distanceTraveled > 30, 'the scripted ride should get somewhere');
+  assert.notDeepEqual(scriptedRide(8), a, 'a different seed should wobble differently');
+});
+
+test('the bike goes down past the crash threshold, and only then', () => {
+  const threshold = TUNE.crashThreshold || 1.35;
+  const road = straightRoad(0);
+
+  const under = makeBike(road);
+  under.lean = threshold - 0.02;
+  under.step(idleInput());
+  assert.equal(under.fallen, false);
+
+  const over = makeBike(road);
+  over.lean = threshold + 0.02;
+  over.step(idleInput());
+  assert.equal(over.fallen, true);
+  assert.equal(over.speed, 0);
+
+  // The stabilizer power-up widens the threshold
+  const steadied = makeBike(road);
+  steadied.stabilize(2);
+  steadied.lean = threshold + 0.02;
+  steadied.step(idleInput());
+  assert.equal(steadied.fallen, false);
+});
+
+test('uphill slows the bike and downhill speeds it up', () => {
+  const coast = (grade) => {
+    const bike = makeBike(straightRoad(grade), { distance: 100 });
+    bike.speed = 8;
+    for (let i = 0; i < 2 * 120; i++) bike.step(idleInput());
+    return bike.speed;
+  };
+  const flat = coast(0);
+  const uphill = coast(0.08);
+  const downhill = coast(-0.08);
+  assert.ok(uphill < flat - 0.2, `uphill ${uphill} should trail flat ${flat}`);
+  assert.ok(downhill > flat + 0.2, `downhill ${downhill} should beat flat ${flat}`);
+});
+
+test('the compacted center strip rolls faster than the rest of the road', () => {
+  // One step from 6 m/s: at the centerline vs the strip's edge (0.5 m), where
+  // neither the bonus nor road-edge drag applies
+  const stepAt = (offset) => {
+    const bike = makeBike(straightRoad(0), { distance: 20 });
+    bike.position.x += offset;
+    bike.lateralOffset = offset;
+    bike.speed = 6;
+    bike.step(idleInput());
+    return bike.speed;
+  };
+  const center = stepAt(0);
+  const strip = stepAt(0.5);
+  assert.ok(Math.abs(center / strip - (1 + 0.3 * PHYSICS_DT)) < 1e-9,
+    `center ${center} vs strip edge ${strip}`);
+  assert.ok(stepAt(0.25) > strip && stepAt(0.25) < center, 'the bonus fades toward the strip edge');
+});
@@ -0,0 +1,121 @@
+// ============================================================
+// Ride logs — packing limits and what the verifier refuses to
+// simulate (both run in the leaderboard worker on every POST)
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { BikePhysics } from '../js/bike-physics.js';
+import { RoadPath } from '../js/road-path.js';
+import { BALANCE_DEFAULTS, DIFFICULTY_PRESETS } from '../js/config.js';
+import {
+  RideLogWriter, RideLogReader, RideLogCopy, applyRideEvent, packRideLog, unpackRideLog
+} from '../js/ride-log.js';
+import { verifyRideLog } from '../js/ride-verifier.js';
+import { parseLevel } from '../js/level-loader.js';
+import grandma from '../levels/grandma.json' with { type: 'json' };
+
+test('a packed log unpacks to the same bytes', async () => {
+  const bytes = new Uint8Array(50000).map((_, i) => (i * 31) & 0xff);
+  assert.deepEqual(await unpackRideLog(await packRideLog(bytes)), bytes);
+});
+
+test('a gzip bomb is refused once it inflates past the cap', async () => {
+  const bomb = gzipSync(new Uint8Array(64 * 1024 * 1024)).toString('base64');
+  assert.ok(bomb.length < 512 * 1024, 'fits under the upload cap');
+  await assert.rejects(unpackRideLog(bomb), /inflates past/);
+  await assert.rejects(unpackRideLog(gzipSync(new Uint8Array(2048)).toString('base64'), 1024), /inflates past/);
+});
+
+test('the verifier won\'t simulate more ticks than the claimed time allows', () => {
+  const level = parseLevel(grandma);
+  const tune = { ...BALANCE_DEFAULTS, ...DIFFICULTY_PRESETS.normal };
+  const physics = new BikePhysics({ roadPath: new RoadPath(level.road), tune });
+  physics.resetToDistance(0);
+  const writer = new RideLogWriter(physics, {
+    levelId: level.id, difficulty: 'normal', mode: 'solo', roadSeed: level.road.seed,
+  });
+  // Ten minutes of standing still
+  const input = { wobble: 0, braking: false, crankAngle: 0, acceleration: 0 };
+  const balance = { leanInput: 0, gyroActive: false };
+  for (let i = 0; i < 6000; i++) physics.advance(input, balance, 0.1, false, false);
+  const bytes = writer.finish(600000, physics.distanceTraveled);
+
+  const claimed = (timeMs) => verifyRideLog(bytes, { levelId: level.id, timeMs, distance: level.distance }, level);
+  const short = claimed(60000);
+  assert.deepEqual(short.reasons, ['time mismatch']);
+  assert.equal(short.simulated, null, 'rejected before simulating');
+  // A matching claim is simulated (and fails for never reaching the finish)
+  assert.ok(claimed(600000).reasons.includes('simulated ride never reaches the finish'));
+});
+
+// Pedal and balance for `seconds` in 0.1 s frames, streaming the log to `copy`
+// once a second like the captain does
+function ride(physics, seconds, writer, copy) {
+  const input = { wobble: 0.2, braking: false, crankAngle: 0, acceleration: 0 };
+  const balance = { leanInput: 0, gyroActive: false };
+  for (let i = 0; i < seconds * 10; i++) {
+    input.acceleration = i % 3 === 0 ? 0.5 : 0;
+    balance.leanInput = -(physics.lean * 1.5 + physics.leanVelocity * 0.3);
+    physics.advance(input, balance, 0.1, false, false);
+    if (copy && i % 10 === 9) {
+      let chunk;
+      while ((chunk = writer.takeChunk())) assert.ok(copy.add(JSON.parse(JSON.stringify(chunk))));
+    }
+  }
+}
+
+function replay(bytes, level, tune) {
+  const reader = new RideLogReader(bytes);
+  const physics = new BikePhysics({ seed: reader.physicsSeed, roadPath: new RoadPath(level.road), tune: { ...tune, ...reader.tune } });
+  physics.resetToDistance(0);
+  let rec;
+  while ((rec = reader.next())) {
+    for (const ev of rec.events) applyRideEvent(physics, ev);
+    physics.step(rec.input);
+  }
+  return physics;
+}
+
+// The captain rides and drops; the stoker's own bike carries the log on
+// from its copy, `jump` meters from where the captain's bike got to
+function takeOver(jump) {
+  const level = parseLevel(grandma);
+  const tune = { ...BALANCE_DEFAULTS, ...DIFFICULTY_PRESETS.normal };
+  const captain = new BikePhysics({ seed: 11, roadPath: new RoadPath(level.road), tune: { ...tune } });
+  captain.resetToDistance(0);
+  const writer = new RideLogWriter(captain, {
+    levelId: level.id, difficulty: 'normal', mode: 'captain', roadSeed: level.road.seed,
+  });
+  const copy = new RideLogCopy();
+  ride(captain, 20, writer, copy);
+  ride(captain, 2); // never reached the stoker
+  assert.ok(copy.resumable);
+
+  const stoker = new BikePhysics({ seed: 99, roadPath: new RoadPath(level.road), tune: { ...tune } });
+  stoker.resetToDistance(captain.distanceTraveled + jump);
+  stoker.speed = captain.speed;
+  const resumed = RideLogWriter.resume(stoker, copy);
+  resumed.handover();
+  resumed.syncClock(writer.timeMs, 0);
+  ride(stoker, 20);
+  const bytes = resumed.finish(resumed.timeMs, stoker.distanceTraveled);
+  return { level, tune, stoker, bytes, claim: { levelId: level.id, timeMs: resumed.timeMs, distance: stoker.distanceTraveled } };
+}
+
+test('a log carried on through a takeover replays to the new captain\'s bike', () => {
+  const { level, tune, stoker, bytes, claim } = takeOver(0);
+  const replayed = replay(bytes, level, tune);
+  for (const key of ['distanceTraveled', 'lean', 'speed', 'heading', '_rngState']) {
+    assert.equal(replayed[key], stoker[key], key);
+  }
+  assert.deepEqual(replayed.position, stoker.position);
+  const { reasons } = verifyRideLog(bytes, claim, level);
+  assert.ok(!reasons.some(r => r.includes('hand-over')), reasons.join(', '));
+});
+
+test('a hand-over can\'t move the bike further than the pause allows', () => {
+  const { level, bytes, claim } = takeOver(400);
+  assert.ok(verifyRideLog(bytes, claim, level).reasons.includes('hand-over moves the bike too far'));
+});
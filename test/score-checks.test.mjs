@@ -0,0 +1,44 @@
+// ============================================================
+// Score checks — what the leaderboard worker does with a
+// submission before storing it (worker/score-checks.js)
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { implausibleClaim, verifySubmission } from '../worker/score-checks.js';
+import { parseLevel } from '../js/level-loader.js';
+import grandma from '../levels/grandma.json' with { type: 'json' };
+import endless from '../levels/endless.json' with { type: 'json' };
+
+const claim = { levelId: 'grandma', timeMs: 90000, distance: 800 };
+
+test('a score without a ride log goes to moderation, or is refused under strict', async () => {
+  assert.deepEqual(await verifySubmission({}, claim, null),
+    { verified: false, flagged: true, reasons: ['no ride log'] });
+  assert.deepEqual(await verifySubmission({ SCORE_VERIFICATION: 'flag' }, { ...claim, rideLog: '' }, null),
+    { verified: false, flagged: true, reasons: ['no ride log'] });
+
+  const strict = await verifySubmission({ SCORE_VERIFICATION: 'strict' }, claim, null);
+  assert.equal(strict.reject, true);
+  assert.equal(strict.status, 400);
+  assert.deepEqual(strict.reasons, ['no ride log']);
+
+  assert.deepEqual(await verifySubmission({ SCORE_VERIFICATION: 'off' }, claim, null), { verified: false });
+});
+
+test('a log lost in a hand-over is flagged with the reason the client gave', async () => {
+  const lost = await verifySubmission({}, { ...claim, rideLogMissing: 'swap' }, null);
+  assert.deepEqual(lost.reasons, ['ride log lost in a seat swap']);
+  assert.equal(lost.flagged, true);
+  // Only known reasons are passed on
+  const odd = await verifySubmission({}, { ...claim, rideLogMissing: 'constructor' }, null);
+  assert.deepEqual(odd.reasons, ['no ride log']);
+});
+
+test('a short endless run is ranked; a short finish-line ride is not', () => {
+  const short = { timeMs: 12000, distance: 90 };
+  assert.equal(implausibleClaim(short, parseLevel(endless)), null);
+  assert.equal(implausibleClaim(short, parseLevel(grandma)), 'Ride too short');
+  // The other checks still hold for endless runs
+  assert.equal(implausibleClaim({ timeMs: 12000, distance: 900 }, parseLevel(endless)), 'Implausible speed');
+});
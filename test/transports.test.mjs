@@ -0,0 +1,54 @@
+// ============================================================
+// In-memory rooms — the relay's room protocol without a server
+// ============================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRooms } from '../js/transports.js';
+
+// Let a few rounds of timers run: join → here → partner-ready takes two
+async function settle() {
+  for (let i = 0; i < 3; i++) await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function join(rooms, code, role) {
+  const transport = rooms(code, role);
+  transport.received = [];
+  transport.onMessage = (data) => transport.received.push(
+    typeof data === 'string' ? JSON.parse(data) : Array.from(data));
+  transport.open();
+  return transport;
+}
+
+test('members of a memory room see each other come and go', async () => {
+  const rooms = createMemoryRooms();
+  const captain = join(rooms, 'ABCD', 'captain');
+  assert.deepEqual(captain.received, [{ type: 'waiting' }]);
+
+  const stoker = join(rooms, 'ABCD', 'stoker');
+  await settle();
+  assert.deepEqual(captain.received.at(-1), { type: 'partner-ready', role: 'stoker' });
+  assert.deepEqual(stoker.received.at(-1), { type: 'partner-ready', role: 'captain' });
+
+  stoker.close();
+  await settle();
+  assert.deepEqual(captain.received.at(-1), { type: 'disconnect', role: 'stoker' });
+});
+
+test('frames are delivered later, as a copy, and only within the room', async () => {
+  const rooms = createMemoryRooms();
+  const captain = join(rooms, 'ABCD', 'captain');
+  const stoker = join(rooms, 'ABCD', 'stoker');
+  const elsewhere = join(rooms, 'WXYZ', 'stoker');
+  await settle();
+  const before = elsewhere.received.length;
+
+  const frame = new Uint8Array([1, 2, 3]);
+  assert.equal(captain.send(frame), true);
+  frame[0] = 9; // senders may reuse their encode buffer
+  assert.notDeepEqual(stoker.received.at(-1), [1, 2, 3], 'nothing arrives synchronously');
+  await settle();
+  assert.deepEqual(stoker.received.at(-1), [1, 2, 3]);
+  assert.equal(elsewhere.received.length, before);
+  assert.equal(captain.stats().sentMessages, 1);
+});
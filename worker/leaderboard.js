@@ -2,6 +2,22 @@
 // LEADERBOARD API — Cloudflare Worker + D1
 // ============================================================
 
+import { parseLevel } from '../js/level-loader.js';
+import { MAX_RACERS } from './relay-common.js';
+import { MAX_RIDE_LOG_CHARS, implausibleClaim, verifySubmission } from './score-checks.js';
+import grandmaLevel from '../levels/grandma.json';
+import castleLevel from '../levels/castle.json';
+import endlessLevel from '../levels/endless.json';
+
+// Ranked levels — bundled from the same files the game loads, so the
+// verifier re-simulates the exact course. Add a level here to rank it.
+// Endless levels have no finish, so they rank by distance instead of time.
+const RANKED_LEVELS = new Map(
+  [[grandmaLevel, 'grandma.json'], [castleLevel, 'castle.json'], [endlessLevel, 'endless.json']]
+    .map(([json, file]) => parseLevel(json, file))
+    .map(level => [level.id, level])
+);
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -121,33 +137,34 @@ async function handleGoogleAuth(request, env, corsOrigin) {
 async function submitScore(request, env, corsOrigin, userId) {
   const body = await request.json();
   const { levelId, distance, timeMs, mode, collectiblesCount, inputSource, contributions, newAchievements,
-          difficulty, safetyUsed, scoreMultiplier } = body;
+          difficulty, safetyUsed, scoreMultiplier, rideLog, seatSwaps, race } = body;
 
   if (!levelId || !distance || !timeMs) {
     return jsonResponse({ error: 'Missing required fields' }, 400, corsOrigin);
   }
 
   // Validate level ID
-  const VALID_LEVELS = ['grandma', 'castle'];
-  if (!VALID_LEVELS.includes(levelId)) {
+  if (!RANKED_LEVELS.has(levelId)) {
     return jsonResponse({ error: 'Invalid level' }, 400, corsOrigin);
   }
 
   // Validate mode
-  const VALID_MODES = ['solo', 'captain', 'stoker'];
+  const VALID_MODES = ['solo', 'captain', 'stoker', 'stoker2', 'couch'];
   if (mode && !VALID_MODES.includes(mode)) {
     return jsonResponse({ error: 'Invalid mode' }, 400, corsOrigin);
   }
 
-  // Plausibility checks
-  if (timeMs < 30000) {
-    return jsonResponse({ error: 'Ride too short' }, 400, corsOrigin);
-  }
-  if (distance <= 0 || distance > 50000) {
-    return jsonResponse({ error: 'Invalid distance' }, 400, corsOrigin);
+  // Head-to-head finish: place among the teams that raced the same room
+  if (race && !(typeof race.code === 'string' && race.code.length <= 16 &&
+      Number.isInteger(race.teams) && race.teams >= 2 && race.teams <= MAX_RACERS &&
+      Number.isInteger(race.place) && race.place >= 1 && race.place <= race.teams)) {
+    return jsonResponse({ error: 'Invalid race result' }, 400, corsOrigin);
   }
-  if (distance / (timeMs / 1000) > 25) {
-    return jsonResponse({ error: 'Implausible speed' }, 400, corsOrigin);
+
+  // Plausibility checks
+  const implausible = implausibleClaim(body, RANKED_LEVELS.get(levelId));
+  if (implausible) {
+    return jsonResponse({ error: implausible }, 400, corsOrigin);
   }
 
   // Reject duplicate submissions within 10 seconds
@@ -158,13 +175,21 @@ async function submitScore(request, env, corsOrigin, userId) {
     return jsonResponse({ error: 'Too many submissions' }, 429, corsOrigin);
   }
 
+  // Re-simulate the uploaded ride log against the claimed time and distance
+  const verification = await verifySubmission(env, body, RANKED_LEVELS.get(levelId));
+  if (verification.reject) {
+    await recordModeration(env, null, userId, body, verification);
+    writeMetric(env, 'score_rejected', levelId);
+    return jsonResponse({ error: verification.error, reasons: verification.reasons }, verification.status, corsOrigin);
+  }
+
   writeMetric(env, 'score_submit', levelId);
 
   // Insert score
-  const scoreRes = await env.DB.prepare(
-    'INSERT INTO scores (user_id, level_id, distance, time_ms, mode, collectibles_count, input_source, difficulty, safety_used, score_multiplier) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  const scoreRes = await withLateColumns(env, () => env.DB.prepare(
+    'INSERT INTO scores (user_id, level_id, distance, time_ms, mode, collectibles_count, input_source, difficulty, safety_used, score_multiplier, seat_swaps) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
   ).bind(userId, levelId, distance, timeMs, mode || 'solo', collectiblesCount || 0, inputSource || 'none',
-         difficulty || 'normal', safetyUsed ? 1 : 0, scoreMultiplier || 1.0).run();
+         difficulty || 'normal', safetyUsed ? 1 : 0, scoreMultiplier || 1.0, Math.max(0, seatSwaps | 0)).run());
 
   const scoreId = scoreRes.meta.last_row_id;
 
@@ -189,6 +214,20 @@ async function submitScore(request, env, corsOrigin, userId) {
     }
   }
 
+  // Verified ride logs double as ghosts, served back for the #1 ride
+  if (verification.verified) {
+    batchStmts.push(
+      env.DB.prepare('INSERT INTO score_ghosts (score_id, data) VALUES (?, ?)').bind(scoreId, rideLog)
+    );
+  }
+
+  if (race) {
+    batchStmts.push(
+      env.DB.prepare('INSERT INTO score_races (score_id, race_code, place, teams) VALUES (?, ?, ?, ?)')
+        .bind(scoreId, race.code, race.place, race.teams)
+    );
+  }
+
   if (newAchievements && Array.isArray(newAchievements)) {
     for (const achId of newAchievements) {
       batchStmts.push(
@@ -203,17 +242,77 @@ async function submitScore(request, env, corsOrigin, userId) {
     await env.DB.batch(batchStmts);
   }
 
-  // Check if personal best
-  const best = await env.DB.prepare(
-    'SELECT MIN(time_ms) as best_time FROM scores WHERE user_id = ? AND level_id = ? AND distance >= ?'
-  ).bind(userId, levelId, distance).first();
+  // Flagged: keep the score but hide it from leaderboards until reviewed
+  if (verification.flagged) {
+    await recordModeration(env, scoreId, userId, body, verification);
+    writeMetric(env, 'score_flagged', levelId);
+  }
+
+  // Check if personal best (longest run on endless levels, fastest ride elsewhere)
+  let isNewBest;
+  if (RANKED_LEVELS.get(levelId).endless) {
+    const best = await env.DB.prepare(
+      'SELECT MAX(distance) as best_distance FROM scores WHERE user_id = ? AND level_id = ?'
+    ).bind(userId, levelId).first();
+    isNewBest = !best || distance >= best.best_distance;
+  } else {
+    const best = await env.DB.prepare(
+      'SELECT MIN(time_ms) as best_time FROM scores WHERE user_id = ? AND level_id = ? AND distance >= ?'
+    ).bind(userId, levelId, distance).first();
+    isNewBest = !best || timeMs <= best.best_time;
+  }
 
   return jsonResponse({
     scoreId,
-    isNewBest: !best || timeMs <= best.best_time
+    isNewBest,
+    verified: verification.verified,
   }, 200, corsOrigin);
 }
 
+// ============================================================
+// SCHEMA — columns added after databases were first created
+// ============================================================
+
+// Added to schema.sql after launch; older databases get them on first use
+const LATE_COLUMNS = {
+  seat_swaps: 'ALTER TABLE scores ADD COLUMN seat_swaps INTEGER DEFAULT 0',
+};
+
+/**
+ * Run a query, and if it trips over a LATE_COLUMNS column the database
+ * doesn't have yet, add the column and run it once more.
+ */
+async function withLateColumns(env, run) {
+  try {
+    return await run();
+  } catch (e) {
+    const match = /no such column: (?:\w+\.)?(\w+)/.exec(e.message || '');
+    if (!match || !Object.hasOwn(LATE_COLUMNS, match[1])) throw e;
+    // Another request may have added it in the meantime — the retry tells
+    await env.DB.prepare(LATE_COLUMNS[match[1]]).run().catch(() => {});
+    return run();
+  }
+}
+
+// ============================================================
+// SCORE VERIFICATION
+// ============================================================
+
+async function recordModeration(env, scoreId, userId, body, verification) {
+  const sim = verification.simulated || {};
+  await env.DB.prepare(
+    `INSERT INTO score_moderation
+     (score_id, user_id, level_id, claimed_time_ms, claimed_distance, simulated_time_ms, simulated_distance,
+      reasons, ride_log)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    scoreId, userId, body.levelId, body.timeMs, body.distance,
+    sim.timeMs ?? null, sim.distance ?? null,
+    JSON.stringify(verification.reasons || [verification.error]),
+    typeof body.rideLog === 'string' && body.rideLog.length <= MAX_RIDE_LOG_CHARS ? body.rideLog : null
+  ).run();
+}
+
 // ============================================================
 // LEADERBOARD
 // ============================================================
@@ -224,6 +323,7 @@ async function handleLeaderboard(request, env, url, corsOrigin) {
   const mode = url.searchParams.get('mode');       // 'solo' | 'together'
   const diffFilter = url.searchParams.get('difficulty'); // 'chill' | 'normal' | 'daredevil'
   const userFilter = url.searchParams.get('user_id'); // 'me'
+  const ghostParam = url.searchParams.get('ghost');   // 'top' = include the #1 ride's ghost
   let limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 200);
 
   // Cache public global leaderboard requests (30s TTL)
@@ -238,11 +338,16 @@ async function handleLeaderboard(request, env, url, corsOrigin) {
   const conditions = ['s.level_id = ?'];
   const params = [levelId];
 
+  // Hide flagged scores until a moderator approves them (owners still see their own)
+  if (userFilter !== 'me') {
+    conditions.push("s.id NOT IN (SELECT score_id FROM score_moderation WHERE score_id IS NOT NULL AND status != 'approved')");
+  }
+
   // Mode filter
   if (mode === 'solo') {
     conditions.push("s.mode = 'solo'");
   } else if (mode === 'together') {
-    conditions.push("s.mode IN ('captain', 'stoker')");
+    conditions.push("s.mode IN ('captain', 'stoker', 'stoker2', 'couch')");
   }
 
   // Difficulty filter
@@ -272,17 +377,21 @@ async function handleLeaderboard(request, env, url, corsOrigin) {
 
   params.push(limit);
 
+  const ranked = RANKED_LEVELS.get(levelId);
+  const orderBy = ranked && ranked.endless ? 's.distance DESC, s.time_ms ASC' : 's.time_ms ASC';
+
   const query = `
     SELECT s.id, s.distance, s.time_ms, s.mode, s.collectibles_count, s.input_source, s.created_at,
-           s.difficulty, s.safety_used, s.score_multiplier,
+           s.difficulty, s.safety_used, s.score_multiplier, s.seat_swaps,
+           EXISTS(SELECT 1 FROM score_ghosts g WHERE g.score_id = s.id) as has_ghost,
            u.display_name, u.avatar_url, u.id as user_id
     FROM scores s
     JOIN users u ON s.user_id = u.id
     WHERE ${conditions.join(' AND ')}
-    ORDER BY s.time_ms ASC
+    ORDER BY ${orderBy}
     LIMIT ?`;
 
-  const results = await env.DB.prepare(query).bind(...params).all();
+  const results = await withLateColumns(env, () => env.DB.prepare(query).bind(...params).all());
   const rows = results.results;
 
   if (rows.length === 0) return jsonResponse({ entries: [] }, 200, corsOrigin);
@@ -327,6 +436,14 @@ async function handleLeaderboard(request, env, url, corsOrigin) {
     achievements: (achMap[row.user_id] || []).map(a => ({ achievement_id: a.achievement_id, score_id: a.score_id }))
   }));
 
+  // Ghost download for the #1 ride
+  if (ghostParam === 'top' && entries[0].has_ghost) {
+    const ghostRow = await env.DB.prepare(
+      'SELECT data FROM score_ghosts WHERE score_id = ?'
+    ).bind(entries[0].id).first();
+    if (ghostRow) entries[0].ghost = ghostRow.data;
+  }
+
   const response = jsonResponse({ entries }, 200, corsOrigin);
 
   // Store in cache for public requests
@@ -450,7 +567,7 @@ async function issueRelayToken(request, env, corsOrigin, userId) {
   }
   const body = await request.json();
   const { room, role } = body;
-  if (!room || !role || !['captain', 'stoker'].includes(role)) {
+  if (!room || !role || !['captain', 'stoker', 'stoker2', 'spectator', 'racer'].includes(role)) {
     return jsonResponse({ error: 'Missing room or role' }, 400, corsOrigin);
   }
 
@@ -0,0 +1,271 @@
+// Tandemonium WebSocket Relay — rules shared by the Cloudflare Worker
+// (relay.js) and the self-hosted Node server (relay-server/server.mjs)
+// so both speak exactly the same room protocol.
+
+export const ROOM_TTL_MS = 30 * 60 * 1000; // 30 minutes
+export const RIDER_ROLES = ['captain', 'stoker', 'stoker2']; // 'stoker2' rides the triplet's third seat
+export const RACER_ROLE = 'racer'; // one team's captain in a head-to-head race room
+export const ROLES = [...RIDER_ROLES, 'spectator', RACER_ROLE];
+export const MAX_SPECTATORS = 8;
+export const MAX_RACERS = 8;
+// Authority messages spectators need to follow the ride (everything else stays between riders)
+export const SPECTATOR_MESSAGES = new Set(['hello', 'state', 'event']);
+
+/**
+ * The rider seat spectators follow: whichever runs the physics. That's the
+ * captain until a seat swap or takeover moves the bike, and only the seat
+ * running it sends `state`, so the last seat to send one holds it.
+ * @param {string} authority — seat holding it so far
+ * @param {string} role — sender's seat
+ * @param {object|null} msg — the decoded frame (for `spectate`, the frame inside)
+ * @returns {string}
+ */
+export function spectatorAuthority(authority, role, msg) {
+    return msg && msg.type === 'state' ? role : authority;
+}
+
+/** Every rider seat but `role` — riders' frames and room notices go to all of them. */
+export function otherRiders(role) {
+    return RIDER_ROLES.filter(r => r !== role);
+}
+
+/** Lowest race slot not in `taken`, or -1 when the race is full. */
+export function freeRacerSlot(taken) {
+    for (let slot = 0; slot < MAX_RACERS; slot++) {
+        if (!taken.includes(slot)) return slot;
+    }
+    return -1;
+}
+
+/**
+ * Copy a racer's `race` frame with the sender's slot written in, so
+ * teams can't speak for each other. Anything else is dropped.
+ * @returns {Uint8Array|null}
+ */
+export function stampRaceFrame(bytes, msg, slot) {
+    if (msg.type !== 'race') return null;
+    const frame = new Uint8Array(bytes); // a copy — Node's Buffer.slice() would share memory
+    frame[1] = slot;
+    return frame;
+}
+
+// ── Matchmaking ──────────────────────────────────────────────
+// Players wait on a /matchmake socket until a partner fits, then leave
+// with a room code and a relay token for their seat.
+
+export const MATCH_ROLES = ['captain', 'stoker', 'any'];
+export const MATCH_TICK_MS = 5000;           // re-check the queue while skill windows widen
+const MATCH_SKILL_WINDOW = 5;                // skill points apart two players may start at...
+const MATCH_SKILL_WIDEN_PER_S = 0.5;         // ...growing for every second the longer waiter has waited
+const MATCH_TOKEN_TTL_S = 300;
+
+/**
+ * Read a queue request from the /matchmake query string. Level and
+ * difficulty default to 'any'; skill is optional.
+ * @returns {{role:string, level:string, difficulty:string, skill:number|null}|null} null for an unknown role
+ */
+export function parseMatchRequest(params) {
+    const role = params.get('role') || 'any';
+    if (!MATCH_ROLES.includes(role)) return null;
+    const skill = params.has('skill') ? Number(params.get('skill')) : NaN;
+    return {
+        role,
+        level: (params.get('level') || 'any').slice(0, 32),
+        difficulty: (params.get('difficulty') || 'any').slice(0, 16),
+        skill: Number.isFinite(skill) ? skill : null,
+    };
+}
+
+function fits(a, b) {
+    return a === 'any' || b === 'any' || a === b;
+}
+
+/**
+ * The longest-waiting player in `queue` who can ride with `entry`, or null.
+ * Queue entries carry joinedAt (ms) and are in join order.
+ */
+function findPartner(entry, queue, now) {
+    for (const other of queue) {
+        if (other === entry) continue;
+        if (entry.role !== 'any' && entry.role === other.role) continue;
+        if (!fits(entry.level, other.level) || !fits(entry.difficulty, other.difficulty)) continue;
+        if (entry.skill !== null && other.skill !== null) {
+            const waitedS = (now - Math.min(entry.joinedAt, other.joinedAt)) / 1000;
+            if (Math.abs(entry.skill - other.skill) > MATCH_SKILL_WINDOW + waitedS * MATCH_SKILL_WIDEN_PER_S) continue;
+        }
+        return other;
+    }
+    return null;
+}
+
+/**
+ * Seat a matched pair: a player who asked for a seat gets it, 'any' takes
+ * the other one, and when neither minds the longer waiter captains.
+ * @returns {{captain:object, stoker:object, level:string, difficulty:string}}
+ */
+function seatPair(a, b) {
+    const [first, second] = a.joinedAt <= b.joinedAt ? [a, b] : [b, a];
+    const captain = (first.role === 'stoker' || second.role === 'captain') ? second : first;
+    const stoker = captain === first ? second : first;
+    return {
+        captain,
+        stoker,
+        level: a.level !== 'any' ? a.level : b.level,
+        difficulty: a.difficulty !== 'any' ? a.difficulty : b.difficulty,
+    };
+}
+
+/**
+ * Pair off everyone in `queue` (join order) who can ride together.
+ * @returns {{captain:object, stoker:object, level:string, difficulty:string}[]}
+ */
+export function pairQueue(queue, now) {
+    const waiting = [...queue];
+    const pairs = [];
+    for (let i = 0; i < waiting.length; i++) {
+        const partner = findPartner(waiting[i], waiting.slice(i + 1), now);
+        if (!partner) continue;
+        pairs.push(seatPair(waiting[i], partner));
+        waiting.splice(waiting.indexOf(partner), 1);
+        waiting.splice(i--, 1);
+    }
+    return pairs;
+}
+
+/**
+ * The 'matched' notice for each side of a pair: a fresh room code, the
+ * seat, and a relay token for that seat.
+ * @returns {Promise<[object, string][]>} [queue entry, JSON message] for captain then stoker
+ */
+export async function matchTickets(pair, secret) {
+    const room = generateRoomCode();
+    const tickets = [];
+    for (const role of ['captain', 'stoker']) {
+        tickets.push([pair[role], JSON.stringify({
+            type: 'matched', room, role,
+            token: await signRelayToken(secret, room, role),
+            level: pair.level, difficulty: pair.difficulty,
+        })]);
+    }
+    return tickets;
+}
+
+/** Room code in the same TNDM-XXXX form the game makes for hosted rooms. */
+function generateRoomCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = 'TNDM-';
+    for (let i = 0; i < 4; i++) {
+        code += chars[Math.floor(Math.random() * chars.length)];
+    }
+    return code;
+}
+
+/**
+ * Relay token for a matched seat, signed like the API's /relay-token.
+ * @returns {Promise<string|null>} null when the relay has no secret (tokens are optional)
+ */
+async function signRelayToken(secret, room, role) {
+    if (!secret) return null;
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    // No account behind a queue ticket — a random subject still lets only its holder retake the seat
+    const sub = 'match-' + base64url(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(9))));
+    const body = base64url(JSON.stringify({ sub, room, role, iat: now, exp: now + MATCH_TOKEN_TTL_S }));
+    const data = `${header}.${body}`;
+
+    const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
+    return `${data}.${base64url(String.fromCharCode(...new Uint8Array(sig)))}`;
+}
+
+function base64url(binary) {
+    return btoa(binary).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// ── Authentication ───────────────────────────────────────────
+// Refused connections are accepted just long enough to get a
+// { type: 'rejected', code, reason } frame, then closed, so the lobby
+// can say why. The auth-* codes mean a fresh token may help.
+
+export const REJECTIONS = {
+    'auth-required': 'Sign in to ride on this relay',
+    'auth-invalid': 'Your sign-in has expired — sign in again',
+    'auth-mismatch': 'Your pass is for a different room or seat',
+    'room-owned': 'This room belongs to another captain',
+    'seat-taken': 'Someone else is already riding in that seat',
+};
+
+/** RELAY_STRICT_AUTH is a string in both the Worker's vars and the Node env. */
+export function strictAuthEnabled(value) {
+    return value === 'true' || value === '1';
+}
+
+/**
+ * Check a relay token from /relay-token (or a matchmaking ticket). Without
+ * strict auth a missing or invalid token is let through (don't block
+ * gameplay) and only a valid token for another room or role is refused.
+ * With strict auth every connection needs a valid token for its seat; a
+ * strict relay without a secret can verify nothing, so it refuses everyone.
+ * @returns {Promise<{userId: string|null, rejected: string|null}>} rejected is a REJECTIONS code
+ */
+export async function checkRelayToken(token, secret, room, role, strict) {
+    if (!token || !secret) {
+        return { userId: null, rejected: strict ? 'auth-required' : null };
+    }
+    let payload;
+    try {
+        payload = await verifyJWT(token, secret);
+    } catch (e) {
+        if (strict) return { userId: null, rejected: 'auth-invalid' };
+        console.warn('Relay: invalid token, allowing unauthenticated connection');
+        return { userId: null, rejected: null };
+    }
+    if (payload.room !== room || payload.role !== role) return { userId: null, rejected: 'auth-mismatch' };
+    return { userId: payload.sub != null ? String(payload.sub) : null, rejected: null };
+}
+
+/**
+ * Strict auth: may `userId` take rider seat `role`? The room belongs to its
+ * first captain, and a taken seat can only be retaken (a reconnect replacing
+ * the old socket) by the user already in it.
+ * @param {string|null} owner — the owning captain's user ID, once there is one
+ * @param {(string|null)[]} holders — user IDs on the seat's open sockets
+ * @returns {string|null} a REJECTIONS code, or null to seat them
+ */
+export function seatRejection(role, userId, owner, holders) {
+    if (role === 'captain' && owner !== null && owner !== userId) return 'room-owned';
+    if (holders.some(holder => holder !== userId)) return 'seat-taken';
+    return null;
+}
+
+/** The frame sent ahead of closing a refused socket. */
+export function rejectionMessage(code) {
+    return JSON.stringify({ type: 'rejected', code, reason: REJECTIONS[code] });
+}
+
+// JWT verification (shared HMAC-SHA256 with API worker)
+async function verifyJWT(token, secret) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new Error('Invalid token');
+
+    const key = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+    );
+
+    const data = `${parts[0]}.${parts[1]}`;
+    const sig = Uint8Array.from(
+        atob(parts[2].replace(/-/g, '+').replace(/_/g, '/')),
+        c => c.charCodeAt(0)
+    );
+    const valid = await crypto.subtle.verify('HMAC', key, sig, new TextEncoder().encode(data));
+    if (!valid) throw new Error('Invalid signature');
+
+    const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) throw new Error('Token expired');
+
+    return payload;
+}
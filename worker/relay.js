@@ -2,100 +2,246 @@
 // Primary relay transport
 // Deploy: wrangler deploy
 
-const ROOM_TTL_MS = 30 * 60 * 1000; // 30 minutes
+import { decode } from '../js/protocol.js';
+import {
+    ROOM_TTL_MS, RIDER_ROLES, ROLES, RACER_ROLE, MAX_SPECTATORS, SPECTATOR_MESSAGES, spectatorAuthority,
+    MATCH_TICK_MS, otherRiders, freeRacerSlot, stampRaceFrame, checkRelayToken,
+    strictAuthEnabled, seatRejection, rejectionMessage, parseMatchRequest, pairQueue, matchTickets
+} from './relay-common.js';
 
 export class TandemRoom {
     constructor(state, env) {
         this.state = state;
         this.env = env;
+        // Seat spectators follow (spectatorAuthority). In memory only: after
+        // hibernation it's the captain again until the next state frame
+        this.authority = 'captain';
     }
 
     async fetch(request) {
         const url = new URL(request.url);
         const role = url.searchParams.get('role');
-        if (!role || !['captain', 'stoker'].includes(role)) {
+        if (!role || !ROLES.includes(role)) {
             return new Response('Invalid role', { status: 400 });
         }
 
-        // Verify relay token if provided (optional — unauthenticated connections allowed)
+        // Verify the relay token (optional unless RELAY_STRICT_AUTH is on)
         const token = url.searchParams.get('token');
-        if (token && this.env.RELAY_SECRET) {
-            try {
-                const payload = await verifyJWT(token, this.env.RELAY_SECRET);
-                const room = url.searchParams.get('room') || this.state.id.toString();
-                if (payload.room !== room || payload.role !== role) {
-                    return new Response('Token mismatch', { status: 403 });
-                }
-            } catch (e) {
-                // Invalid token — allow connection anyway (don't block gameplay)
-                console.warn('Relay: invalid token, allowing unauthenticated connection');
-            }
-        }
+        const room = url.searchParams.get('room') || this.state.id.toString();
+        const strict = strictAuthEnabled(this.env.RELAY_STRICT_AUTH);
+        const { userId, rejected } = await checkRelayToken(token, this.env.RELAY_SECRET, room, role, strict);
 
         const pair = new WebSocketPair();
         const [client, server] = Object.values(pair);
+        if (rejected) return this._reject(client, server, rejected);
+
+        if (role === 'spectator') {
+            return this._acceptSpectator(client, server);
+        }
+        if (role === RACER_ROLE) {
+            return this._acceptRacer(client, server, url.searchParams.get('team'));
+        }
 
-        // Close stale sockets for same role (reconnection dedup)
+        // Strict rooms belong to their first captain, and each seat to whoever sits in it
         const existing = this.state.getWebSockets(role);
+        if (strict) {
+            const owner = (await this.state.storage.get('owner')) || null;
+            const refused = seatRejection(role, userId, owner, existing.map(sock => this._userId(sock)));
+            if (refused) return this._reject(client, server, refused);
+            if (role === 'captain' && owner === null && userId !== null) {
+                await this.state.storage.put('owner', userId);
+            }
+        }
+
+        // Close stale sockets for same role (reconnection dedup). Marked first:
+        // the rider is still here, so their close mustn't tell anyone they left
         for (const sock of existing) {
+            sock.serializeAttachment({ ...sock.deserializeAttachment(), replaced: true });
             try { sock.close(1000, 'replaced'); } catch (e) {}
         }
 
         this.state.acceptWebSocket(server, [role]);
+        server.serializeAttachment({ userId });
 
         // Reset room TTL on new connection
         await this.state.storage.setAlarm(Date.now() + ROOM_TTL_MS);
 
-        // Notify both sides when partner is already connected
-        const partnerRole = role === 'captain' ? 'stoker' : 'captain';
-        const partnerSockets = this.state.getWebSockets(partnerRole);
-        const partnerReady = [];
-        for (const sock of partnerSockets) {
-            partnerReady.push(sock);
-        }
+        // Notify both sides for every partner already connected
+        let partnersHere = false;
+        const readyMsg = JSON.stringify({ type: 'partner-ready', role: role });
+        for (const partnerRole of otherRiders(role)) {
+            const partnerReady = this.state.getWebSockets(partnerRole);
+            if (partnerReady.length === 0) continue;
+            partnersHere = true;
 
-        if (partnerReady.length > 0) {
-            // Tell the new joiner their partner is here
+            // Tell the new joiner this partner is here
             const joinMsg = JSON.stringify({ type: 'partner-ready', role: partnerRole });
             try { server.send(joinMsg); } catch (e) { /* just connected, shouldn't fail */ }
 
             // Tell the existing partner the new player joined
-            const readyMsg = JSON.stringify({ type: 'partner-ready', role: role });
             for (const sock of partnerReady) {
                 try { sock.send(readyMsg); } catch (e) { /* closed */ }
             }
-        } else {
+        }
+
+        if (!partnersHere) {
             // No partner yet — confirm room is valid
             try { server.send(JSON.stringify({ type: 'waiting' })); } catch (e) {}
         }
 
+        const spectators = this.state.getWebSockets('spectator').length;
+        if (spectators > 0) {
+            try { server.send(JSON.stringify({ type: 'spectators', count: spectators })); } catch (e) {}
+        }
+
+        return new Response(null, { status: 101, webSocket: client });
+    }
+
+    // Accept just long enough to say why, so the lobby can show it
+    _reject(client, server, code) {
+        writeMetric(this.env, 'relay_rejected', code);
+        server.accept();
+        server.send(rejectionMessage(code));
+        server.close(1008, code);
         return new Response(null, { status: 101, webSocket: client });
     }
 
+    _userId(ws) {
+        const attachment = ws.deserializeAttachment();
+        return attachment ? attachment.userId : null;
+    }
+
+    // Spectators only listen: they get the captain's state and events, never send
+    async _acceptSpectator(client, server) {
+        if (this.state.getWebSockets('spectator').length >= MAX_SPECTATORS) {
+            server.accept();
+            server.send(JSON.stringify({ type: 'full' }));
+            server.close(1000, 'full');
+            return new Response(null, { status: 101, webSocket: client });
+        }
+
+        this.state.acceptWebSocket(server, ['spectator']);
+        await this.state.storage.setAlarm(Date.now() + ROOM_TTL_MS);
+
+        // The captain answers a rising count with its HELLO and the level being ridden
+        this._broadcastSpectatorCount();
+        return new Response(null, { status: 101, webSocket: client });
+    }
+
+    // Racers only hear each other: each team's frames go to every other team.
+    // Tags are [role, slot, team] so the slot survives hibernation
+    async _acceptRacer(client, server, team) {
+        const others = this.state.getWebSockets(RACER_ROLE).map(sock => this._racer(sock));
+        const slot = freeRacerSlot(others.map(r => r.slot));
+        if (slot < 0) {
+            server.accept();
+            server.send(JSON.stringify({ type: 'full' }));
+            server.close(1000, 'full');
+            return new Response(null, { status: 101, webSocket: client });
+        }
+
+        team = (team || '').slice(0, 16) || '-';
+        this.state.acceptWebSocket(server, [RACER_ROLE, String(slot), team]);
+        await this.state.storage.setAlarm(Date.now() + ROOM_TTL_MS);
+
+        try { server.send(JSON.stringify({ type: 'race-joined', slot, racers: others })); } catch (e) {}
+        this._sendToRacers(JSON.stringify({ type: 'racer-joined', slot, team }), server);
+        return new Response(null, { status: 101, webSocket: client });
+    }
+
+    _racer(ws) {
+        const tags = this.state.getTags(ws);
+        return { slot: Number(tags[1]), team: tags[2] };
+    }
+
+    _sendToRacers(message, except) {
+        for (const sock of this.state.getWebSockets(RACER_ROLE)) {
+            if (sock === except) continue;
+            try { sock.send(message); } catch (e) { /* closed */ }
+        }
+    }
+
+    _broadcastSpectatorCount(leaving = null) {
+        const count = this.state.getWebSockets('spectator').filter(sock => sock !== leaving).length;
+        const msg = JSON.stringify({ type: 'spectators', count });
+        for (const role of RIDER_ROLES) {
+            for (const sock of this.state.getWebSockets(role)) {
+                try { sock.send(msg); } catch (e) { /* closed */ }
+            }
+        }
+    }
+
+    _sendToSpectators(message) {
+        for (const sock of this.state.getWebSockets('spectator')) {
+            try { sock.send(message); } catch (e) { /* closed */ }
+        }
+    }
+
     async webSocketMessage(ws, message) {
         // Reset TTL on activity
         await this.state.storage.setAlarm(Date.now() + ROOM_TTL_MS);
 
-        // Relay to the other player
         const tags = this.state.getTags(ws);
         const senderRole = tags[0];
-        const targetRole = senderRole === 'captain' ? 'stoker' : 'captain';
+        // Spectators are read-only
+        if (senderRole === 'spectator') return;
+
+        // Only forward frames the shared protocol schema can decode
+        if (typeof message === 'string') return;
+        const msg = decode(new Uint8Array(message));
+        if (!msg) return;
+
+        if (senderRole === RACER_ROLE) {
+            const frame = stampRaceFrame(new Uint8Array(message), msg, this._racer(ws).slot);
+            if (frame) this._sendToRacers(frame, ws);
+            return;
+        }
 
-        for (const sock of this.state.getWebSockets(targetRole)) {
-            try { sock.send(message); } catch (e) { /* closed */ }
+        // The authority on P2P copies spectator traffic here, wrapped so partners don't get it twice
+        if (msg.type === 'spectate') {
+            this.authority = spectatorAuthority(this.authority, senderRole, decode(msg.frame));
+            if (senderRole === this.authority) this._sendToSpectators(msg.frame.slice());
+            return;
+        }
+        if (msg.type === 'hello') {
+            writeMetric(this.env, 'relay_hello', 'v' + msg.version);
+        }
+
+        // Relay to the other players
+        for (const targetRole of otherRiders(senderRole)) {
+            for (const sock of this.state.getWebSockets(targetRole)) {
+                try { sock.send(message); } catch (e) { /* closed */ }
+            }
+        }
+        this.authority = spectatorAuthority(this.authority, senderRole, msg);
+        if (senderRole === this.authority && SPECTATOR_MESSAGES.has(msg.type)) {
+            this._sendToSpectators(message);
         }
     }
 
     async webSocketClose(ws) {
         const tags = this.state.getTags(ws);
         const senderRole = tags[0];
-        const targetRole = senderRole === 'captain' ? 'stoker' : 'captain';
-
-        // Notify partner
+        if (senderRole === 'spectator') {
+            this._broadcastSpectatorCount(ws);
+            return;
+        }
+        if (senderRole === RACER_ROLE) {
+            this._sendToRacers(JSON.stringify({ type: 'racer-left', slot: this._racer(ws).slot }), ws);
+            return;
+        }
+        // A reconnect took this socket's seat — its partners already heard partner-ready
+        const attachment = ws.deserializeAttachment();
+        if (attachment && attachment.replaced) return;
+        // Notify partners
         const closeMsg = JSON.stringify({ type: 'disconnect', role: senderRole });
-        for (const sock of this.state.getWebSockets(targetRole)) {
-            try { sock.send(closeMsg); } catch (e) { /* closed */ }
+        for (const targetRole of otherRiders(senderRole)) {
+            for (const sock of this.state.getWebSockets(targetRole)) {
+                try { sock.send(closeMsg); } catch (e) { /* closed */ }
+            }
         }
+        // Spectators keep watching and wait for the rider to come back
+        this._sendToSpectators(JSON.stringify({ type: 'rider-left', role: senderRole }));
     }
 
     async webSocketError(ws) {
@@ -114,28 +260,89 @@ export class TandemRoom {
     }
 }
 
-// JWT verification (shared HMAC-SHA256 with API worker)
-async function verifyJWT(token, secret) {
-    const parts = token.split('.');
-    if (parts.length !== 3) throw new Error('Invalid token');
+// Random-partner queue — one instance holds every waiting player. Each
+// socket's attachment is its queue entry, so the queue survives hibernation
+export class Matchmaker {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
 
-    const key = await crypto.subtle.importKey(
-        'raw', new TextEncoder().encode(secret),
-        { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
-    );
+    async fetch(request) {
+        if (request.headers.get('Upgrade') !== 'websocket') {
+            return new Response('Expected WebSocket', { status: 426 });
+        }
+        const entry = parseMatchRequest(new URL(request.url).searchParams);
+        if (!entry) {
+            return new Response('Invalid role', { status: 400 });
+        }
 
-    const data = `${parts[0]}.${parts[1]}`;
-    const sig = Uint8Array.from(
-        atob(parts[2].replace(/-/g, '+').replace(/_/g, '/')),
-        c => c.charCodeAt(0)
-    );
-    const valid = await crypto.subtle.verify('HMAC', key, sig, new TextEncoder().encode(data));
-    if (!valid) throw new Error('Invalid signature');
+        const pair = new WebSocketPair();
+        const [client, server] = Object.values(pair);
+        this.state.acceptWebSocket(server);
+        server.serializeAttachment({ ...entry, joinedAt: Date.now(), matched: false });
 
-    const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
-    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) throw new Error('Token expired');
+        await this._match();
+        return new Response(null, { status: 101, webSocket: client });
+    }
 
-    return payload;
+    _queue(leaving) {
+        const queue = [];
+        for (const ws of this.state.getWebSockets()) {
+            if (ws === leaving) continue;
+            const entry = ws.deserializeAttachment();
+            if (entry && !entry.matched) queue.push({ ...entry, ws });
+        }
+        return queue.sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    // Pair who we can, hand each pair a room, and tell everyone else where they stand
+    async _match(leaving = null) {
+        const queue = this._queue(leaving);
+        const pairs = pairQueue(queue, Date.now());
+
+        // Mark both sides before signing tokens so a fetch landing meanwhile can't pair them again
+        for (const pair of pairs) {
+            for (const entry of [pair.captain, pair.stoker]) {
+                const { ws, ...rest } = entry;
+                ws.serializeAttachment({ ...rest, matched: true });
+            }
+        }
+
+        const waiting = queue.filter(e => !pairs.some(p => p.captain === e || p.stoker === e));
+        waiting.forEach((entry, i) => {
+            try {
+                entry.ws.send(JSON.stringify({ type: 'queued', position: i + 1, waiting: waiting.length }));
+            } catch (e) { /* closed */ }
+        });
+
+        for (const pair of pairs) {
+            writeMetric(this.env, 'match_made', pair.level);
+            for (const [entry, message] of await matchTickets(pair, this.env.RELAY_SECRET)) {
+                try {
+                    entry.ws.send(message);
+                    entry.ws.close(1000, 'matched');
+                } catch (e) { /* left just now — the partner's room simply stays empty */ }
+            }
+        }
+
+        // Skill windows widen while players wait, so look again shortly
+        if (waiting.length > 0) {
+            await this.state.storage.setAlarm(Date.now() + MATCH_TICK_MS);
+        }
+    }
+
+    async webSocketClose(ws) {
+        await this._match(ws);
+    }
+
+    async webSocketError(ws) {
+        ws.close();
+    }
+
+    async alarm() {
+        await this._match();
+    }
 }
 
 const CORS_HEADERS = {
@@ -190,6 +397,13 @@ export default {
             }
         }
 
+        // Random-partner queue, one Durable Object for everyone
+        if (url.pathname === '/matchmake') {
+            writeMetric(env, 'match_queue', url.searchParams.get('role') || 'any');
+            const obj = env.MATCHMAKER.get(env.MATCHMAKER.idFromName('queue'));
+            return obj.fetch(request);
+        }
+
         const room = url.searchParams.get('room');
 
         if (!room) {
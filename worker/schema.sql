@@ -16,12 +16,13 @@ CREATE TABLE IF NOT EXISTS scores (
   level_id TEXT NOT NULL,
   distance REAL NOT NULL,
   time_ms INTEGER NOT NULL,
-  mode TEXT NOT NULL,               -- 'solo' | 'captain' | 'stoker'
+  mode TEXT NOT NULL,               -- 'solo' | 'captain' | 'stoker' | 'stoker2' | 'couch'
   collectibles_count INTEGER DEFAULT 0,
   input_source TEXT DEFAULT 'none',
   difficulty TEXT DEFAULT 'normal',
   safety_used INTEGER DEFAULT 0,
   score_multiplier REAL DEFAULT 1.0,
+  seat_swaps INTEGER DEFAULT 0,     -- times the riders traded seats mid-ride (mode is the submitter's room seat)
   created_at TEXT DEFAULT (datetime('now'))
 );
 
@@ -32,7 +33,7 @@ CREATE INDEX IF NOT EXISTS idx_scores_user ON scores(user_id);
 CREATE TABLE IF NOT EXISTS score_contributions (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   score_id INTEGER NOT NULL REFERENCES scores(id),
-  role TEXT NOT NULL,                -- 'captain' | 'stoker' | 'solo'
+  role TEXT NOT NULL,                -- 'captain' | 'stoker' | 'stoker2' | 'solo'
   player_user_id INTEGER REFERENCES users(id),
   contribution_pct INTEGER,
   pedal_taps INTEGER DEFAULT 0,
@@ -49,6 +50,43 @@ CREATE TABLE IF NOT EXISTS score_contributions (
 CREATE INDEX IF NOT EXISTS idx_contrib_score ON score_contributions(score_id);
 CREATE INDEX IF NOT EXISTS idx_contrib_player ON score_contributions(player_user_id);
 
+-- Ghost replays: packed ride log (gzip + base64, format in js/ride-log.js)
+CREATE TABLE IF NOT EXISTS score_ghosts (
+  score_id INTEGER PRIMARY KEY REFERENCES scores(id),
+  data TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Head-to-head finishes: where the team placed among the teams in its race room
+CREATE TABLE IF NOT EXISTS score_races (
+  score_id INTEGER PRIMARY KEY REFERENCES scores(id),
+  race_code TEXT NOT NULL,
+  place INTEGER NOT NULL,
+  teams INTEGER NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_races_code ON score_races(race_code);
+
+-- Ride logs that failed server re-simulation (js/ride-verifier.js)
+CREATE TABLE IF NOT EXISTS score_moderation (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  score_id INTEGER REFERENCES scores(id),  -- NULL when the submission was rejected outright
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  level_id TEXT NOT NULL,
+  claimed_time_ms INTEGER,
+  claimed_distance REAL,
+  simulated_time_ms INTEGER,
+  simulated_distance REAL,
+  reasons TEXT NOT NULL,                   -- JSON array of mismatch reasons
+  ride_log TEXT,                           -- packed log, for re-checking with scripts/verify-ride.js
+  status TEXT DEFAULT 'pending',           -- 'pending' | 'approved' | 'rejected'
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_status ON score_moderation(status);
+CREATE INDEX IF NOT EXISTS idx_moderation_score ON score_moderation(score_id);
+
 CREATE TABLE IF NOT EXISTS user_achievements (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id INTEGER NOT NULL REFERENCES users(id),
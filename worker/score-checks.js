@@ -0,0 +1,80 @@
+// ============================================================
+// SCORE CHECKS — what the leaderboard worker decides about a
+// submitted score before it is stored. No D1 or bundled level
+// files here, so Node tests can run the same rules.
+// ============================================================
+
+import { unpackRideLog } from '../js/ride-log.js';
+import { verifyRideLog } from '../js/ride-verifier.js';
+
+export const MAX_RIDE_LOG_CHARS = 512 * 1024; // base64 of a gzipped ride log
+
+// rideLogMissing values a client may send in place of a log
+const RIDE_LOG_MISSING = {
+  takeover: 'ride log lost in a takeover',
+  swap: 'ride log lost in a seat swap',
+};
+
+const MIN_RIDE_MS = 30000;
+const MAX_DISTANCE = 50000;
+const MAX_AVERAGE_SPEED = 25; // m/s
+
+/**
+ * Plausibility checks on the claimed time and distance alone.
+ * Endless runs end whenever the riders crash, so a short one is a
+ * real (if poor) result — only finish-line levels have a minimum time.
+ * @param {{timeMs:number, distance:number}} body
+ * @param {object} level — parseLevel() result for body.levelId
+ * @returns {string|null} the error to refuse the score with
+ */
+export function implausibleClaim({ timeMs, distance }, level) {
+  if (!level.endless && timeMs < MIN_RIDE_MS) return 'Ride too short';
+  if (distance <= 0 || distance > MAX_DISTANCE) return 'Invalid distance';
+  if (distance / (timeMs / 1000) > MAX_AVERAGE_SPEED) return 'Implausible speed';
+  return null;
+}
+
+/**
+ * SCORE_VERIFICATION var: 'flag' (default) re-simulates uploaded logs and
+ * sends mismatches — and scores without a log — to moderation; 'strict'
+ * rejects them instead; 'off' skips re-simulation.
+ * @param {object} env
+ * @param {object} body — the submission
+ * @param {object|null} level — parseLevel() result for body.levelId
+ * @returns {Promise<{verified:boolean, flagged?:boolean, reject?:boolean, status?:number,
+ *            error?:string, reasons?:string[], simulated?:object}>}
+ */
+export async function verifySubmission(env, body, level) {
+  const policy = env.SCORE_VERIFICATION || 'flag';
+  const { rideLog } = body;
+  if (policy === 'off') return { verified: false };
+
+  if (typeof rideLog !== 'string' || rideLog.length === 0) {
+    // Every client uploads its log, so a score without one can't be taken on trust.
+    // A shared ride whose log didn't survive a takeover or seat swap says why
+    const reasons = [Object.hasOwn(RIDE_LOG_MISSING, body.rideLogMissing)
+      ? RIDE_LOG_MISSING[body.rideLogMissing] : 'no ride log'];
+    if (policy === 'strict') return { verified: false, reject: true, status: 400, error: 'Ride log required', reasons };
+    return { verified: false, flagged: true, reasons };
+  }
+  if (rideLog.length > MAX_RIDE_LOG_CHARS) {
+    return { verified: false, reject: true, status: 413, error: 'Ride log too large' };
+  }
+
+  let result;
+  try {
+    const bytes = await unpackRideLog(rideLog);
+    result = verifyRideLog(bytes, body, level);
+  } catch (e) {
+    result = { ok: false, reasons: ['unreadable log: ' + e.message], simulated: null };
+  }
+  if (result.ok) return { verified: true, simulated: result.simulated };
+
+  if (policy === 'strict') {
+    return {
+      verified: false, reject: true, status: 422, error: 'Ride could not be verified',
+      reasons: result.reasons, simulated: result.simulated,
+    };
+  }
+  return { verified: false, flagged: true, reasons: result.reasons, simulated: result.simulated };
+}